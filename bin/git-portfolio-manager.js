@@ -210,11 +210,34 @@ program
       const discoveryService = new ProjectDiscoveryService({
         workingDir: process.cwd(),
         maxDepth: 3,
+        // Next to the monitoring data, so running init again only re-analyzes what changed
+        cacheFile: path.join(process.cwd(), "data", "discovery-cache.json"),
       });
 
       const projects = await discoveryService.discoverGitRepositories(discoverySpinner);
       discoverySpinner.succeed(`Found ${projects.length} Git repositories`);
 
+      // Every repository counts as added on the first discovery
+      const { added, removed, moved } = discoveryService.lastChanges;
+      const firstDiscovery =
+        removed.length === 0 &&
+        moved.length === 0 &&
+        projects.every((project) => added.includes(project.path));
+      if (!firstDiscovery && added.length + removed.length + moved.length > 0) {
+        console.log(
+          chalk.gray(
+            `Since the last discovery: ${added.length} added, ${removed.length} removed, ${moved.length} moved`,
+          ),
+        );
+        for (const { from, to } of moved) {
+          console.log(
+            chalk.gray(
+              `  ${path.relative(process.cwd(), from)} → ${path.relative(process.cwd(), to)}`,
+            ),
+          );
+        }
+      }
+
       // Interactive configuration
       const interactiveService = new InteractiveConfigService({
         workingDir: process.cwd(),
@@ -332,6 +355,181 @@ program
     }
   });
 
+// Scan command - one-shot headless health scan for CI and scripts
+program
+  .command("scan")
+  .description("Scan all projects once and report health (exits 1 if any project is critical)")
+  .option("-f, --format <type>", "Output format (table|json|ndjson)", "table")
+  .option("-c, --config <file>", "Configuration file path (YAML or JS)")
+  .option("-d, --depth <number>", "Scan depth for projects", Number.parseInt)
+  .option("-e, --exclude <dirs>", "Comma-separated list of directories to exclude")
+  .option("--dev", "Show monitor logs and stack traces")
+  .action(async (options) => {
+    const formats = ["table", "json", "ndjson"];
+    if (!formats.includes(options.format)) {
+      console.error(
+        chalk.red(`Error: Unknown format "${options.format}" (use ${formats.join(", ")})`),
+      );
+      process.exit(2);
+    }
+
+    // Keep stdout for results only; monitor and config logging goes to stderr
+    console.log = (...args) => console.error(...args);
+    if (!options.dev && !process.env.LOG_LEVEL) {
+      process.env.LOG_LEVEL = "warn";
+    }
+
+    const spinner = ora({ text: "Scanning projects...", isEnabled: options.format === "table" });
+    spinner.start();
+
+    try {
+      const monitor = new PortfolioMonitor({
+        workingDir: process.cwd(),
+        config: options.config,
+        depth: options.depth,
+        exclude: options.exclude,
+        dev: options.dev,
+        headless: true,
+      });
+
+      await monitor.initialize();
+
+      const report = await monitor.scanHealth({
+        onProjectScanned: (result) => {
+          if (options.format === "ndjson") {
+            const { scan, ...line } = result;
+            process.stdout.write(`${JSON.stringify(line)}\n`);
+          } else {
+            spinner.text = `Scanned ${result.name}`;
+          }
+        },
+      });
+
+      spinner.stop();
+
+      if (options.format === "json") {
+        process.stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+      } else if (options.format === "table") {
+        process.stdout.write(formatScanTable(report));
+      }
+
+      // Use exitCode rather than exit() so piped output is flushed
+      process.exitCode = report.summary.critical > 0 ? 1 : 0;
+    } catch (error) {
+      spinner.fail("Scan failed");
+      console.error(chalk.red(`Error: ${error.message}`));
+
+      if (options.dev) {
+        console.error(chalk.gray(error.stack));
+      }
+
+      process.exitCode = 2;
+    }
+  });
+
+/**
+ * Render a scan report as a plain-text table
+ */
+function formatScanTable(report) {
+  const statusColors = {
+    healthy: chalk.green,
+    attention: chalk.yellow,
+    critical: chalk.red,
+  };
+  const headers = ["PROJECT", "STATUS", "SCORE", "PRIORITY", "TYPE", "ISSUES"];
+  const rows = report.projects.map((p) => [
+    p.name,
+    p.status,
+    p.score === null ? "-" : String(p.score),
+    p.priority,
+    p.type,
+    p.error ? `scan failed: ${p.error}` : p.issues.join("; ") || "-",
+  ]);
+
+  // The issues column is last and left unpadded
+  const widths = headers
+    .slice(0, -1)
+    .map((header, i) => Math.max(header.length, ...rows.map((row) => row[i].length)));
+  const formatRow = (row, colorStatus) =>
+    row
+      .map((cell, i) => {
+        const padded = i < widths.length ? cell.padEnd(widths[i]) : cell;
+        const color = colorStatus && i === 1 ? statusColors[cell] : null;
+        return color ? color(padded) : padded;
+      })
+      .join("  ");
+
+  const lines = [chalk.bold(formatRow(headers, false)), ...rows.map((row) => formatRow(row, true))];
+  const { summary } = report;
+  lines.push(
+    "",
+    `${summary.total} projects: ${summary.healthy} healthy, ${summary.attention} attention, ` +
+      `${summary.critical} critical, ${summary.unknown} unknown`,
+  );
+
+  return `${lines.join("\n")}\n`;
+}
+
+// Report command
+program
+  .command("report <project>")
+  .description("Generate a git history report for a project (ID, name or path)")
+  .addHelpText(
+    "after",
+    "\n<project> is a project ID, a project name or a path to a git repository. A name\n" +
+      "that several projects share is refused with their IDs; pass one of those instead.",
+  )
+  .option("-f, --format <type>", "Output format (html|json|md)", "md")
+  .option("-o, --output <file>", "Write the report to a file instead of stdout")
+  .option("-c, --config <file>", "Configuration file path (YAML or JS)")
+  .option("--refresh", "Regenerate the report instead of using the cached copy")
+  .option("--dev", "Show generator logs and stack traces")
+  .action(async (project, options) => {
+    const formats = ["html", "json", "md"];
+    if (!formats.includes(options.format)) {
+      console.error(
+        chalk.red(`Error: Unknown format "${options.format}" (use ${formats.join(", ")})`),
+      );
+      process.exit(2);
+    }
+
+    // Keep stdout for the report only
+    console.log = options.dev ? (...args) => console.error(...args) : () => {};
+    if (!options.dev && !process.env.LOG_LEVEL) {
+      process.env.LOG_LEVEL = "warn";
+    }
+
+    try {
+      const monitor = new PortfolioMonitor({
+        workingDir: process.cwd(),
+        config: options.config,
+        dev: options.dev,
+      });
+
+      await monitor.initialize();
+
+      const { report, generator } = await monitor.generateHistoryReport(project, {
+        forceRefresh: options.refresh,
+      });
+      const output = await generator.renderReport(report, options.format);
+
+      if (options.output) {
+        await fs.outputFile(options.output, output);
+        console.error(chalk.green(`✅ Report written to ${options.output}`));
+      } else {
+        process.stdout.write(output.endsWith("\n") ? output : `${output}\n`);
+      }
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+
+      if (options.dev) {
+        console.error(chalk.gray(error.stack));
+      }
+
+      process.exitCode = 1;
+    }
+  });
+
 // Info command
 program
   .command("info")
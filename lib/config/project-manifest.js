@@ -0,0 +1,184 @@
+/**
+ * Project Manifest
+ *
+ * Repositories describe themselves in a `.portfolio.yml` at their root:
+ * display name, description, owner team, priority, tags, health rule
+ * patches, TrackDown location and GitHub repository. Manifests are validated
+ * like the portfolio configuration in config-loader.js. A `.portfolioignore`
+ * next to it lists paths, in .gitignore syntax, that scans leave out.
+ */
+
+const fs = require("node:fs");
+const path = require("node:path");
+const yaml = require("js-yaml");
+const Joi = require("joi");
+const { minimatch } = require("minimatch");
+const { healthRuleSchema } = require("./config-loader");
+const { ConfigurationError } = require("../utils/error-handler");
+
+const MANIFEST_FILE = ".portfolio.yml";
+const IGNORE_FILE = ".portfolioignore";
+
+const manifestSchema = Joi.object({
+  name: Joi.string().description("Display name; the directory name stays the project ID"),
+  description: Joi.string(),
+  owner: Joi.string().description("Owning team"),
+  priority: Joi.string().valid("HIGH", "MEDIUM", "LOW"),
+  tags: Joi.array().items(Joi.string()).single(),
+  health: Joi.object({
+    rules: Joi.array().items(healthRuleSchema).default([]),
+  }),
+  trackdown: Joi.string().description("TrackDown directory, relative to the repository"),
+  github: Joi.object({
+    repository: Joi.string()
+      .pattern(/^[^/\s]+(\/[^/\s]+)+$/)
+      .required()
+      .description("owner/repo that issues come from, on the remote's Git host"),
+  }),
+});
+
+/**
+ * Read and validate a repository's .portfolio.yml
+ *
+ * @param {string} projectPath
+ * @returns {Object|null} The manifest with schema defaults; null without one
+ * @throws {ConfigurationError} When the file cannot be parsed or fails validation
+ */
+function loadProjectManifest(projectPath) {
+  const file = path.join(projectPath, MANIFEST_FILE);
+  let content;
+  try {
+    content = fs.readFileSync(file, "utf8");
+  } catch (error) {
+    return null;
+  }
+
+  let parsed;
+  try {
+    parsed = yaml.load(content) || {};
+  } catch (error) {
+    throw new ConfigurationError(`Invalid ${MANIFEST_FILE}: ${error.message}`, "manifest", file);
+  }
+
+  const { error, value } = manifestSchema.validate(parsed, {
+    allowUnknown: false,
+    stripUnknown: true,
+  });
+  if (error) {
+    throw new ConfigurationError(
+      `${MANIFEST_FILE} validation error: ${error.message}`,
+      "manifest",
+      error.details,
+    );
+  }
+
+  if (value.trackdown && !isInside(projectPath, value.trackdown)) {
+    throw new ConfigurationError(
+      `${MANIFEST_FILE} validation error: "trackdown" must stay inside the repository`,
+      "manifest.trackdown",
+      value.trackdown,
+    );
+  }
+  return value;
+}
+
+/**
+ * A classification with the manifest's priority, owner and tags applied.
+ * `manifest` lists the fields the manifest set.
+ */
+function applyManifest(classification, manifest) {
+  if (!manifest) {
+    return classification;
+  }
+
+  const fields = ["priority", "owner", "tags"].filter((field) => manifest[field] !== undefined);
+  if (fields.length === 0) {
+    return classification;
+  }
+
+  const applied = { ...classification, manifest: fields };
+  for (const field of fields) {
+    applied[field] = manifest[field];
+  }
+  return applied;
+}
+
+/**
+ * Read a repository's .portfolioignore
+ *
+ * @param {string} projectPath
+ * @returns {Function} (relativePath, isDirectory) => whether scans skip the path;
+ *   a path inside an ignored directory is ignored too
+ */
+function loadPortfolioIgnore(projectPath) {
+  let content = "";
+  try {
+    content = fs.readFileSync(path.join(projectPath, IGNORE_FILE), "utf8");
+  } catch (error) {
+    // Nothing ignored
+  }
+  return createIgnoreMatcher(content.split(/\r?\n/));
+}
+
+/**
+ * Match paths against .gitignore-style patterns: `#` comments, `!` to
+ * re-include, a trailing `/` for directories only, and patterns without a
+ * slash matching at any depth. The last matching pattern decides.
+ */
+function createIgnoreMatcher(lines) {
+  const patterns = lines
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith("#"))
+    .map((line) => {
+      const negated = line.startsWith("!");
+      let pattern = negated ? line.slice(1) : line;
+      const directoryOnly = pattern.endsWith("/");
+      pattern = pattern.replace(/\/+$/, "");
+      // Anchored to the root when the pattern has a slash other than a trailing one
+      const anchored = pattern.includes("/");
+      pattern = pattern.replace(/^\//, "");
+      return { negated, directoryOnly, glob: anchored ? pattern : `**/${pattern}` };
+    });
+
+  const matchesItself = (relativePath, isDirectory) => {
+    let ignored = false;
+    for (const { negated, directoryOnly, glob } of patterns) {
+      if ((!directoryOnly || isDirectory) && minimatch(relativePath, glob, { dot: true })) {
+        ignored = !negated;
+      }
+    }
+    return ignored;
+  };
+
+  const matcher = (relativePath, isDirectory = false) => {
+    if (patterns.length === 0) {
+      return false;
+    }
+
+    const segments = relativePath.split(/[\\/]/).filter(Boolean);
+    for (let length = 1; length < segments.length; length++) {
+      if (matchesItself(segments.slice(0, length).join("/"), true)) {
+        return true;
+      }
+    }
+    // git status lists untracked directories with a trailing slash
+    return matchesItself(segments.join("/"), isDirectory || /[\\/]$/.test(relativePath));
+  };
+  matcher.patterns = patterns.length;
+  return matcher;
+}
+
+function isInside(projectPath, relativePath) {
+  const relative = path.relative(projectPath, path.resolve(projectPath, relativePath));
+  return !relative.startsWith("..") && !path.isAbsolute(relative);
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  IGNORE_FILE,
+  manifestSchema,
+  loadProjectManifest,
+  applyManifest,
+  loadPortfolioIgnore,
+  createIgnoreMatcher,
+};
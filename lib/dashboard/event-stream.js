@@ -0,0 +1,110 @@
+/**
+ * Portfolio Monitoring Dashboard - Event Stream
+ *
+ * Business Purpose: Push monitoring events to dashboard clients as
+ * Server-Sent Events. Recent events are kept so a client reconnecting with
+ * Last-Event-ID receives what it missed.
+ */
+
+const DEFAULT_BUFFER_SIZE = 200;
+const DEFAULT_HEARTBEAT_MS = 25 * 1000;
+
+class EventStream {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.bufferSize] - Events kept for replay on reconnect
+   * @param {number} [options.heartbeatInterval] - Comment sent to idle clients, in ms
+   * @param {number} [options.retry] - Reconnect delay suggested to clients, in ms
+   */
+  constructor(options = {}) {
+    this.bufferSize = options.bufferSize || DEFAULT_BUFFER_SIZE;
+    this.heartbeatInterval = options.heartbeatInterval || DEFAULT_HEARTBEAT_MS;
+    this.retry = options.retry || 5000;
+    this.clients = new Set();
+    this.buffer = [];
+    this.lastId = 0;
+    this.heartbeatTimer = null;
+  }
+
+  /**
+   * Attach an HTTP response as an event stream client
+   */
+  add(req, res) {
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.write(`retry: ${this.retry}\n\n`);
+
+    const lastEventId = Number(req.headers?.["last-event-id"]);
+    if (Number.isInteger(lastEventId)) {
+      for (const event of this.buffer) {
+        if (event.id > lastEventId) {
+          res.write(event.frame);
+        }
+      }
+    }
+
+    this.clients.add(res);
+    req.on?.("close", () => this.remove(res));
+    this.startHeartbeat();
+  }
+
+  remove(res) {
+    this.clients.delete(res);
+    if (this.clients.size === 0) {
+      this.stopHeartbeat();
+    }
+  }
+
+  /**
+   * Send an event to every connected client
+   *
+   * @param {string} type - Event name, e.g. "scan" or "alert"
+   * @param {Object} data - JSON payload
+   */
+  publish(type, data) {
+    const id = ++this.lastId;
+    const frame = `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+
+    this.buffer.push({ id, frame });
+    if (this.buffer.length > this.bufferSize) {
+      this.buffer.shift();
+    }
+
+    for (const res of this.clients) {
+      res.write(frame);
+    }
+    return id;
+  }
+
+  startHeartbeat() {
+    if (this.heartbeatTimer) return;
+    this.heartbeatTimer = setInterval(() => {
+      for (const res of this.clients) {
+        res.write(": heartbeat\n\n");
+      }
+    }, this.heartbeatInterval);
+    this.heartbeatTimer.unref?.();
+  }
+
+  stopHeartbeat() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+  }
+
+  /**
+   * End every client stream, so the HTTP server can close
+   */
+  close() {
+    for (const res of this.clients) {
+      res.end();
+    }
+    this.clients.clear();
+    this.stopHeartbeat();
+  }
+}
+
+module.exports = EventStream;
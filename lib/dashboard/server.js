@@ -13,6 +13,14 @@ const fs = require("node:fs");
 const path = require("node:path");
 const url = require("node:url");
 const TrackDownManager = require("../trackdown/trackdown-manager");
+const GitHostRegistry = require("../hosts/host-registry");
+const TimeSeriesStore = require("../storage/time-series-store");
+const HistoryService = require("../storage/history-service");
+const GitHistoryGenerator = require("../reports/git-history-generator");
+const AlertManager = require("../monitor/alert-manager");
+const ProjectIdentities = require("../storage/project-identities");
+const EventStream = require("./event-stream");
+const { walkDirectories } = require("../discovery/directory-walker");
 
 class DashboardServer {
   constructor(options = {}) {
@@ -23,12 +31,30 @@ class DashboardServer {
     this.dataDir = options.dataDir || path.join(__dirname, "..", "..", "data");
     this.config = options.config || null;
     this.masterController = options.masterController || null;
-    
+    this.store =
+      options.store ||
+      TimeSeriesStore.fromConfig({ ...this.config?.data, directory: this.dataDir });
+    this.historyService = new HistoryService({ store: this.store });
+    this.alerts =
+      options.alerts ||
+      this.masterController?.alerts ||
+      new AlertManager({ file: path.join(this.dataDir, "alerts.json") });
+    this.events = new EventStream();
+    this.subscribeToMonitor();
+
     // Initialize TrackDown Manager
     this.trackdownManager = new TrackDownManager({
       config: this.config,
       projectsBasePath: options.projectsBasePath || process.cwd(),
-      githubClient: options.githubClient || null
+      dataDir: this.dataDir,
+      identities:
+        this.masterController?.identities ||
+        new ProjectIdentities({ file: path.join(this.dataDir, "projects.json") }),
+      // One client for every project when given; otherwise the client of each project's origin host
+      githubClient: options.githubClient || null,
+      hosts: options.githubClient
+        ? null
+        : options.hosts || this.masterController?.hosts || new GitHostRegistry(this.config || {})
     });
 
     this.server = null;
@@ -62,6 +88,16 @@ class DashboardServer {
       console.warn('⚠️ TrackDown Manager initialization failed:', error.message);
     }
 
+    // Serve legacy snapshot files when running without the monitoring system
+    try {
+      const migration = this.store.migrateSnapshots();
+      if (migration.imported > 0) {
+        console.log(`📦 Migrated ${migration.imported} legacy snapshots into the time-series store`);
+      }
+    } catch (error) {
+      console.warn("⚠️ Snapshot migration failed:", error.message);
+    }
+
     this.server = http.createServer((req, res) => {
       this.handleRequest(req, res);
     });
@@ -87,16 +123,61 @@ class DashboardServer {
       });
 
       // Graceful shutdown
-      process.on("SIGINT", () => {
+      process.on("SIGINT", async () => {
         console.log("\n🛑 Shutting down dashboard server...");
-        this.server.close(() => {
-          console.log("✅ Dashboard server stopped");
-          process.exit(0);
-        });
+        await this.stop();
+        console.log("✅ Dashboard server stopped");
+        process.exit(0);
       });
     });
   }
 
+  /**
+   * Stop the web server, ending open event streams first
+   */
+  async stop() {
+    this.events.close();
+    if (this.server?.listening) {
+      await new Promise((resolve) => this.server.close(resolve));
+    }
+  }
+
+  /**
+   * Forward monitoring events to event stream clients
+   */
+  subscribeToMonitor() {
+    const monitor = this.masterController;
+    if (typeof monitor?.on !== "function") {
+      return;
+    }
+
+    monitor.on("activity_update", async ({ project }) => {
+      try {
+        const data = await this.loadLatestProjectData(project);
+        this.events.publish("scan", { project, data, timestamp: new Date().toISOString() });
+      } catch (error) {
+        console.warn(`⚠️ Could not publish scan of ${project}:`, error.message);
+      }
+    });
+    monitor.on("health_change", (change) => this.events.publish("health", change));
+    monitor.on("project_alert", ({ project, alert }) => {
+      this.events.publish("alert", { project, alert, counts: this.alerts.counts() });
+    });
+    monitor.on("alert_resolved", ({ project, alert }) => {
+      this.events.publish("alert_resolved", { project, alert, counts: this.alerts.counts() });
+    });
+    monitor.on("discovery_complete", ({ projects }) => {
+      this.events.publish("discovery", { projects, count: projects.length });
+    });
+  }
+
+  /**
+   * Tell event stream clients that tickets changed
+   */
+  publishTicketChange(action, details) {
+    this.events.publish("ticket", { action, ...details, timestamp: new Date().toISOString() });
+  }
+
   /**
    * Handle incoming HTTP requests
    */
@@ -155,6 +236,10 @@ class DashboardServer {
         await this.handleHealthRequest(res);
         break;
 
+      case "/api/history":
+        this.handleHistoryRequest(req, res);
+        break;
+
       // New discovery management endpoints
       case "/api/discovery/trigger":
         if (req.method === "POST") {
@@ -207,13 +292,75 @@ class DashboardServer {
 
       case "/api/trackdown/sync":
         if (req.method === "POST") {
-          await this.handleTrackDownSyncRequest(res);
+          await this.handleTrackDownSyncRequest(req, res);
+        } else {
+          this.sendErrorResponse(res, 405, "Method not allowed");
+        }
+        break;
+
+      case "/api/trackdown/sync/apply":
+        if (req.method === "POST") {
+          await this.handleTrackDownSyncApplyRequest(req, res);
+        } else {
+          this.sendErrorResponse(res, 405, "Method not allowed");
+        }
+        break;
+
+      case "/api/trackdown/conflicts":
+        await this.handleTrackDownConflictsRequest(res);
+        break;
+
+      case "/api/trackdown/conflicts/resolve":
+        if (req.method === "POST") {
+          await this.handleTrackDownResolveConflictRequest(req, res);
+        } else {
+          this.sendErrorResponse(res, 405, "Method not allowed");
+        }
+        break;
+
+      case "/api/alerts":
+        this.handleAlertsRequest(req, res);
+        break;
+
+      case "/api/events":
+        this.events.add(req, res);
+        break;
+
+      case "/api/scans":
+        this.handleScansRequest(res);
+        break;
+
+      case "/api/fetch":
+        if (req.method === "POST") {
+          await this.handleFetchAllRequest(res);
         } else {
           this.sendErrorResponse(res, 405, "Method not allowed");
         }
         break;
 
       default: {
+        // Check for alert actions
+        const alertActionMatch = pathname.match(/^\/api\/alerts\/([^/]+)\/(acknowledge|snooze|resolve)$/);
+        if (alertActionMatch) {
+          if (req.method === "POST") {
+            await this.handleAlertActionRequest(req, res, alertActionMatch[1], alertActionMatch[2]);
+          } else {
+            this.sendErrorResponse(res, 405, "Method not allowed");
+          }
+          break;
+        }
+
+        // Check for scan-now requests
+        const scanNowMatch = pathname.match(/^\/api\/projects\/([^/]+)\/scan$/);
+        if (scanNowMatch) {
+          if (req.method === "POST") {
+            this.handleScanNowRequest(res, decodeURIComponent(scanNowMatch[1]));
+          } else {
+            this.sendErrorResponse(res, 405, "Method not allowed");
+          }
+          break;
+        }
+
         // Check for project removal requests
         const projectRemovalMatch = pathname.match(/^\/api\/projects\/(.+)$/);
         if (projectRemovalMatch && req.method === "DELETE") {
@@ -221,6 +368,20 @@ class DashboardServer {
           break;
         }
         
+        // Check for project history requests
+        const projectHistoryMatch = pathname.match(/^\/api\/projects\/([^/]+)\/history$/);
+        if (projectHistoryMatch) {
+          this.handleHistoryRequest(req, res, decodeURIComponent(projectHistoryMatch[1]));
+          break;
+        }
+
+        // Check for git history report requests
+        const historyReportMatch = pathname.match(/^\/api\/projects\/([^/]+)\/history-report$/);
+        if (historyReportMatch) {
+          await this.handleHistoryReportRequest(req, res, decodeURIComponent(historyReportMatch[1]));
+          break;
+        }
+
         // Check for TrackDown ticket operations
         const trackdownTicketMatch = pathname.match(/^\/api\/trackdown\/tickets\/([^\/]+)\/([^\/]+)$/);
         if (trackdownTicketMatch) {
@@ -366,48 +527,28 @@ class DashboardServer {
    */
   async handleProjectDetailRequest(res, projectName) {
     try {
-      const projectDataDir = path.join(this.dataDir, projectName);
-
-      if (!fs.existsSync(projectDataDir)) {
+      if (!this.store.hasProject(projectName)) {
         this.sendErrorResponse(res, 404, "Project not found");
         return;
       }
 
       // Load latest activity and health data
-      const projectData = await this.loadLatestProjectData(projectDataDir, projectName);
+      const projectData = await this.loadLatestProjectData(projectName);
       if (!projectData) {
         this.sendErrorResponse(res, 404, "Project data not available");
         return;
       }
 
       // Load raw activity data for detailed information
-      const activityFiles = fs
-        .readdirSync(projectDataDir)
-        .filter((file) => file.startsWith("activity-"))
-        .sort()
-        .reverse();
-
-      const healthFiles = fs
-        .readdirSync(projectDataDir)
-        .filter((file) => file.startsWith("health-"))
-        .sort()
-        .reverse();
-
-      let rawActivityData = {};
-      let rawHealthData = {};
-
-      if (activityFiles.length > 0) {
-        const latestActivityFile = path.join(projectDataDir, activityFiles[0]);
-        rawActivityData = JSON.parse(fs.readFileSync(latestActivityFile, "utf8"));
-      }
-
-      if (healthFiles.length > 0) {
-        const latestHealthFile = path.join(projectDataDir, healthFiles[0]);
-        rawHealthData = JSON.parse(fs.readFileSync(latestHealthFile, "utf8"));
-      }
+      const rawActivityData = this.store.latest(projectName, "activity")?.data || {};
+      const rawHealthData = this.store.latest(projectName, "health")?.data || {};
 
       // Load TrackDown backlog if available
-      const backlogPath = path.join(rawActivityData.path || "", "trackdown", "BACKLOG.md");
+      const backlogPath = path.join(
+        rawActivityData.path || "",
+        rawActivityData.manifest?.trackdown || "trackdown",
+        "BACKLOG.md",
+      );
       let backlogIssues = [];
 
       if (fs.existsSync(backlogPath)) {
@@ -441,20 +582,242 @@ class DashboardServer {
     }
   }
 
+  /**
+   * Handle trend history request for one project or, without a project, the whole portfolio
+   */
+  handleHistoryRequest(req, res, projectName = null) {
+    const query = url.parse(req.url, true).query;
+
+    try {
+      if (projectName && !this.store.hasProject(projectName)) {
+        this.sendErrorResponse(res, 404, "Project not found");
+        return;
+      }
+
+      const history = projectName
+        ? this.historyService.getProjectHistory(projectName, query)
+        : this.historyService.getPortfolioHistory(query);
+
+      this.sendJsonResponse(res, history);
+    } catch (error) {
+      if (error.statusCode === 400) {
+        this.sendErrorResponse(res, 400, error.message);
+        return;
+      }
+
+      console.error("❌ Error loading history:", error);
+      this.sendErrorResponse(res, 500, "Failed to load history");
+    }
+  }
+
+  /**
+   * Handle scan queue request
+   */
+  handleScansRequest(res) {
+    const scheduler = this.masterController?.scheduler;
+    if (!scheduler) {
+      this.sendErrorResponse(res, 503, "Scan scheduler not available");
+      return;
+    }
+
+    const queue = scheduler.status();
+    this.sendJsonResponse(res, {
+      success: true,
+      data: queue,
+      running: queue.filter((entry) => entry.running).length,
+      concurrency: scheduler.concurrency,
+    });
+  }
+
+  /**
+   * Handle a request to fetch every project's remote now
+   */
+  async handleFetchAllRequest(res) {
+    if (typeof this.masterController?.fetchAll !== "function") {
+      this.sendErrorResponse(res, 503, "Master controller not available");
+      return;
+    }
+
+    try {
+      const results = await this.masterController.fetchAll();
+      this.sendJsonResponse(res, {
+        success: true,
+        data: results,
+        fetched: results.filter((result) => result.status === "fetched").length,
+        stale: results.filter((result) => result.stale).length,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      if (error.code === "CONFIGURATION_ERROR") {
+        this.sendErrorResponse(res, 400, error.message);
+        return;
+      }
+
+      console.error("❌ Error fetching remotes:", error);
+      this.sendErrorResponse(res, 500, "Failed to fetch remotes");
+    }
+  }
+
+  /**
+   * Handle a request to scan one project ahead of the queue
+   */
+  handleScanNowRequest(res, projectName) {
+    if (!this.masterController?.scheduler) {
+      this.sendErrorResponse(res, 503, "Scan scheduler not available");
+      return;
+    }
+    if (!this.masterController.scanNow(projectName)) {
+      this.sendErrorResponse(res, 404, `Project ${projectName} is not monitored`);
+      return;
+    }
+
+    this.sendJsonResponse(res, {
+      success: true,
+      message: `Scan of ${projectName} queued`,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Handle listing alerts, filtered by status, project and severity
+   */
+  handleAlertsRequest(req, res) {
+    const query = url.parse(req.url, true).query;
+
+    try {
+      const alerts = this.alerts.list({
+        status: query.status ? query.status.split(",") : undefined,
+        project: query.project,
+        severity: query.severity,
+      });
+
+      this.sendJsonResponse(res, {
+        success: true,
+        data: alerts,
+        count: alerts.length,
+        counts: this.alerts.counts(),
+      });
+    } catch (error) {
+      if (error.statusCode === 400) {
+        this.sendErrorResponse(res, 400, error.message);
+        return;
+      }
+
+      console.error("❌ Error loading alerts:", error);
+      this.sendErrorResponse(res, 500, "Failed to load alerts");
+    }
+  }
+
+  /**
+   * Handle acknowledging, snoozing or resolving an alert
+   */
+  async handleAlertActionRequest(req, res, alertId, action) {
+    try {
+      const body = await this.parseRequestBody(req);
+      let alert;
+
+      switch (action) {
+        case "acknowledge":
+          alert = this.alerts.acknowledge(alertId, { by: body.by, note: body.note });
+          break;
+        case "snooze":
+          alert = this.alerts.snooze(alertId, { until: body.until, minutes: body.minutes });
+          break;
+        default:
+          alert = this.alerts.resolve(alertId, { by: body.by });
+      }
+
+      this.sendJsonResponse(res, { success: true, data: alert });
+      this.events.publish("alert_updated", {
+        project: alert.project,
+        alert,
+        counts: this.alerts.counts(),
+      });
+    } catch (error) {
+      if (error instanceof SyntaxError) {
+        this.sendErrorResponse(res, 400, "Invalid JSON body");
+        return;
+      }
+      if (error.statusCode === 400 || error.statusCode === 404) {
+        this.sendErrorResponse(res, error.statusCode, error.message);
+        return;
+      }
+
+      console.error(`❌ Error updating alert ${alertId}:`, error);
+      this.sendErrorResponse(res, 500, "Failed to update alert");
+    }
+  }
+
+  /**
+   * Handle git history report request, rendered as JSON (default) or HTML
+   */
+  async handleHistoryReportRequest(req, res, projectName) {
+    const query = url.parse(req.url, true).query;
+    const format = query.format || "json";
+
+    if (!["json", "html"].includes(format)) {
+      this.sendErrorResponse(res, 400, `Unsupported format "${format}". Expected json or html`);
+      return;
+    }
+
+    const projectPath = this.getProjectPath(projectName);
+    if (!projectPath) {
+      this.sendErrorResponse(res, 404, "Project not found");
+      return;
+    }
+
+    try {
+      const generator = new GitHistoryGenerator({
+        projectPath,
+        cacheDir: path.join(this.dataDir, "history-reports"),
+      });
+      const report = await generator.generateReport(projectName, {
+        projectPath,
+        forceRefresh: query.refresh === "true",
+      });
+
+      if (format === "html") {
+        res.setHeader("Content-Type", "text/html");
+        res.writeHead(200);
+        res.end(await generator.generateHTMLReport(report));
+        return;
+      }
+
+      this.sendJsonResponse(res, report);
+    } catch (error) {
+      console.error(`❌ Error generating history report for ${projectName}:`, error);
+      this.sendErrorResponse(res, 500, "Failed to generate history report");
+    }
+  }
+
+  /**
+   * Resolve a project's directory from the monitor registry or its last recorded scan
+   */
+  getProjectPath(projectName) {
+    const project = this.masterController?.projectRegistry?.get(projectName);
+    if (project?.path) {
+      return project.path;
+    }
+
+    if (!this.store.hasProject(projectName)) {
+      return null;
+    }
+
+    return this.store.latest(projectName, "activity")?.data?.path || null;
+  }
+
   /**
    * Handle project removal request
    */
   async handleProjectRemoval(req, res, projectName) {
     try {
-      const projectDataDir = path.join(this.dataDir, projectName);
-
-      if (!fs.existsSync(projectDataDir)) {
+      if (!this.store.hasProject(projectName)) {
         this.sendErrorResponse(res, 404, "Project not found");
         return;
       }
 
-      // Remove project data directory
-      await this.removeDirectoryRecursively(projectDataDir);
+      // Remove stored project data
+      this.store.removeProject(projectName);
       
       console.log(`🗑️ Removed project from portfolio: ${projectName}`);
       
@@ -470,33 +833,6 @@ class DashboardServer {
     }
   }
 
-  /**
-   * Remove directory recursively (safe deletion)
-   */
-  async removeDirectoryRecursively(dirPath) {
-    if (!fs.existsSync(dirPath)) return;
-    
-    // Safety check - only remove directories within data dir
-    if (!dirPath.startsWith(this.dataDir)) {
-      throw new Error("Cannot remove directories outside of data directory");
-    }
-    
-    const files = fs.readdirSync(dirPath);
-    
-    for (const file of files) {
-      const filePath = path.join(dirPath, file);
-      const stat = fs.statSync(filePath);
-      
-      if (stat.isDirectory()) {
-        await this.removeDirectoryRecursively(filePath);
-      } else {
-        fs.unlinkSync(filePath);
-      }
-    }
-    
-    fs.rmdirSync(dirPath);
-  }
-
   /**
    * Aggregate project data from monitoring system
    */
@@ -504,22 +840,19 @@ class DashboardServer {
     const projects = [];
 
     try {
-      if (fs.existsSync(this.dataDir)) {
-        const projectDirs = fs.readdirSync(this.dataDir);
+      const projectNames = this.store.listProjects();
 
-        for (const projectName of projectDirs) {
-          const projectDataDir = path.join(this.dataDir, projectName);
-          const projectData = await this.loadLatestProjectData(projectDataDir, projectName);
+      for (const projectName of projectNames) {
+        const projectData = await this.loadLatestProjectData(projectName);
 
-          if (projectData) {
-            projects.push(projectData);
-          }
+        if (projectData) {
+          projects.push(projectData);
         }
-
-        console.log(
-          `📊 Loaded ${projects.length} Git-tracked projects from ${projectDirs.length} total directories`,
-        );
       }
+
+      console.log(
+        `📊 Loaded ${projects.length} Git-tracked projects from ${projectNames.length} stored projects`,
+      );
     } catch (error) {
       console.warn("⚠️ Could not load project data, using mock data:", error.message);
     }
@@ -533,36 +866,15 @@ class DashboardServer {
   }
 
   /**
-   * Load latest project data from monitoring files
+   * Load latest project data from the time-series store
    */
-  async loadLatestProjectData(projectDir, projectName) {
+  async loadLatestProjectData(projectName) {
     try {
-      if (!fs.existsSync(projectDir)) return null;
-
-      // Find latest health file
-      const healthFiles = fs
-        .readdirSync(projectDir)
-        .filter((file) => file.startsWith("health-"))
-        .sort()
-        .reverse();
-
-      if (healthFiles.length === 0) return null;
-
-      const latestHealthFile = path.join(projectDir, healthFiles[0]);
-      const healthData = JSON.parse(fs.readFileSync(latestHealthFile, "utf8"));
-
-      // Find latest activity file
-      const activityFiles = fs
-        .readdirSync(projectDir)
-        .filter((file) => file.startsWith("activity-"))
-        .sort()
-        .reverse();
-
-      let activityData = {};
-      if (activityFiles.length > 0) {
-        const latestActivityFile = path.join(projectDir, activityFiles[0]);
-        activityData = JSON.parse(fs.readFileSync(latestActivityFile, "utf8"));
-      }
+      const healthRecord = this.store.latest(projectName, "health");
+      if (!healthRecord) return null;
+
+      const healthData = healthRecord.data;
+      const activityData = this.store.latest(projectName, "activity")?.data || {};
 
       // Only include projects that have Git repositories
       if (!activityData.git?.hasGit) {
@@ -583,20 +895,26 @@ class DashboardServer {
         "public",
         "static",
       ];
-      if (excludedDirs.includes(projectName.toLowerCase())) {
+      if (excludedDirs.includes((activityData.name || projectName).toLowerCase())) {
         console.log(`📊 Excluding infrastructure directory: ${projectName}`);
         return null;
       }
 
-      // Extract project description
-      const description = await this.extractProjectDescription(activityData.path || "");
+      // Extract project description, unless the repository's manifest gives one
+      const description =
+        activityData.manifest?.description ||
+        (await this.extractProjectDescription(activityData.path || ""));
       
       // Use toolchain from health data first, then fall back to detection
       const toolchain = healthData.toolchain || this.determineToolchain(activityData);
 
       // Transform data to match dashboard format
       const transformedProject = {
+        // The project ID the API addresses the project by
         name: projectName,
+        // The .portfolio.yml name or the directory name, told apart from namesakes by the monitor
+        displayName: activityData.displayName || activityData.manifest?.name || projectName,
+        manifestError: activityData.manifestError || null,
         priority: activityData.priority || "MEDIUM",
         type:
           activityData.business?.revenueImpact === "DIRECT_REVENUE"
@@ -604,6 +922,12 @@ class DashboardServer {
             : activityData.business?.revenueImpact === "STRATEGIC_INVESTMENT"
               ? "strategic"
               : "infrastructure",
+        owner: activityData.business?.owner || null,
+        tags: activityData.business?.tags || [],
+        // Rule that set priority and revenue impact; null when the defaults applied
+        classification: activityData.business?.classification || null,
+        // Fields among priority, owner and tags that .portfolio.yml set instead
+        manifestFields: activityData.business?.manifestFields || [],
         toolchain: toolchain,
         description: description,
         health: healthData.status || healthData.details?.status || "unknown",
@@ -612,12 +936,25 @@ class DashboardServer {
           currentBranch: activityData.git?.currentBranch || "unknown",
           commitsAhead: activityData.git?.commitsAhead || 0,
           commitsBehind: activityData.git?.commitsBehind || 0,
+          // What the counts compare with: {ref, ahead, behind} each, null when unknown
+          defaultBranch: activityData.git?.defaultBranch || null,
+          integration: activityData.git?.integration || null,
+          upstream: activityData.git?.upstream || null,
+          fork: activityData.git?.fork || null,
+          remotes: activityData.git?.remotes || [],
+          // Other worktrees of the repository and submodules with their pins
+          worktrees: activityData.git?.worktrees || [],
+          submodules: activityData.git?.submodules || [],
           branches: activityData.git?.branches?.length || 0,
           lastActivity: activityData.git?.lastCommitDate
             ? this.formatTimeAgo(activityData.git.lastCommitDate)
             : "unknown",
           uncommittedChanges: activityData.git?.uncommittedChanges || 0,
+          // How current the remote-tracking refs are; see RemoteFetcher
+          remote: activityData.git?.remote || null,
         },
+        // Monorepo packages with their own activity and owners; null for other repositories
+        workspace: activityData.workspace || null,
         activity: {
           commits7d: activityData.git?.recentCommits?.length || 0,
           linesAdded: activityData.filesystem?.recentlyModified || 0,
@@ -633,39 +970,177 @@ class DashboardServer {
     }
   }
 
+  /**
+   * Load the latest activity snapshot of every Git-tracked project in the store
+   */
+  loadActivitySnapshots() {
+    const snapshots = [];
+
+    for (const projectName of this.store.listProjects()) {
+      try {
+        const activity = this.store.latest(projectName, "activity")?.data;
+        if (activity?.git?.hasGit) {
+          snapshots.push({ project: projectName, activity });
+        }
+      } catch (error) {
+        console.warn(`⚠️ Could not load activity snapshot for ${projectName}:`, error.message);
+      }
+    }
+
+    return snapshots;
+  }
+
+  /**
+   * Add a project's contribution to an aggregated metric and record it as a source
+   */
+  addContribution(aggregate, metric, projectName, value) {
+    aggregate[metric] += value;
+    if (value > 0) {
+      aggregate.sources[metric].push({ project: projectName, value });
+    }
+  }
+
   /**
    * Aggregate git status across all projects
    */
   async aggregateGitStatus() {
-    // This would aggregate git status from all project monitors
-    // For now, return mock data
-    return {
-      totalBranches: 47,
-      activeBranches: 42,
-      staleBranches: 5,
-      behindMainCount: 8,
-      aheadMainCount: 12,
-      uncommittedCount: 15,
-      mergedThisWeek: 12,
-      pushesThisWeek: 89,
+    const staleThreshold = this.config?.monitoring?.staleThreshold || 14;
+    const weekAgo = Date.now() - 7 * 24 * 60 * 60 * 1000;
+    const metrics = [
+      "totalBranches",
+      "activeBranches",
+      "staleBranches",
+      "behindMainCount",
+      "aheadMainCount",
+      "commitsBehind",
+      "commitsAhead",
+      "uncommittedCount",
+      "uncommittedFiles",
+      "mergedThisWeek",
+    ];
+
+    const gitStatus = {
+      timestamp: new Date().toISOString(),
+      projectCount: 0,
+      staleThreshold,
+      projects: {},
+      sources: {},
     };
+    for (const metric of metrics) {
+      gitStatus[metric] = 0;
+      gitStatus.sources[metric] = [];
+    }
+
+    for (const { project, activity } of this.loadActivitySnapshots()) {
+      const git = activity.git;
+      const branches = git.branches || [];
+      const staleBranches = branches.filter((b) => b.daysSinceActivity > staleThreshold).length;
+      const mergedThisWeek = (git.recentCommits || []).filter(
+        (commit) => commit.isMerge && new Date(commit.date).getTime() >= weekAgo,
+      ).length;
+
+      const projectStatus = {
+        totalBranches: branches.length,
+        activeBranches: branches.length - staleBranches,
+        staleBranches,
+        behindMainCount: git.commitsBehind > 0 ? 1 : 0,
+        aheadMainCount: git.commitsAhead > 0 ? 1 : 0,
+        commitsBehind: git.commitsBehind || 0,
+        commitsAhead: git.commitsAhead || 0,
+        uncommittedCount: git.uncommittedChanges > 0 ? 1 : 0,
+        uncommittedFiles: git.uncommittedChanges || 0,
+        mergedThisWeek,
+      };
+
+      for (const metric of metrics) {
+        this.addContribution(gitStatus, metric, project, projectStatus[metric]);
+      }
+
+      gitStatus.projects[project] = {
+        ...projectStatus,
+        defaultBranch: git.defaultBranch || null,
+        snapshotTimestamp: activity.timestamp,
+      };
+      gitStatus.projectCount++;
+    }
+
+    return gitStatus;
   }
 
   /**
    * Aggregate activity data
    */
   async aggregateActivityData() {
-    return {
-      commitsToday: 15,
-      commitsThisWeek: 89,
-      linesAddedToday: 1247,
-      linesRemovedToday: 456,
-      activeDevelopers: 3,
+    const now = new Date();
+    const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+    const weekAgo = now.getTime() - 7 * 24 * 60 * 60 * 1000;
+
+    // Day buckets for the last 7 days, oldest first
+    const labels = [];
+    for (let offset = 6; offset >= 0; offset--) {
+      labels.push(this.formatDateKey(new Date(startOfToday - offset * 24 * 60 * 60 * 1000)));
+    }
+    const commitsByDay = new Map(labels.map((label) => [label, 0]));
+
+    const activity = {
+      timestamp: now.toISOString(),
+      projectCount: 0,
+      commitsToday: 0,
+      commitsThisWeek: 0,
+      mergesThisWeek: 0,
+      activeDevelopers: 0,
+      developers: [],
       chartData: {
-        commits7d: [12, 19, 3, 5, 2, 3, 20],
-        lines7d: [847, 423, 127, 234, 567, 123, 456],
+        labels,
+        commits7d: [],
+      },
+      sources: {
+        commitsToday: [],
+        commitsThisWeek: [],
+        mergesThisWeek: [],
       },
     };
+    const developers = new Set();
+
+    for (const { project, activity: snapshot } of this.loadActivitySnapshots()) {
+      const commits = (snapshot.git.recentCommits || []).filter((commit) => {
+        const time = new Date(commit.date).getTime();
+        return !Number.isNaN(time) && time >= weekAgo;
+      });
+
+      const today = commits.filter((commit) => new Date(commit.date).getTime() >= startOfToday);
+      const merges = commits.filter((commit) => commit.isMerge);
+
+      this.addContribution(activity, "commitsToday", project, today.length);
+      this.addContribution(activity, "commitsThisWeek", project, commits.length);
+      this.addContribution(activity, "mergesThisWeek", project, merges.length);
+
+      for (const commit of commits) {
+        if (commit.author) developers.add(commit.author);
+
+        const dayKey = this.formatDateKey(new Date(commit.date));
+        if (commitsByDay.has(dayKey)) {
+          commitsByDay.set(dayKey, commitsByDay.get(dayKey) + 1);
+        }
+      }
+
+      activity.projectCount++;
+    }
+
+    activity.developers = Array.from(developers).sort();
+    activity.activeDevelopers = activity.developers.length;
+    activity.chartData.commits7d = labels.map((label) => commitsByDay.get(label));
+
+    return activity;
+  }
+
+  /**
+   * Format a date as a local YYYY-MM-DD key
+   */
+  formatDateKey(date) {
+    const month = String(date.getMonth() + 1).padStart(2, "0");
+    const day = String(date.getDate()).padStart(2, "0");
+    return `${date.getFullYear()}-${month}-${day}`;
   }
 
   /**
@@ -1097,7 +1572,7 @@ class DashboardServer {
       });
       req.on('end', () => {
         try {
-          resolve(JSON.parse(body));
+          resolve(body ? JSON.parse(body) : {});
         } catch (error) {
           reject(error);
         }
@@ -1118,37 +1593,28 @@ class DashboardServer {
   }
 
   /**
-   * Find git directories in a given path (non-recursive)
+   * Find git directories below a given path, up to maxDepth levels under its
+   * subdirectories, reading several directories at once
    */
   async findGitDirectories(searchPath, maxDepth = 2) {
     const gitDirs = [];
     
     try {
-      const scanDirectory = async (currentPath, depth = 0) => {
-        if (depth > maxDepth) return;
-        
-        const entries = fs.readdirSync(currentPath, { withFileTypes: true });
-        
-        for (const entry of entries) {
-          if (entry.isDirectory() && !entry.name.startsWith('.')) {
-            const fullPath = path.join(currentPath, entry.name);
-            
-            if (this.isGitDirectory(fullPath)) {
-              gitDirs.push(fullPath);
-            } else if (depth < maxDepth) {
-              // Scan one level deeper for git directories
-              await scanDirectory(fullPath, depth + 1);
-            }
+      await walkDirectories(searchPath, {
+        maxDepth: maxDepth + 1,
+        include: (dirPath, name) => !name.startsWith('.'),
+        visit: async (dirPath, depth) => {
+          if (depth > 0 && this.isGitDirectory(dirPath)) {
+            gitDirs.push(dirPath);
+            return false;
           }
         }
-      };
-      
-      await scanDirectory(searchPath);
+      });
     } catch (error) {
       console.warn(`Warning: Could not scan directory ${searchPath}:`, error.message);
     }
     
-    return gitDirs;
+    return gitDirs.sort();
   }
 
   /**
@@ -1466,22 +1932,125 @@ class DashboardServer {
   /**
    * Handle TrackDown sync request
    */
-  async handleTrackDownSyncRequest(res) {
+  async handleTrackDownSyncRequest(req, res) {
     try {
-      // Force cache refresh to sync data
-      await this.trackdownManager.refreshCache();
-      
+      const { direction, dryRun, projects } = await this.parseRequestBody(req);
+
+      const result = await this.trackdownManager.syncProjects({
+        direction,
+        dryRun: dryRun === true,
+        projects: Array.isArray(projects) ? projects : undefined
+      });
+
       this.sendJsonResponse(res, {
-        success: true,
-        message: "TrackDown data synchronized successfully",
-        timestamp: new Date().toISOString()
+        success: result.totals.errors === 0,
+        message: result.dryRun
+          ? `Planned sync for ${result.projects.length} projects`
+          : `Synchronized ${result.projects.length} projects`,
+        ...result
       });
+      if (!result.dryRun) {
+        this.publishTicketChange("synced", { projects: result.projects.map((p) => p.project) });
+      }
     } catch (error) {
+      if (error instanceof SyntaxError) {
+        this.sendErrorResponse(res, 400, "Invalid JSON body");
+        return;
+      }
+      if (error.statusCode === 400 || error.code === "CONFIGURATION_ERROR") {
+        this.sendErrorResponse(res, 400, error.message);
+        return;
+      }
+
       console.error("❌ Error syncing TrackDown:", error);
       this.sendErrorResponse(res, 500, "Failed to sync TrackDown data");
     }
   }
 
+  /**
+   * Handle applying a sync plan previewed with a dry run
+   */
+  async handleTrackDownSyncApplyRequest(req, res) {
+    try {
+      const { planId } = await this.parseRequestBody(req);
+      if (!planId) {
+        this.sendErrorResponse(res, 400, "planId is required");
+        return;
+      }
+
+      const result = await this.trackdownManager.applySyncPlan(planId);
+
+      this.sendJsonResponse(res, {
+        success: result.totals.errors === 0,
+        message: `Applied sync plan to ${result.projects.length} projects`,
+        ...result
+      });
+      this.publishTicketChange("synced", { projects: result.projects.map((p) => p.project) });
+    } catch (error) {
+      if (error instanceof SyntaxError) {
+        this.sendErrorResponse(res, 400, "Invalid JSON body");
+        return;
+      }
+      if (error.code === "PLAN_NOT_FOUND") {
+        this.sendErrorResponse(res, 404, error.message);
+        return;
+      }
+
+      console.error("❌ Error applying TrackDown sync plan:", error);
+      this.sendErrorResponse(res, 500, "Failed to apply sync plan");
+    }
+  }
+
+  /**
+   * Handle listing sync conflicts that need a human decision
+   */
+  async handleTrackDownConflictsRequest(res) {
+    try {
+      const conflicts = await this.trackdownManager.getSyncConflicts();
+      this.sendJsonResponse(res, {
+        success: true,
+        data: conflicts,
+        count: conflicts.length
+      });
+    } catch (error) {
+      console.error("❌ Error loading sync conflicts:", error);
+      this.sendErrorResponse(res, 500, "Failed to load sync conflicts");
+    }
+  }
+
+  /**
+   * Handle resolving a queued sync conflict
+   */
+  async handleTrackDownResolveConflictRequest(req, res) {
+    try {
+      const { project, conflictId, resolution } = await this.parseRequestBody(req);
+      if (!project || !conflictId) {
+        this.sendErrorResponse(res, 400, "project and conflictId are required");
+        return;
+      }
+
+      const conflict = await this.trackdownManager.resolveSyncConflict(project, conflictId, resolution);
+
+      this.sendJsonResponse(res, {
+        success: true,
+        data: conflict,
+        message: `Conflict ${conflictId} will be resolved in favour of ${resolution} on the next sync`
+      });
+    } catch (error) {
+      if (error instanceof SyntaxError) {
+        this.sendErrorResponse(res, 400, "Invalid JSON body");
+        return;
+      }
+      if (error.statusCode === 400 || error.statusCode === 404) {
+        this.sendErrorResponse(res, error.statusCode, error.message);
+        return;
+      }
+
+      console.error("❌ Error resolving sync conflict:", error);
+      this.sendErrorResponse(res, 500, "Failed to resolve sync conflict");
+    }
+  }
+
   /**
    * Handle TrackDown create ticket request
    */
@@ -1495,6 +2064,7 @@ class DashboardServer {
         message: "Ticket created successfully",
         timestamp: new Date().toISOString()
       });
+      this.publishTicketChange("created", { project: ticketData.project, ticket: newTicket });
     } catch (error) {
       console.error("❌ Error creating TrackDown ticket:", error);
       this.sendErrorResponse(res, 500, error.message || "Failed to create ticket");
@@ -1504,11 +2074,11 @@ class DashboardServer {
   /**
    * Handle TrackDown ticket operations (CRUD)
    */
-  async handleTrackDownTicketOperation(req, res, projectName, ticketId) {
+  async handleTrackDownTicketOperation(req, res, projectId, ticketId) {
     try {
       switch (req.method) {
         case 'GET':
-          const ticket = await this.trackdownManager.getTicket(projectName, ticketId);
+          const ticket = await this.trackdownManager.getTicket(projectId, ticketId);
           if (!ticket) {
             this.sendErrorResponse(res, 404, "Ticket not found");
             return;
@@ -1522,22 +2092,24 @@ class DashboardServer {
 
         case 'PUT':
           const updateData = await this.parseRequestBody(req);
-          const updatedTicket = await this.trackdownManager.updateTicket(projectName, ticketId, updateData);
+          const updatedTicket = await this.trackdownManager.updateTicket(projectId, ticketId, updateData);
           this.sendJsonResponse(res, {
             success: true,
             data: updatedTicket,
             message: "Ticket updated successfully",
             timestamp: new Date().toISOString()
           });
+          this.publishTicketChange("updated", { project: projectId, ticketId, ticket: updatedTicket });
           break;
 
         case 'DELETE':
-          await this.trackdownManager.deleteTicket(projectName, ticketId);
+          await this.trackdownManager.deleteTicket(projectId, ticketId);
           this.sendJsonResponse(res, {
             success: true,
             message: "Ticket deleted successfully",
             timestamp: new Date().toISOString()
           });
+          this.publishTicketChange("deleted", { project: projectId, ticketId });
           break;
 
         default:
@@ -13,13 +13,20 @@ class PortfolioDashboard {
             projects: [],
             summary: {},
             gitStatus: {},
+            activity: {},
             lastUpdate: null
         };
         
         this.charts = {};
-        this.refreshInterval = 30000; // 30 seconds
+        this.refreshInterval = 30000; // 30 seconds, only while the event stream is down
+        this.refreshTimer = null;
+        this.eventSource = null;
         this.isLoading = false;
         this.selectedProject = null; // Track currently selected project
+        this.trendPeriod = 30; // Days shown in the trend chart
+        this.trendMetric = 'healthScore';
+        this.historyReports = {}; // Git history reports by project name
+        this.expandedWorkspaces = new Set(); // Monorepos whose packages are shown
         
         console.log('📊 Portfolio Dashboard initialized');
     }
@@ -32,7 +39,7 @@ class PortfolioDashboard {
             this.setupEventListeners();
             await this.loadData();
             this.renderDashboard();
-            this.setupAutoRefresh();
+            this.connectEvents();
             await this.loadGitHubUsername();
             this.initializeNavigation();
             
@@ -70,6 +77,15 @@ class PortfolioDashboard {
                 this.updateChartPeriod(period);
             });
         });
+
+        // Trend metric selector
+        const trendMetricSelect = document.getElementById('trendMetric');
+        if (trendMetricSelect) {
+            trendMetricSelect.addEventListener('change', (e) => {
+                this.trendMetric = e.target.value;
+                this.renderTrendChart();
+            });
+        }
     }
 
     /**
@@ -91,11 +107,15 @@ class PortfolioDashboard {
             // Load git status data
             const gitStatus = await this.fetchGitStatusData();
             
+            // Load cross-project activity data
+            const activity = await this.fetchActivityData();
+            
             // Update internal data
             this.data = {
                 summary,
                 projects,
                 gitStatus,
+                activity,
                 lastUpdate: new Date()
             };
 
@@ -289,13 +309,34 @@ class PortfolioDashboard {
             console.warn('Git status data not available, using mock data');
         }
         
-        // Mock git status data
+        // Empty git status when the API is unavailable
+        return {
+            totalBranches: 0,
+            staleBranches: 0,
+            behindMainCount: 0,
+            uncommittedCount: 0,
+            mergedThisWeek: 0,
+            projects: {}
+        };
+    }
+
+    /**
+     * Fetch cross-project activity data
+     */
+    async fetchActivityData() {
+        try {
+            const response = await fetch('/api/activity');
+            if (response.ok) {
+                return await response.json();
+            }
+        } catch (error) {
+            console.warn('Activity data not available');
+        }
+        
         return {
-            totalBranches: 47,
-            behindMainCount: 8,
-            uncommittedCount: 12,
-            mergedThisWeek: 12,
-            pushesThisWeek: 89
+            commitsToday: 0,
+            commitsThisWeek: 0,
+            chartData: { labels: [], commits7d: [] }
         };
     }
 
@@ -311,6 +352,91 @@ class PortfolioDashboard {
         this.renderBranchActivityTable();
         this.renderIssuesTable();
         this.renderCharts();
+        this.loadAlerts();
+    }
+
+    /**
+     * Load the alert inbox for the selected status filter
+     */
+    async loadAlerts() {
+        const inbox = document.getElementById('alertInbox');
+        if (!inbox) return;
+
+        const status = document.getElementById('alertStatusFilter')?.value || 'open,acknowledged';
+        try {
+            const response = await fetch(`/api/alerts?status=${encodeURIComponent(status)}`);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const result = await response.json();
+            this.renderAlertInbox(result.data, result.counts);
+        } catch (error) {
+            console.warn('Alerts not available:', error.message);
+            inbox.innerHTML = '<p class="text-gray-500">Alerts are not available</p>';
+        }
+    }
+
+    renderAlertInbox(alerts, counts = {}) {
+        const inbox = document.getElementById('alertInbox');
+        const title = document.getElementById('alertInboxTitle');
+        if (title) {
+            title.textContent = `Alerts (${counts.open || 0} open, ${counts.acknowledged || 0} acknowledged, ${counts.snoozed || 0} snoozed)`;
+        }
+
+        if (alerts.length === 0) {
+            inbox.innerHTML = '<p class="text-gray-500 py-2">No alerts</p>';
+            return;
+        }
+
+        const severityClass = {
+            CRITICAL: 'bg-red-100 text-red-700',
+            WARNING: 'bg-yellow-100 text-yellow-700',
+            INFO: 'bg-blue-100 text-blue-700'
+        };
+
+        inbox.innerHTML = alerts.map(alert => {
+            const state = alert.status === 'snoozed'
+                ? `snoozed until ${new Date(alert.snoozedUntil).toLocaleString()}`
+                : alert.status === 'resolved'
+                    ? `resolved ${new Date(alert.resolvedAt).toLocaleString()} (${alert.resolvedBy})`
+                    : `${alert.status}, seen ${alert.occurrences}× since ${new Date(alert.openedAt).toLocaleString()}`;
+            const actions = alert.status === 'resolved' ? '' : `
+                ${alert.status === 'open' ? `<button class="px-2 py-1 border border-gray-300 rounded-md hover:bg-gray-50" onclick="window.dashboard.updateAlert('${alert.id}', 'acknowledge')">Acknowledge</button>` : ''}
+                <button class="px-2 py-1 border border-gray-300 rounded-md hover:bg-gray-50" onclick="window.dashboard.updateAlert('${alert.id}', 'snooze', { minutes: 60 })">Snooze 1h</button>
+                <button class="px-2 py-1 border border-gray-300 rounded-md hover:bg-gray-50" onclick="window.dashboard.updateAlert('${alert.id}', 'snooze', { minutes: 1440 })">Snooze 1d</button>
+                <button class="px-2 py-1 border border-gray-300 rounded-md hover:bg-gray-50" onclick="window.dashboard.updateAlert('${alert.id}', 'resolve')">Resolve</button>`;
+
+            return `
+                <div class="flex flex-wrap items-center justify-between gap-2 py-2">
+                    <div>
+                        <span class="text-xs px-2 py-1 rounded ${severityClass[alert.severity] || 'bg-gray-100 text-gray-600'}">${this.escapeHtml(alert.severity)}</span>
+                        <span class="font-medium text-gray-900 ml-2">${this.escapeHtml(this.projectLabel(alert.project))}</span>
+                        <span class="text-gray-700 ml-2">${this.escapeHtml(alert.message)}</span>
+                        <div class="text-xs text-gray-500 mt-1">${this.escapeHtml(state)}</div>
+                    </div>
+                    <div class="flex space-x-2 text-xs">${actions}</div>
+                </div>`;
+        }).join('');
+    }
+
+    /**
+     * Acknowledge, snooze or resolve an alert, then reload the inbox
+     */
+    async updateAlert(alertId, action, body = {}) {
+        try {
+            const response = await fetch(`/api/alerts/${alertId}/${action}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || `HTTP ${response.status}`);
+            }
+            await this.loadAlerts();
+        } catch (error) {
+            this.showNotification(`Failed to ${action} alert: ${error.message}`, 'error');
+        }
     }
 
     /**
@@ -425,7 +551,7 @@ class PortfolioDashboard {
         this.updateElement('attentionTrend', `${project.git.currentBranch}`);
         this.updateElement('criticalTrend', project.toolchain || 'Unknown');
         this.updateElement('activityTrend', project.git.lastActivity);
-        this.updateElement('newBranches', `${project.git.commitsAhead}↑ ${project.git.commitsBehind}↓`);
+        this.updateElement('newBranches', `${project.git.commitsAhead}↑ ${project.git.commitsBehind}↓ vs ${project.git.integration?.ref || project.git.defaultBranch || 'main'}`);
         
         // Update header to show selected project
         this.updateDashboardHeader(`${this.selectedProject} - Project Details`);
@@ -461,23 +587,30 @@ class PortfolioDashboard {
                         </div>
                         <div>
                             <div class="flex items-center space-x-2">
-                                <h3 class="font-medium text-gray-900">${project.name}</h3>
+                                ${this.formatProjectName(project, 'h3')}
                                 <span class="text-xs px-2 py-1 bg-gray-100 text-gray-600 rounded">
                                     ${project.toolchain || 'Unknown'}
                                 </span>
+                                <span class="text-xs px-2 py-1 ${this.getPriorityClass(project.priority)} rounded" title="${this.escapeHtml(this.describeClassification(project))}">
+                                    ${project.priority || 'MEDIUM'}
+                                </span>
                                 ${isSelected ? '<span class="text-xs px-2 py-1 bg-blue-100 text-blue-700 rounded">Selected</span>' : ''}
                             </div>
                             <div class="text-sm text-gray-600 mt-1">
                                 Current: ${project.git.currentBranch} | 
                                 ${project.git.branches} open branches | 
+                                ${this.formatWorktrees(project.git)}
                                 Last: ${project.git.lastActivity}
                             </div>
+                            ${this.formatWorkspaceToggle(project)}
                         </div>
                     </div>
                     <div class="flex items-center space-x-3">
                         <div class="text-right">
                             <div class="text-sm font-medium">
-                                main ↑${project.git.commitsAhead} ↓${project.git.commitsBehind}
+                                ${this.formatComparisons(project.git)}
+                                ${project.git.remote?.stale ? `<span class="text-xs px-1 bg-yellow-100 text-yellow-800 rounded" title="${this.escapeHtml(project.git.remote.error || 'Remote not reachable')}">stale</span>` : ''}
+                                ${this.formatSubmodulePins(project.git)}
                             </div>
                             <div class="text-xs text-gray-500">
                                 ${project.activity.commits7d} commits/week
@@ -486,6 +619,11 @@ class PortfolioDashboard {
                                 ${isSelected ? '✓ Selected' : 'Click to select →'}
                             </div>
                         </div>
+                        <button onclick="event.stopPropagation(); window.dashboard.scanProject('${project.name}')" 
+                                class="flex items-center justify-center w-8 h-8 text-gray-500 hover:text-blue-700 hover:bg-blue-50 rounded transition-colors"
+                                title="Scan now">
+                            <i data-lucide="refresh-cw" class="h-4 w-4"></i>
+                        </button>
                         <button onclick="event.stopPropagation(); window.dashboard.removeProject('${project.name}')" 
                                 class="flex items-center justify-center w-8 h-8 text-red-500 hover:text-red-700 hover:bg-red-50 rounded transition-colors"
                                 title="Remove project from portfolio">
@@ -493,10 +631,73 @@ class PortfolioDashboard {
                         </button>
                     </div>
                 </div>
+                ${this.renderWorkspacePackages(project)}
             `;
         }).join('');
     }
 
+    /**
+     * Button that shows or hides a monorepo's packages
+     */
+    formatWorkspaceToggle(project) {
+        const packages = project.workspace?.packages || [];
+        if (packages.length === 0) return '';
+
+        const expanded = this.expandedWorkspaces.has(project.name);
+        return `
+            <button onclick="event.stopPropagation(); window.dashboard.toggleWorkspace('${project.name}')"
+                    class="text-xs text-blue-600 hover:text-blue-800 mt-1">
+                ${expanded ? '▾' : '▸'} ${packages.length} ${this.escapeHtml(project.workspace.tools.join(' + '))} packages
+            </button>
+        `;
+    }
+
+    toggleWorkspace(projectName) {
+        if (this.expandedWorkspaces.has(projectName)) {
+            this.expandedWorkspaces.delete(projectName);
+        } else {
+            this.expandedWorkspaces.add(projectName);
+        }
+        this.renderProjectList();
+    }
+
+    /**
+     * Drill-down rows for a monorepo's packages, most active first
+     */
+    renderWorkspacePackages(project) {
+        const packages = project.workspace?.packages || [];
+        if (packages.length === 0 || !this.expandedWorkspaces.has(project.name)) return '';
+
+        const rows = [...packages]
+            .sort((a, b) => (b.commits7d - a.commits7d) || String(b.lastCommitDate).localeCompare(String(a.lastCommitDate)))
+            .map(pkg => {
+                const owners = (pkg.owners || [])
+                    .map(owner => `${owner.name} (${owner.commits})`)
+                    .join(', ');
+                const dormant = !pkg.commits;
+                return `
+                    <div class="flex items-center justify-between px-4 py-2 text-sm ${dormant ? 'text-gray-400' : 'text-gray-700'}">
+                        <div class="flex items-center space-x-2 min-w-0">
+                            <span class="font-medium truncate">${this.escapeHtml(pkg.name)}</span>
+                            <code class="text-xs text-gray-500 truncate">${this.escapeHtml(pkg.path)}</code>
+                            ${pkg.uncommittedChanges > 0 ? `<span class="text-xs px-1 bg-yellow-100 text-yellow-800 rounded">${pkg.uncommittedChanges} uncommitted</span>` : ''}
+                        </div>
+                        <div class="flex items-center space-x-4 text-xs flex-shrink-0">
+                            <span>${pkg.commits7d} commits/week</span>
+                            <span>Last: ${pkg.lastCommitDate ? this.escapeHtml(pkg.lastCommitDate.slice(0, 10)) : 'never'}</span>
+                            <span title="${this.escapeHtml(owners || 'No commits in the ownership window')}">Owner: ${this.escapeHtml(pkg.owner || '—')}</span>
+                        </div>
+                    </div>
+                `;
+            })
+            .join('');
+
+        const truncated = project.workspace.truncated
+            ? '<div class="px-4 py-2 text-xs text-gray-500">More packages not shown (monitoring.workspaces.maxPackages)</div>'
+            : '';
+        return `<div class="ml-8 border-l-2 border-gray-200 divide-y divide-gray-100">${rows}${truncated}</div>`;
+    }
+
     /**
      * Render git status table
      */
@@ -518,7 +719,7 @@ class PortfolioDashboard {
                 <tr>
                     <td class="px-6 py-4 whitespace-nowrap">
                         <div class="flex items-center">
-                            <div class="font-medium text-gray-900">${project.name}</div>
+                            ${this.formatProjectName(project, 'div')}
                             <div class="ml-2 text-xs px-2 py-1 bg-gray-100 text-gray-600 rounded">
                                 ${project.toolchain || 'Unknown'}
                             </div>
@@ -528,7 +729,8 @@ class PortfolioDashboard {
                         ${project.git.currentBranch}
                     </td>
                     <td class="px-6 py-4 whitespace-nowrap text-sm font-mono">
-                        ↑${project.git.commitsAhead} ↓${project.git.commitsBehind}
+                        ${this.formatComparisons(project.git)}
+                        ${this.formatSubmodulePins(project.git)}
                     </td>
                     <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
                         ${project.git.branches}
@@ -556,14 +758,14 @@ class PortfolioDashboard {
         }
         
         tableElement.innerHTML = projects.map(project => {
-            // Mock data for merged branches and pushes
-            const mergedThisWeek = Math.floor(Math.random() * 3);
-            const pushesThisWeek = Math.floor(Math.random() * 20);
+            const branchStatus = this.data.gitStatus?.projects?.[project.name] || {};
+            const mergedThisWeek = branchStatus.mergedThisWeek || 0;
+            const staleBranches = branchStatus.staleBranches || 0;
             
             return `
                 <tr>
                     <td class="px-6 py-4 whitespace-nowrap font-medium text-gray-900">
-                        ${project.name}
+                        ${this.escapeHtml(project.displayName || project.name)}
                     </td>
                     <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
                         ${project.git.branches}
@@ -571,8 +773,8 @@ class PortfolioDashboard {
                     <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
                         ${mergedThisWeek}
                     </td>
-                    <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                        ${pushesThisWeek}
+                    <td class="px-6 py-4 whitespace-nowrap text-sm ${staleBranches > 0 ? 'text-red-600' : 'text-gray-900'}">
+                        ${staleBranches}
                     </td>
                     <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                         ${project.git.lastActivity}
@@ -617,7 +819,7 @@ class PortfolioDashboard {
             return `
                 <tr>
                     <td class="px-6 py-4 whitespace-nowrap font-medium text-gray-900">
-                        ${project.name}
+                        ${this.escapeHtml(project.displayName || project.name)}
                     </td>
                     <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
                         ${openIssues}
@@ -639,43 +841,176 @@ class PortfolioDashboard {
     renderCharts() {
         this.renderCommitsChart();
         this.renderLinesOfCodeChart();
+        this.renderTrendChart();
+    }
+
+    /**
+     * Fetch a bucketed history series for the selected project or the whole portfolio
+     */
+    async fetchHistory(metric, days, bucket = 'day') {
+        const params = new URLSearchParams({
+            metric,
+            bucket,
+            from: new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString()
+        });
+        const endpoint = this.selectedProject
+            ? `/api/projects/${encodeURIComponent(this.selectedProject)}/history`
+            : '/api/history';
+
+        try {
+            const response = await fetch(`${endpoint}?${params}`);
+            if (response.ok) {
+                return await response.json();
+            }
+        } catch (error) {
+            console.warn(`History for ${metric} not available`);
+        }
+
+        return { metric, bucket, points: [] };
+    }
+
+    /**
+     * Switch the trend chart between 30, 90 and 365 days
+     */
+    updateChartPeriod(period) {
+        this.trendPeriod = parseInt(period, 10) || 30;
+
+        document.querySelectorAll('[data-period]').forEach(btn => {
+            const active = btn.dataset.period === String(this.trendPeriod);
+            btn.classList.toggle('bg-blue-600', active);
+            btn.classList.toggle('text-white', active);
+            btn.classList.toggle('border-blue-600', active);
+            btn.classList.toggle('text-gray-600', !active);
+            btn.classList.toggle('border-gray-300', !active);
+        });
+
+        this.renderTrendChart();
+    }
+
+    /**
+     * Render the historical trend chart from stored scan history
+     */
+    async renderTrendChart() {
+        const canvas = document.getElementById('trendChart');
+        if (!canvas) return;
+
+        const trendMetrics = {
+            healthScore: [{ metric: 'healthScore', label: 'Health Score', color: '59, 130, 246' }],
+            commits: [{ metric: 'commits', label: 'Commits', color: '34, 197, 94' }],
+            uncommittedChanges: [{ metric: 'uncommittedChanges', label: 'Uncommitted Changes', color: '239, 68, 68' }],
+            aheadBehind: [
+                { metric: 'commitsAhead', label: 'Commits Ahead', color: '59, 130, 246' },
+                { metric: 'commitsBehind', label: 'Commits Behind', color: '249, 115, 22' }
+            ]
+        };
+        const series = trendMetrics[this.trendMetric] || trendMetrics.healthScore;
+        // A year of daily points is too dense to read; use weekly buckets instead
+        const bucket = this.trendPeriod > 90 ? 'week' : 'day';
+
+        // Ignore responses that arrive after a newer render was requested
+        const renderId = (this.trendRenderId || 0) + 1;
+        this.trendRenderId = renderId;
+
+        const histories = await Promise.all(series.map(s => this.fetchHistory(s.metric, this.trendPeriod, bucket)));
+        if (renderId !== this.trendRenderId) return;
+
+        if (this.charts.trend) {
+            this.charts.trend.destroy();
+        }
+
+        const points = histories[0].points || [];
+        const labels = points.map(point => new Date(point.timestamp).toLocaleDateString(undefined, { month: 'short', day: 'numeric' }));
+        const hasData = histories.some(history => (history.points || []).some(point => point.value !== null && point.value !== 0));
+
+        this.updateElement('trendTitle', this.selectedProject ? `${this.selectedProject} - Trends` : 'Portfolio Trends');
+        const emptyNote = document.getElementById('trendEmptyNote');
+        if (emptyNote) {
+            emptyNote.style.display = hasData ? 'none' : 'block';
+        }
+
+        // Ranges longer than data.retentionDays start before the oldest stored scan
+        const retentionDays = histories[0].retentionDays;
+        const retentionNote = document.getElementById('trendRetentionNote');
+        if (retentionNote) {
+            const truncated = retentionDays && this.trendPeriod > retentionDays;
+            retentionNote.textContent = truncated
+                ? `History is kept for ${retentionDays} days; raise data.retentionDays for longer trends.`
+                : '';
+            retentionNote.style.display = truncated ? 'block' : 'none';
+        }
+
+        this.charts.trend = new Chart(canvas.getContext('2d'), {
+            type: 'line',
+            data: {
+                labels: labels,
+                datasets: series.map((s, i) => ({
+                    label: s.label,
+                    data: (histories[i].points || []).map(point => point.value),
+                    borderColor: `rgb(${s.color})`,
+                    backgroundColor: `rgba(${s.color}, 0.1)`,
+                    tension: 0.3,
+                    spanGaps: true,
+                    fill: series.length === 1
+                }))
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        display: series.length > 1
+                    }
+                },
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        suggestedMax: this.trendMetric === 'healthScore' ? 100 : undefined
+                    }
+                }
+            }
+        });
     }
 
     /**
      * Render commits chart
      */
-    renderCommitsChart() {
+    async renderCommitsChart() {
         const canvas = document.getElementById('commitsChart');
         if (!canvas) return;
 
         const ctx = canvas.getContext('2d');
-        
-        // Destroy existing chart if it exists
-        if (this.charts.commits) {
-            this.charts.commits.destroy();
-        }
 
         // Get data based on selection
-        const labels = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+        let labels = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
         let data, chartTitle;
         
         if (this.selectedProject) {
-            const project = this.data.projects.find(p => p.name === this.selectedProject);
-            if (project) {
-                // Generate project-specific commit data
-                const weeklyCommits = project.activity.commits7d || 0;
-                data = this.generateWeeklyDistribution(weeklyCommits);
-                chartTitle = `${this.selectedProject} - Weekly Commits`;
+            // Daily commit counts from the project's stored scan history
+            const selectedProject = this.selectedProject;
+            const history = await this.fetchHistory('commits', 6);
+            if (selectedProject !== this.selectedProject) return;
+
+            const points = history.points || [];
+            labels = points.map(point => new Date(point.timestamp).toLocaleDateString(undefined, { weekday: 'short', timeZone: 'UTC' }));
+            data = points.map(point => point.value || 0);
+            chartTitle = `${this.selectedProject} - Weekly Commits`;
+        } else {
+            // Portfolio-wide data aggregated from the latest activity snapshots
+            const chartData = this.data.activity?.chartData || {};
+            if (chartData.labels && chartData.labels.length > 0) {
+                labels = chartData.labels.map(day => new Date(`${day}T00:00:00`).toLocaleDateString(undefined, { weekday: 'short' }));
+                data = chartData.commits7d;
             } else {
                 data = [0, 0, 0, 0, 0, 0, 0];
-                chartTitle = 'No Data';
             }
-        } else {
-            // Portfolio-wide data
-            data = [12, 19, 3, 5, 2, 3, 20];
             chartTitle = 'Portfolio Commits';
         }
 
+        // Destroy existing chart if it exists
+        if (this.charts.commits) {
+            this.charts.commits.destroy();
+        }
+
         this.charts.commits = new Chart(ctx, {
             type: 'line',
             data: {
@@ -729,7 +1064,7 @@ class PortfolioDashboard {
         if (this.selectedProject) {
             const project = this.data.projects.find(p => p.name === this.selectedProject);
             if (project) {
-                projects = [project.name];
+                projects = [project.displayName || project.name];
                 addedLines = [project.activity.linesAdded || 0];
                 removedLines = [project.activity.linesRemoved || 0];
             } else {
@@ -740,7 +1075,7 @@ class PortfolioDashboard {
         } else {
             // Portfolio-wide data
             const topProjects = this.data.projects.slice(0, 3);
-            projects = topProjects.map(p => p.name);
+            projects = topProjects.map(p => p.displayName || p.name);
             addedLines = topProjects.map(p => p.activity.linesAdded || 0);
             removedLines = topProjects.map(p => p.activity.linesRemoved || 0);
         }
@@ -844,12 +1179,114 @@ class PortfolioDashboard {
         this.renderCharts();
     }
 
+    /**
+     * Subscribe to live monitoring events, polling instead while the stream is down
+     */
+    connectEvents() {
+        if (typeof EventSource === 'undefined') {
+            this.setupAutoRefresh();
+            return;
+        }
+
+        this.eventSource = new EventSource('/api/events');
+
+        this.eventSource.onopen = () => {
+            // Catch up on anything missed while polling
+            if (this.refreshTimer) {
+                this.stopAutoRefresh();
+                this.refresh();
+            }
+        };
+
+        this.eventSource.onerror = () => {
+            // EventSource reconnects by itself; poll until it does
+            this.setupAutoRefresh();
+        };
+
+        const on = (type, handler) => {
+            this.eventSource.addEventListener(type, (event) => {
+                try {
+                    handler(JSON.parse(event.data));
+                } catch (error) {
+                    console.warn(`Ignoring malformed ${type} event:`, error);
+                }
+            });
+        };
+
+        on('scan', (event) => this.applyProjectScan(event));
+        on('health', (event) => this.applyHealthChange(event));
+        on('alert', (event) => {
+            this.loadAlerts();
+            if (event.alert?.severity === 'CRITICAL') {
+                this.showNotification(`${this.projectLabel(event.project)}: ${event.alert.message}`, 'error');
+            }
+        });
+        on('alert_resolved', () => this.loadAlerts());
+        on('alert_updated', () => this.loadAlerts());
+        on('discovery', () => this.refresh());
+    }
+
+    /**
+     * Replace one project with the data from its latest scan
+     */
+    applyProjectScan({ project, data }) {
+        if (!data || !Array.isArray(this.data.projects)) return;
+
+        const index = this.data.projects.findIndex(p => p.name === project);
+        if (index === -1) {
+            this.data.projects.push(data);
+        } else {
+            this.data.projects[index] = data;
+        }
+
+        this.recountHealth();
+        this.data.lastUpdate = new Date();
+        this.updateLastUpdateTime();
+        this.renderExecutiveSummary();
+        this.renderProjectList();
+        this.renderGitStatusTable();
+        this.renderIssuesTable();
+    }
+
+    applyHealthChange({ project, status }) {
+        const entry = (this.data.projects || []).find(p => p.name === project);
+        if (!entry) return;
+
+        entry.health = status;
+        this.recountHealth();
+        this.renderExecutiveSummary();
+        this.renderProjectList();
+    }
+
+    recountHealth() {
+        if (!this.data.summary) return;
+
+        const healthStatus = { healthy: 0, attention: 0, critical: 0, unknown: 0 };
+        for (const project of this.data.projects) {
+            const status = project.health in healthStatus ? project.health : 'unknown';
+            healthStatus[status]++;
+        }
+        this.data.summary.healthStatus = healthStatus;
+        this.data.summary.totalProjects = this.data.projects.length;
+    }
+
+    async refresh() {
+        await this.loadData();
+        this.renderDashboard();
+    }
+
     setupAutoRefresh() {
-        setInterval(() => {
-            this.loadData();
+        if (this.refreshTimer) return;
+        this.refreshTimer = setInterval(() => {
+            this.refresh();
         }, this.refreshInterval);
     }
 
+    stopAutoRefresh() {
+        clearInterval(this.refreshTimer);
+        this.refreshTimer = null;
+    }
+
     showLoadingState() {
         // Add loading indicators
         console.log('Loading data...');
@@ -924,11 +1361,110 @@ class PortfolioDashboard {
         this.renderDashboard();
     }
 
+    /**
+     * Scan a project ahead of the queue; the result arrives as a scan event
+     */
+    async scanProject(projectName) {
+        try {
+            const response = await fetch(`/api/projects/${encodeURIComponent(projectName)}/scan`, {
+                method: 'POST'
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || response.statusText);
+            }
+            this.showNotification(result.message, 'info');
+        } catch (error) {
+            this.showNotification(`Failed to scan "${projectName}": ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Ahead/behind counts, each labeled with the ref it compares against:
+     * the default branch, the upstream when that is a different branch, and
+     * for a fork the default branch of the repository it was forked from
+     */
+    formatComparisons(git) {
+        const integration = git.integration || {
+            ref: git.defaultBranch || 'main',
+            ahead: git.commitsAhead,
+            behind: git.commitsBehind
+        };
+        const comparisons = [integration];
+        if (git.upstream && git.upstream.ref !== integration.ref) {
+            comparisons.push(git.upstream);
+        }
+        if (git.fork?.ref && git.fork.behind !== null) {
+            comparisons.push({ ref: `fork of ${git.fork.ref}`, ahead: git.fork.ahead, behind: git.fork.behind });
+        }
+
+        return comparisons
+            .map(({ ref, ahead, behind }) => `<span title="Compared with ${this.escapeHtml(ref)}">${this.escapeHtml(ref)} ↑${ahead} ↓${behind}</span>`)
+            .join('<br>');
+    }
+
+    /**
+     * Badge for submodules pinned behind the head of their remote, listing
+     * each with how far behind it is
+     */
+    formatSubmodulePins(git) {
+        const outdated = (git.submodules || []).filter(submodule => submodule.outOfDate);
+        if (outdated.length === 0) return '';
+
+        const details = outdated
+            .map(submodule => `${submodule.path}: pinned ${submodule.pinned.slice(0, 7)}, ${submodule.behind} behind ${submodule.remoteRef}${submodule.stale ? ' (stale)' : ''}`)
+            .join('\n');
+        const label = outdated.length === 1 ? '1 submodule behind' : `${outdated.length} submodules behind`;
+        return `<span class="text-xs px-1 bg-orange-100 text-orange-800 rounded" title="${this.escapeHtml(details)}">${label}</span>`;
+    }
+
+    /**
+     * Count of the repository's other worktrees, with each one's branch and
+     * uncommitted changes on hover
+     */
+    formatWorktrees(git) {
+        const worktrees = git.worktrees || [];
+        if (worktrees.length === 0) return '';
+
+        const details = worktrees
+            .map(worktree => {
+                const branch = worktree.branch || `detached at ${(worktree.head || '').slice(0, 7)}`;
+                const state = worktree.prunable
+                    ? 'missing'
+                    : worktree.uncommittedChanges > 0 ? `${worktree.uncommittedChanges} uncommitted` : 'clean';
+                return `${branch}: ${worktree.path} (${state})`;
+            })
+            .join('\n');
+        const dirty = worktrees.filter(worktree => worktree.uncommittedChanges > 0).length;
+        return `<span title="${this.escapeHtml(details)}">${worktrees.length} worktrees${dirty > 0 ? ` (${dirty} dirty)` : ''}</span> | `;
+    }
+
+    /**
+     * Fetch every project's remote now instead of waiting for the fetch interval
+     */
+    async fetchAllRemotes() {
+        try {
+            this.showNotification('Fetching remotes...', 'info');
+            const response = await fetch('/api/fetch', { method: 'POST' });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || response.statusText);
+            }
+            const message = `Fetched ${result.fetched} of ${result.data.length} remotes`;
+            this.showNotification(
+                result.stale > 0 ? `${message}, ${result.stale} unreachable or failing` : message,
+                result.stale > 0 ? 'info' : 'success'
+            );
+        } catch (error) {
+            this.showNotification(`Failed to fetch remotes: ${error.message}`, 'error');
+        }
+    }
+
     /**
      * Remove project from portfolio
      */
     async removeProject(projectName) {
-        if (!confirm(`Are you sure you want to remove "${projectName}" from the portfolio?\n\nThis will only remove it from monitoring, not delete the actual project files.`)) {
+        if (!confirm(`Are you sure you want to remove "${this.projectLabel(projectName)}" from the portfolio?\n\nThis will only remove it from monitoring, not delete the actual project files.`)) {
             return;
         }
 
@@ -1059,7 +1595,7 @@ class PortfolioDashboard {
         const project = this.data.projects.find(p => p.name === this.selectedProject);
         if (!project) return;
         
-        if (!confirm(`Are you sure you want to remove "${this.selectedProject}" from the portfolio?\n\nThis will only remove it from monitoring, not delete the actual project files.`)) {
+        if (!confirm(`Are you sure you want to remove "${project.displayName || project.name}" from the portfolio?\n\nThis will only remove it from monitoring, not delete the actual project files.`)) {
             return;
         }
 
@@ -1096,27 +1632,6 @@ class PortfolioDashboard {
         }
     }
     
-    /**
-     * Generate weekly distribution from total commits
-     */
-    generateWeeklyDistribution(totalCommits) {
-        if (totalCommits === 0) return [0, 0, 0, 0, 0, 0, 0];
-        
-        // Distribute commits across the week with some randomness
-        const distribution = [];
-        let remaining = totalCommits;
-        
-        for (let i = 0; i < 6; i++) {
-            const max = Math.max(1, Math.floor(remaining / (7 - i)));
-            const commits = Math.floor(Math.random() * max);
-            distribution.push(commits);
-            remaining -= commits;
-        }
-        distribution.push(remaining); // Assign remaining to last day
-        
-        return distribution;
-    }
-    
     /**
      * Show project details section with branches and tickets
      */
@@ -1126,9 +1641,12 @@ class PortfolioDashboard {
         
         // Show the section
         section.style.display = 'block';
+        this.switchProjectDetailTab('branches');
+
+        this.renderProjectClassification(projectData);
         
         // Render open branches
-        this.renderOpenBranches(projectData.details?.branches || []);
+        this.renderOpenBranches(projectData.details?.branches || [], projectData.git?.defaultBranch);
         
         // Render open tickets
         this.renderOpenTickets(projectData.details?.backlog || []);
@@ -1139,6 +1657,73 @@ class PortfolioDashboard {
         }
     }
     
+    /**
+     * Show the project's business classification and the rule behind it
+     */
+    renderProjectClassification(projectData) {
+        const element = document.getElementById('projectClassification');
+        if (!element) return;
+
+        const business = projectData.details?.business || {};
+        const facts = [
+            `Priority ${projectData.priority || 'MEDIUM'}`,
+            business.revenueImpact ? `Revenue impact ${business.revenueImpact}` : null,
+            business.owner ? `Owner ${business.owner}` : null,
+            business.tags?.length ? `Tags ${business.tags.join(', ')}` : null
+        ].filter(Boolean);
+
+        element.textContent = `${facts.join(' · ')} — ${this.describeClassification(projectData)}`;
+    }
+
+    /**
+     * Explain which classification rule set a project's priority
+     */
+    describeClassification(project) {
+        const rule = project.classification;
+        const description = rule
+            ? `Matched rule "${rule.name}": ${rule.reasons.join(', ')}`
+            : 'No classification rule matched; using business.defaults';
+        const fromManifest = project.manifestFields || [];
+        return fromManifest.length > 0
+            ? `${description}; ${fromManifest.join(', ')} set in .portfolio.yml`
+            : description;
+    }
+
+    /**
+     * The name a project is shown by, looked up by its project ID
+     */
+    projectLabel(projectId) {
+        const project = (this.data.projects || []).find(p => p.name === projectId);
+        return project?.displayName || projectId;
+    }
+
+    /**
+     * The name a project is shown by, with the project ID that identifies it
+     * on hover, and a badge when its .portfolio.yml is invalid
+     */
+    formatProjectName(project, tag) {
+        const displayName = project.displayName || project.name;
+        const title = displayName !== project.name ? ` title="${this.escapeHtml(project.name)}"` : '';
+        const error = project.manifestError
+            ? `<span class="text-xs px-1 bg-red-100 text-red-700 rounded" title="${this.escapeHtml(project.manifestError)}">invalid .portfolio.yml</span>`
+            : '';
+        return `<${tag} class="font-medium text-gray-900"${title}>${this.escapeHtml(displayName)}</${tag}>${error}`;
+    }
+
+    getPriorityClass(priority) {
+        switch (priority) {
+            case 'HIGH': return 'bg-red-100 text-red-700';
+            case 'LOW': return 'bg-gray-100 text-gray-600';
+            default: return 'bg-yellow-100 text-yellow-700';
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
     /**
      * Hide project details section
      */
@@ -1149,10 +1734,109 @@ class PortfolioDashboard {
         }
     }
     
+    /**
+     * Switch between the Branches, Tickets and History tabs of the project details section
+     */
+    switchProjectDetailTab(tabName) {
+        document.querySelectorAll('[data-detail-tab]').forEach(button => {
+            const isActive = button.dataset.detailTab === tabName;
+            button.className = isActive
+                ? 'pb-3 text-sm font-medium border-b-2 border-blue-600 text-blue-600'
+                : 'pb-3 text-sm font-medium border-b-2 border-transparent text-gray-500 hover:text-gray-700';
+        });
+        document.querySelectorAll('[data-detail-panel]').forEach(panel => {
+            panel.style.display = panel.dataset.detailPanel === tabName ? 'block' : 'none';
+        });
+
+        if (tabName === 'history' && this.selectedProject) {
+            this.loadHistoryReport(this.selectedProject);
+        }
+    }
+
+    /**
+     * Load the git history report for a project and render its Mermaid diagrams inline
+     */
+    async loadHistoryReport(projectName, forceRefresh = false) {
+        const container = document.getElementById('projectHistoryReport');
+        if (!container) return;
+
+        const reportUrl = `/api/projects/${encodeURIComponent(projectName)}/history-report`;
+        let report = forceRefresh ? null : this.historyReports[projectName];
+
+        if (!report) {
+            container.innerHTML = '<p class="text-gray-500 text-sm">Generating history report...</p>';
+            try {
+                const response = await fetch(forceRefresh ? `${reportUrl}?refresh=true` : reportUrl);
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                report = await response.json();
+                this.historyReports[projectName] = report;
+            } catch (error) {
+                console.error('Error loading history report:', error);
+                container.innerHTML = '<p class="text-red-600 text-sm">Failed to load history report</p>';
+                return;
+            }
+        }
+
+        // The user may have picked another project while the report was generating
+        if (projectName !== this.selectedProject) return;
+
+        const summary = report.summary || {};
+        const diagrams = [
+            ['Branch Evolution', report.mermaidDiagrams?.branchEvolution],
+            ['Commit Timeline', report.mermaidDiagrams?.commitTimeline],
+            ['Contributors', report.mermaidDiagrams?.contributorFlow]
+        ].filter(([, diagram]) => diagram);
+
+        container.innerHTML = `
+            <div class="flex flex-wrap items-center justify-between gap-4">
+                <div class="flex flex-wrap gap-6 text-sm text-gray-600">
+                    <span><strong class="text-gray-900">${summary.totalCommits ?? 0}</strong> commits</span>
+                    <span><strong class="text-gray-900">${report.branchEvolution?.totalBranches ?? 0}</strong> branches</span>
+                    <span><strong class="text-gray-900">${report.contributors?.length ?? 0}</strong> contributors</span>
+                    <span><strong class="text-gray-900">${report.locStatistics?.current?.total ?? 0}</strong> lines</span>
+                </div>
+                <div class="flex items-center space-x-3 text-sm">
+                    <span class="text-xs text-gray-500">Generated ${new Date(report.generatedAt).toLocaleString()}</span>
+                    <button data-history-refresh class="text-blue-600 hover:text-blue-800">Regenerate</button>
+                    <a href="${reportUrl}?format=html" target="_blank" rel="noopener" class="text-blue-600 hover:text-blue-800">Full report</a>
+                </div>
+            </div>
+        `;
+
+        container.querySelector('[data-history-refresh]').addEventListener('click', () => {
+            this.loadHistoryReport(projectName, true);
+        });
+
+        // Diagram sources go in via textContent so commit text is never parsed as HTML
+        const nodes = diagrams.map(([title, diagram]) => {
+            const section = document.createElement('div');
+            const heading = document.createElement('h4');
+            heading.className = 'text-sm font-medium text-gray-900 mb-2';
+            heading.textContent = title;
+            const pre = document.createElement('pre');
+            pre.className = 'mermaid overflow-x-auto';
+            pre.textContent = diagram;
+            section.append(heading, pre);
+            container.appendChild(section);
+            return pre;
+        });
+
+        if (window.mermaid && nodes.length > 0) {
+            try {
+                mermaid.initialize({ startOnLoad: false, securityLevel: 'strict' });
+                await mermaid.run({ nodes });
+            } catch (error) {
+                console.error('Error rendering Mermaid diagrams:', error);
+            }
+        }
+    }
+
     /**
      * Render open branches list
      */
-    renderOpenBranches(branches) {
+    renderOpenBranches(branches, defaultBranch) {
         const container = document.getElementById('openBranchesList');
         if (!container) return;
         
@@ -1163,7 +1847,9 @@ class PortfolioDashboard {
         
         container.innerHTML = branches.map(branch => {
             const isStale = branch.daysSinceActivity > 14;
-            const isMain = branch.name === 'main' || branch.name === 'master';
+            const isMain = defaultBranch
+                ? branch.name === defaultBranch
+                : branch.name === 'main' || branch.name === 'master';
             const staleClass = isStale ? 'border-red-200 bg-red-50' : 'border-gray-200 bg-gray-50';
             const mainClass = isMain ? 'border-blue-200 bg-blue-50' : '';
             
@@ -1759,7 +2445,7 @@ class PortfolioDashboard {
         
         yaml += 'data:\n';
         yaml += '  directory: data\n';
-        yaml += '  retentionDays: 30\n';
+        yaml += '  retentionDays: 365\n';
         yaml += '  compressionEnabled: true\n\n';
         
         // GitHub section
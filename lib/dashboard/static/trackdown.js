@@ -26,6 +26,9 @@ class TrackDownDashboard {
         };
         this.selectedTicket = null;
         this.isEditing = false;
+        this.refreshInterval = 30000; // 30 seconds, only while the event stream is down
+        this.refreshTimer = null;
+        this.eventSource = null;
         
         console.log('📋 TrackDown Dashboard initialized');
     }
@@ -38,6 +41,7 @@ class TrackDownDashboard {
             this.setupEventListeners();
             await this.loadData();
             this.renderDashboard();
+            this.connectEvents();
             
             console.log('✅ TrackDown Dashboard initialization complete');
         } catch (error) {
@@ -92,6 +96,22 @@ class TrackDownDashboard {
             });
         }
 
+        // Sync results panel
+        const closeSyncResults = document.getElementById('closeSyncResults');
+        if (closeSyncResults) {
+            closeSyncResults.addEventListener('click', () => {
+                this.syncPlanId = null;
+                document.getElementById('syncResults').classList.add('hidden');
+            });
+        }
+
+        const applySyncBtn = document.getElementById('applySyncBtn');
+        if (applySyncBtn) {
+            applySyncBtn.addEventListener('click', () => {
+                this.applySyncPlan();
+            });
+        }
+
         // Sync button
         const syncBtn = document.getElementById('syncBtn');
         if (syncBtn) {
@@ -200,6 +220,7 @@ class TrackDownDashboard {
 
             this.populateFilterOptions();
             this.hideLoadingState();
+            await this.loadSyncConflicts();
             
             console.log('📊 TrackDown data loaded successfully:', this.data);
             
@@ -210,6 +231,85 @@ class TrackDownDashboard {
         }
     }
 
+    /**
+     * Subscribe to live ticket changes, polling instead while the stream is down
+     */
+    connectEvents() {
+        if (typeof EventSource === 'undefined') {
+            this.setupAutoRefresh();
+            return;
+        }
+
+        this.eventSource = new EventSource('/api/events');
+
+        this.eventSource.onopen = () => {
+            // Catch up on anything missed while polling
+            if (this.refreshTimer) {
+                this.stopAutoRefresh();
+                this.refresh();
+            }
+        };
+
+        this.eventSource.onerror = () => {
+            // EventSource reconnects by itself; poll until it does
+            this.setupAutoRefresh();
+        };
+
+        this.eventSource.addEventListener('ticket', (event) => {
+            try {
+                this.applyTicketChange(JSON.parse(event.data));
+            } catch (error) {
+                console.warn('Ignoring malformed ticket event:', error);
+            }
+        });
+        this.eventSource.addEventListener('discovery', () => this.refresh());
+    }
+
+    /**
+     * Patch the ticket list with a change made elsewhere
+     */
+    applyTicketChange({ action, project, ticketId, ticket }) {
+        if (action === 'synced') {
+            this.refresh();
+            return;
+        }
+
+        const id = ticketId || ticket?.id;
+        const index = this.data.tickets.findIndex(t => t.project === project && t.id === id);
+
+        if (action === 'deleted') {
+            if (index !== -1) this.data.tickets.splice(index, 1);
+        } else if (ticket) {
+            const patched = { ...ticket, project: ticket.project || project };
+            if (index === -1) {
+                this.data.tickets.push(patched);
+            } else {
+                this.data.tickets[index] = patched;
+            }
+        }
+
+        this.data.lastUpdate = new Date();
+        this.populateFilterOptions();
+        this.renderDashboard();
+    }
+
+    async refresh() {
+        await this.loadData();
+        this.renderDashboard();
+    }
+
+    setupAutoRefresh() {
+        if (this.refreshTimer) return;
+        this.refreshTimer = setInterval(() => {
+            this.refresh();
+        }, this.refreshInterval);
+    }
+
+    stopAutoRefresh() {
+        clearInterval(this.refreshTimer);
+        this.refreshTimer = null;
+    }
+
     /**
      * Populate filter dropdown options
      */
@@ -231,7 +331,7 @@ class TrackDownDashboard {
 
         this.data.projects.forEach(project => {
             const option = document.createElement('option');
-            option.value = project.name;
+            option.value = project.id;
             option.textContent = `${project.name} (${project.ticketCount} tickets)`;
             projectFilter.appendChild(option);
         });
@@ -385,7 +485,7 @@ class TrackDownDashboard {
                     <h4 class="font-medium text-gray-900 mb-2 line-clamp-2">${ticket.title}</h4>
                     
                     <div class="flex items-center justify-between text-xs text-gray-500">
-                        <span>${ticket.project}</span>
+                        <span>${ticket.projectName}</span>
                         ${ticket.assignee ? `<span>@${ticket.assignee}</span>` : ''}
                     </div>
                     
@@ -441,7 +541,7 @@ class TrackDownDashboard {
                     <td class="px-6 py-4 whitespace-nowrap">${statusBadge}</td>
                     <td class="px-6 py-4 whitespace-nowrap">${priorityBadge}</td>
                     <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-900">${ticket.assignee || '-'}</td>
-                    <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-900">${ticket.project}</td>
+                    <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-900">${ticket.projectName}</td>
                     <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                         ${ticket.updatedAt ? new Date(ticket.updatedAt).toLocaleDateString() : '-'}
                     </td>
@@ -567,7 +667,9 @@ class TrackDownDashboard {
         if (!ctx) return;
 
         const analytics = this.data.analytics;
+        // Counts are by project ID; label them with the project names
         const projectData = analytics.projectDistribution || {};
+        const projectNames = new Map(this.data.projects.map(project => [project.id, project.name]));
 
         if (this.charts.project) {
             this.charts.project.destroy();
@@ -576,7 +678,7 @@ class TrackDownDashboard {
         this.charts.project = new Chart(ctx, {
             type: 'pie',
             data: {
-                labels: Object.keys(projectData),
+                labels: Object.keys(projectData).map(id => projectNames.get(id) || id),
                 datasets: [{
                     data: Object.values(projectData),
                     backgroundColor: [
@@ -622,7 +724,7 @@ class TrackDownDashboard {
                         </div>
                         <div>
                             <div class="text-sm font-medium text-gray-900">${ticket.title}</div>
-                            <div class="text-xs text-gray-500">${ticket.project} • ${ticket.id}</div>
+                            <div class="text-xs text-gray-500">${ticket.projectName} • ${ticket.id}</div>
                         </div>
                     </div>
                     <div class="text-xs text-gray-500">${timeAgo}</div>
@@ -777,7 +879,7 @@ class TrackDownDashboard {
             projectSelect.innerHTML = '<option value="">Select Project</option>';
             this.data.projects.forEach(project => {
                 const option = document.createElement('option');
-                option.value = project.name;
+                option.value = project.id;
                 option.textContent = project.name;
                 projectSelect.appendChild(option);
             });
@@ -921,21 +1023,32 @@ class TrackDownDashboard {
      * Sync with GitHub
      */
     async syncWithGitHub() {
-        this.showNotification('Syncing with GitHub...', 'info');
+        this.showNotification('Planning GitHub sync...', 'info');
 
         try {
             const response = await fetch('/api/trackdown/sync', {
-                method: 'POST'
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ direction: 'both', dryRun: true })
             });
 
             const result = await response.json();
 
-            if (result.success) {
-                this.showNotification('GitHub sync completed successfully', 'success');
-                await this.loadData();
-                this.renderDashboard();
+            if (!response.ok) {
+                this.showNotification(result.error || 'GitHub sync failed', 'error');
+                return;
+            }
+
+            this.syncPlanId = result.planId;
+            this.renderSyncResults(result);
+
+            const { imported, exported, updated, conflicts } = result.totals;
+            if (imported + exported + updated === 0 && conflicts > 0) {
+                this.showNotification(`${conflicts} sync conflicts need a decision`, 'warning');
+            } else if (imported + exported + updated === 0) {
+                this.showNotification('TrackDown and GitHub are already in sync', 'success');
             } else {
-                this.showNotification(result.message || 'GitHub sync failed', 'error');
+                this.showNotification('Review the planned changes, then apply them', 'info');
             }
         } catch (error) {
             console.error('Error syncing with GitHub:', error);
@@ -943,6 +1056,239 @@ class TrackDownDashboard {
         }
     }
 
+    /**
+     * Apply the previewed sync plan
+     */
+    async applySyncPlan() {
+        if (!this.syncPlanId) return;
+
+        try {
+            const response = await fetch('/api/trackdown/sync/apply', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ planId: this.syncPlanId })
+            });
+
+            const result = await response.json();
+            this.syncPlanId = null;
+
+            if (!response.ok) {
+                this.showNotification(result.error || 'Failed to apply sync plan', 'error');
+                document.getElementById('applySyncBtn').classList.add('hidden');
+                return;
+            }
+
+            this.renderSyncResults(result);
+
+            const { imported, exported, updated, errors } = result.totals;
+            const summary = `${imported} imported, ${exported} exported, ${updated} updated`;
+            if (errors === 0) {
+                this.showNotification(`GitHub sync completed: ${summary}`, 'success');
+            } else {
+                this.showNotification(`GitHub sync finished with ${errors} errors: ${summary}`, 'warning');
+            }
+
+            await this.loadData(true);
+            this.renderDashboard();
+        } catch (error) {
+            console.error('Error applying sync plan:', error);
+            this.showNotification('Failed to apply sync plan', 'error');
+        }
+    }
+
+    /**
+     * Render per-project counts from a GitHub sync, with the planned
+     * actions and BACKLOG.md diff when previewing a dry run
+     */
+    renderSyncResults(result) {
+        const panel = document.getElementById('syncResults');
+        const body = document.getElementById('syncResultsBody');
+        const details = document.getElementById('syncPlanDetails');
+        if (!panel || !body) return;
+
+        const title = result.dryRun ? 'GitHub Sync Preview' : 'GitHub Sync';
+        document.getElementById('syncResultsTitle').textContent = `${title} - ${new Date(result.timestamp).toLocaleString()}`;
+
+        body.innerHTML = '';
+        result.projects.forEach(project => {
+            const row = document.createElement('tr');
+            const cells = [
+                project.name,
+                project.repository || '-',
+                project.imported,
+                project.exported,
+                project.updated,
+                project.conflicts,
+                project.errors.length
+            ];
+            cells.forEach((value, index) => {
+                const cell = document.createElement('td');
+                cell.className = index < 2 ? 'px-4 py-2 text-gray-900' : 'px-4 py-2 text-right text-gray-700';
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+
+            if (project.errors.length > 0) {
+                row.title = project.errors.map(e => e.error).join('\n');
+                row.lastChild.classList.add('text-red-600');
+            }
+            if (project.reason) {
+                row.title = `Skipped: ${project.reason}`;
+                row.classList.add('text-gray-400');
+            }
+            body.appendChild(row);
+        });
+
+        if (details) {
+            details.innerHTML = '';
+            if (result.dryRun) {
+                result.projects
+                    .filter(project => project.actions.length > 0)
+                    .forEach(project => details.appendChild(this.renderSyncPlan(project)));
+            }
+        }
+
+        const hasChanges = result.dryRun && result.projects.some(project => project.actions.length > 0);
+        document.getElementById('applySyncBtn').classList.toggle('hidden', !hasChanges);
+
+        panel.classList.remove('hidden');
+    }
+
+    /**
+     * Render one project's planned actions and backlog diff
+     */
+    renderSyncPlan(project) {
+        const section = document.createElement('div');
+        section.className = 'p-4 border-t';
+
+        const heading = document.createElement('h4');
+        heading.className = 'font-medium text-gray-900 mb-2';
+        heading.textContent = `${project.name} → ${project.repository}`;
+        section.appendChild(heading);
+
+        const labels = {
+            'import': 'Import issue',
+            'update-ticket': 'Update ticket',
+            'create-issue': 'Create issue',
+            'update-issue': 'Update issue'
+        };
+
+        const list = document.createElement('ul');
+        list.className = 'text-sm text-gray-700 space-y-1 mb-3';
+        project.actions.forEach(action => {
+            const item = document.createElement('li');
+            const issue = action.issueNumber ? ` (#${action.issueNumber})` : '';
+            const changes = (action.changes || [])
+                .map(change => change.resolvedBy ? `${change.field} (${change.resolvedBy})` : change.field)
+                .join(', ');
+            item.textContent = `${labels[action.type]} ${action.ticketId}${issue}${action.title ? `: ${action.title}` : ''}${changes ? ` - ${changes}` : ''}`;
+            list.appendChild(item);
+        });
+        section.appendChild(list);
+
+        if (project.diff) {
+            const diff = document.createElement('pre');
+            diff.className = 'text-xs bg-gray-50 border rounded p-3 overflow-x-auto max-h-96';
+            project.diff.split('\n').forEach(line => {
+                const span = document.createElement('span');
+                if (line.startsWith('+') && !line.startsWith('+++')) span.className = 'text-green-700';
+                if (line.startsWith('-') && !line.startsWith('---')) span.className = 'text-red-700';
+                if (line.startsWith('@@')) span.className = 'text-blue-700';
+                span.textContent = `${line}\n`;
+                diff.appendChild(span);
+            });
+            section.appendChild(diff);
+        }
+
+        return section;
+    }
+
+    /**
+     * Load sync conflicts queued for a decision
+     */
+    async loadSyncConflicts() {
+        try {
+            const response = await fetch('/api/trackdown/conflicts');
+            const result = await response.json();
+            this.renderSyncConflicts(result.success ? result.data : []);
+        } catch (error) {
+            console.error('Error loading sync conflicts:', error);
+        }
+    }
+
+    /**
+     * Render queued sync conflicts with a button for each side
+     */
+    renderSyncConflicts(conflicts) {
+        const panel = document.getElementById('syncConflicts');
+        const body = document.getElementById('syncConflictsBody');
+        if (!panel || !body) return;
+
+        body.innerHTML = '';
+        const formatValue = value => Array.isArray(value) ? value.join(', ') : (value ?? '-');
+
+        conflicts.forEach(conflict => {
+            const row = document.createElement('tr');
+            const cells = [
+                `${conflict.name} / ${conflict.ticketId} (#${conflict.issueNumber})`,
+                conflict.field,
+                formatValue(conflict.trackdown),
+                formatValue(conflict.github)
+            ];
+            cells.forEach(value => {
+                const cell = document.createElement('td');
+                cell.className = 'px-4 py-2 text-gray-900 align-top whitespace-pre-wrap';
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+
+            const actions = document.createElement('td');
+            actions.className = 'px-4 py-2 text-right whitespace-nowrap';
+            if (conflict.resolution) {
+                actions.className += ' text-gray-500';
+                actions.textContent = `${conflict.resolution === 'github' ? 'GitHub' : 'TrackDown'} on next sync`;
+            } else {
+                [['trackdown', 'TrackDown'], ['github', 'GitHub']].forEach(([resolution, label]) => {
+                    const button = document.createElement('button');
+                    button.className = 'ml-2 px-2 py-1 text-xs bg-gray-100 hover:bg-gray-200 rounded';
+                    button.textContent = label;
+                    button.addEventListener('click', () => this.resolveSyncConflict(conflict, resolution));
+                    actions.appendChild(button);
+                });
+            }
+            row.appendChild(actions);
+            body.appendChild(row);
+        });
+
+        document.getElementById('syncConflictsTitle').textContent = `Sync Conflicts (${conflicts.length})`;
+        panel.classList.toggle('hidden', conflicts.length === 0);
+    }
+
+    /**
+     * Keep one side of a sync conflict
+     */
+    async resolveSyncConflict(conflict, resolution) {
+        try {
+            const response = await fetch('/api/trackdown/conflicts/resolve', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ project: conflict.project, conflictId: conflict.id, resolution })
+            });
+
+            const result = await response.json();
+            if (!response.ok) {
+                this.showNotification(result.error || 'Failed to resolve conflict', 'error');
+                return;
+            }
+
+            this.showNotification(result.message, 'success');
+            await this.loadSyncConflicts();
+        } catch (error) {
+            console.error('Error resolving sync conflict:', error);
+            this.showNotification('Failed to resolve conflict', 'error');
+        }
+    }
+
     /**
      * Show loading state
      */
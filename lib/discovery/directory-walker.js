@@ -0,0 +1,118 @@
+/**
+ * Directory Walker
+ *
+ * Walks a directory tree breadth-first with a bounded number of directories
+ * read at once. Symbolic links to directories are followed, and each
+ * directory is visited once by its real path, so links that point back up the
+ * tree cannot send the walk into a loop.
+ */
+
+const fs = require("fs-extra");
+const path = require("node:path");
+
+/**
+ * Visit the directories under a root
+ *
+ * @param {string} root
+ * @param {Object} options
+ * @param {Function} options.visit - async (directory, depth, context) called
+ *   for each directory. Returns false to leave its subdirectories out, or the
+ *   context its subdirectories are visited with.
+ * @param {Function} [options.include] - (directory, name, context) whether a
+ *   subdirectory is visited at all
+ * @param {*} [options.context] - Context of the root
+ * @param {number} [options.maxDepth] - Deepest level visited; the root is 0
+ * @param {number} [options.concurrency] - Directories read at once
+ * @param {boolean} [options.followSymlinks] - Follow links to directories
+ * @param {Function} [options.onProgress] - Called with {scanned, pending} after each directory
+ * @returns {Promise<{scanned: number, loops: number}>} Directories visited, and
+ *   links skipped because their target was visited already
+ */
+async function walkDirectories(root, options) {
+  const {
+    visit,
+    include = () => true,
+    maxDepth = Number.POSITIVE_INFINITY,
+    concurrency = 8,
+    followSymlinks = true,
+    onProgress = null,
+  } = options;
+
+  const queue = [{ directory: root, depth: 0, context: options.context }];
+  const seen = new Set();
+  const stats = { scanned: 0, loops: 0 };
+  let active = 0;
+
+  const walk = async ({ directory, depth, context }) => {
+    let realPath;
+    try {
+      realPath = await fs.realpath(directory);
+    } catch (error) {
+      return;
+    }
+    if (seen.has(realPath)) {
+      stats.loops++;
+      return;
+    }
+    seen.add(realPath);
+    stats.scanned++;
+
+    const childContext = await visit(directory, depth, context);
+    if (childContext === false || depth >= maxDepth) {
+      return;
+    }
+
+    let entries;
+    try {
+      entries = await fs.readdir(directory, { withFileTypes: true });
+    } catch (error) {
+      // Silently skip directories we can't read (permissions, etc.)
+      return;
+    }
+
+    for (const entry of entries) {
+      const entryPath = path.join(directory, entry.name);
+      if (!(await isDirectory(entry, entryPath, followSymlinks))) continue;
+      if (!include(entryPath, entry.name, childContext)) continue;
+      queue.push({ directory: entryPath, depth: depth + 1, context: childContext });
+    }
+  };
+
+  await new Promise((resolve, reject) => {
+    const next = () => {
+      if (queue.length === 0 && active === 0) {
+        resolve();
+        return;
+      }
+
+      while (active < concurrency && queue.length > 0) {
+        active++;
+        walk(queue.shift()).then(() => {
+          active--;
+          onProgress?.({ scanned: stats.scanned, pending: queue.length + active });
+          next();
+        }, reject);
+      }
+    };
+    next();
+  });
+
+  return stats;
+}
+
+async function isDirectory(entry, entryPath, followSymlinks) {
+  if (entry.isDirectory()) {
+    return true;
+  }
+  if (!followSymlinks || !entry.isSymbolicLink()) {
+    return false;
+  }
+  try {
+    return (await fs.stat(entryPath)).isDirectory();
+  } catch (error) {
+    // Dangling link
+    return false;
+  }
+}
+
+module.exports = { walkDirectories };
@@ -0,0 +1,192 @@
+/**
+ * Discovery Cache
+ *
+ * Remembers what discovery learned about each repository, so rediscovery
+ * only runs `git` again for repositories that changed. An entry is reused
+ * while the repository directory, its `.git/HEAD`, the branch HEAD points to
+ * and its `.portfolio.yml` keep their modification times. Each discovery is
+ * compared with the one before to report the repositories added, removed and
+ * moved since.
+ *
+ * Entries are kept in a JSON file when one is given, so separate runs share
+ * them; otherwise in memory. The file is read once, on first use.
+ */
+
+const fs = require("node:fs");
+const path = require("node:path");
+const { MANIFEST_FILE } = require("../config/project-manifest");
+const { writeJsonFile } = require("../utils/json-file");
+
+class DiscoveryCache {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.file] - JSON file holding the cache; kept in memory without one
+   */
+  constructor(options = {}) {
+    this.file = options.file;
+    this.state = null;
+  }
+
+  /**
+   * What identifies a repository's current state
+   *
+   * @param {string} repoPath
+   * @param {{gitDir: string, commonDir?: string}} layout - From readGitLayout()
+   * @returns {{id: string, directoryMtime: number, headMtime: number, refMtime: number|null, manifestMtime: number|null}|null}
+   *   `id` stays the same when the directory is moved within its file system;
+   *   `refMtime` is null for a detached HEAD or an unborn branch;
+   *   `manifestMtime` is null without a manifest
+   */
+  static fingerprint(repoPath, layout) {
+    try {
+      const directory = fs.statSync(repoPath);
+      const head = fs.statSync(path.join(layout.gitDir, "HEAD"));
+      return {
+        id: `${directory.dev}:${directory.ino}`,
+        directoryMtime: directory.mtimeMs,
+        headMtime: head.mtimeMs,
+        // A commit moves the branch, not HEAD
+        refMtime: refMtime(layout),
+        // Editing a file in place leaves the directory's time unchanged
+        manifestMtime: manifestMtime(repoPath),
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * The project recorded for a repository, if it has not changed since
+   *
+   * @returns {Object|null} A copy of the project
+   */
+  get(repoPath, fingerprint) {
+    const entry = this.readState().repositories[repoPath];
+    if (
+      !entry ||
+      !fingerprint ||
+      entry.directoryMtime !== fingerprint.directoryMtime ||
+      entry.headMtime !== fingerprint.headMtime ||
+      entry.refMtime !== fingerprint.refMtime ||
+      entry.manifestMtime !== fingerprint.manifestMtime
+    ) {
+      return null;
+    }
+    return reviveProject(entry.project);
+  }
+
+  /**
+   * Record the repositories one discovery found, replacing the previous ones
+   *
+   * @param {Array<{path: string, fingerprint: Object, project: Object}>} entries
+   * @returns {{added: string[], removed: string[], moved: Array<{from: string, to: string}>}}
+   *   Paths compared with the previous discovery; a repository found under a
+   *   new path with the same `id` was moved
+   */
+  replace(entries) {
+    const previous = this.readState().repositories;
+    const repositories = {};
+    for (const { path: repoPath, fingerprint, project } of entries) {
+      if (fingerprint) {
+        repositories[repoPath] = { ...fingerprint, project: JSON.parse(JSON.stringify(project)) };
+      }
+    }
+
+    const previousById = new Map(
+      Object.entries(previous).map(([repoPath, entry]) => [entry.id, repoPath]),
+    );
+    const changes = { added: [], removed: [], moved: [] };
+    const movedFrom = new Set();
+    for (const { path: repoPath, fingerprint } of entries) {
+      if (previous[repoPath]) continue;
+
+      const from = fingerprint && previousById.get(fingerprint.id);
+      if (from && !repositories[from]) {
+        changes.moved.push({ from, to: repoPath });
+        movedFrom.add(from);
+      } else {
+        changes.added.push(repoPath);
+      }
+    }
+    changes.removed = Object.keys(previous).filter(
+      (repoPath) => !repositories[repoPath] && !movedFrom.has(repoPath),
+    );
+
+    this.writeState({ repositories });
+    return changes;
+  }
+
+  readState() {
+    if (this.state) {
+      return this.state;
+    }
+
+    this.state = { repositories: {} };
+    if (this.file) {
+      try {
+        const state = JSON.parse(fs.readFileSync(this.file, "utf8"));
+        this.state.repositories = state.repositories || {};
+      } catch (error) {
+        // A missing or damaged cache only means every repository is analyzed again
+      }
+    }
+    return this.state;
+  }
+
+  writeState(state) {
+    this.state = state;
+    if (!this.file) {
+      return;
+    }
+
+    writeJsonFile(this.file, state);
+  }
+}
+
+/**
+ * Modification time of the branch HEAD points to: its loose ref, or
+ * `packed-refs` once the ref has been packed
+ */
+function refMtime(layout) {
+  let ref;
+  try {
+    ref = fs.readFileSync(path.join(layout.gitDir, "HEAD"), "utf8").match(/^ref:\s*(\S+)/)?.[1];
+  } catch (error) {
+    return null;
+  }
+  if (!ref) {
+    return null;
+  }
+
+  // Branches are shared by every worktree of a repository
+  const commonDir = layout.commonDir || layout.gitDir;
+  for (const file of [path.join(commonDir, ref), path.join(commonDir, "packed-refs")]) {
+    try {
+      return fs.statSync(file).mtimeMs;
+    } catch (error) {
+      // Not there; try the next place the ref can live
+    }
+  }
+  return null;
+}
+
+function manifestMtime(repoPath) {
+  try {
+    return fs.statSync(path.join(repoPath, MANIFEST_FILE)).mtimeMs;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * A fresh copy of a cached project, with its dates restored
+ */
+function reviveProject(project) {
+  const copy = JSON.parse(JSON.stringify(project));
+  if (copy.lastCommit?.date) {
+    copy.lastCommit.date = new Date(copy.lastCommit.date);
+  }
+  return copy;
+}
+
+module.exports = DiscoveryCache;
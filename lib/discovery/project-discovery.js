@@ -11,6 +11,11 @@ const { exec } = require("node:child_process");
 const { promisify } = require("node:util");
 const chalk = require("chalk");
 const ora = require("ora");
+const { readGitLayout, canonicalPath } = require("../utils/git-layout");
+const { detectWorkspace } = require("./workspace-detector");
+const { walkDirectories } = require("./directory-walker");
+const DiscoveryCache = require("./discovery-cache");
+const { loadProjectManifest, loadPortfolioIgnore } = require("../config/project-manifest");
 
 const execAsync = promisify(exec);
 
@@ -37,11 +42,27 @@ class ProjectDiscoveryService {
       "venv",
       "env",
     ];
+
+    // Directories read at once while scanning
+    this.concurrency = options.concurrency || 8;
+    this.followSymlinks = options.followSymlinks !== false;
+    // Called with {directories, repositories, cached} as the scan goes
+    this.onProgress = options.onProgress || null;
+
+    // Reuses what earlier discoveries learned; see DiscoveryCache
+    this.cache = options.cache || new DiscoveryCache({ file: options.cacheFile });
+    this.fingerprints = new Map();
+    this.lastChanges = { added: [], removed: [], moved: [] };
   }
 
   /**
    * Discover all Git repositories starting from the working directory
    * Only scans subdirectories (never parent directories or external paths)
+   *
+   * Repositories unchanged since the last discovery come from the cache.
+   * `lastChanges` then lists the repositories added, removed and moved since.
+   *
+   * @param {Object} [spinner] - ora spinner showing progress
    */
   async discoverGitRepositories(spinner = null) {
     const projects = [];
@@ -58,46 +79,99 @@ class ProjectDiscoveryService {
       // Sort projects by path for consistent ordering
       validProjects.sort((a, b) => a.path.localeCompare(b.path));
 
-      return validProjects;
+      this.lastChanges = this.cache.replace(
+        validProjects.map((project) => ({
+          path: project.path,
+          fingerprint: this.fingerprints.get(project.path),
+          project,
+        })),
+      );
+
+      return this.groupLinkedCheckouts(validProjects);
     } catch (error) {
       throw new Error(`Failed to discover Git repositories: ${error.message}`);
     }
   }
 
   /**
-   * Recursively scan directory for Git repositories
+   * Scan a directory and its subdirectories for Git repositories, reading up
+   * to `concurrency` directories at once. Below a repository, paths its
+   * .portfolioignore lists are left out.
    */
   async scanDirectoryForGit(dirPath, depth, projects, spinner = null) {
-    if (depth > this.maxDepth) {
-      return;
-    }
+    const progress = { directories: 0, repositories: 0, cached: 0 };
+    const report = () => {
+      if (spinner) {
+        spinner.text = `Found ${progress.repositories} Git repositories (${progress.directories} directories scanned)...`;
+      }
+      this.onProgress?.({ ...progress });
+    };
 
-    try {
-      const entries = await fs.readdir(dirPath, { withFileTypes: true });
+    const stats = await walkDirectories(dirPath, {
+      maxDepth: this.maxDepth - depth,
+      concurrency: this.concurrency,
+      followSymlinks: this.followSymlinks,
+      context: null,
+      include: (subDirPath, name, ignored) =>
+        !this.shouldExcludeDirectory(name) &&
+        !ignored?.matcher(path.relative(ignored.root, subDirPath), true),
+      visit: async (directory, _level, ignored) => {
+        // Check if current directory is a Git repository
+        const layout = readGitLayout(directory);
+        if (!layout) {
+          return ignored;
+        }
 
-      // Check if current directory is a Git repository
-      const gitDir = path.join(dirPath, ".git");
-      if (await fs.pathExists(gitDir)) {
-        const project = await this.analyzeGitRepository(dirPath);
+        // Repositories unchanged since the last discovery are not analyzed again
+        const fingerprint = DiscoveryCache.fingerprint(directory, layout);
+        this.fingerprints.set(directory, fingerprint);
+        let project = this.cache.get(directory, fingerprint);
         if (project) {
-          projects.push(project);
-          if (spinner) {
-            spinner.text = `Found ${projects.length} Git repositories...`;
-          }
+          progress.cached++;
+        } else {
+          project = await this.analyzeGitRepository(directory);
         }
-      }
 
-      // Scan subdirectories
-      for (const entry of entries) {
-        if (entry.isDirectory() && !this.shouldExcludeDirectory(entry.name)) {
-          const subDirPath = path.join(dirPath, entry.name);
-          await this.scanDirectoryForGit(subDirPath, depth + 1, projects, spinner);
+        if (project) {
+          // Worktrees and submodules are listed with their repository later on
+          project.linkedTo = layout.parentPath
+            ? { kind: layout.kind, path: layout.parentPath }
+            : null;
+          projects.push(project);
+          progress.repositories++;
         }
+
+        const matcher = loadPortfolioIgnore(directory);
+        return matcher.patterns > 0 ? { root: directory, matcher } : ignored;
+      },
+      onProgress: ({ scanned }) => {
+        progress.directories = scanned;
+        report();
+      },
+    });
+
+    progress.directories = stats.scanned;
+    return progress;
+  }
+
+  /**
+   * Move linked worktrees and submodule checkouts into the `worktrees` and
+   * `submodules` of the repository they belong to. Those whose repository
+   * was not discovered stay projects of their own.
+   */
+  groupLinkedCheckouts(projects) {
+    const byPath = new Map(projects.map((project) => [canonicalPath(project.path), project]));
+
+    return projects.filter((project) => {
+      const parent = project.linkedTo && byPath.get(project.linkedTo.path);
+      if (!parent || parent === project) {
+        return true;
       }
-    } catch (error) {
-      // Silently skip directories we can't read (permissions, etc.)
-      return;
-    }
+
+      const list = project.linkedTo.kind === "worktree" ? parent.worktrees : parent.submodules;
+      list.push({ name: project.name, path: project.path, relativePath: project.relativePath });
+      return false;
+    });
   }
 
   /**
@@ -117,25 +191,49 @@ class ProjectDiscoveryService {
         name,
         path: repoPath,
         relativePath: path.relative(this.workingDir, repoPath),
+        displayName: name,
+        description: null,
+        owner: null,
+        manifest: null,
+        manifestError: null,
         type: "unknown",
         hasTrackDown: false,
         hasGitHubRemote: false,
         remoteUrl: null,
         lastCommit: null,
         branches: [],
+        worktrees: [],
+        submodules: [],
+        workspace: null,
         packageManager: null,
         selected: false, // For interactive selection
       };
 
+      // What the repository's .portfolio.yml says about it
+      try {
+        project.manifest = loadProjectManifest(repoPath);
+      } catch (error) {
+        project.manifestError = error.message;
+      }
+      const manifest = project.manifest || {};
+      project.displayName = manifest.name || name;
+      project.description = manifest.description || null;
+      project.owner = manifest.owner || null;
+
       // Determine project type
       project.type = await this.determineProjectType(repoPath);
 
       // Check for TrackDown
-      project.hasTrackDown = await this.hasTrackDownFiles(repoPath);
+      project.hasTrackDown = manifest.trackdown
+        ? await fs.pathExists(path.join(repoPath, manifest.trackdown))
+        : await this.hasTrackDownFiles(repoPath);
+
+      // Monorepo packages
+      project.workspace = await detectWorkspace(repoPath);
 
       // Get Git information
       const gitInfo = await this.getGitInformation(repoPath);
-      project.hasGitHubRemote = gitInfo.hasGitHubRemote;
+      project.hasGitHubRemote = gitInfo.hasGitHubRemote || Boolean(manifest.github);
       project.remoteUrl = gitInfo.remoteUrl;
       project.lastCommit = gitInfo.lastCommit;
       project.branches = gitInfo.branches;
@@ -150,6 +248,8 @@ class ProjectDiscoveryService {
         type: "unknown",
         hasTrackDown: false,
         hasGitHubRemote: false,
+        worktrees: [],
+        submodules: [],
         selected: false,
       };
     }
@@ -310,12 +410,18 @@ class ProjectDiscoveryService {
     const features = [];
     if (project.hasTrackDown) features.push("📋 TrackDown");
     if (project.hasGitHubRemote) features.push("🐙 GitHub");
+    if (project.worktrees?.length) features.push(`🌳 ${project.worktrees.length} worktrees`);
+    if (project.submodules?.length) features.push(`📦 ${project.submodules.length} submodules`);
+    if (project.workspace) {
+      features.push(`🧩 ${project.workspace.packages.length} ${project.workspace.tool} packages`);
+    }
+    if (project.manifestError) features.push("⚠️ invalid .portfolio.yml");
 
     const featuresText = features.length > 0 ? ` (${features.join(", ")})` : "";
     const relPath = project.relativePath || project.path;
 
     return {
-      name: `${chalk[color](typeLabel)} ${chalk.bold(project.name)}${featuresText}`,
+      name: `${chalk[color](typeLabel)} ${chalk.bold(project.displayName || project.name)}${featuresText}`,
       value: project,
       short: project.name,
     };
@@ -0,0 +1,268 @@
+/**
+ * Workspace Detector
+ *
+ * Lists the packages of a monorepo from its workspace manifest: npm, yarn
+ * and pnpm workspaces, Lerna, Nx projects, Cargo workspaces, and Go
+ * workspaces or repositories with several Go modules. Turborepo, Nx and
+ * Lerna are also reported as tools when they run on top of a package
+ * manager's workspaces.
+ */
+
+const fs = require("fs-extra");
+const path = require("node:path");
+const { glob } = require("glob");
+const yaml = require("js-yaml");
+
+// Never packages of their own, and expensive to walk
+const IGNORE = ["**/node_modules/**", "**/.git/**", "**/dist/**", "**/build/**", "**/target/**"];
+
+/**
+ * Find the workspace packages of a repository
+ *
+ * @param {string} repoPath
+ * @param {Object} [options]
+ * @param {number} [options.maxPackages] - Packages listed at most
+ * @returns {Promise<Object|null>} {tool, tools, manifest, packages, truncated}:
+ *   `tool` is the manifest the packages come from (pnpm, yarn, npm, lerna,
+ *   nx, cargo or go), `tools` adds turbo, nx and lerna when present. Each
+ *   package is {name, path, manifest} with `path` relative to the repository,
+ *   "/"-separated. null when the repository is not a monorepo.
+ */
+async function detectWorkspace(repoPath, { maxPackages = 200 } = {}) {
+  const orchestrators = [];
+  for (const [file, tool] of [
+    ["turbo.json", "turbo"],
+    ["nx.json", "nx"],
+    ["lerna.json", "lerna"],
+  ]) {
+    if (await fs.pathExists(path.join(repoPath, file))) {
+      orchestrators.push(tool);
+    }
+  }
+
+  for (const detect of DETECTORS) {
+    const source = await detect(repoPath, orchestrators);
+    if (!source) continue;
+
+    const packages = await findPackages(repoPath, source);
+    if (packages.length === 0) continue;
+
+    return {
+      tool: source.tool,
+      tools: [...new Set([source.tool, ...orchestrators])],
+      manifest: source.manifest,
+      packages: packages.slice(0, maxPackages),
+      truncated: packages.length > maxPackages,
+    };
+  }
+
+  return null;
+}
+
+// Each returns where the package list comes from: {tool, manifest, patterns,
+// packageFile}, with `patterns` globs of package directories ("!" excludes)
+const DETECTORS = [
+  async function pnpmWorkspace(repoPath) {
+    const config = await readYaml(path.join(repoPath, "pnpm-workspace.yaml"));
+    return config?.packages
+      ? {
+          tool: "pnpm",
+          manifest: "pnpm-workspace.yaml",
+          patterns: config.packages,
+          packageFile: "package.json",
+        }
+      : null;
+  },
+
+  async function packageJsonWorkspaces(repoPath) {
+    const packageJson = await readJson(path.join(repoPath, "package.json"));
+    const workspaces = packageJson?.workspaces;
+    const patterns = Array.isArray(workspaces) ? workspaces : workspaces?.packages;
+    if (!patterns) {
+      return null;
+    }
+
+    const usesYarn = await fs.pathExists(path.join(repoPath, "yarn.lock"));
+    return {
+      tool: usesYarn ? "yarn" : "npm",
+      manifest: "package.json",
+      patterns,
+      packageFile: "package.json",
+    };
+  },
+
+  async function lernaPackages(repoPath, orchestrators) {
+    if (!orchestrators.includes("lerna")) {
+      return null;
+    }
+    const lerna = await readJson(path.join(repoPath, "lerna.json"));
+    return {
+      tool: "lerna",
+      manifest: "lerna.json",
+      patterns: lerna?.packages || ["packages/*"],
+      packageFile: "package.json",
+    };
+  },
+
+  async function nxProjects(repoPath, orchestrators) {
+    return orchestrators.includes("nx")
+      ? { tool: "nx", manifest: "nx.json", patterns: ["**"], packageFile: "project.json" }
+      : null;
+  },
+
+  async function cargoWorkspace(repoPath) {
+    const cargoToml = await readText(path.join(repoPath, "Cargo.toml"));
+    const workspace = cargoToml && tomlSection(cargoToml, "workspace");
+    if (!workspace) {
+      return null;
+    }
+
+    return {
+      tool: "cargo",
+      manifest: "Cargo.toml",
+      patterns: [
+        ...tomlStringArray(workspace, "members"),
+        ...tomlStringArray(workspace, "exclude").map((pattern) => `!${pattern}`),
+      ],
+      packageFile: "Cargo.toml",
+    };
+  },
+
+  async function goModules(repoPath) {
+    const goWork = await readText(path.join(repoPath, "go.work"));
+    if (goWork) {
+      // use ./a, or a block: use ( ./a ./b )
+      const block = goWork.match(/^use\s*\(([^)]*)\)/m);
+      const single = [...goWork.matchAll(/^use\s+([^\s(]+)/gm)].map((match) => match[1]);
+      const uses = block
+        ? block[1].split(/\s+/).filter((entry) => entry && !entry.startsWith("//"))
+        : [];
+      return {
+        tool: "go",
+        manifest: "go.work",
+        patterns: [...uses, ...single],
+        packageFile: "go.mod",
+      };
+    }
+
+    // Without go.work, several go.mod files still make a multi-module repository
+    const modules = await glob("**/go.mod", { cwd: repoPath, ignore: IGNORE });
+    return modules.length > 1
+      ? { tool: "go", manifest: "go.mod", patterns: ["**"], packageFile: "go.mod" }
+      : null;
+  },
+];
+
+/**
+ * Package directories matching the patterns that hold the package manifest
+ */
+async function findPackages(repoPath, { patterns, packageFile }) {
+  const include = [];
+  const ignore = [...IGNORE];
+  for (const pattern of [].concat(patterns).map(normalizePattern)) {
+    if (pattern.startsWith("!")) {
+      ignore.push(`${pattern.slice(1)}/${packageFile}`);
+    } else {
+      include.push(pattern === "." ? packageFile : `${pattern}/${packageFile}`);
+    }
+  }
+  if (include.length === 0) {
+    return [];
+  }
+
+  const manifests = await glob(include, { cwd: repoPath, ignore, posix: true });
+  const packages = [];
+  for (const manifest of manifests) {
+    const directory = path.posix.dirname(manifest);
+    // The workspace root is the repository itself, not one of its packages
+    if (directory === ".") continue;
+
+    packages.push({
+      name:
+        (await readPackageName(path.join(repoPath, manifest), packageFile)) ||
+        path.posix.basename(directory),
+      path: directory,
+      manifest: packageFile,
+    });
+  }
+
+  return packages.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+async function readPackageName(manifestPath, packageFile) {
+  if (packageFile === "package.json" || packageFile === "project.json") {
+    return (await readJson(manifestPath))?.name || null;
+  }
+
+  const content = await readText(manifestPath);
+  if (!content) {
+    return null;
+  }
+  if (packageFile === "go.mod") {
+    return content.match(/^module\s+(\S+)/m)?.[1] || null;
+  }
+  // Cargo.toml
+  const section = tomlSection(content, "package");
+  return section?.match(/^\s*name\s*=\s*"([^"]+)"/m)?.[1] || null;
+}
+
+function normalizePattern(pattern) {
+  const negated = pattern.startsWith("!");
+  const body = (negated ? pattern.slice(1) : pattern).replace(/^\.\//, "").replace(/\/+$/, "");
+  return `${negated ? "!" : ""}${body || "."}`;
+}
+
+/**
+ * Body of a [name] table of a TOML file, up to the next table
+ */
+function tomlSection(content, name) {
+  const lines = content.split("\n");
+  const start = lines.findIndex((line) => line.trim() === `[${name}]`);
+  if (start === -1) {
+    return null;
+  }
+
+  const end = lines.findIndex((line, index) => index > start && /^\s*\[/.test(line));
+  return lines.slice(start + 1, end === -1 ? undefined : end).join("\n");
+}
+
+/**
+ * Strings of a key = [ "a", "b" ] array, which may span lines
+ */
+function tomlStringArray(section, key) {
+  const match = section.match(new RegExp(`^\\s*${key}\\s*=\\s*\\[([\\s\\S]*?)\\]`, "m"));
+  if (!match) {
+    return [];
+  }
+  return [...match[1].replace(/#.*$/gm, "").matchAll(/"([^"]*)"|'([^']*)'/g)].map(
+    (entry) => entry[1] ?? entry[2],
+  );
+}
+
+async function readText(file) {
+  try {
+    return await fs.readFile(file, "utf8");
+  } catch (error) {
+    return null;
+  }
+}
+
+async function readJson(file) {
+  const content = await readText(file);
+  try {
+    return content ? JSON.parse(content) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+async function readYaml(file) {
+  const content = await readText(file);
+  try {
+    return content ? yaml.load(content) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = { detectWorkspace };
@@ -0,0 +1,125 @@
+/**
+ * Bitbucket Provider
+ *
+ * Issues of Bitbucket Cloud repositories through the 2.0 API; the owner is
+ * the workspace. Bitbucket issues have a kind instead of labels, which is
+ * reported as their only label, and are assigned by account rather than user
+ * name, so labels and assignees are not sent. Its states new, open,
+ * submitted and on hold count as open, the others (resolved, wontfix…) as
+ * closed.
+ *
+ * A `username` in the host configuration makes the token an app password;
+ * without one it is sent as a bearer access token.
+ */
+
+const GitHostProvider = require("./git-host-provider");
+
+const OPEN_STATES = ["new", "open", "submitted", "on hold"];
+
+class BitbucketProvider extends GitHostProvider {
+  constructor(config = {}) {
+    super({ ...config, baseUrl: config.baseUrl || "https://api.bitbucket.org/2.0" });
+    this.config.username = config.username || null;
+  }
+
+  authHeaders() {
+    if (this.config.username) {
+      const credentials = Buffer.from(`${this.config.username}:${this.config.token}`);
+      return { Authorization: `Basic ${credentials.toString("base64")}` };
+    }
+    return super.authHeaders();
+  }
+
+  repositoryPath(owner, repo) {
+    return `/repositories/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`;
+  }
+
+  formatRepository(data) {
+    return {
+      private: data.is_private,
+      hasIssues: data.has_issues !== false,
+      openIssues: null,
+      repository: data,
+    };
+  }
+
+  async fetchIssuePage(owner, repo, options, page) {
+    const states = {
+      open: OPEN_STATES,
+      closed: ["resolved", "invalid", "duplicate", "wontfix", "closed"],
+    }[options.state];
+    const { data } = await this.request("GET", `${this.repositoryPath(owner, repo)}/issues`, {
+      query: {
+        q: states ? states.map((state) => `state="${state}"`).join(" OR ") : null,
+        sort: options.direction === "asc" ? "updated_on" : "-updated_on",
+        page,
+        pagelen: Math.min(options.perPage || options.per_page, 50),
+      },
+    });
+
+    return {
+      issues: data.values.map((issue) => this.formatIssue(issue)),
+      hasMore: !!data.next,
+    };
+  }
+
+  async postIssue(owner, repo, issueData) {
+    const { data } = await this.request("POST", `${this.repositoryPath(owner, repo)}/issues`, {
+      body: {
+        title: issueData.title,
+        content: { raw: issueData.body || "" },
+      },
+    });
+    return this.formatIssue(data);
+  }
+
+  async patchIssue(owner, repo, issueNumber, updates) {
+    const body = {};
+    if (updates.title !== undefined) body.title = updates.title;
+    if (updates.body !== undefined) body.content = { raw: updates.body };
+    if (updates.state !== undefined) body.state = updates.state === "closed" ? "resolved" : "open";
+
+    const { data } = await this.request(
+      "PUT",
+      `${this.repositoryPath(owner, repo)}/issues/${issueNumber}`,
+      { body },
+    );
+    return this.formatIssue(data);
+  }
+
+  rateLimitPath() {
+    return "/user";
+  }
+
+  formatUser(user) {
+    return user
+      ? { login: user.nickname || user.display_name, avatar_url: user.links?.avatar?.href || null }
+      : null;
+  }
+
+  formatIssue(issue) {
+    const assignee = this.formatUser(issue.assignee);
+    return {
+      id: issue.id,
+      number: issue.id,
+      title: issue.title,
+      body: issue.content?.raw || "",
+      state: OPEN_STATES.includes(issue.state) ? "open" : "closed",
+      labels: issue.kind ? [{ name: issue.kind, color: null, description: null }] : [],
+      assignee,
+      assignees: assignee ? [assignee] : [],
+      milestone: issue.milestone
+        ? { title: issue.milestone.name, description: null, state: null, due_on: null }
+        : null,
+      created_at: issue.created_on,
+      updated_at: issue.updated_on,
+      closed_at: null,
+      html_url: issue.links?.html?.href || null,
+      user: this.formatUser(issue.reporter),
+      comments: 0,
+      isPullRequest: false,
+    };
+  }
+}
+
+module.exports = BitbucketProvider;
@@ -0,0 +1,306 @@
+/**
+ * Git Host Provider
+ *
+ * Base class of the issue tracker clients for GitLab, Gitea and Bitbucket.
+ * Every provider, GitHubClient included, offers the same methods:
+ *
+ * - checkRepository(owner, repo) → {exists, accessible, private, hasIssues, openIssues, error}
+ * - getAllIssues(owner, repo, options) → {success, issues, totalCount, error}
+ * - createIssue(owner, repo, {title, body, labels, assignees}) → {success, issue, error}
+ * - updateIssue(owner, repo, number, {title, body, state, labels, assignees}) → {success, issue, error}
+ * - getRateLimit() → {rate: {limit, remaining, reset}} or null
+ *
+ * Issues come back in GitHubClient.formatIssue()'s shape, with `open` or
+ * `closed` as state, whatever the host calls its states. Failed requests are
+ * reported in the results rather than thrown.
+ */
+
+const { NetworkError } = require("../utils/error-handler");
+const { parseRemoteUrl } = require("../utils/git-url");
+
+const MAX_PAGES = 100;
+
+class GitHostProvider {
+  /**
+   * @param {Object} config
+   * @param {string} config.host - Host name as in remote URLs
+   * @param {string} config.baseUrl - API base URL
+   * @param {string} [config.token] - Access token
+   * @param {string} [config.userAgent]
+   * @param {number} [config.timeout] - Request timeout in ms
+   * @param {Object} [config.issuesOptions] - state and perPage of issue listings
+   */
+  constructor(config = {}) {
+    this.config = {
+      host: config.host,
+      baseUrl: String(config.baseUrl || "").replace(/\/+$/, ""),
+      token: config.token,
+      userAgent: config.userAgent || "portfolio-monitor",
+      timeout: config.timeout || 10000,
+      issuesOptions: { state: "open", perPage: 30, ...config.issuesOptions },
+    };
+
+    this.rateLimit = null;
+    this.rateLimitRemaining = null;
+    this.rateLimitResetTime = null;
+  }
+
+  isAuthenticated() {
+    return !!this.config.token;
+  }
+
+  /**
+   * Owner and repository of a remote URL on this provider's host
+   */
+  parseRepositoryFromUrl(remoteUrl) {
+    const parsed = parseRemoteUrl(remoteUrl);
+    if (!parsed || parsed.host !== this.config.host) {
+      return null;
+    }
+    return { owner: parsed.owner, repo: parsed.repo };
+  }
+
+  /**
+   * Check if repository exists and is accessible
+   */
+  async checkRepository(owner, repo) {
+    try {
+      return {
+        exists: true,
+        accessible: true,
+        ...this.formatRepository(
+          (await this.request("GET", this.repositoryPath(owner, repo))).data,
+        ),
+      };
+    } catch (error) {
+      if (error.status === 404) {
+        return {
+          exists: false,
+          accessible: false,
+          error: "Repository not found or not accessible",
+        };
+      }
+      if (error.status === 401 || error.status === 403) {
+        return {
+          exists: true,
+          accessible: false,
+          error: "Repository access forbidden - check authentication",
+        };
+      }
+      return {
+        exists: false,
+        accessible: false,
+        error: `API error: ${error.message}`,
+      };
+    }
+  }
+
+  /**
+   * Get all issues with pagination
+   *
+   * @param {Object} [options]
+   * @param {string} [options.state] - open, closed or all
+   * @param {number} [options.perPage]
+   */
+  async getAllIssues(owner, repo, options = {}) {
+    const settings = { ...this.config.issuesOptions, ...options };
+    const issues = [];
+
+    try {
+      for (let page = 1; page <= MAX_PAGES; page++) {
+        const { issues: pageIssues, hasMore } = await this.fetchIssuePage(
+          owner,
+          repo,
+          settings,
+          page,
+        );
+        issues.push(...pageIssues);
+        if (!hasMore) break;
+      }
+    } catch (error) {
+      return this.failure(error, { issues: [] });
+    }
+
+    return {
+      success: true,
+      issues,
+      totalCount: issues.length,
+      rateLimit: {
+        remaining: this.rateLimitRemaining,
+        resetTime: this.rateLimitResetTime,
+      },
+    };
+  }
+
+  async createIssue(owner, repo, issueData) {
+    try {
+      return this.success(await this.postIssue(owner, repo, issueData));
+    } catch (error) {
+      return this.failure(error);
+    }
+  }
+
+  async updateIssue(owner, repo, issueNumber, updates) {
+    try {
+      return this.success(await this.patchIssue(owner, repo, issueNumber, updates));
+    } catch (error) {
+      return this.failure(error);
+    }
+  }
+
+  /**
+   * Rate limit reported with the provider's responses, checked with a
+   * request of its own
+   */
+  async getRateLimit() {
+    try {
+      await this.request("GET", this.rateLimitPath());
+      return { rate: this.rateLimit };
+    } catch (error) {
+      console.warn("Failed to get rate limit:", error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Call the API
+   *
+   * @param {string} method
+   * @param {string} apiPath - Path under the base URL
+   * @param {Object} [options]
+   * @param {Object} [options.query] - Query parameters; empty values are left out
+   * @param {Object} [options.body] - JSON request body
+   * @returns {Promise<{status: number, data: *, headers: Headers}>}
+   * @throws {NetworkError} With the HTTP `status` of failed responses
+   */
+  async request(method, apiPath, { query, body } = {}) {
+    const url = new URL(`${this.config.baseUrl}${apiPath}`);
+    for (const [key, value] of Object.entries(query || {})) {
+      if (value !== undefined && value !== null && value !== "") {
+        url.searchParams.set(key, value);
+      }
+    }
+
+    let response;
+    try {
+      response = await fetch(url, {
+        method,
+        headers: {
+          Accept: "application/json",
+          "User-Agent": this.config.userAgent,
+          ...(body ? { "Content-Type": "application/json" } : {}),
+          ...(this.config.token ? this.authHeaders() : {}),
+        },
+        body: body ? JSON.stringify(body) : undefined,
+        signal: AbortSignal.timeout(this.config.timeout),
+      });
+    } catch (error) {
+      throw new NetworkError(
+        `${this.config.host} request failed: ${error.message}`,
+        url.href,
+        method,
+      );
+    }
+
+    this.updateRateLimitInfo(response.headers);
+    const text = await response.text();
+    let data = null;
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch (error) {
+      data = text;
+    }
+
+    if (!response.ok) {
+      const detail = data?.message || data?.error?.message || data?.error || response.statusText;
+      const error = new NetworkError(
+        `${this.config.host} responded with HTTP ${response.status}: ${
+          typeof detail === "string" ? detail : JSON.stringify(detail)
+        }`,
+        url.href,
+        method,
+      );
+      error.status = response.status;
+      throw error;
+    }
+
+    return { status: response.status, data, headers: response.headers };
+  }
+
+  /**
+   * Read the rate limit from the `RateLimit-*` or `X-RateLimit-*` headers
+   * the provider sends
+   */
+  updateRateLimitInfo(headers) {
+    const header = (name) => headers.get(`ratelimit-${name}`) ?? headers.get(`x-ratelimit-${name}`);
+    const limit = Number.parseInt(header("limit"));
+    const remaining = Number.parseInt(header("remaining"));
+    const reset = Number.parseInt(header("reset"));
+    if (Number.isNaN(remaining)) {
+      return;
+    }
+
+    this.rateLimit = {
+      limit: Number.isNaN(limit) ? null : limit,
+      remaining,
+      reset: Number.isNaN(reset) ? null : reset,
+    };
+    this.rateLimitRemaining = remaining;
+    this.rateLimitResetTime = Number.isNaN(reset) ? null : reset * 1000;
+  }
+
+  success(issue) {
+    return {
+      success: true,
+      issue,
+      rateLimit: {
+        remaining: this.rateLimitRemaining,
+        resetTime: this.rateLimitResetTime,
+      },
+    };
+  }
+
+  failure(error, extra = {}) {
+    return {
+      success: false,
+      error: error.message,
+      status: error.status,
+      ...extra,
+    };
+  }
+
+  authHeaders() {
+    return { Authorization: `Bearer ${this.config.token}` };
+  }
+
+  // Implemented by each provider
+
+  repositoryPath(owner, repo) {
+    throw new Error(`${this.constructor.name} does not implement repositoryPath()`);
+  }
+
+  formatRepository(data) {
+    throw new Error(`${this.constructor.name} does not implement formatRepository()`);
+  }
+
+  /**
+   * @returns {Promise<{issues: Object[], hasMore: boolean}>}
+   */
+  async fetchIssuePage(owner, repo, options, page) {
+    throw new Error(`${this.constructor.name} does not implement fetchIssuePage()`);
+  }
+
+  async postIssue(owner, repo, issueData) {
+    throw new Error(`${this.constructor.name} does not implement postIssue()`);
+  }
+
+  async patchIssue(owner, repo, issueNumber, updates) {
+    throw new Error(`${this.constructor.name} does not implement patchIssue()`);
+  }
+
+  rateLimitPath() {
+    throw new Error(`${this.constructor.name} does not implement rateLimitPath()`);
+  }
+}
+
+module.exports = GitHostProvider;
@@ -0,0 +1,131 @@
+/**
+ * Gitea Provider
+ *
+ * Issues of Gitea and Forgejo repositories, such as Codeberg's, through the
+ * v1 API. Its issues are close to GitHub's, but labels are set by ID: label
+ * names are looked up among the repository's labels and unknown ones left out.
+ */
+
+const GitHostProvider = require("./git-host-provider");
+
+class GiteaProvider extends GitHostProvider {
+  constructor(config = {}) {
+    super({ ...config, baseUrl: config.baseUrl || `https://${config.host}/api/v1` });
+  }
+
+  authHeaders() {
+    return { Authorization: `token ${this.config.token}` };
+  }
+
+  repositoryPath(owner, repo) {
+    return `/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`;
+  }
+
+  formatRepository(data) {
+    return {
+      private: data.private,
+      hasIssues: data.has_issues !== false,
+      openIssues: data.open_issues_count ?? null,
+      repository: data,
+    };
+  }
+
+  async fetchIssuePage(owner, repo, options, page) {
+    const perPage = options.perPage || options.per_page;
+    const { data } = await this.request("GET", `${this.repositoryPath(owner, repo)}/issues`, {
+      query: {
+        state: options.state || "open",
+        type: "issues",
+        labels: [].concat(options.labels || []).join(","),
+        page,
+        limit: perPage,
+      },
+    });
+
+    return {
+      issues: data.map((issue) => this.formatIssue(issue)),
+      hasMore: data.length >= perPage,
+    };
+  }
+
+  async postIssue(owner, repo, issueData) {
+    const { data } = await this.request("POST", `${this.repositoryPath(owner, repo)}/issues`, {
+      body: {
+        title: issueData.title,
+        body: issueData.body || "",
+        assignees: issueData.assignees || [],
+        labels: await this.findLabelIds(owner, repo, issueData.labels),
+      },
+    });
+    return this.formatIssue(data);
+  }
+
+  async patchIssue(owner, repo, issueNumber, updates) {
+    const issuePath = `${this.repositoryPath(owner, repo)}/issues/${issueNumber}`;
+    const { labels, ...fields } = updates;
+
+    let { data } = await this.request("PATCH", issuePath, { body: fields });
+    if (labels !== undefined) {
+      const response = await this.request("PUT", `${issuePath}/labels`, {
+        body: { labels: await this.findLabelIds(owner, repo, labels) },
+      });
+      data = { ...data, labels: response.data };
+    }
+    return this.formatIssue(data);
+  }
+
+  rateLimitPath() {
+    return "/version";
+  }
+
+  async findLabelIds(owner, repo, names = []) {
+    if (names.length === 0) {
+      return [];
+    }
+
+    const { data } = await this.request("GET", `${this.repositoryPath(owner, repo)}/labels`, {
+      query: { limit: 100 },
+    });
+    return names
+      .map((name) => data.find((label) => label.name === name)?.id)
+      .filter((id) => id !== undefined);
+  }
+
+  formatUser(user) {
+    return user ? { login: user.login, avatar_url: user.avatar_url } : null;
+  }
+
+  formatIssue(issue) {
+    return {
+      id: issue.id,
+      number: issue.number,
+      title: issue.title,
+      body: issue.body,
+      state: issue.state,
+      labels: (issue.labels || []).map((label) => ({
+        name: label.name,
+        color: label.color,
+        description: label.description,
+      })),
+      assignee: this.formatUser(issue.assignee),
+      assignees: (issue.assignees || []).map((assignee) => this.formatUser(assignee)),
+      milestone: issue.milestone
+        ? {
+            title: issue.milestone.title,
+            description: issue.milestone.description,
+            state: issue.milestone.state,
+            due_on: issue.milestone.due_on,
+          }
+        : null,
+      created_at: issue.created_at,
+      updated_at: issue.updated_at,
+      closed_at: issue.closed_at,
+      html_url: issue.html_url,
+      user: this.formatUser(issue.user),
+      comments: issue.comments || 0,
+      isPullRequest: !!issue.pull_request,
+    };
+  }
+}
+
+module.exports = GiteaProvider;
@@ -0,0 +1,153 @@
+/**
+ * GitLab Provider
+ *
+ * Issues of gitlab.com and self-hosted GitLab projects through the v4 API.
+ * The owner may include subgroups (`group/subgroup`). Issue numbers are the
+ * project-scoped `iid`s shown in GitLab's URLs.
+ */
+
+const GitHostProvider = require("./git-host-provider");
+
+const STATES = { open: "opened", closed: "closed", all: "all" };
+
+class GitLabProvider extends GitHostProvider {
+  constructor(config = {}) {
+    const host = config.host || "gitlab.com";
+    super({ ...config, host, baseUrl: config.baseUrl || `https://${host}/api/v4` });
+    this.userIds = new Map();
+  }
+
+  authHeaders() {
+    return { "PRIVATE-TOKEN": this.config.token };
+  }
+
+  repositoryPath(owner, repo) {
+    return `/projects/${encodeURIComponent(`${owner}/${repo}`)}`;
+  }
+
+  formatRepository(data) {
+    return {
+      private: data.visibility !== "public",
+      hasIssues: data.issues_enabled !== false,
+      openIssues: data.open_issues_count ?? null,
+      repository: data,
+    };
+  }
+
+  async fetchIssuePage(owner, repo, options, page) {
+    const perPage = options.perPage || options.per_page;
+    const { data, headers } = await this.request(
+      "GET",
+      `${this.repositoryPath(owner, repo)}/issues`,
+      {
+        query: {
+          state: STATES[options.state] || STATES.open,
+          labels: [].concat(options.labels || []).join(","),
+          order_by: "updated_at",
+          sort: options.direction || "desc",
+          with_labels_details: true,
+          page,
+          per_page: perPage,
+        },
+      },
+    );
+
+    return {
+      issues: data.map((issue) => this.formatIssue(issue)),
+      hasMore: headers.get("x-next-page") ? true : data.length >= perPage,
+    };
+  }
+
+  async postIssue(owner, repo, issueData) {
+    const { data } = await this.request("POST", `${this.repositoryPath(owner, repo)}/issues`, {
+      body: {
+        title: issueData.title,
+        description: issueData.body || "",
+        labels: (issueData.labels || []).join(","),
+        assignee_ids: await this.findUserIds(issueData.assignees),
+      },
+    });
+    return this.formatIssue(data);
+  }
+
+  async patchIssue(owner, repo, issueNumber, updates) {
+    const body = {};
+    if (updates.title !== undefined) body.title = updates.title;
+    if (updates.body !== undefined) body.description = updates.body;
+    if (updates.labels !== undefined) body.labels = updates.labels.join(",");
+    if (updates.assignees !== undefined)
+      body.assignee_ids = await this.findUserIds(updates.assignees);
+    if (updates.state !== undefined)
+      body.state_event = updates.state === "closed" ? "close" : "reopen";
+
+    const { data } = await this.request(
+      "PUT",
+      `${this.repositoryPath(owner, repo)}/issues/${issueNumber}`,
+      { body },
+    );
+    return this.formatIssue(data);
+  }
+
+  rateLimitPath() {
+    return "/projects?per_page=1&simple=true";
+  }
+
+  /**
+   * GitLab assigns issues by user ID; unknown user names are left out
+   */
+  async findUserIds(usernames = []) {
+    const ids = [];
+    for (const username of usernames) {
+      if (!this.userIds.has(username)) {
+        const { data } = await this.request("GET", "/users", { query: { username } });
+        this.userIds.set(username, data[0]?.id ?? null);
+      }
+      if (this.userIds.get(username) !== null) {
+        ids.push(this.userIds.get(username));
+      }
+    }
+    return ids;
+  }
+
+  formatUser(user) {
+    return user ? { login: user.username, avatar_url: user.avatar_url } : null;
+  }
+
+  formatIssue(issue) {
+    return {
+      id: issue.id,
+      number: issue.iid,
+      title: issue.title,
+      body: issue.description,
+      state: issue.state === "opened" ? "open" : "closed",
+      labels: (issue.labels || []).map((label) =>
+        typeof label === "string"
+          ? { name: label, color: null, description: null }
+          : {
+              name: label.name,
+              color: label.color?.replace(/^#/, "") || null,
+              description: label.description,
+            },
+      ),
+      assignee: this.formatUser(issue.assignee),
+      assignees: (issue.assignees || []).map((assignee) => this.formatUser(assignee)),
+      milestone: issue.milestone
+        ? {
+            title: issue.milestone.title,
+            description: issue.milestone.description,
+            state: issue.milestone.state,
+            due_on: issue.milestone.due_date,
+          }
+        : null,
+      created_at: issue.created_at,
+      updated_at: issue.updated_at,
+      closed_at: issue.closed_at,
+      html_url: issue.web_url,
+      user: this.formatUser(issue.author),
+      comments: issue.user_notes_count || 0,
+      isPullRequest: false,
+    };
+  }
+}
+
+module.exports = GitLabProvider;
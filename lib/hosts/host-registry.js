@@ -0,0 +1,140 @@
+/**
+ * Git Host Registry
+ *
+ * Picks the issue tracker client for a remote URL. The provider type of a
+ * host comes from its `hosts` configuration entry, or else from its name:
+ * github.com, gitlab.com, bitbucket.org, codeberg.org, and self-hosted
+ * instances whose name contains gitlab, gitea or forgejo. Each host gets one
+ * client, with the token configured for it. The `github` section's
+ * userAgent, timeout and issuesOptions apply to every host, and github.com
+ * also takes its token and baseUrl.
+ */
+
+const GitHubClient = require("../github/github-client");
+const GitLabProvider = require("./gitlab-provider");
+const GiteaProvider = require("./gitea-provider");
+const BitbucketProvider = require("./bitbucket-provider");
+const { ConfigurationError } = require("../utils/error-handler");
+const { parseRemoteUrl } = require("../utils/git-url");
+
+const PROVIDER_TYPES = {
+  github: GitHubClient,
+  gitlab: GitLabProvider,
+  gitea: GiteaProvider,
+  bitbucket: BitbucketProvider,
+};
+
+const KNOWN_HOSTS = {
+  "github.com": "github",
+  "gitlab.com": "gitlab",
+  "bitbucket.org": "bitbucket",
+  "codeberg.org": "gitea",
+};
+
+class GitHostRegistry {
+  /**
+   * @param {Object} [config] - Full configuration; reads `hosts` and `github`
+   * @param {Object} [options]
+   * @param {Object} [options.providerTypes] - Extra or replacement provider classes by type
+   */
+  constructor(config = {}, options = {}) {
+    this.config = config;
+    this.providerTypes = { ...PROVIDER_TYPES, ...options.providerTypes };
+    this.providers = new Map();
+
+    this.hosts = new Map();
+    (config.hosts || []).forEach((entry, index) => {
+      if (entry.type && !this.providerTypes[entry.type]) {
+        throw new ConfigurationError(
+          `Unknown git host type: ${entry.type}`,
+          `hosts[${index}].type`,
+          entry.type,
+        );
+      }
+      this.hosts.set(entry.host.toLowerCase(), entry);
+    });
+  }
+
+  /**
+   * Provider type serving a host, or null when it is not recognized
+   */
+  detectType(host) {
+    const name = String(host || "").toLowerCase();
+    const configured = this.hosts.get(name)?.type;
+    if (configured) {
+      return configured;
+    }
+    if (KNOWN_HOSTS[name]) {
+      return KNOWN_HOSTS[name];
+    }
+
+    const words = name.split(/[.-]/);
+    if (words.includes("gitlab")) {
+      return "gitlab";
+    }
+    if (words.includes("gitea") || words.includes("forgejo")) {
+      return "gitea";
+    }
+    return null;
+  }
+
+  /**
+   * The client for a host, created on first use
+   */
+  provider(host) {
+    const name = String(host || "").toLowerCase();
+    if (this.providers.has(name)) {
+      return this.providers.get(name);
+    }
+
+    const type = this.detectType(name);
+    const entry = this.hosts.get(name) || {};
+    let provider = null;
+    if (type) {
+      const settings = {
+        userAgent: this.config.github?.userAgent,
+        timeout: this.config.github?.timeout,
+        issuesOptions: this.config.github?.issuesOptions,
+        ...(type === "github" && name === "github.com" ? this.config.github : {}),
+        ...(type === "github" && name !== "github.com"
+          ? { baseUrl: `https://${name}/api/v3` }
+          : {}),
+        ...definedValues(entry),
+        host: name,
+      };
+      provider = new this.providerTypes[type](settings);
+      provider.type = type;
+    }
+
+    this.providers.set(name, provider);
+    return provider;
+  }
+
+  /**
+   * Repository and client for a remote URL
+   *
+   * @returns {{provider: Object, type: string, host: string, owner: string, repo: string}|null}
+   *   null when the URL has no host or the host is not recognized
+   */
+  resolve(remoteUrl) {
+    const parsed = parseRemoteUrl(remoteUrl);
+    const provider = parsed && this.provider(parsed.host);
+    if (!provider) {
+      return null;
+    }
+    return {
+      provider,
+      type: provider.type,
+      host: parsed.host,
+      owner: parsed.owner,
+      repo: parsed.repo,
+    };
+  }
+}
+
+function definedValues(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
+
+module.exports = GitHostRegistry;
+module.exports.PROVIDER_TYPES = PROVIDER_TYPES;
@@ -0,0 +1,305 @@
+/**
+ * Portfolio Monitoring System - Alert Manager
+ *
+ * Business Purpose: Turn the alerts raised on every scan into one tracked
+ * alert per condition. Alerts are identified by a stable fingerprint, move
+ * through open, acknowledged, snoozed and resolved states, and resolve
+ * themselves once a scan no longer raises them.
+ */
+
+const crypto = require("node:crypto");
+const fs = require("node:fs");
+const { ApplicationError, ValidationError } = require("../utils/error-handler");
+const { writeJsonFile } = require("../utils/json-file");
+
+const ALERT_STATES = ["open", "acknowledged", "snoozed", "resolved"];
+const SEVERITY_ORDER = { CRITICAL: 0, WARNING: 1, INFO: 2 };
+const MAX_SNOOZE_MS = 90 * 24 * 60 * 60 * 1000;
+
+class AlertManager {
+  /**
+   * @param {Object} options
+   * @param {string} [options.file] - JSON file holding the alert states; kept in memory without one
+   * @param {Function} [options.now] - Clock, for tests
+   */
+  constructor(options = {}) {
+    this.file = options.file;
+    this.now = options.now || (() => new Date());
+    this.memoryState = { alerts: {} };
+  }
+
+  /**
+   * Stable identity of an alert: the project plus the alert's key, or its
+   * message with numbers masked when no key is given
+   */
+  static fingerprint(projectName, alert) {
+    const key = alert.key || String(alert.message || "").replace(/\d+/g, "#");
+    return crypto.createHash("sha1").update(`${projectName}\0${key}`).digest("hex").slice(0, 12);
+  }
+
+  /**
+   * Record one alert occurrence
+   *
+   * @returns {{alert: Object, opened: boolean}} `opened` is true when the alert
+   *   is new, came back after being resolved, or its snooze ran out
+   */
+  record(projectName, alertData) {
+    const state = this.readState();
+    const result = this.upsert(state, projectName, alertData, this.now().toISOString());
+    this.writeState(state);
+    return result;
+  }
+
+  /**
+   * Reconcile the complete set of alerts raised by one scan of a project:
+   * record each of them and resolve the project's other active alerts
+   *
+   * @returns {{opened: Object[], resolved: Object[]}}
+   */
+  reconcile(projectName, alerts) {
+    const state = this.readState();
+    const timestamp = this.now().toISOString();
+    const seen = new Set();
+    const opened = [];
+    const resolved = [];
+
+    for (const alertData of alerts) {
+      const result = this.upsert(state, projectName, alertData, timestamp);
+      seen.add(result.alert.id);
+      if (result.opened) {
+        opened.push(result.alert);
+      }
+    }
+
+    for (const alert of Object.values(state.alerts)) {
+      if (alert.project === projectName && alert.status !== "resolved" && !seen.has(alert.id)) {
+        Object.assign(alert, { status: "resolved", resolvedAt: timestamp, resolvedBy: "auto" });
+        resolved.push(alert);
+      }
+    }
+
+    this.writeState(state);
+    return { opened, resolved };
+  }
+
+  upsert(state, projectName, alertData, timestamp) {
+    const id = AlertManager.fingerprint(projectName, alertData);
+    const existing = state.alerts[id];
+    const occurrence = {
+      severity: alertData.severity,
+      message: alertData.message,
+      details: alertData.details || {},
+      lastSeen: timestamp,
+    };
+
+    if (!existing || existing.status === "resolved") {
+      state.alerts[id] = {
+        id,
+        project: projectName,
+        key: alertData.key || null,
+        ...occurrence,
+        status: "open",
+        openedAt: timestamp,
+        occurrences: 1,
+        reopened: existing ? (existing.reopened || 0) + 1 : 0,
+      };
+      return { alert: state.alerts[id], opened: true };
+    }
+
+    Object.assign(existing, occurrence, { occurrences: existing.occurrences + 1 });
+    const snoozeEnded = this.wakeIfDue(existing);
+    return { alert: existing, opened: snoozeEnded };
+  }
+
+  /**
+   * Move a project's alerts to a new project name, keeping their states
+   *
+   * @returns {number} Alerts moved
+   */
+  renameProject(from, to) {
+    const state = this.readState();
+    let moved = 0;
+
+    for (const [id, alert] of Object.entries(state.alerts)) {
+      if (alert.project !== from) continue;
+
+      const newId = AlertManager.fingerprint(to, alert);
+      delete state.alerts[id];
+      state.alerts[newId] = { ...alert, id: newId, project: to };
+      moved++;
+    }
+
+    if (moved > 0) {
+      this.writeState(state);
+    }
+    return moved;
+  }
+
+  /**
+   * Reopen a snoozed alert whose snooze has run out
+   */
+  wakeIfDue(alert) {
+    if (alert.status === "snoozed" && new Date(alert.snoozedUntil) <= this.now()) {
+      alert.status = "open";
+      alert.snoozedUntil = null;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * List alerts, most severe and most recent first
+   *
+   * @param {Object} [filters]
+   * @param {string|string[]} [filters.status] - Defaults to every state but resolved
+   * @param {string} [filters.project]
+   * @param {string} [filters.severity]
+   */
+  list(filters = {}) {
+    const state = this.readState();
+    const statuses = filters.status
+      ? [].concat(filters.status)
+      : ALERT_STATES.filter((status) => status !== "resolved");
+
+    for (const status of statuses) {
+      if (!ALERT_STATES.includes(status)) {
+        throw new ValidationError(`Unknown alert status: ${status}`, "status", status);
+      }
+    }
+
+    return Object.values(state.alerts)
+      .map((alert) => {
+        const current = { ...alert };
+        this.wakeIfDue(current);
+        return current;
+      })
+      .filter(
+        (alert) =>
+          statuses.includes(alert.status) &&
+          (!filters.project || alert.project === filters.project) &&
+          (!filters.severity || alert.severity === filters.severity),
+      )
+      .sort(
+        (a, b) =>
+          (SEVERITY_ORDER[a.severity] ?? 3) - (SEVERITY_ORDER[b.severity] ?? 3) ||
+          b.lastSeen.localeCompare(a.lastSeen),
+      );
+  }
+
+  /**
+   * Number of alerts in each state
+   */
+  counts() {
+    const counts = Object.fromEntries(ALERT_STATES.map((status) => [status, 0]));
+    for (const alert of this.list({ status: ALERT_STATES })) {
+      counts[alert.status]++;
+    }
+    return counts;
+  }
+
+  /**
+   * Acknowledge an alert: someone is on it. It still resolves automatically.
+   */
+  acknowledge(id, { by = null, note = null } = {}) {
+    return this.update(id, (alert, timestamp) => {
+      Object.assign(alert, {
+        status: "acknowledged",
+        acknowledgedAt: timestamp,
+        acknowledgedBy: by,
+        note,
+        snoozedUntil: null,
+      });
+    });
+  }
+
+  /**
+   * Hide an alert until a time, given as `until` or as `minutes` from now
+   */
+  snooze(id, { until, minutes } = {}) {
+    const now = this.now();
+    const end = until ? new Date(until) : new Date(now.getTime() + Number(minutes) * 60 * 1000);
+
+    if (Number.isNaN(end.getTime()) || end <= now) {
+      throw new ValidationError(
+        "Snooze needs a future time or a positive number of minutes",
+        "until",
+        until ?? minutes,
+      );
+    }
+    if (end - now > MAX_SNOOZE_MS) {
+      throw new ValidationError(
+        "Alerts can be snoozed for at most 90 days",
+        "until",
+        end.toISOString(),
+      );
+    }
+
+    return this.update(id, (alert) => {
+      Object.assign(alert, { status: "snoozed", snoozedUntil: end.toISOString() });
+    });
+  }
+
+  /**
+   * Resolve an alert by hand. It reopens if a later scan raises it again.
+   */
+  resolve(id, { by = null } = {}) {
+    return this.update(id, (alert, timestamp) => {
+      Object.assign(alert, {
+        status: "resolved",
+        resolvedAt: timestamp,
+        resolvedBy: by || "manual",
+      });
+    });
+  }
+
+  update(id, change) {
+    const state = this.readState();
+    const alert = state.alerts[id];
+
+    if (!alert) {
+      throw new ApplicationError(`Alert ${id} not found`, "ALERT_NOT_FOUND", 404, { id });
+    }
+    if (alert.status === "resolved") {
+      throw new ValidationError(`Alert ${id} is already resolved`, "id", id);
+    }
+
+    change(alert, this.now().toISOString());
+    this.writeState(state);
+    return alert;
+  }
+
+  readState() {
+    if (!this.file) {
+      return this.memoryState;
+    }
+    if (!fs.existsSync(this.file)) {
+      return { alerts: {} };
+    }
+
+    try {
+      const state = JSON.parse(fs.readFileSync(this.file, "utf8"));
+      return { alerts: state.alerts || {} };
+    } catch (error) {
+      throw new ApplicationError(
+        `Alert state ${this.file} is not valid JSON`,
+        "ALERT_STATE_INVALID",
+        500,
+        {
+          file: this.file,
+        },
+      );
+    }
+  }
+
+  writeState(state) {
+    if (!this.file) {
+      return;
+    }
+
+    writeJsonFile(this.file, state);
+  }
+}
+
+AlertManager.ALERT_STATES = ALERT_STATES;
+
+module.exports = AlertManager;
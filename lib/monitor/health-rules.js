@@ -0,0 +1,411 @@
+/**
+ * Portfolio Monitoring System - Health Rules
+ *
+ * Business Purpose: Declarative project health assessment. Each rule has a
+ * condition over the scan data, a score penalty, an optional status
+ * escalation and issue and recommendation texts. Rules come from the
+ * built-in set, `health.rules` in the configuration and JS rule modules,
+ * and can be overridden per project.
+ */
+
+const path = require("node:path");
+const { minimatch } = require("minimatch");
+
+const STATUS_SEVERITY = { healthy: 0, attention: 1, critical: 2 };
+
+const OPERATORS = {
+  gt: (value, limit) => value > limit,
+  gte: (value, limit) => value >= limit,
+  lt: (value, limit) => value < limit,
+  lte: (value, limit) => value <= limit,
+  eq: (value, expected) => value === expected,
+  ne: (value, expected) => value !== expected,
+};
+
+/**
+ * Built-in rules, with thresholds from business.alertThresholds
+ */
+function createDefaultRules(thresholds) {
+  const { staleDays, attentionDays, uncommittedFiles, commitsBehind, criticalIssues } = thresholds;
+
+  return [
+    {
+      id: "stale-commits",
+      when: { metric: "git.daysSinceCommit", gt: attentionDays },
+      penalty: 20,
+      status: "attention",
+      issue: "No commits in {git.daysSinceCommit} days",
+    },
+    {
+      id: "stale-commits-critical",
+      when: { metric: "git.daysSinceCommit", gt: staleDays },
+      penalty: 30,
+      status: "critical",
+    },
+    {
+      id: "uncommitted-changes",
+      when: { metric: "git.uncommittedChanges", gt: uncommittedFiles },
+      penalty: 10,
+      status: "attention",
+      issue: "{git.uncommittedChanges} uncommitted changes",
+    },
+    {
+      id: "commits-behind",
+      when: { metric: "git.commitsBehind", gt: commitsBehind },
+      penalty: 15,
+      status: "attention",
+      issue: "{git.commitsBehind} commits behind {git.defaultBranch}",
+    },
+    {
+      id: "stale-branches",
+      when: { metric: "git.staleBranches", gt: 0 },
+      penalty: 10,
+      issue: `{git.staleBranches} stale branches (${staleDays}+ days)`,
+    },
+    {
+      id: "critical-issues",
+      when: { metric: "github.criticalIssues", gt: criticalIssues },
+      penalty: 15,
+      status: "attention",
+      issue: "{github.criticalIssues} open critical GitHub issues",
+      recommendation: "Triage critical GitHub issues",
+    },
+    // The documentation rules are all off by default: health used to be assessed
+    // before documentation was analyzed, so they never applied. Enable them per
+    // project with health.overrides.
+    {
+      id: "documentation-score",
+      enabled: false,
+      when: { metric: "documentation.score", lt: 70 },
+      penalty: 15,
+      status: "attention",
+      issue: "Poor documentation quality",
+    },
+    {
+      id: "documentation-structure",
+      enabled: false,
+      when: { metric: "documentation.hasProperStructure", eq: false },
+      penalty: 10,
+      issue: "Documentation not in proper /docs/ directory",
+    },
+    {
+      id: "trackdown-recommendation",
+      enabled: false,
+      when: { metric: "documentation.hasTrackdownBacklog", eq: false },
+      recommendation: "Implement TrackDown project management structure",
+    },
+    {
+      id: "docs-structure-recommendation",
+      enabled: false,
+      when: { metric: "documentation.hasProperStructure", eq: false },
+      recommendation: "Move documentation files to /docs/ directory",
+    },
+    {
+      id: "no-activity",
+      when: {
+        all: [
+          { metric: "filesystem.recentlyModified", eq: 0 },
+          { metric: "git.recentCommits", eq: 0 },
+        ],
+      },
+      penalty: 25,
+      status: "attention",
+      issue: "No recent file or Git activity",
+    },
+    {
+      id: "rebase-recommendation",
+      when: { metric: "git.commitsBehind", gt: 0 },
+      recommendation: "Consider rebasing or merging from main branch",
+    },
+    {
+      id: "commit-recommendation",
+      when: { metric: "git.uncommittedChanges", gt: 0 },
+      recommendation: "Commit or stash uncommitted changes",
+    },
+    {
+      id: "branch-cleanup-recommendation",
+      when: { metric: "git.branchCount", gt: 5 },
+      recommendation: "Consider cleaning up old branches",
+    },
+  ];
+}
+
+class HealthRuleEngine {
+  /**
+   * @param {Object} [config] - Full configuration; uses `health` and `business.alertThresholds`
+   * @param {Object} [options]
+   * @param {string} [options.baseDir] - Directory relative rule module paths resolve from
+   */
+  constructor(config = {}, options = {}) {
+    const health = config.health || {};
+    this.baseDir = options.baseDir || process.cwd();
+    // Project monitors raise their alerts at these thresholds too
+    this.thresholds = {
+      staleDays: 14,
+      attentionDays: 7,
+      criticalIssues: 3,
+      uncommittedFiles: 10,
+      commitsBehind: 20,
+      forkBehind: 50,
+      ...config.business?.alertThresholds,
+    };
+
+    const moduleRules = (health.modules || []).flatMap((modulePath) =>
+      this.loadRuleModule(modulePath),
+    );
+    this.rules = this.mergeRules(createDefaultRules(this.thresholds), [
+      ...moduleRules,
+      ...(health.rules || []),
+    ]);
+    this.overrides = health.overrides || [];
+
+    // Overrides are merged lazily per project, but their rules are checked up front
+    for (const override of this.overrides) {
+      this.mergeRules(this.rules, override.rules || []);
+    }
+  }
+
+  /**
+   * Load rules from a JS module exporting a rule, an array of rules, or a
+   * function of the alert thresholds returning either
+   */
+  loadRuleModule(modulePath) {
+    const resolved = path.resolve(this.baseDir, modulePath);
+    let exported;
+    try {
+      exported = require(resolved);
+    } catch (error) {
+      throw new Error(`Cannot load health rule module ${modulePath}: ${error.message}`);
+    }
+
+    const rules = typeof exported === "function" ? exported(this.thresholds) : exported;
+    return [].concat(rules);
+  }
+
+  /**
+   * Apply rule patches by ID: a known ID updates that rule, a new ID adds one
+   */
+  mergeRules(baseRules, patches) {
+    const rules = baseRules.map((rule) => ({ ...rule }));
+
+    for (const patch of patches) {
+      if (!patch?.id) {
+        throw new Error("Health rules need an id");
+      }
+
+      const index = rules.findIndex((rule) => rule.id === patch.id);
+      if (index === -1) {
+        if (!patch.when) {
+          throw new Error(`Health rule ${patch.id} needs a condition`);
+        }
+        rules.push({ ...patch });
+      } else {
+        rules[index] = { ...rules[index], ...patch };
+      }
+    }
+
+    return rules;
+  }
+
+  /**
+   * Rules for one project, after the overrides whose match it satisfies and
+   * then the project's own patches from its .portfolio.yml
+   *
+   * @param {{name: string, tags?: string[], rules?: Object[]}} project
+   */
+  rulesFor(project = {}) {
+    const rules = this.overrides
+      .filter((override) => this.matchesProject(override.match || {}, project))
+      .reduce((rules, override) => this.mergeRules(rules, override.rules || []), this.rules);
+    return project.rules?.length ? this.mergeRules(rules, project.rules) : rules;
+  }
+
+  matchesProject(match, project) {
+    if (match.name) {
+      const patterns = [].concat(match.name);
+      if (
+        !project.name ||
+        !patterns.some((pattern) => minimatch(project.name, pattern, { nocase: true }))
+      ) {
+        return false;
+      }
+    }
+
+    if (match.tags) {
+      const tags = project.tags || [];
+      if (![].concat(match.tags).some((tag) => tags.includes(tag))) {
+        return false;
+      }
+    }
+
+    return Boolean(match.name || match.tags);
+  }
+
+  /**
+   * Assess a project's health from its scan data
+   *
+   * @param {Object} scanData - Scan data from ProjectMonitor.performScan()
+   * @param {{name: string, tags?: string[], rules?: Object[]}} [project] - Selects
+   *   per-project overrides; `rules` are the project's own rule patches
+   * @returns {{status: string, score: number, issues: string[], recommendations: string[], rules: string[]}}
+   */
+  assess(scanData, project = { name: scanData.project }) {
+    const facts = this.collectFacts(scanData);
+    const health = {
+      status: "healthy",
+      score: 100,
+      issues: [],
+      recommendations: [],
+      rules: [],
+    };
+
+    for (const rule of this.rulesFor(project)) {
+      if (rule.enabled === false || !this.evaluate(rule.when, facts, scanData)) {
+        continue;
+      }
+
+      health.rules.push(rule.id);
+      health.score -= rule.penalty || 0;
+
+      if (rule.status && STATUS_SEVERITY[rule.status] > STATUS_SEVERITY[health.status]) {
+        health.status = rule.status;
+      }
+
+      const issue = this.render(rule.issue, facts, scanData);
+      if (issue) {
+        health.issues.push(issue);
+      }
+
+      const recommendation = this.render(rule.recommendation, facts, scanData);
+      if (recommendation && !health.recommendations.includes(recommendation)) {
+        health.recommendations.push(recommendation);
+      }
+    }
+
+    return health;
+  }
+
+  /**
+   * Evaluate a condition: a function of (facts, scanData), an all/any/not
+   * group, or a metric path with comparison operators
+   */
+  evaluate(condition, facts, scanData) {
+    if (typeof condition === "function") {
+      return Boolean(condition(facts, scanData));
+    }
+    if (!condition || typeof condition !== "object") {
+      throw new Error(`Invalid health rule condition: ${JSON.stringify(condition)}`);
+    }
+
+    if (condition.all) return condition.all.every((c) => this.evaluate(c, facts, scanData));
+    if (condition.any) return condition.any.some((c) => this.evaluate(c, facts, scanData));
+    if (condition.not) return !this.evaluate(condition.not, facts, scanData);
+
+    const operators = Object.keys(OPERATORS).filter((operator) => operator in condition);
+    if (!condition.metric || operators.length === 0) {
+      throw new Error(`Invalid health rule condition: ${JSON.stringify(condition)}`);
+    }
+
+    // Metrics that do not apply to a project (e.g. Git metrics without a repository) never match
+    const value = this.lookup(facts, condition.metric);
+    if (value === null || value === undefined) {
+      return false;
+    }
+
+    return operators.every((operator) => OPERATORS[operator](value, condition[operator]));
+  }
+
+  /**
+   * Fill `{metric.path}` placeholders in an issue or recommendation
+   */
+  render(template, facts, scanData) {
+    if (typeof template === "function") {
+      return template(facts, scanData);
+    }
+    if (!template) {
+      return null;
+    }
+    return template.replace(/\{([\w.]+)\}/g, (placeholder, metric) => {
+      const value = this.lookup(facts, metric);
+      return value === null || value === undefined ? placeholder : String(value);
+    });
+  }
+
+  lookup(facts, metric) {
+    return metric
+      .split(".")
+      .reduce((value, key) => (value == null ? undefined : value[key]), facts);
+  }
+
+  /**
+   * Metrics that rule conditions can refer to, derived from the scan data
+   */
+  collectFacts(scanData) {
+    const git = scanData.git || {};
+    const hasGit = Boolean(git.hasGit);
+    const branches = git.branches || [];
+    const documentation = scanData.documentation;
+    const github = scanData.github;
+
+    return {
+      project: scanData.project,
+      priority: scanData.priority,
+      git: {
+        hasGit,
+        daysSinceCommit: hasGit && git.lastCommitDate ? this.daysSince(git.lastCommitDate) : null,
+        uncommittedChanges: hasGit ? git.uncommittedChanges || 0 : null,
+        commitsBehind: hasGit ? git.commitsBehind || 0 : null,
+        commitsAhead: hasGit ? git.commitsAhead || 0 : null,
+        // commitsAhead/commitsBehind compare with this branch; scans from before
+        // default-branch detection always compared with main
+        defaultBranch: hasGit ? git.defaultBranch || "main" : null,
+        upstreamAhead: git.upstream ? git.upstream.ahead : null,
+        upstreamBehind: git.upstream ? git.upstream.behind : null,
+        // Fork's default branch against the default branch it was forked from
+        forkAhead: git.fork ? git.fork.ahead : null,
+        forkBehind: git.fork ? git.fork.behind : null,
+        // Submodules pinned behind the head of their remote, worktrees with uncommitted changes
+        outdatedSubmodules: hasGit
+          ? (git.submodules || []).filter((submodule) => submodule.outOfDate).length
+          : null,
+        dirtyWorktrees: hasGit
+          ? (git.worktrees || []).filter((worktree) => worktree.uncommittedChanges > 0).length
+          : null,
+        staleBranches: hasGit
+          ? branches.filter((branch) => branch.daysSinceActivity > this.thresholds.staleDays).length
+          : null,
+        branchCount: hasGit ? branches.length : null,
+        recentCommits: hasGit ? (git.recentCommits || []).length : null,
+        currentBranch: git.currentBranch || null,
+      },
+      filesystem: {
+        recentlyModified: scanData.filesystem?.recentlyModified || 0,
+        hasTrackdown: Boolean(scanData.filesystem?.hasTrackdown),
+      },
+      documentation: documentation
+        ? {
+            score: documentation.documentationScore,
+            hasProperStructure: documentation.hasProperStructure,
+            hasTrackdownBacklog: documentation.hasTrackdownBacklog,
+          }
+        : {},
+      github: github?.connected
+        ? {
+            openIssues: github.openIssues,
+            criticalIssues: github.issues.filter(
+              (issue) =>
+                issue.state === "open" &&
+                (issue.labels || []).some((label) => /critical/i.test(label.name || label)),
+            ).length,
+          }
+        : {},
+    };
+  }
+
+  daysSince(dateString) {
+    const diffTime = Math.abs(Date.now() - new Date(dateString));
+    return Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+  }
+}
+
+module.exports = HealthRuleEngine;
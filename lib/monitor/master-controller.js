@@ -12,6 +12,25 @@ const fs = require("node:fs");
 const path = require("node:path");
 const { spawn, fork } = require("node:child_process");
 const EventEmitter = require("node:events");
+const TimeSeriesStore = require("../storage/time-series-store");
+const ProjectClassifier = require("./project-classifier");
+const HealthRuleEngine = require("./health-rules");
+const Notifier = require("../notifications/notifier");
+const AlertManager = require("./alert-manager");
+const { ConfigurationError } = require("../utils/error-handler");
+const { InProcessTransport, IpcTransport, ChannelTransport } = require("./monitor-transport");
+const ScanScheduler = require("./scan-scheduler");
+const ProjectWatcher = require("./project-watcher");
+const RemoteFetcher = require("./remote-fetcher");
+const GitHostRegistry = require("../hosts/host-registry");
+const { readGitLayout, canonicalPath } = require("../utils/git-layout");
+const { readProjectIdentity, checkoutSuffix } = require("../utils/project-identity");
+const ProjectIdentities = require("../storage/project-identities");
+const {
+  loadProjectManifest,
+  applyManifest,
+  loadPortfolioIgnore,
+} = require("../config/project-manifest");
 
 class PortfolioMasterController extends EventEmitter {
   constructor(options = {}) {
@@ -27,7 +46,10 @@ class PortfolioMasterController extends EventEmitter {
       scanInterval: this.fullConfig.monitoring?.updateInterval || 5 * 60 * 1000,
       maxProcesses: this.fullConfig.monitoring?.maxConcurrentScans || 20,
       healthCheckInterval: 60 * 1000, // 1 minute
+      monitorTimeout: 3 * 60 * 1000, // Forked monitors silent this long are restarted
+      isolation: this.fullConfig.monitoring?.isolation || "in-process",
       reportGenerationInterval: 30 * 60 * 1000, // 30 minutes
+      storageMaintenanceInterval: 60 * 60 * 1000, // 1 hour
       logLevel: this.fullConfig.logging?.level || "info",
       outputDir: path.join(this.dataDir, "reports"),
       dataDir: this.dataDir,
@@ -36,12 +58,52 @@ class PortfolioMasterController extends EventEmitter {
       monitoring: this.fullConfig.monitoring || {},
     };
 
+    this.store =
+      options.store ||
+      TimeSeriesStore.fromConfig({ ...this.fullConfig.data, directory: this.dataDir });
+
+    this.classifier = new ProjectClassifier(this.fullConfig.business);
+    this.healthRules = new HealthRuleEngine(this.fullConfig, { baseDir: this.workingDir });
+    this.alerts = options.alerts || new AlertManager({ file: path.join(this.dataDir, "alerts.json") });
+    this.identities =
+      options.identities ||
+      new ProjectIdentities({ file: path.join(this.dataDir, "projects.json") });
+    this.notifier =
+      options.notifier ||
+      new Notifier(this.fullConfig.notifications, {
+        log: (message, level) => this.log(message, level),
+      });
+
+    // Bounded scan queue shared by every project monitor
+    this.scheduler = new ScanScheduler({
+      concurrency: this.config.maxProcesses,
+      jitter: this.config.monitoring.scanJitter,
+      maxBackoff: this.config.monitoring.maxScanBackoff,
+      runScan: (projectName, options) => this.runProjectScan(projectName, options),
+    });
+    this.scheduler.on("scan_failed", ({ project, error, failures, retryAt }) => {
+      this.log(`⚠️ Scan of ${project} failed ${failures}x (${error.message}), retrying at ${retryAt}`, "warn");
+    });
+    // One fetch throttle for every monitor; forked monitors share it through the state file
+    this.remoteFetcher = new RemoteFetcher({
+      interval: this.fullConfig.git?.fetchInterval,
+      timeout: this.fullConfig.git?.remoteTimeout,
+      file: path.join(this.dataDir, "remote-fetch.json"),
+    });
+    // One issue tracker client per Git host, so in-process monitors share its rate limit
+    this.hosts = options.hosts || new GitHostRegistry(this.fullConfig);
+    this.pendingScans = new Map();
+    this.scanRequestCount = 0;
+    this.watchers = new Map();
+
     this.projectMonitors = new Map();
+    this.workers = [];
     this.projectRegistry = new Map();
     this.isRunning = false;
     this.scanTimer = null;
     this.healthCheckTimer = null;
     this.reportTimer = null;
+    this.maintenanceTimer = null;
 
     this.log("Master Controller initialized", "info");
   }
@@ -53,11 +115,15 @@ class PortfolioMasterController extends EventEmitter {
     this.log("🚀 Starting Portfolio Monitoring System", "info");
 
     try {
+      // Import legacy snapshot files and apply retention before new data arrives
+      this.prepareStorage();
+
       // Discover all projects in portfolio
       await this.discoverProjects();
 
-      // Start monitoring processes for each project
+      // Start monitoring processes for each project, then let the scheduler scan them
       await this.startProjectMonitors();
+      this.scheduler.start();
 
       // Begin periodic scans and health checks
       this.startPeriodicTasks();
@@ -73,8 +139,11 @@ class PortfolioMasterController extends EventEmitter {
 
   /**
    * Discover all software projects in the portfolio
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.record] - See registerProjects()
    */
-  async discoverProjects() {
+  async discoverProjects(options = {}) {
     this.log("🔍 Discovering projects in portfolio...", "info");
 
     const directories = this.config.directories;
@@ -86,6 +155,7 @@ class PortfolioMasterController extends EventEmitter {
     const trackedDirs = directories.tracked || directories.include || [];
     this.log(`🔍 Debug: directories = ${JSON.stringify(directories)}`, "debug");
     this.log(`🔍 Debug: trackedDirs = ${JSON.stringify(trackedDirs)}`, "debug");
+    const candidates = [];
     if (trackedDirs && trackedDirs.length > 0) {
       // Scan each tracked directory for projects inside it
       for (const trackedPath of trackedDirs) {
@@ -97,13 +167,7 @@ class PortfolioMasterController extends EventEmitter {
           
           for (const entry of entries) {
             if (entry.isDirectory() && !entry.name.startsWith(".")) {
-              const projectPath = path.join(trackedPath, entry.name);
-              const project = await this.analyzeProject(projectPath, entry.name);
-
-              if (project) {
-                this.projectRegistry.set(entry.name, project);
-                this.log(`📁 Registered project: ${entry.name} (${project.type})`, "debug");
-              }
+              candidates.push([path.join(trackedPath, entry.name), entry.name]);
             }
           }
         }
@@ -115,21 +179,189 @@ class PortfolioMasterController extends EventEmitter {
 
       for (const entry of entries) {
         if (entry.isDirectory() && !entry.name.startsWith(".")) {
-          const projectPath = path.join(projectsRoot, entry.name);
-          const project = await this.analyzeProject(projectPath, entry.name);
-
-          if (project) {
-            this.projectRegistry.set(entry.name, project);
-            this.log(`📁 Registered project: ${entry.name} (${project.type})`, "debug");
-          }
+          candidates.push([path.join(projectsRoot, entry.name), entry.name]);
         }
       }
     }
 
+    const projects = [];
+    for (const [projectPath, name] of candidates) {
+      const project = await this.analyzeProject(projectPath, name);
+      if (project) {
+        projects.push(project);
+      }
+    }
+    await this.registerProjects(projects, options);
+
+    this.groupLinkedCheckouts();
+    this.disambiguateDisplayNames();
+
     this.log(`📋 Discovered ${this.projectRegistry.size} projects`, "info");
+    this.emit("discovery_complete", { projects: Array.from(this.projectRegistry.keys()) });
     return Array.from(this.projectRegistry.values());
   }
 
+  /**
+   * Register projects under their project IDs, which come from the first
+   * commit and remote of their repository (see project-identity.js), so they
+   * survive moves and renames. Projects without commits keep their directory
+   * name as ID. A checkout sharing its ID with one registered before, such
+   * as a second clone, gets a suffix from its path.
+   *
+   * @param {Object[]} projects
+   * @param {Object} [options]
+   * @param {boolean} [options.record] - Record where each ID was seen and move
+   *   data to new IDs; false leaves the data directory untouched
+   */
+  async registerProjects(projects, { record = true } = {}) {
+    // Repositories before their linked worktrees and submodules, which share their identity
+    const ordered = [...projects].sort(
+      (a, b) => Boolean(a.linkedTo) - Boolean(b.linkedTo) || a.path.localeCompare(b.path),
+    );
+    const nameCounts = new Map();
+    for (const project of projects) {
+      nameCounts.set(project.name, (nameCounts.get(project.name) || 0) + 1);
+    }
+
+    for (const project of ordered) {
+      const identity = project.hasGit ? await this.readIdentity(project.path) : null;
+      let id = identity?.id || project.name;
+      if (this.projectRegistry.has(id)) {
+        id = `${id}-${checkoutSuffix(canonicalPath(project.path))}`;
+      }
+      project.id = id;
+
+      if (identity && record) {
+        const previous = this.identities.findByPath(project.path);
+        const { known, movedFrom } = this.identities.record(id, {
+          path: project.path,
+          name: project.name,
+          rootCommit: identity.rootCommit,
+          remote: identity.remote,
+        });
+        if (movedFrom) {
+          this.log(`🚚 ${project.name} moved from ${movedFrom} to ${project.path}`, "info");
+          this.emit("project_moved", { project: id, from: movedFrom, to: project.path });
+        }
+        if (!known && this.isReidentified(previous, id, identity)) {
+          // Same repository at the same path under a new ID, after its remote
+          // was added, changed or renamed
+          this.log(`🔀 ${project.name} changed its project ID from ${previous.id} to ${id}`, "info");
+          this.migrateProjectData(previous.id, id);
+          this.identities.forget(previous.id);
+        } else if (!known && nameCounts.get(project.name) === 1) {
+          // Data stored under the directory name before projects had IDs; only
+          // unambiguous when no other project has that name
+          this.migrateProjectData(project.name, id);
+        }
+      }
+
+      this.projectRegistry.set(id, project);
+      this.log(`📁 Registered project: ${project.name} as ${id} (${project.type})`, "debug");
+    }
+  }
+
+  /**
+   * Whether the identity last seen at a project's path is the same
+   * repository under another ID, and not a project registered in this run
+   */
+  isReidentified(previous, id, identity) {
+    return Boolean(
+      previous &&
+        previous.id !== id &&
+        previous.rootCommit === identity.rootCommit &&
+        !this.projectRegistry.has(previous.id),
+    );
+  }
+
+  /**
+   * A repository's identity, reusing the root commit found when it was last
+   * seen at the same path
+   */
+  async readIdentity(projectPath) {
+    try {
+      return await readProjectIdentity(projectPath, {
+        rootCommit: this.identities.findByPath(projectPath)?.rootCommit,
+      });
+    } catch (error) {
+      this.log(`⚠️ Could not identify ${projectPath}: ${error.message}`, "warn");
+      return null;
+    }
+  }
+
+  /**
+   * Move stored data and alerts from a project's directory name or former ID
+   * to its ID
+   */
+  migrateProjectData(from, id) {
+    if (from === id) {
+      return;
+    }
+
+    try {
+      const storeMoved = this.store.renameProject(from, id);
+      const alertsMoved = this.alerts.renameProject(from, id);
+      if (storeMoved || alertsMoved > 0) {
+        this.log(`📦 Moved data of ${from} to project ID ${id}`, "info");
+      }
+    } catch (error) {
+      this.log(`⚠️ Could not move data of ${from} to ${id}: ${error.message}`, "warn");
+    }
+  }
+
+  /**
+   * Projects sharing a display name are told apart by their parent
+   * directory, or their path when that is shared too
+   */
+  disambiguateDisplayNames() {
+    const groups = new Map();
+    for (const project of this.projectRegistry.values()) {
+      const group = groups.get(project.displayName) || [];
+      group.push(project);
+      groups.set(project.displayName, group);
+    }
+
+    for (const [displayName, group] of groups) {
+      if (group.length < 2) continue;
+
+      const parents = group.map((project) => path.basename(path.dirname(project.path)));
+      const unique = new Set(parents).size === parents.length;
+      group.forEach((project, index) => {
+        const where = unique ? parents[index] : path.relative(this.workingDir, project.path);
+        project.displayName = `${displayName} (${where})`;
+      });
+    }
+  }
+
+  /**
+   * Name a project is shown by in logs and notifications
+   */
+  displayNameOf(projectName) {
+    return this.projectRegistry.get(projectName)?.displayName || projectName;
+  }
+
+  /**
+   * Register linked worktrees and submodule checkouts with the repository
+   * they belong to rather than as projects of their own. The repository's
+   * monitor reports their branch and state. Ones whose repository is not
+   * tracked stay projects.
+   */
+  groupLinkedCheckouts() {
+    const byPath = new Map(
+      [...this.projectRegistry.values()].map((project) => [canonicalPath(project.path), project]),
+    );
+
+    for (const [id, project] of this.projectRegistry) {
+      const parent = project.linkedTo && byPath.get(project.linkedTo.path);
+      if (parent && parent !== project) {
+        const list = project.linkedTo.kind === "worktree" ? parent.worktrees : parent.submodules;
+        list.push({ name: project.name, path: project.path });
+        this.projectRegistry.delete(id);
+        this.log(`📁 ${project.name} is a ${project.linkedTo.kind} of ${parent.name}`, "debug");
+      }
+    }
+  }
+
   /**
    * Analyze individual project to determine monitoring requirements
    */
@@ -141,25 +373,51 @@ class PortfolioMasterController extends EventEmitter {
         return null;
       }
 
+      // The repository's own .portfolio.yml; an invalid one is reported and left out
+      let manifest = null;
+      let manifestError = null;
+      try {
+        manifest = loadProjectManifest(projectPath);
+      } catch (error) {
+        manifestError = error.message;
+        this.log(`⚠️ Ignoring ${projectName}/${error.message}`, "warn");
+      }
+
       // Determine project type and business value
-      const hasGit = fs.existsSync(path.join(projectPath, ".git"));
+      // A .git file is a linked worktree or submodule checkout
+      const gitLayout = readGitLayout(projectPath);
+      const hasGit = Boolean(gitLayout);
       const hasPackageJson = fs.existsSync(path.join(projectPath, "package.json"));
       const hasPyprojectToml = fs.existsSync(path.join(projectPath, "pyproject.toml"));
-      const hasTrackdown = fs.existsSync(path.join(projectPath, "trackdown"));
-
-      // Determine business priority based on directory structure
-      const businessPriority = this.determinePriority(projectName, projectPath);
+      const hasTrackdown = fs.existsSync(
+        path.join(projectPath, manifest?.trackdown || "trackdown"),
+      );
+
+      // Business priority, revenue impact and ownership come from the configured
+      // rules, unless the manifest sets them
+      const classification = applyManifest(
+        this.classifier.classify({ name: projectName, path: projectPath }),
+        manifest,
+      );
       const projectType = this.determineProjectType(projectName, hasPackageJson, hasPyprojectToml);
 
       return {
         name: projectName,
+        displayName: manifest?.name || projectName,
+        description: manifest?.description || null,
         path: projectPath,
         type: projectType,
-        priority: businessPriority,
+        priority: classification.priority,
+        classification,
         hasGit,
+        linkedTo: gitLayout?.parentPath ? { kind: gitLayout.kind, path: gitLayout.parentPath } : null,
+        worktrees: [],
+        submodules: [],
         hasPackageJson,
         hasPyprojectToml,
         hasTrackdown,
+        manifest,
+        manifestError,
         lastScan: null,
         health: "unknown",
         monitor: null,
@@ -170,35 +428,6 @@ class PortfolioMasterController extends EventEmitter {
     }
   }
 
-  /**
-   * Determine business priority based on project categorization
-   */
-  determinePriority(projectName, projectPath) {
-    // Revenue-generating projects (highest priority)
-    if (
-      ["ai-power-rankings", "matsuoka-com", "scraper-engine"].includes(projectName) ||
-      projectPath.includes("/Clients/")
-    ) {
-      return "HIGH";
-    }
-
-    // Strategic development projects
-    if (["eva-agent", "eva-monorepo", "hot-flash", "ai-code-review"].includes(projectName)) {
-      return "MEDIUM";
-    }
-
-    // Infrastructure and support projects
-    if (
-      projectPath.includes("/docs/") ||
-      projectPath.includes("/Github/") ||
-      projectPath.includes("/_archive/")
-    ) {
-      return "LOW";
-    }
-
-    return "MEDIUM"; // Default priority
-  }
-
   /**
    * Determine project type based on technical indicators
    */
@@ -217,13 +446,9 @@ class PortfolioMasterController extends EventEmitter {
 
     let startedCount = 0;
 
+    // Every project gets a monitor; the scheduler limits how many scan at once
     for (const [projectName, project] of this.projectRegistry) {
       try {
-        if (startedCount >= this.config.maxProcesses) {
-          this.log(`⚠️ Reached max processes limit (${this.config.maxProcesses})`, "warn");
-          break;
-        }
-
         await this.startProjectMonitor(projectName, project);
         startedCount++;
 
@@ -241,33 +466,405 @@ class PortfolioMasterController extends EventEmitter {
    * Start monitoring process for individual project
    */
   async startProjectMonitor(projectName, project) {
-    // Use direct instantiation instead of forking for better integration
+    try {
+      const handle =
+        this.config.isolation === "process"
+          ? this.forkProjectMonitor(projectName, project)
+          : await this.startInProcessMonitor(projectName, project);
+
+      // Store reference
+      this.projectMonitors.set(projectName, handle);
+      project.monitor = handle;
+
+      if (!this.scheduler.has(projectName)) {
+        const watching = this.startProjectWatcher(projectName, project);
+        this.scheduler.add(projectName, {
+          priority: project.priority,
+          interval: watching ? this.config.monitoring.watch.sweepInterval : undefined,
+        });
+      }
+
+      this.log(`✅ Started monitor for ${projectName}`, "info");
+      return handle;
+    } catch (error) {
+      this.log(`❌ Failed to start monitor for ${projectName}: ${error.message}`, "error");
+      throw error;
+    }
+  }
+
+  /**
+   * Run a project monitor inside this process
+   */
+  async startInProcessMonitor(projectName, project) {
     const ProjectMonitor = require("./project-monitor");
+    const [transport, monitorEnd] = InProcessTransport.pair();
+    const handle = this.createMonitorHandle(projectName, transport);
+
+    handle.monitor = new ProjectMonitor({
+      project: projectName,
+      name: project.name,
+      displayName: project.displayName,
+      path: project.path,
+      priority: project.priority,
+      classification: project.classification,
+      manifest: project.manifest,
+      manifestError: project.manifestError,
+      healthRules: this.healthRules,
+      type: project.type,
+      config: this.fullConfig,
+      remoteFetcher: this.remoteFetcher,
+      hosts: this.hosts,
+      transport: monitorEnd,
+      selfSchedule: false,
+    });
 
     try {
-      const monitor = new ProjectMonitor({
-        project: projectName,
+      await handle.monitor.start();
+    } catch (error) {
+      transport.close();
+      throw error;
+    }
+    return handle;
+  }
+
+  /**
+   * Run a project monitor in a worker process, so a scan that hangs or
+   * crashes cannot hold up the projects of other workers. Workers are
+   * shared: at most maxConcurrentScans of them run, each hosting the
+   * monitors of several projects (see monitor-worker.js).
+   */
+  forkProjectMonitor(projectName, project) {
+    const worker = this.acquireWorker();
+    const handle = this.createMonitorHandle(
+      projectName,
+      new ChannelTransport(worker.transport, projectName),
+    );
+    handle.worker = worker;
+    handle.child = worker.child;
+    worker.projects.add(projectName);
+
+    // Options go over IPC rather than the environment, which other processes
+    // can read and every git the monitor runs inherits. Notification
+    // credentials stay here: only the controller sends notifications.
+    const { notifications, ...config } = this.fullConfig;
+    handle.transport.send({
+      type: "start_monitor",
+      data: {
         path: project.path,
+        name: project.name,
+        displayName: project.displayName,
         priority: project.priority,
+        classification: project.classification,
+        manifest: project.manifest,
+        manifestError: project.manifestError,
         type: project.type,
-        config: this.fullConfig,
+        config,
+        fetchStateFile: this.remoteFetcher.file,
+        selfSchedule: false,
+      },
+    });
+
+    return handle;
+  }
+
+  /**
+   * A worker process for one more monitor: a new one while fewer than
+   * maxConcurrentScans run, else the one hosting the fewest projects
+   */
+  acquireWorker() {
+    const running = this.workers.filter((worker) => this.isWorkerAlive(worker));
+    if (running.length < this.config.maxProcesses) {
+      return this.forkWorker();
+    }
+    return running.reduce((least, worker) =>
+      worker.projects.size < least.projects.size ? worker : least,
+    );
+  }
+
+  forkWorker() {
+    const child = fork(path.join(__dirname, "monitor-worker.js"));
+    const worker = {
+      child,
+      transport: new IpcTransport(child),
+      projects: new Set(),
+      lastSeen: Date.now(),
+      stopping: false,
+    };
+    this.workers.push(worker);
+
+    // Any monitor's message shows the worker is not blocked
+    worker.transport.on("message", () => {
+      worker.lastSeen = Date.now();
+    });
+
+    child.on("error", (error) => {
+      this.log(`❌ Monitor worker ${child.pid} failed: ${error.message}`, "error");
+    });
+    child.on("exit", (code, signal) => {
+      worker.transport.close();
+      this.workers = this.workers.filter((other) => other !== worker);
+      for (const projectName of worker.projects) {
+        this.rejectPendingScans(projectName, "its monitor worker exited");
+      }
+      if (!worker.stopping) {
+        // Health checks restart its monitors in other workers
+        this.log(
+          `⚠️ Monitor worker ${child.pid} for ${[...worker.projects].join(", ")} exited (${signal || `code ${code}`})`,
+          "warn",
+        );
+      }
+    });
+
+    return worker;
+  }
+
+  isWorkerAlive(worker) {
+    return worker.child.exitCode === null && worker.child.signalCode === null;
+  }
+
+  /**
+   * Whether a worker still answers: monitors reply to every health check,
+   * so one silent for monitorTimeout is blocked rather than busy scanning
+   */
+  isWorkerResponsive(worker) {
+    return this.isWorkerAlive(worker) && Date.now() - worker.lastSeen <= this.config.monitorTimeout;
+  }
+
+  /**
+   * End a worker process; it gets five seconds to exit before being killed
+   */
+  async stopWorker(worker) {
+    worker.stopping = true;
+    if (!this.isWorkerAlive(worker)) {
+      return;
+    }
+
+    const exited = new Promise((resolve) => worker.child.once("exit", resolve));
+    worker.child.kill("SIGTERM");
+    const killTimer = setTimeout(() => worker.child.kill("SIGKILL"), 5000);
+    await exited;
+    clearTimeout(killTimer);
+  }
+
+  /**
+   * Controller-side record of a running monitor. Every message received
+   * marks the monitor as alive and is handed to handleMonitorMessage().
+   */
+  createMonitorHandle(projectName, transport) {
+    const handle = {
+      project: projectName,
+      transport,
+      monitor: null,
+      worker: null,
+      child: null,
+      lastSeen: Date.now(),
+      stopping: false,
+    };
+
+    transport.on("message", (message) => {
+      handle.lastSeen = Date.now();
+      Promise.resolve()
+        .then(() => this.handleMonitorMessage(projectName, message))
+        .catch((error) => {
+          this.log(`❌ Failed to handle ${message.type} from ${projectName}: ${error.message}`, "error");
+        });
+    });
+
+    return handle;
+  }
+
+  /**
+   * Watch a Git project in watch mode, so changes trigger incremental scans
+   * and the scan interval only serves as a slow safety-net sweep
+   *
+   * @returns {boolean} Whether the project is watched
+   */
+  startProjectWatcher(projectName, project) {
+    const watch = this.config.monitoring.watch;
+    if (!watch?.enabled || !project.hasGit || this.watchers.has(projectName)) {
+      return this.watchers.has(projectName);
+    }
+
+    const watcher = new ProjectWatcher({
+      path: project.path,
+      debounce: watch.debounce,
+      maxDirectories: watch.maxDirectories,
+      ignore: this.config.directories.exclude,
+      ignorePath: loadPortfolioIgnore(project.path),
+    });
+
+    watcher.on("change", ({ analyzers }) => {
+      this.log(`👀 Change in ${projectName}, rescanning ${analyzers.join(", ")}`, "debug");
+      this.scheduler.scanNow(projectName, { analyzers });
+    });
+    watcher.on("limit", ({ directories }) => {
+      this.log(`⚠️ Watching only the first ${directories} directories of ${projectName}`, "warn");
+    });
+    watcher.on("error", (error) => {
+      // Without a watcher the project goes back to regular polling
+      this.log(`⚠️ Stopped watching ${projectName}: ${error.message}`, "warn");
+      this.watchers.delete(projectName);
+      this.scheduler.setInterval(projectName, ScanScheduler.intervalFor(project.priority));
+    });
+
+    this.watchers.set(projectName, watcher);
+    watcher.start();
+    return this.watchers.has(projectName);
+  }
+
+  /**
+   * Scan one project through its monitor; called by the scheduler
+   *
+   * @param {string} projectName
+   * @param {Object} [options]
+   * @param {string[]} [options.analyzers] - Rescan only these, for an incremental scan
+   */
+  async runProjectScan(projectName, { analyzers } = {}) {
+    const handle = this.projectMonitors.get(projectName);
+    if (!handle || handle.stopping || !this.isMonitorAlive(handle)) {
+      throw new Error(`No running monitor for ${projectName}`);
+    }
+
+    if (handle.monitor) {
+      const scanData = analyzers
+        ? await handle.monitor.performIncrementalScan(analyzers)
+        : await handle.monitor.performScan();
+      if (scanData.error) {
+        throw new Error(scanData.error);
+      }
+      return;
+    }
+
+    await this.requestScan(handle, analyzers);
+  }
+
+  /**
+   * Ask a forked monitor to scan and wait for its scan_complete reply. A
+   * monitor that does not reply in time is restarted, and its worker too
+   * when that has stopped answering altogether.
+   */
+  requestScan(handle, analyzers) {
+    const requestId = `${handle.project}:${++this.scanRequestCount}`;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingScans.delete(requestId);
+        reject(new Error(`Scan of ${handle.project} timed out`));
+        this.restartProjectMonitor(handle.project);
+      }, this.config.monitorTimeout);
+
+      this.pendingScans.set(requestId, { project: handle.project, resolve, reject, timer });
+
+      const sent = handle.transport.send({
+        type: "force_scan",
+        data: { requestId, analyzers },
+        timestamp: new Date().toISOString(),
       });
+      if (!sent) {
+        this.settleScanRequest({ requestId, error: `Monitor for ${handle.project} is not connected` });
+      }
+    });
+  }
 
-      // Start the monitor
-      await monitor.start();
+  settleScanRequest({ requestId, error }) {
+    const pending = this.pendingScans.get(requestId);
+    if (!pending) return;
 
-      // Store reference
-      this.projectMonitors.set(projectName, monitor);
-      project.monitor = monitor;
+    clearTimeout(pending.timer);
+    this.pendingScans.delete(requestId);
+    if (error) {
+      pending.reject(new Error(error));
+    } else {
+      pending.resolve();
+    }
+  }
 
-      this.log(`✅ Started monitor for ${projectName}`, "info");
-      return monitor;
-    } catch (error) {
-      this.log(`❌ Failed to start monitor for ${projectName}: ${error.message}`, "error");
-      throw error;
+  /**
+   * Fail a project's scans still waiting on its monitor, which will not reply
+   */
+  rejectPendingScans(projectName, reason) {
+    for (const [requestId, pending] of this.pendingScans) {
+      if (pending.project === projectName) {
+        this.settleScanRequest({ requestId, error: `Scan of ${projectName} failed: ${reason}` });
+      }
     }
   }
 
+  /**
+   * Queue a project's next scan ahead of every other project
+   *
+   * @returns {boolean} false for a project that is not monitored
+   */
+  scanNow(projectName) {
+    return this.scheduler.scanNow(projectName);
+  }
+
+  /**
+   * Fetch every Git project's remote now, regardless of the fetch interval,
+   * and rescan the commit status of each project that was fetched
+   *
+   * @returns {Promise<Object[]>} Remote state of each project, see RemoteFetcher
+   */
+  async fetchAll() {
+    if (this.fullConfig.git?.enableRemoteCheck === false) {
+      throw new ConfigurationError("Remote checks are disabled", "git.enableRemoteCheck", false);
+    }
+
+    const queue = [...this.projectRegistry.entries()].filter(([, project]) => project.hasGit);
+    const results = [];
+
+    // Fetch through as many workers as scans may run at once
+    const worker = async () => {
+      while (queue.length > 0) {
+        const [projectName, project] = queue.shift();
+        const remote = await this.remoteFetcher.fetch(project.path, { force: true });
+        results.push({ project: projectName, ...remote });
+        if (remote.status === "fetched") {
+          this.scheduler.scanNow(projectName, { analyzers: ["commits"] });
+        }
+      }
+    };
+    await Promise.all(
+      Array.from({ length: Math.min(this.config.maxProcesses, queue.length) }, worker),
+    );
+
+    const unreachable = results.filter((result) => result.stale).length;
+    this.log(
+      `🔄 Fetched ${results.length - unreachable} of ${results.length} remotes${unreachable ? `, ${unreachable} unreachable or failing` : ""}`,
+      "info",
+    );
+    return results.sort((a, b) => a.project.localeCompare(b.project));
+  }
+
+  isMonitorAlive(handle) {
+    if (handle.child) {
+      return handle.child.exitCode === null && handle.child.signalCode === null;
+    }
+    return Boolean(handle.monitor?.isRunning);
+  }
+
+  /**
+   * Stop a monitor. A worker process ends with the last monitor it hosts.
+   */
+  async stopMonitor(handle) {
+    handle.stopping = true;
+
+    if (handle.monitor) {
+      handle.monitor.stop();
+    }
+
+    if (handle.worker) {
+      this.rejectPendingScans(handle.project, "its monitor stopped");
+      handle.transport.send({ type: "stop_monitor", timestamp: new Date().toISOString() });
+      handle.worker.projects.delete(handle.project);
+      if (handle.worker.projects.size === 0) {
+        await this.stopWorker(handle.worker);
+      }
+    }
+
+    handle.transport.close();
+  }
+
   /**
    * Handle messages from project monitor subprocesses
    */
@@ -284,7 +881,17 @@ class PortfolioMasterController extends EventEmitter {
         break;
 
       case "alert":
-        this.handleProjectAlert(projectName, data);
+        return this.handleProjectAlert(projectName, data);
+
+      case "alerts":
+        return this.processAlertScan(projectName, data.alerts);
+
+      case "health_response":
+        // The handle's lastSeen is all a health check needs
+        break;
+
+      case "scan_complete":
+        this.settleScanRequest(data);
         break;
 
       case "error":
@@ -302,9 +909,19 @@ class PortfolioMasterController extends EventEmitter {
   updateProjectHealth(projectName, healthData) {
     const project = this.projectRegistry.get(projectName);
     if (project) {
+      const previous = project.health;
       project.health = healthData.status;
       project.lastScan = healthData.timestamp;
 
+      if (previous !== healthData.status) {
+        this.emit("health_change", {
+          project: projectName,
+          previous: previous || null,
+          status: healthData.status,
+          score: healthData.details?.score ?? null,
+        });
+      }
+
       // Save health data to file
       this.saveProjectData(projectName, "health", healthData);
 
@@ -329,44 +946,114 @@ class PortfolioMasterController extends EventEmitter {
   }
 
   /**
-   * Handle alert from project monitor
+   * Handle a single alert from a project monitor. Repeats of an alert that is
+   * already tracked only update it; notifications go out when it opens.
+   *
+   * @returns {Promise<Object[]>} Delivery results per notification channel
    */
   handleProjectAlert(projectName, alertData) {
-    const { severity, message, details } = alertData;
+    const { alert, opened } = this.alerts.record(projectName, alertData);
+    return opened ? this.openAlert(projectName, alert) : Promise.resolve([]);
+  }
 
-    this.log(`🚨 ALERT [${severity}] ${projectName}: ${message}`, "warn");
+  /**
+   * Handle the complete set of alerts from one scan: new alerts open and
+   * alerts the scan no longer raises resolve
+   *
+   * @returns {Promise<Object[]>} Delivery results per notification channel
+   */
+  async processAlertScan(projectName, alerts = []) {
+    const { opened, resolved } = this.alerts.reconcile(projectName, alerts);
+
+    for (const alert of resolved) {
+      this.log(`✅ Alert resolved for ${this.displayNameOf(projectName)}: ${alert.message}`, "info");
+      this.saveProjectData(projectName, "alerts", { ...alert, event: "resolved" });
+      this.emit("alert_resolved", { project: projectName, alert });
+    }
+
+    const results = [];
+    for (const alert of opened) {
+      results.push(...(await this.openAlert(projectName, alert)));
+    }
+    return results;
+  }
+
+  openAlert(projectName, alert) {
+    const { severity, message } = alert;
+
+    this.log(`🚨 ALERT [${severity}] ${this.displayNameOf(projectName)}: ${message}`, "warn");
 
     // Save alert data
     this.saveProjectData(projectName, "alerts", {
-      ...alertData,
+      ...alert,
+      event: "opened",
       timestamp: new Date().toISOString(),
     });
 
     // Emit alert event
-    this.emit("project_alert", { project: projectName, alert: alertData });
+    this.emit("project_alert", { project: projectName, alert });
 
-    // Send immediate notification for critical alerts
-    if (severity === "CRITICAL") {
-      this.sendCriticalAlert(projectName, alertData);
+    // Without configured channels, critical alerts are still printed
+    if (!this.notifier.hasChannels()) {
+      if (severity === "CRITICAL") {
+        this.sendCriticalAlert(projectName, alert);
+      }
+      return Promise.resolve([]);
     }
+
+    const project = this.projectRegistry.get(projectName);
+    return this.notifier.notify({
+      ...alert,
+      project: this.displayNameOf(projectName),
+      projectId: projectName,
+      name: project?.name,
+      owner: project?.classification?.owner,
+      tags: project?.classification?.tags,
+    });
   }
 
   /**
-   * Save project data to file system
+   * Save project data to the time-series store
    */
   saveProjectData(projectName, dataType, data) {
     try {
-      const dataDir = path.join(this.config.dataDir, projectName);
-      if (!fs.existsSync(dataDir)) {
-        fs.mkdirSync(dataDir, { recursive: true });
+      this.store.append(projectName, dataType, data);
+    } catch (error) {
+      this.log(`❌ Failed to save data for ${projectName}: ${error.message}`, "error");
+    }
+  }
+
+  /**
+   * Migrate legacy snapshot files into the store, then run maintenance
+   */
+  prepareStorage() {
+    try {
+      const migration = this.store.migrateSnapshots();
+      if (migration.imported > 0 || migration.discarded > 0) {
+        this.log(
+          `📦 Migrated ${migration.imported} snapshots from ${migration.projects} projects (${migration.discarded} past retention)`,
+          "info",
+        );
+      }
+      for (const failure of migration.failed) {
+        this.log(`⚠️ Could not migrate ${failure.file}: ${failure.error}`, "warn");
       }
+    } catch (error) {
+      this.log(`❌ Snapshot migration failed: ${error.message}`, "error");
+    }
 
-      const filename = `${dataType}-${Date.now()}.json`;
-      const filepath = path.join(dataDir, filename);
+    this.performStorageMaintenance();
+  }
 
-      fs.writeFileSync(filepath, JSON.stringify(data, null, 2));
+  /**
+   * Enforce data retention and compact closed segments
+   */
+  performStorageMaintenance() {
+    try {
+      const { removed, compacted } = this.store.maintain();
+      this.log(`🧹 Storage maintenance: ${removed} segments expired, ${compacted} compacted`, "debug");
     } catch (error) {
-      this.log(`❌ Failed to save data for ${projectName}: ${error.message}`, "error");
+      this.log(`❌ Storage maintenance failed: ${error.message}`, "error");
     }
   }
 
@@ -384,6 +1071,11 @@ class PortfolioMasterController extends EventEmitter {
       this.generateReports();
     }, this.config.reportGenerationInterval);
 
+    // Storage retention and compaction timer
+    this.maintenanceTimer = setInterval(() => {
+      this.performStorageMaintenance();
+    }, this.config.storageMaintenanceInterval);
+
     this.log("⏰ Started periodic tasks", "debug");
   }
 
@@ -394,21 +1086,22 @@ class PortfolioMasterController extends EventEmitter {
     let healthyCount = 0;
     let unhealthyCount = 0;
 
-    for (const [projectName, monitor] of this.projectMonitors) {
-      if (monitor && typeof monitor === 'object' && !monitor.killed) {
-        // Direct instantiation - check if monitor has a health check method
-        if (typeof monitor.performHealthCheck === 'function') {
-          try {
-            monitor.performHealthCheck();
-          } catch (error) {
-            this.log(`⚠️ Health check failed for ${projectName}: ${error.message}`, "warn");
-          }
-        }
-        healthyCount++;
-      } else {
+    for (const [projectName, handle] of this.projectMonitors) {
+      if (handle.stopping) continue;
+
+      const silentFor = Date.now() - handle.lastSeen;
+
+      if (!this.isMonitorAlive(handle)) {
         unhealthyCount++;
         this.log(`⚠️ Unhealthy monitor detected: ${projectName}`, "warn");
         this.restartProjectMonitor(projectName);
+      } else if (handle.child && silentFor > this.config.monitorTimeout) {
+        unhealthyCount++;
+        this.log(`⚠️ Monitor for ${projectName} unresponsive for ${Math.round(silentFor / 1000)}s`, "warn");
+        this.restartProjectMonitor(projectName);
+      } else {
+        healthyCount++;
+        handle.transport.send({ type: "health_check", timestamp: new Date().toISOString() });
       }
     }
 
@@ -456,6 +1149,17 @@ class PortfolioMasterController extends EventEmitter {
     fs.writeFileSync(markdownPath, markdownReport);
   }
 
+  /**
+   * Most severe open alerts, as a markdown list
+   */
+  getTopAlerts(limit = 5) {
+    return this.alerts
+      .list({ status: "open" })
+      .slice(0, limit)
+      .map((alert) => `- **${alert.project}** [${alert.severity}] ${alert.message}`)
+      .join("\n");
+  }
+
   /**
    * Get portfolio health overview
    */
@@ -538,10 +1242,16 @@ ${summary.topAlerts || "No critical alerts"}
     const project = this.projectRegistry.get(projectName);
     if (!project) return;
 
-    // Kill existing monitor
+    // Stop existing monitor. A worker that stopped answering altogether only
+    // recovers by ending it; its other monitors fail their pending scans and
+    // the health check restarts them. A worker busy with other projects keeps
+    // running them.
     const existingMonitor = this.projectMonitors.get(projectName);
-    if (existingMonitor && !existingMonitor.killed) {
-      existingMonitor.kill();
+    if (existingMonitor) {
+      if (existingMonitor.worker && !this.isWorkerResponsive(existingMonitor.worker)) {
+        await this.stopWorker(existingMonitor.worker);
+      }
+      await this.stopMonitor(existingMonitor);
     }
 
     // Remove from monitors map
@@ -567,19 +1277,26 @@ ${summary.topAlerts || "No critical alerts"}
 
     this.isRunning = false;
 
+    // Let running scans finish before their monitors stop
+    await this.scheduler.stop();
+
+    for (const watcher of this.watchers.values()) {
+      watcher.close();
+    }
+    this.watchers.clear();
+
     // Clear timers
     if (this.scanTimer) clearInterval(this.scanTimer);
     if (this.healthCheckTimer) clearInterval(this.healthCheckTimer);
     if (this.reportTimer) clearInterval(this.reportTimer);
+    if (this.maintenanceTimer) clearInterval(this.maintenanceTimer);
 
     // Stop all project monitors
-    for (const [projectName, monitor] of this.projectMonitors) {
-      if (monitor && typeof monitor.stop === "function") {
-        try {
-          await monitor.stop();
-        } catch (error) {
-          this.log(`Error stopping monitor for ${projectName}: ${error.message}`, "error");
-        }
+    for (const [projectName, handle] of this.projectMonitors) {
+      try {
+        await this.stopMonitor(handle);
+      } catch (error) {
+        this.log(`Error stopping monitor for ${projectName}: ${error.message}`, "error");
       }
     }
 
@@ -589,10 +1306,9 @@ ${summary.topAlerts || "No critical alerts"}
   }
 
   /**
-   * Send critical alert notification
+   * Print a critical alert when no notification channels are configured
    */
   sendCriticalAlert(projectName, alertData) {
-    // In a real implementation, this would send email/Slack/etc
     console.log(`\n🚨 CRITICAL ALERT 🚨`);
     console.log(`Project: ${projectName}`);
     console.log(`Issue: ${alertData.message}`);
@@ -0,0 +1,145 @@
+/**
+ * Portfolio Monitoring System - Monitor Transport
+ *
+ * Business Purpose: Carry messages between the master controller and project
+ * monitors, whether a monitor runs inside the controller's process or as a
+ * forked child process. Every transport emits "message" for every message
+ * received and delivers with send(message).
+ */
+
+const EventEmitter = require("node:events");
+
+/**
+ * One end of a link between a controller and a monitor in the same process
+ */
+class InProcessTransport extends EventEmitter {
+  constructor() {
+    super();
+    this.peer = null;
+    this.closed = false;
+  }
+
+  /**
+   * Create two connected ends: what one end sends, the other receives
+   *
+   * @returns {[InProcessTransport, InProcessTransport]}
+   */
+  static pair() {
+    const first = new InProcessTransport();
+    const second = new InProcessTransport();
+    first.peer = second;
+    second.peer = first;
+    return [first, second];
+  }
+
+  /**
+   * Deliver a message to the other end. Delivery is asynchronous, as over
+   * IPC, so a failing receiver never breaks the sender's scan.
+   *
+   * @returns {boolean} false once either end is closed
+   */
+  send(message) {
+    if (this.closed || !this.peer || this.peer.closed) {
+      return false;
+    }
+
+    const peer = this.peer;
+    queueMicrotask(() => {
+      if (!peer.closed) {
+        peer.emit("message", message);
+      }
+    });
+    return true;
+  }
+
+  close() {
+    this.closed = true;
+    this.removeAllListeners("message");
+  }
+}
+
+/**
+ * Messages over a Node IPC channel: `process` inside a forked monitor, or
+ * the ChildProcess on the controller side
+ */
+class IpcTransport extends EventEmitter {
+  /**
+   * @param {NodeJS.Process|import("node:child_process").ChildProcess} [channel]
+   */
+  constructor(channel = process) {
+    super();
+    this.channel = channel;
+    this.closed = false;
+    this.onMessage = (message) => this.emit("message", message);
+    channel.on("message", this.onMessage);
+  }
+
+  /**
+   * @returns {boolean} false when there is no connected IPC channel
+   */
+  send(message) {
+    if (this.closed || typeof this.channel.send !== "function" || !this.channel.connected) {
+      return false;
+    }
+
+    try {
+      this.channel.send(message);
+      return true;
+    } catch (error) {
+      // The other side went away between the check and the send
+      return false;
+    }
+  }
+
+  close() {
+    this.closed = true;
+    this.channel.off("message", this.onMessage);
+  }
+}
+
+/**
+ * One monitor's messages over a transport shared by several monitors, as
+ * between the controller and a worker process hosting many projects.
+ * Messages travel as {channel, message}; each end only sees its channel's.
+ */
+class ChannelTransport extends EventEmitter {
+  /**
+   * @param {InProcessTransport|IpcTransport} transport - Shared transport
+   * @param {string} channel - Usually the project ID
+   */
+  constructor(transport, channel) {
+    super();
+    this.transport = transport;
+    this.channel = channel;
+    this.closed = false;
+    this.onMessage = (envelope) => {
+      if (envelope?.channel === channel) {
+        this.emit("message", envelope.message);
+      }
+    };
+    // One listener per channel; a worker may carry hundreds
+    transport.setMaxListeners(transport.getMaxListeners() + 1);
+    transport.on("message", this.onMessage);
+  }
+
+  /**
+   * @returns {boolean} false once this channel or the shared transport is closed
+   */
+  send(message) {
+    if (this.closed) {
+      return false;
+    }
+    return this.transport.send({ channel: this.channel, message });
+  }
+
+  close() {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+    this.transport.off("message", this.onMessage);
+    this.transport.setMaxListeners(Math.max(this.transport.getMaxListeners() - 1, 10));
+  }
+}
+
+module.exports = { InProcessTransport, IpcTransport, ChannelTransport };
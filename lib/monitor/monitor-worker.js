@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+/**
+ * Portfolio Monitoring System - Monitor Worker
+ *
+ * Business Purpose: Child process hosting the monitors of several projects
+ * when `monitoring.isolation` is "process". The master controller forks at
+ * most `monitoring.maxConcurrentScans` workers and spreads the projects over
+ * them, so the number of processes stays bounded however large the
+ * portfolio. Each monitor has its own channel of the worker's IPC link (see
+ * ChannelTransport): `start_monitor` carries a monitor's options, and
+ * `stop_monitor` ends it.
+ */
+
+const ProjectMonitor = require("./project-monitor");
+const { IpcTransport, ChannelTransport } = require("./monitor-transport");
+
+class MonitorWorker {
+  /**
+   * @param {IpcTransport} transport - Link to the master controller
+   */
+  constructor(transport) {
+    this.transport = transport;
+    this.monitors = new Map();
+    this.transport.on("message", (envelope) => this.handleMessage(envelope || {}));
+  }
+
+  handleMessage({ channel, message }) {
+    if (message?.type === "start_monitor") {
+      this.startMonitor(channel, message.data);
+    } else if (message?.type === "stop_monitor") {
+      this.stopMonitor(channel);
+    }
+    // Every other message goes to the monitor on its channel
+  }
+
+  startMonitor(channel, options) {
+    this.stopMonitor(channel);
+
+    const transport = new ChannelTransport(this.transport, channel);
+    const monitor = new ProjectMonitor({ ...options, project: channel, transport });
+    this.monitors.set(channel, monitor);
+
+    monitor.start().catch((error) => {
+      transport.send({
+        type: "error",
+        data: { message: `Failed to start project monitor: ${error.message}` },
+        timestamp: new Date().toISOString(),
+      });
+      this.stopMonitor(channel);
+    });
+  }
+
+  stopMonitor(channel) {
+    const monitor = this.monitors.get(channel);
+    if (!monitor) return;
+
+    monitor.stop();
+    monitor.transport.close();
+    this.monitors.delete(channel);
+  }
+
+  stopAll() {
+    for (const channel of [...this.monitors.keys()]) {
+      this.stopMonitor(channel);
+    }
+  }
+}
+
+// CLI interface
+if (require.main === module) {
+  if (!process.send) {
+    console.error("❌ The monitor worker is started by the master controller");
+    process.exit(1);
+  }
+
+  const worker = new MonitorWorker(new IpcTransport(process));
+  const exit = () => {
+    worker.stopAll();
+    process.exit(0);
+  };
+
+  // Exit with the master controller instead of running on unattended
+  process.on("disconnect", exit);
+
+  // Handle graceful shutdown
+  process.on("SIGINT", exit);
+  process.on("SIGTERM", exit);
+}
+
+module.exports = MonitorWorker;
@@ -0,0 +1,166 @@
+/**
+ * Portfolio Monitoring System - Project Classifier
+ *
+ * Business Purpose: Assign business priority, revenue impact, owner and tags
+ * from configurable rules instead of hardcoded project names
+ */
+
+const fs = require("node:fs");
+const path = require("node:path");
+const { execFileSync } = require("node:child_process");
+const { minimatch } = require("minimatch");
+const { parseRemoteUrl } = require("../utils/git-url");
+
+// Revenue impact → business.priorityMapping category
+const REVENUE_CATEGORIES = {
+  DIRECT_REVENUE: "revenue",
+  STRATEGIC_INVESTMENT: "strategic",
+  COST_SAVINGS: "infrastructure",
+};
+
+class ProjectClassifier {
+  /**
+   * @param {Object} [business] - The `business` configuration section
+   * @param {Object[]} [business.rules] - Classification rules, evaluated in order
+   * @param {Object} [business.defaults] - Classification when no rule matches
+   * @param {Object} [business.priorityMapping] - Priority per revenue category
+   */
+  constructor(business = {}) {
+    this.rules = business.rules || [];
+    this.priorityMapping = {
+      revenue: "HIGH",
+      strategic: "MEDIUM",
+      infrastructure: "LOW",
+      ...business.priorityMapping,
+    };
+    this.defaults = {
+      priority: "MEDIUM",
+      revenueImpact: "COST_SAVINGS",
+      owner: null,
+      tags: [],
+      ...business.defaults,
+    };
+  }
+
+  /**
+   * Classify a project with the first rule whose conditions all match
+   *
+   * A rule without a priority takes it from business.priorityMapping for its
+   * revenue impact. `rule` explains the match and is null when the defaults apply.
+   *
+   * @param {{name: string, path: string}} project
+   * @returns {{priority: string, revenueImpact: string, owner: string|null, tags: string[], rule: Object|null}}
+   */
+  classify(project) {
+    const facts = this.createFacts(project);
+
+    for (const [index, rule] of this.rules.entries()) {
+      const reasons = this.matchRule(rule.match || {}, project, facts);
+      if (!reasons) {
+        continue;
+      }
+
+      const revenueImpact = rule.revenueImpact || this.defaults.revenueImpact;
+      return {
+        priority:
+          rule.priority ||
+          (rule.revenueImpact && this.priorityMapping[REVENUE_CATEGORIES[rule.revenueImpact]]) ||
+          this.defaults.priority,
+        revenueImpact,
+        owner: rule.owner || this.defaults.owner,
+        tags: rule.tags || this.defaults.tags,
+        rule: { index, name: rule.name || `Rule ${index + 1}`, reasons },
+      };
+    }
+
+    return {
+      priority: this.defaults.priority,
+      revenueImpact: this.defaults.revenueImpact,
+      owner: this.defaults.owner,
+      tags: this.defaults.tags,
+      rule: null,
+    };
+  }
+
+  /**
+   * Check every condition of a rule. Returns the reasons it matched, or null
+   * when a condition fails or the rule has none.
+   */
+  matchRule(match, project, facts) {
+    const reasons = [];
+    const anyPattern = (value, patterns, label) => {
+      const pattern = []
+        .concat(patterns)
+        .find((p) => value && minimatch(value, p, { nocase: true, dot: true }));
+      if (pattern) {
+        reasons.push(`${label} matches "${pattern}"`);
+      }
+      return Boolean(pattern);
+    };
+
+    if (match.name && !anyPattern(project.name, match.name, "name")) return null;
+    if (match.path && !anyPattern(project.path, match.path, "path")) return null;
+    if (match.remote && !anyPattern(facts.remote(), match.remote, "remote")) return null;
+
+    if (match.topicFile) {
+      if (!fs.existsSync(path.join(project.path, match.topicFile))) return null;
+      reasons.push(`has topic file "${match.topicFile}"`);
+    }
+
+    if (match.keywords) {
+      const keywords = facts.keywords();
+      const keyword = [].concat(match.keywords).find((k) => keywords.includes(k.toLowerCase()));
+      if (!keyword) return null;
+      reasons.push(`package.json keyword "${keyword}"`);
+    }
+
+    return reasons.length > 0 ? reasons : null;
+  }
+
+  /**
+   * Project facts that need I/O, read only when a rule asks for them
+   */
+  createFacts(project) {
+    const cache = {};
+    const once = (key, read) => () => {
+      if (!(key in cache)) {
+        cache[key] = read();
+      }
+      return cache[key];
+    };
+
+    return {
+      remote: once("remote", () => this.readRemote(project.path)),
+      keywords: once("keywords", () => this.readKeywords(project.path)),
+    };
+  }
+
+  /**
+   * Origin remote as host/owner/repo, e.g. github.com/acme/app; null for a
+   * local path
+   */
+  readRemote(projectPath) {
+    try {
+      const url = execFileSync("git", ["remote", "get-url", "origin"], {
+        cwd: projectPath,
+        encoding: "utf8",
+        stdio: ["ignore", "pipe", "ignore"],
+      }).trim();
+      const remote = parseRemoteUrl(url);
+      return remote ? `${remote.host}/${remote.fullName}` : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  readKeywords(projectPath) {
+    try {
+      const pkg = JSON.parse(fs.readFileSync(path.join(projectPath, "package.json"), "utf8"));
+      return Array.isArray(pkg.keywords) ? pkg.keywords.map((k) => String(k).toLowerCase()) : [];
+    } catch (error) {
+      return [];
+    }
+  }
+}
+
+module.exports = ProjectClassifier;
@@ -10,51 +10,102 @@
 
 const fs = require("node:fs");
 const path = require("node:path");
-const { exec } = require("node:child_process");
+const { exec, execFile } = require("node:child_process");
 const { promisify } = require("node:util");
-const GitHubClient = require("../github/github-client");
+const { minimatch } = require("minimatch");
+const GitHostRegistry = require("../hosts/host-registry");
+const ProjectClassifier = require("./project-classifier");
+const HealthRuleEngine = require("./health-rules");
+const ScanScheduler = require("./scan-scheduler");
+const { parseRemoteUrl, stripCredentials } = require("../utils/git-url");
+const RemoteFetcher = require("./remote-fetcher");
+const { readGitLayout, canonicalPath } = require("../utils/git-layout");
+const { detectWorkspace } = require("../discovery/workspace-detector");
+const {
+  loadProjectManifest,
+  applyManifest,
+  loadPortfolioIgnore,
+} = require("../config/project-manifest");
 
 const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
 
 class ProjectMonitor {
   constructor(options) {
+    // The project ID; `name` is the directory name that configuration globs match
     this.projectName = options.project;
+    this.name = options.name || path.basename(options.path);
     this.projectPath = options.path;
-    this.priority = options.priority || "MEDIUM";
     this.projectType = options.type || "general";
     this.config = options.config || {};
 
+    // The repository's .portfolio.yml; the master controller passes the one it validated
+    this.manifestError = options.manifestError || null;
+    this.manifest = options.manifest !== undefined ? options.manifest : this.loadManifest();
+    this.trackdownPath = path.join(this.projectPath, this.manifest?.trackdown || "trackdown");
+    this.ignored = loadPortfolioIgnore(this.projectPath);
+
+    this.classification =
+      options.classification ||
+      applyManifest(
+        new ProjectClassifier(this.config.business).classify({
+          name: this.name,
+          path: this.projectPath,
+        }),
+        this.manifest,
+      );
+    this.priority = options.priority || this.classification.priority;
+    this.displayName = options.displayName || this.manifest?.name || this.name;
+    this.healthRules = options.healthRules || new HealthRuleEngine(this.config);
+
+    // Throttled fetches; the master controller shares one fetcher between its monitors
+    this.remoteFetcher =
+      options.remoteFetcher ||
+      new RemoteFetcher({
+        interval: this.config.git?.fetchInterval,
+        timeout: this.config.git?.remoteTimeout,
+        file: options.fetchStateFile,
+      });
+
+    // Link to the master controller; see monitor-transport.js
+    this.transport = options.transport || null;
+    this.transport?.on("message", (message) => this.handleMessage(message));
+
     this.scanInterval = this.getScanInterval();
+    // The master controller's scheduler decides when to scan; standalone monitors keep their own timer
+    this.selfSchedule = options.selfSchedule !== false;
     this.isRunning = false;
     this.scanTimer = null;
 
     this.lastScanData = {};
     this.healthStatus = "unknown";
 
-    // Initialize GitHub client if enabled
-    this.githubClient = null;
-    this.githubRepo = null;
-    if (this.config.monitoring?.enableGitHubIssues && this.config.github) {
-      this.githubClient = new GitHubClient(this.config.github);
-    }
+    // Issue trackers of Git hosts; the master controller shares one registry
+    this.hosts = options.hosts || new GitHostRegistry(this.config);
+    this.issuesEnabled = Boolean(this.config.monitoring?.enableGitHubIssues);
+    this.issueRepository = null;
+
+    this.log(`Project monitor initialized for ${this.projectName} (${this.projectPath})`, "info");
+  }
 
-    this.log(`Project monitor initialized for ${this.projectName}`, "info");
+  /**
+   * Read .portfolio.yml; an invalid manifest is reported and left out
+   */
+  loadManifest() {
+    try {
+      return loadProjectManifest(this.projectPath);
+    } catch (error) {
+      this.manifestError = error.message;
+      this.log(`⚠️ Ignoring ${error.message}`, "warn");
+      return null;
+    }
   }
 
   /**
    * Get scan interval based on project priority
    */
   getScanInterval() {
-    switch (this.priority) {
-      case "HIGH":
-        return 2 * 60 * 1000; // 2 minutes for revenue projects
-      case "MEDIUM":
-        return 5 * 60 * 1000; // 5 minutes for strategic projects
-      case "LOW":
-        return 15 * 60 * 1000; // 15 minutes for infrastructure
-      default:
-        return 5 * 60 * 1000;
-    }
+    return ScanScheduler.intervalFor(this.priority);
   }
 
   /**
@@ -62,18 +113,21 @@ class ProjectMonitor {
    */
   async start() {
     this.log(`🚀 Starting monitoring (Priority: ${this.priority})`, "info");
+    this.startTime = Date.now();
 
     try {
-      // Initial scan
-      await this.performScan();
-
-      // Start periodic scanning
-      this.scanTimer = setInterval(() => {
-        this.performScan().catch((error) => {
-          this.log(`❌ Scan error: ${error.message}`, "error");
-          this.sendMessage("error", { message: error.message });
-        });
-      }, this.scanInterval);
+      if (this.selfSchedule) {
+        // Initial scan
+        await this.performScan();
+
+        // Start periodic scanning
+        this.scanTimer = setInterval(() => {
+          this.performScan().catch((error) => {
+            this.log(`❌ Scan error: ${error.message}`, "error");
+            this.sendMessage("error", { message: error.message });
+          });
+        }, this.scanInterval);
+      }
 
       this.isRunning = true;
       this.log("✅ Monitoring started", "info");
@@ -84,59 +138,149 @@ class ProjectMonitor {
   }
 
   /**
-   * Perform comprehensive project scan
+   * Perform comprehensive project scan and return the collected scan data
    */
   async performScan() {
     const scanData = {
       timestamp: new Date().toISOString(),
       project: this.projectName,
+      name: this.name,
+      displayName: this.displayName,
       path: this.projectPath,
       priority: this.priority,
+      // Display name, description and the rest of the repository's .portfolio.yml
+      manifest: this.manifest,
+      manifestError: this.manifestError,
     };
 
     try {
+      // .portfolioignore may have changed since the last scan
+      this.ignored = loadPortfolioIgnore(this.projectPath);
+
       // Git analysis
       scanData.git = await this.analyzeGitActivity();
 
       // File system analysis
       scanData.filesystem = await this.analyzeFileSystem();
 
-      // Project health assessment
-      scanData.health = this.assessProjectHealth(scanData);
+      // Monorepo packages, each with its own activity
+      scanData.workspace = await this.analyzeWorkspace(scanData.git);
 
       // Documentation analysis
       scanData.documentation = await this.analyzeDocumentation();
 
-      // GitHub Issues analysis (if enabled)
-      if (this.githubClient) {
+      // Issues of the repository's Git host (if enabled), under `github` whatever the host
+      if (this.issuesEnabled) {
         scanData.github = await this.analyzeGitHubIssues();
       }
 
-      // Business metrics
-      scanData.business = this.calculateBusinessMetrics(scanData);
+      await this.completeScan(scanData);
+    } catch (error) {
+      this.log(`❌ Scan failed: ${error.message}`, "error");
+      this.sendMessage("error", { message: error.message });
+      scanData.error = error.message;
+    }
+
+    return scanData;
+  }
 
-      // Update health status
-      this.healthStatus = scanData.health.status;
+  /**
+   * Rescan only what a filesystem change can have affected, reusing the last
+   * full scan for the rest. Without a previous scan this is a full scan.
+   *
+   * @param {string[]} analyzers - Any of "branch", "status", "branches" and "commits"
+   */
+  async performIncrementalScan(analyzers) {
+    if (!this.lastScanData.git) {
+      return this.performScan();
+    }
 
-      // Send data to master controller
-      this.sendMessage("health_update", {
-        status: scanData.health.status,
-        timestamp: scanData.timestamp,
-        details: scanData.health,
-        hasTrackdown: scanData.filesystem?.hasTrackdown || false,
-      });
+    const scanData = {
+      ...this.lastScanData,
+      timestamp: new Date().toISOString(),
+      git: { ...this.lastScanData.git },
+      incremental: analyzers,
+    };
+    const gitData = scanData.git;
+    const workspace = this.lastScanData.workspace;
+    if (workspace) {
+      scanData.workspace = {
+        ...workspace,
+        packages: workspace.packages.map((pkg) => ({ ...pkg })),
+      };
+    }
 
-      this.sendMessage("activity_report", scanData);
+    try {
+      if (gitData.hasGit) {
+        if (analyzers.includes("branch")) {
+          await this.getCurrentBranch(gitData);
+        }
+        if (analyzers.includes("status")) {
+          await this.getWorkingTreeStatus(gitData);
+          // Staging or committing a submodule moves its pin
+          await this.getSubmodules(gitData, { fetch: false });
+        }
+        if (analyzers.includes("branches")) {
+          await this.getBranches(gitData);
+        }
+        if (analyzers.includes("commits")) {
+          // Local refs moved; the remote is only fetched by full scans, or by a
+          // fetch-all whose results are picked up from the fetch state here
+          await this.getCommitStatus(gitData, { fetch: false });
+          gitData.recentCommits = [];
+          await this.getRecentCommits(gitData);
+        }
+        await this.checkRemoteStatus(gitData);
 
-      // Check for alerts
-      await this.checkForAlerts(scanData);
+        if (scanData.workspace && analyzers.includes("status")) {
+          await this.getPackageChanges(scanData.workspace);
+        }
+        if (scanData.workspace && analyzers.includes("commits")) {
+          await this.getPackageCommits(scanData.workspace);
+        }
+      }
 
-      this.lastScanData = scanData;
-      this.log(`📊 Scan completed - Health: ${scanData.health.status}`, "debug");
+      await this.completeScan(scanData);
     } catch (error) {
-      this.log(`❌ Scan failed: ${error.message}`, "error");
+      this.log(`❌ Incremental scan failed: ${error.message}`, "error");
       this.sendMessage("error", { message: error.message });
+      scanData.error = error.message;
     }
+
+    return scanData;
+  }
+
+  /**
+   * Assess health and business metrics of collected scan data, then report it
+   */
+  async completeScan(scanData) {
+    // Project health assessment, once every analysis its rules may refer to is done
+    scanData.health = this.assessProjectHealth(scanData);
+
+    // Business metrics
+    scanData.business = this.calculateBusinessMetrics(scanData);
+
+    // Update health status
+    this.healthStatus = scanData.health.status;
+
+    // Send data to master controller
+    this.sendMessage("health_update", {
+      status: scanData.health.status,
+      timestamp: scanData.timestamp,
+      details: scanData.health,
+      hasTrackdown: scanData.filesystem?.hasTrackdown || false,
+    });
+
+    this.sendMessage("activity_report", scanData);
+
+    // Check for alerts
+    await this.checkForAlerts(scanData);
+
+    this.lastScanData = scanData;
+    this.log(
+      `📊 ${scanData.incremental ? "Incremental scan" : "Scan"} completed - Health: ${scanData.health.status}`,
+      "debug",
+    );
   }
 
   /**
@@ -148,11 +292,20 @@ class ProjectMonitor {
       currentBranch: null,
       commitsAhead: 0,
       commitsBehind: 0,
+      defaultBranch: null,
+      defaultBranchSource: null,
+      integration: null,
+      upstream: null,
+      remotes: [],
+      fork: null,
+      worktrees: [],
+      submodules: [],
       uncommittedChanges: 0,
       branches: [],
       recentCommits: [],
       lastCommitDate: null,
       remoteStatus: "unknown",
+      remote: null,
     };
 
     try {
@@ -164,30 +317,20 @@ class ProjectMonitor {
       gitData.hasGit = true;
 
       // Get current branch
-      try {
-        const { stdout: branch } = await execAsync("git rev-parse --abbrev-ref HEAD", {
-          cwd: this.projectPath,
-        });
-        gitData.currentBranch = branch.trim();
-      } catch (error) {
-        this.log(`⚠️ Could not get current branch: ${error.message}`, "warn");
-      }
+      await this.getCurrentBranch(gitData);
+
+      // Get the remotes, and which one this repository is a fork of
+      gitData.remotes = await this.listRemotes();
 
-      // Get commits ahead/behind main
+      // Get commits ahead/behind the upstream, the default branch and a fork's parent
       await this.getCommitStatus(gitData);
 
       // Get uncommitted changes
-      try {
-        const { stdout: status } = await execAsync("git status --porcelain", {
-          cwd: this.projectPath,
-        });
-        gitData.uncommittedChanges = status
-          .trim()
-          .split("\n")
-          .filter((line) => line.trim()).length;
-      } catch (error) {
-        this.log(`⚠️ Could not get git status: ${error.message}`, "warn");
-      }
+      await this.getWorkingTreeStatus(gitData);
+
+      // Get the other worktrees of the repository, and the submodules with their pins
+      await this.getWorktrees(gitData);
+      await this.getSubmodules(gitData);
 
       // Get all branches
       await this.getBranches(gitData);
@@ -205,57 +348,491 @@ class ProjectMonitor {
   }
 
   /**
-   * Get commits ahead/behind main branch
+   * Get the checked out branch
+   */
+  async getCurrentBranch(gitData) {
+    try {
+      const { stdout: branch } = await execAsync("git rev-parse --abbrev-ref HEAD", {
+        cwd: this.projectPath,
+      });
+      gitData.currentBranch = branch.trim();
+    } catch (error) {
+      this.log(`⚠️ Could not get current branch: ${error.message}`, "warn");
+    }
+  }
+
+  /**
+   * Count uncommitted changes in the working tree
+   */
+  async getWorkingTreeStatus(gitData) {
+    try {
+      const { stdout } = await execFileAsync("git", ["status", "--porcelain", "-z"], {
+        cwd: this.projectPath,
+      });
+      gitData.uncommittedChanges = parseStatusEntries(stdout).filter(
+        (file) => !this.ignored(file),
+      ).length;
+    } catch (error) {
+      this.log(`⚠️ Could not get git status: ${error.message}`, "warn");
+    }
+  }
+
+  /**
+   * List the repository's other worktrees with their branch and uncommitted
+   * changes: the linked ones, or for a linked worktree the main one too
    */
-  async getCommitStatus(gitData) {
+  async getWorktrees(gitData) {
     try {
-      // First, try to fetch latest from remote
-      try {
-        await execAsync("git fetch origin --quiet", { cwd: this.projectPath });
-      } catch (fetchError) {
-        this.log(`⚠️ Could not fetch from remote: ${fetchError.message}`, "debug");
+      const { stdout } = await execFileAsync("git", ["worktree", "list", "--porcelain"], {
+        cwd: this.projectPath,
+      });
+      const current = canonicalPath(this.projectPath);
+
+      const worktrees = stdout
+        .split(/\n\s*\n/)
+        .map((block, index) => parseWorktree(block, index === 0))
+        .filter(
+          (worktree) => worktree && !worktree.bare && canonicalPath(worktree.path) !== current,
+        );
+
+      for (const worktree of worktrees) {
+        worktree.uncommittedChanges = worktree.prunable
+          ? null
+          : await this.countUncommittedChanges(worktree.path);
       }
+      gitData.worktrees = worktrees;
+    } catch (error) {
+      this.log(`⚠️ Could not list worktrees: ${error.message}`, "warn");
+    }
+  }
 
-      // Determine main branch name (main or master)
-      let mainBranch = "main";
-      try {
-        await execAsync("git rev-parse --verify origin/main", { cwd: this.projectPath });
-      } catch (error) {
-        try {
-          await execAsync("git rev-parse --verify origin/master", { cwd: this.projectPath });
-          mainBranch = "master";
-        } catch (masterError) {
-          this.log(`⚠️ Could not find main/master branch`, "warn");
-          return;
-        }
+  /**
+   * List the submodules with the commit each is pinned to, how that compares
+   * with the head of its remote, and uncommitted changes in its checkout.
+   * Checked out submodules are fetched like the project itself, throttled by
+   * git.fetchInterval.
+   *
+   * @param {Object} gitData
+   * @param {Object} [options]
+   * @param {boolean} [options.fetch] - Fetch the submodules' remotes first
+   */
+  async getSubmodules(gitData, { fetch = true } = {}) {
+    if (!fs.existsSync(path.join(this.projectPath, ".gitmodules"))) {
+      gitData.submodules = [];
+      return;
+    }
+
+    try {
+      // Pinned commits are the gitlinks (mode 160000) in the index
+      const { stdout: staged } = await execFileAsync("git", ["ls-files", "--stage", "-z"], {
+        cwd: this.projectPath,
+      });
+      const pins = staged
+        .split("\0")
+        .map((line) => line.match(/^160000 ([0-9a-f]+) \d\t(.+)$/s))
+        .filter(Boolean);
+      if (pins.length === 0) {
+        gitData.submodules = [];
+        return;
       }
 
-      // Commits ahead of main
-      try {
-        const { stdout: ahead } = await execAsync(
-          `git rev-list --count HEAD ^origin/${mainBranch}`,
-          { cwd: this.projectPath },
+      const declared = await this.readGitmodules();
+      const submodules = [];
+      for (const [, pinned, submodulePath] of pins) {
+        // A conflicted submodule has one entry per side; report the first
+        if (submodules.some((submodule) => submodule.path === submodulePath)) continue;
+
+        const entry = declared.find((submodule) => submodule.path === submodulePath) || {};
+        submodules.push(
+          await this.inspectSubmodule({
+            name: entry.name || submodulePath,
+            path: submodulePath,
+            url: entry.url ? stripCredentials(entry.url) : null,
+            branch: entry.branch || null,
+            pinned,
+            fetch,
+          }),
         );
-        gitData.commitsAhead = Number.parseInt(ahead.trim()) || 0;
-      } catch (error) {
-        this.log(`⚠️ Could not get commits ahead: ${error.message}`, "debug");
       }
+      gitData.submodules = submodules;
+    } catch (error) {
+      this.log(`⚠️ Could not list submodules: ${error.message}`, "warn");
+    }
+  }
+
+  /**
+   * @returns {Promise<Object>} {name, path, url, pinned, checkedOut, initialized,
+   *   remoteRef, remoteHead, ahead, behind, outOfDate, uncommittedChanges, stale}:
+   *   `behind` counts commits on `remoteRef` the pinned commit lacks
+   */
+  async inspectSubmodule({ name, path: submodulePath, url, branch, pinned, fetch }) {
+    const submodule = {
+      name,
+      path: submodulePath,
+      url,
+      pinned,
+      checkedOut: null,
+      initialized: false,
+      remoteRef: null,
+      remoteHead: null,
+      ahead: null,
+      behind: null,
+      outOfDate: false,
+      uncommittedChanges: null,
+      stale: false,
+    };
+
+    const cwd = path.join(this.projectPath, submodulePath);
+    if (!readGitLayout(cwd)) {
+      // Not checked out (git submodule update --init has not run)
+      return submodule;
+    }
+    // Output of a git command in the submodule, null when it fails
+    const git = (args) =>
+      execFileAsync("git", args, { cwd }).then(
+        ({ stdout }) => stdout.trim(),
+        () => null,
+      );
+
+    submodule.initialized = true;
+    submodule.checkedOut = await git(["rev-parse", "HEAD"]);
+    submodule.uncommittedChanges = await this.countUncommittedChanges(cwd);
+
+    if (this.config.git?.enableRemoteCheck !== false) {
+      const remote = fetch ? await this.remoteFetcher.fetch(cwd) : this.remoteFetcher.status(cwd);
+      submodule.stale = Boolean(remote?.stale);
+    }
+
+    // The branch .gitmodules asks to track, else the remote's default branch
+    const candidates = branch
+      ? [`origin/${branch}`]
+      : [
+          await git(["symbolic-ref", "--quiet", "--short", "refs/remotes/origin/HEAD"]),
+          "origin/main",
+          "origin/master",
+        ];
+    for (const ref of candidates.filter(Boolean)) {
+      const head = await git(["rev-parse", "--verify", "--quiet", `refs/remotes/${ref}`]);
+      if (head) {
+        submodule.remoteRef = ref;
+        submodule.remoteHead = head;
+        break;
+      }
+    }
 
-      // Commits behind main
-      try {
-        const { stdout: behind } = await execAsync(
-          `git rev-list --count origin/${mainBranch} ^HEAD`,
-          { cwd: this.projectPath },
-        );
-        gitData.commitsBehind = Number.parseInt(behind.trim()) || 0;
-      } catch (error) {
-        this.log(`⚠️ Could not get commits behind: ${error.message}`, "debug");
+    const counts =
+      submodule.remoteHead &&
+      (await git(["rev-list", "--left-right", "--count", `${pinned}...${submodule.remoteHead}`]));
+    if (counts) {
+      [submodule.ahead, submodule.behind] = counts
+        .split(/\s+/)
+        .map((count) => Number.parseInt(count) || 0);
+      submodule.outOfDate = submodule.behind > 0;
+    }
+    return submodule;
+  }
+
+  /**
+   * Submodules declared in .gitmodules, with their path, URL and tracked branch
+   */
+  async readGitmodules() {
+    try {
+      const { stdout } = await execFileAsync(
+        "git",
+        ["config", "--file", ".gitmodules", "--get-regexp", "^submodule\\..*\\.(path|url|branch)$"],
+        { cwd: this.projectPath },
+      );
+      const submodules = new Map();
+      for (const line of stdout.split("\n")) {
+        const match = line.match(/^submodule\.(.+)\.(path|url|branch) (.*)$/);
+        if (match) {
+          const [, name, key, value] = match;
+          submodules.set(name, { ...submodules.get(name), name, [key]: value });
+        }
       }
+      return [...submodules.values()];
+    } catch (error) {
+      // No .gitmodules, or nothing declared in it
+      return [];
+    }
+  }
+
+  async countUncommittedChanges(cwd) {
+    try {
+      const { stdout } = await execFileAsync("git", ["status", "--porcelain", "-z"], { cwd });
+      return parseStatusEntries(stdout).length;
+    } catch (error) {
+      this.log(`⚠️ Could not get git status of ${cwd}: ${error.message}`, "debug");
+      return null;
+    }
+  }
+
+  /**
+   * Get commits ahead/behind the branch's upstream and the project's
+   * integration (default) branch. Each comparison names the ref it is made
+   * against; commitsAhead/commitsBehind repeat the integration figures.
+   *
+   * @param {Object} gitData
+   * @param {Object} [options]
+   * @param {boolean} [options.fetch] - Fetch from origin first, unless fetched within git.fetchInterval
+   */
+  async getCommitStatus(gitData, { fetch = true } = {}) {
+    try {
+      await this.updateRemote(gitData, { fetch });
+
+      const defaultBranch = await this.resolveDefaultBranch();
+      gitData.defaultBranch = defaultBranch?.name || null;
+      gitData.defaultBranchSource = defaultBranch?.source || null;
+      gitData.integration = defaultBranch ? await this.compareWith(defaultBranch.ref) : null;
+      gitData.upstream = await this.getUpstreamComparison();
+
+      gitData.commitsAhead = gitData.integration?.ahead || 0;
+      gitData.commitsBehind = gitData.integration?.behind || 0;
+
+      gitData.fork = await this.getForkStatus(gitData);
     } catch (error) {
       this.log(`⚠️ Error getting commit status: ${error.message}`, "warn");
     }
   }
 
+  /**
+   * Find the branch work is integrated into: a per-project git.overrides
+   * entry, else the remote's HEAD, else git.defaultBranch, main or master,
+   * whichever exists
+   *
+   * @returns {Promise<{name: string, ref: string, source: string}|null>} `source`
+   *   is override, origin/HEAD or fallback
+   */
+  async resolveDefaultBranch() {
+    const configured = this.configuredDefaultBranch();
+    if (configured) {
+      const ref = await this.findBranchRef(configured);
+      if (ref) {
+        return { name: configured, ref, source: "override" };
+      }
+      this.log(`⚠️ Configured default branch ${configured} does not exist`, "warn");
+    }
+
+    const originHead = await this.getRemoteHead("origin");
+    if (originHead) {
+      return { name: originHead.replace(/^origin\//, ""), ref: originHead, source: "origin/HEAD" };
+    }
+
+    const candidates = new Set([this.config.git?.defaultBranch || "main", "main", "master"]);
+    for (const name of candidates) {
+      const ref = await this.findBranchRef(name);
+      if (ref) {
+        return { name, ref, source: "fallback" };
+      }
+    }
+
+    this.log("⚠️ Could not determine the default branch", "warn");
+    return null;
+  }
+
+  /**
+   * The branch a remote's HEAD points at, e.g. origin/develop. Only clones
+   * record it, so remotes added later usually have none.
+   */
+  async getRemoteHead(remote) {
+    try {
+      const { stdout } = await execFileAsync(
+        "git",
+        ["symbolic-ref", "--quiet", "--short", `refs/remotes/${remote}/HEAD`],
+        { cwd: this.projectPath },
+      );
+      return stdout.trim() || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Every remote with its fetch URL and, for hosted repositories, the
+   * host, owner and name parsed from it. origin comes first.
+   */
+  async listRemotes() {
+    try {
+      const { stdout } = await execFileAsync("git", ["remote", "-v"], { cwd: this.projectPath });
+      const remotes = new Map();
+      for (const line of stdout.split("\n")) {
+        const match = line.match(/^(\S+)\s+(\S+)\s+\(fetch\)$/);
+        if (match && !remotes.has(match[1])) {
+          const url = stripCredentials(match[2]);
+          remotes.set(match[1], { name: match[1], url, repository: parseRemoteUrl(url) });
+        }
+      }
+      return [...remotes.values()].sort(
+        (a, b) => Number(b.name === "origin") - Number(a.name === "origin"),
+      );
+    } catch (error) {
+      this.log(`⚠️ Could not list remotes: ${error.message}`, "warn");
+      return [];
+    }
+  }
+
+  /**
+   * The remote origin was forked from: the one named git.upstreamRemote
+   * ("upstream"), or one hosting a repository of the same name as origin
+   * under another owner
+   */
+  findParentRemote(remotes) {
+    const origin = remotes.find((remote) => remote.name === "origin");
+    if (!origin) {
+      return null;
+    }
+
+    const upstreamName = this.config.git?.upstreamRemote || "upstream";
+    const named = remotes.find((remote) => remote.name === upstreamName && remote !== origin);
+    if (named) {
+      return named;
+    }
+
+    return (
+      remotes.find(
+        (remote) =>
+          remote !== origin &&
+          origin.repository &&
+          remote.repository?.host === origin.repository.host &&
+          remote.repository.repo === origin.repository.repo &&
+          remote.repository.owner !== origin.repository.owner,
+      ) || null
+    );
+  }
+
+  /**
+   * For a fork, compare its default branch with the default branch of the
+   * repository it was forked from
+   *
+   * @returns {Promise<Object|null>} {remote, repository, ref, base, ahead, behind}:
+   *   `base` (e.g. origin/main) is ahead of and behind `ref` (e.g. upstream/main)
+   */
+  async getForkStatus(gitData) {
+    const parent = this.findParentRemote(gitData.remotes || []);
+    if (!parent) {
+      return null;
+    }
+
+    const fork = {
+      remote: parent.name,
+      repository: parent.repository?.fullName || null,
+      ref: null,
+      base: gitData.integration?.ref || null,
+      ahead: null,
+      behind: null,
+    };
+
+    // Remotes added after cloning rarely know their HEAD; try the fork's own default branch name
+    fork.ref = await this.getRemoteHead(parent.name);
+    for (const name of new Set([gitData.defaultBranch, "main", "master"])) {
+      if (fork.ref) break;
+      if (name && (await this.hasRef(`refs/remotes/${parent.name}/${name}`))) {
+        fork.ref = `${parent.name}/${name}`;
+      }
+    }
+
+    if (fork.ref && fork.base) {
+      const comparison = await this.compareWith(fork.ref, fork.base);
+      fork.ahead = comparison?.ahead ?? null;
+      fork.behind = comparison?.behind ?? null;
+    }
+    return fork;
+  }
+
+  /**
+   * Default branch set for this project by the last matching git.overrides entry
+   */
+  configuredDefaultBranch() {
+    const project = { name: this.name, tags: this.classification?.tags || [] };
+    const override = (this.config.git?.overrides || [])
+      .filter((entry) => entry.defaultBranch && matchesProject(entry.match || {}, project))
+      .pop();
+    return override?.defaultBranch || null;
+  }
+
+  /**
+   * The remote-tracking branch of that name, else the local one
+   */
+  async findBranchRef(name) {
+    if (await this.hasRef(`refs/remotes/origin/${name}`)) {
+      return `origin/${name}`;
+    }
+    if (await this.hasRef(`refs/heads/${name}`)) {
+      return name;
+    }
+    return null;
+  }
+
+  async hasRef(fullRef) {
+    try {
+      await execFileAsync("git", ["rev-parse", "--verify", "--quiet", fullRef], {
+        cwd: this.projectPath,
+      });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Compare HEAD with the upstream of the checked out branch, if it has one
+   */
+  async getUpstreamComparison() {
+    try {
+      const { stdout } = await execFileAsync(
+        "git",
+        ["rev-parse", "--abbrev-ref", "--symbolic-full-name", "@{upstream}"],
+        { cwd: this.projectPath },
+      );
+      return await this.compareWith(stdout.trim());
+    } catch (error) {
+      // Detached HEAD, or a branch that tracks nothing
+      return null;
+    }
+  }
+
+  /**
+   * @param {string} ref
+   * @param {string} [base]
+   * @returns {Promise<{ref: string, ahead: number, behind: number}|null>} Commits
+   *   on `base` but not on `ref`, and on `ref` but not on `base`
+   */
+  async compareWith(ref, base = "HEAD") {
+    try {
+      const { stdout } = await execFileAsync(
+        "git",
+        ["rev-list", "--left-right", "--count", `${base}...${ref}`],
+        { cwd: this.projectPath },
+      );
+      const [ahead, behind] = stdout.trim().split(/\s+/).map((count) => Number.parseInt(count) || 0);
+      return { ref, ahead, behind };
+    } catch (error) {
+      this.log(`⚠️ Could not compare with ${ref}: ${error.message}`, "debug");
+      return null;
+    }
+  }
+
+  /**
+   * Bring the remote-tracking refs up to date where allowed, and record in
+   * gitData.remote how current they are. An unreachable remote leaves the
+   * refs of the last fetch in place, marked stale.
+   */
+  async updateRemote(gitData, { fetch = true } = {}) {
+    if (this.config.git?.enableRemoteCheck === false) {
+      gitData.remote = { status: "disabled", stale: false };
+      return;
+    }
+
+    if (fetch) {
+      gitData.remote = await this.remoteFetcher.fetch(this.projectPath);
+      if (gitData.remote.stale && gitData.remote.fetched) {
+        this.log(`⚠️ Could not fetch from remote: ${gitData.remote.error}`, "debug");
+      }
+    } else {
+      gitData.remote = this.remoteFetcher.status(this.projectPath) || gitData.remote;
+    }
+  }
+
   /**
    * Get all branches with last activity
    */
@@ -291,7 +868,7 @@ class ProjectMonitor {
   async getRecentCommits(gitData) {
     try {
       const { stdout: commitData } = await execAsync(
-        `git log --since="7 days ago" --pretty=format:"%H|%an|%ad|%s" --date=iso`,
+        `git log --since="7 days ago" --pretty=format:"%H|%P|%an|%ad|%s" --date=iso`,
         { cwd: this.projectPath },
       );
 
@@ -300,8 +877,14 @@ class ProjectMonitor {
           .trim()
           .split("\n")
           .map((line) => {
-            const [hash, author, date, message] = line.split("|");
-            return { hash, author, date, message };
+            const [hash, parents, author, date, ...messageParts] = line.split("|");
+            return {
+              hash,
+              author,
+              date,
+              message: messageParts.join("|"),
+              isMerge: parents.trim().split(" ").length > 1,
+            };
           });
 
         // Set last commit date
@@ -318,25 +901,153 @@ class ProjectMonitor {
    * Check remote synchronization status
    */
   async checkRemoteStatus(gitData) {
+    // Branches without an upstream can only be behind the default branch
+    const upstream = gitData.upstream;
+    if (upstream?.ahead > 0) {
+      gitData.remoteStatus = "needs_push";
+    } else if ((upstream ? upstream.behind : gitData.commitsBehind) > 0) {
+      gitData.remoteStatus = "needs_pull";
+    } else if (gitData.uncommittedChanges > 0) {
+      gitData.remoteStatus = "uncommitted_changes";
+    } else {
+      gitData.remoteStatus = "up_to_date";
+    }
+  }
+
+  /**
+   * Find a monorepo's packages and give each its own commit activity,
+   * uncommitted changes and owners, from the commits and changes under its
+   * directory
+   *
+   * @returns {Promise<Object|null>} The workspace (see detectWorkspace()) with
+   *   per-package {commits7d, commits, lastCommitDate, uncommittedChanges,
+   *   owner, owners}; null when the project is not a monorepo
+   */
+  async analyzeWorkspace(gitData) {
+    const settings = this.config.monitoring?.workspaces || {};
+    if (settings.enabled === false) {
+      return null;
+    }
+
     try {
-      // Check if there are unpushed commits
-      const { stdout: unpushed } = await execAsync(
-        'git log @{u}.. --oneline 2>/dev/null || echo ""',
-        { cwd: this.projectPath },
+      const workspace = await detectWorkspace(this.projectPath, {
+        maxPackages: settings.maxPackages,
+      });
+      if (!workspace) {
+        return null;
+      }
+      workspace.packages = workspace.packages.filter((pkg) => !this.ignored(pkg.path, true));
+
+      workspace.ownershipDays = settings.ownershipDays || 90;
+      for (const pkg of workspace.packages) {
+        Object.assign(pkg, {
+          commits7d: 0,
+          commits: 0,
+          lastCommitDate: null,
+          uncommittedChanges: 0,
+          owner: null,
+          owners: [],
+        });
+      }
+
+      if (gitData?.hasGit) {
+        await this.getPackageCommits(workspace);
+        await this.getPackageChanges(workspace);
+      }
+      this.log(
+        `📦 ${workspace.tool} workspace with ${workspace.packages.length} packages`,
+        "debug",
       );
+      return workspace;
+    } catch (error) {
+      this.log(`⚠️ Workspace analysis error: ${error.message}`, "warn");
+      return null;
+    }
+  }
 
-      if (unpushed.trim()) {
-        gitData.remoteStatus = "needs_push";
-      } else if (gitData.commitsBehind > 0) {
-        gitData.remoteStatus = "needs_pull";
-      } else if (gitData.uncommittedChanges > 0) {
-        gitData.remoteStatus = "uncommitted_changes";
-      } else {
-        gitData.remoteStatus = "up_to_date";
+  /**
+   * Count each package's commits over the ownership window from one pass
+   * over the log; a commit touching several packages counts for each.
+   * Owners are the authors with the most commits to the package.
+   */
+  async getPackageCommits(workspace) {
+    const weekAgo = Date.now() - 7 * 24 * 60 * 60 * 1000;
+    const authors = new Map(workspace.packages.map((pkg) => [pkg, new Map()]));
+    for (const pkg of workspace.packages) {
+      Object.assign(pkg, { commits7d: 0, commits: 0, lastCommitDate: null });
+    }
+
+    try {
+      const { stdout } = await execFileAsync(
+        "git",
+        [
+          "log",
+          `--since=${workspace.ownershipDays} days ago`,
+          "--format=%x1e%an%x09%aI",
+          "--name-only",
+          "--no-renames",
+        ],
+        { cwd: this.projectPath, maxBuffer: 64 * 1024 * 1024 },
+      );
+
+      for (const entry of stdout.split("\x1e").filter((chunk) => chunk.trim())) {
+        const [header, ...files] = entry.split("\n");
+        const [author, date] = header.split("\t");
+        const touched = new Set(files.map((file) => findPackage(workspace, file)).filter(Boolean));
+
+        for (const pkg of touched) {
+          pkg.commits++;
+          if (new Date(date).getTime() >= weekAgo) {
+            pkg.commits7d++;
+          }
+          // The log is newest first
+          pkg.lastCommitDate = pkg.lastCommitDate || date;
+          authors.get(pkg).set(author, (authors.get(pkg).get(author) || 0) + 1);
+        }
+      }
+
+      for (const pkg of workspace.packages) {
+        pkg.owners = [...authors.get(pkg)]
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, 3)
+          .map(([name, commits]) => ({ name, commits, share: commits / pkg.commits }));
+        pkg.owner = pkg.owners[0]?.name || null;
+
+        // Quiet packages still get their last commit, from further back
+        if (!pkg.lastCommitDate) {
+          const { stdout: last } = await execFileAsync(
+            "git",
+            ["log", "-1", "--format=%aI", "--", pkg.path],
+            { cwd: this.projectPath },
+          );
+          pkg.lastCommitDate = last.trim() || null;
+        }
       }
     } catch (error) {
-      this.log(`⚠️ Error checking remote status: ${error.message}`, "debug");
-      gitData.remoteStatus = "unknown";
+      this.log(`⚠️ Could not get package commits: ${error.message}`, "warn");
+    }
+  }
+
+  /**
+   * Count uncommitted changes under each package
+   */
+  async getPackageChanges(workspace) {
+    try {
+      const { stdout } = await execFileAsync("git", ["status", "--porcelain", "-z"], {
+        cwd: this.projectPath,
+      });
+      for (const pkg of workspace.packages) {
+        pkg.uncommittedChanges = 0;
+      }
+
+      for (const file of parseStatusEntries(stdout)) {
+        const pkg = !this.ignored(file) && findPackage(workspace, file);
+        if (pkg) {
+          pkg.uncommittedChanges++;
+        }
+      }
+    } catch (error) {
+      this.log(`⚠️ Could not get package changes: ${error.message}`, "warn");
     }
   }
 
@@ -362,7 +1073,7 @@ class ProjectMonitor {
       // Check for key files
       fsData.hasPackageJson = fs.existsSync(path.join(this.projectPath, "package.json"));
       fsData.hasPyprojectToml = fs.existsSync(path.join(this.projectPath, "pyproject.toml"));
-      fsData.hasTrackdown = fs.existsSync(path.join(this.projectPath, "trackdown"));
+      fsData.hasTrackdown = fs.existsSync(this.trackdownPath);
       fsData.hasClaude =
         fs.existsSync(path.join(this.projectPath, "CLAUDE.md")) ||
         fs.existsSync(path.join(this.projectPath, "docs", "CLAUDE.md"));
@@ -398,6 +1109,7 @@ class ProjectMonitor {
         'next.config.js', 'vite.config.js', 'webpack.config.js',
         'tsconfig.json', 'jsconfig.json',
         'Dockerfile', 'docker-compose.yml', 'docker-compose.yaml',
+        'pnpm-workspace.yaml', 'lerna.json', 'nx.json', 'turbo.json', 'go.work',
         '.gitignore', '.env', '.env.example'
       ];
 
@@ -490,11 +1202,16 @@ class ProjectMonitor {
    * Count recently modified files
    */
   async countRecentFiles(dir, since, count = 0) {
+    let fileCount = count;
     try {
       const entries = fs.readdirSync(dir, { withFileTypes: true });
-      let fileCount = count;
 
       for (const entry of entries) {
+        const entryPath = path.join(dir, entry.name);
+        if (this.ignored(path.relative(this.projectPath, entryPath), entry.isDirectory())) {
+          continue;
+        }
+
         // Skip common directories that don't indicate project activity
         if (entry.isDirectory()) {
           const dirName = entry.name;
@@ -541,9 +1258,7 @@ class ProjectMonitor {
         fs.existsSync(path.join(this.projectPath, "CLAUDE.md"));
 
       // Check for TrackDown structure
-      docData.hasTrackdownBacklog = fs.existsSync(
-        path.join(this.projectPath, "trackdown", "BACKLOG.md"),
-      );
+      docData.hasTrackdownBacklog = fs.existsSync(path.join(this.trackdownPath, "BACKLOG.md"));
 
       // Check for proper file organization
       const docsInRoot = fs
@@ -578,12 +1293,14 @@ class ProjectMonitor {
   }
 
   /**
-   * Analyze GitHub Issues (if enabled and repository detected)
+   * Analyze the issues of the repository's Git host: GitHub, GitLab, Gitea
+   * or Bitbucket (if enabled and repository detected)
    */
   async analyzeGitHubIssues() {
     const githubData = {
       enabled: false,
       connected: false,
+      provider: null,
       repository: null,
       issues: [],
       totalIssues: 0,
@@ -594,27 +1311,26 @@ class ProjectMonitor {
     };
 
     try {
-      if (!this.githubClient) {
+      if (!this.issuesEnabled) {
         return githubData;
       }
 
       githubData.enabled = true;
 
-      // Detect GitHub repository from Git remote
+      // Detect the hosted repository from Git remotes
       await this.detectGitHubRepository();
 
-      if (!this.githubRepo) {
-        githubData.error = "No GitHub repository detected";
+      if (!this.issueRepository) {
+        githubData.error = "No repository on a supported Git host detected";
         return githubData;
       }
 
-      githubData.repository = this.githubRepo;
+      const { provider, type, host, owner, repo } = this.issueRepository;
+      githubData.provider = type;
+      githubData.repository = { host, owner, repo };
 
       // Check repository accessibility
-      const repoCheck = await this.githubClient.checkRepository(
-        this.githubRepo.owner,
-        this.githubRepo.repo,
-      );
+      const repoCheck = await provider.checkRepository(owner, repo);
 
       if (!repoCheck.accessible) {
         githubData.error = repoCheck.error;
@@ -624,9 +1340,9 @@ class ProjectMonitor {
       githubData.connected = true;
 
       // Fetch issues
-      const issuesResult = await this.githubClient.getAllIssues(
-        this.githubRepo.owner,
-        this.githubRepo.repo,
+      const issuesResult = await provider.getAllIssues(
+        owner,
+        repo,
         this.config.github?.issuesOptions || {},
       );
 
@@ -645,146 +1361,65 @@ class ProjectMonitor {
         }
 
         this.log(
-          `📋 Found ${githubData.totalIssues} GitHub issues (${githubData.openIssues} open)`,
+          `📋 Found ${githubData.totalIssues} ${type} issues (${githubData.openIssues} open)`,
           "debug",
         );
       } else {
         githubData.error = issuesResult.error;
-        this.log(`⚠️ Failed to fetch GitHub issues: ${issuesResult.error}`, "warn");
+        this.log(`⚠️ Failed to fetch ${type} issues: ${issuesResult.error}`, "warn");
       }
     } catch (error) {
       githubData.error = error.message;
-      this.log(`⚠️ GitHub analysis error: ${error.message}`, "warn");
+      this.log(`⚠️ Issue analysis error: ${error.message}`, "warn");
     }
 
     return githubData;
   }
 
   /**
-   * Detect GitHub repository from Git remote URLs
+   * Detect the hosted repository from Git remote URLs: origin's, else the
+   * first other remote on a supported host
    */
   async detectGitHubRepository() {
-    if (this.githubRepo) {
+    if (this.issueRepository) {
       return; // Already detected
     }
 
     try {
-      // Get remote URL
-      const { stdout: remoteUrl } = await execAsync("git remote get-url origin", {
-        cwd: this.projectPath,
-      });
+      let detected = null;
+      for (const remote of await this.listRemotes()) {
+        detected = this.hosts.resolve(remote.url);
+        if (detected) break;
+      }
 
-      this.githubRepo = this.githubClient.parseRepositoryFromUrl(remoteUrl.trim());
+      // .portfolio.yml can name the repository, e.g. when issues live in another
+      // one; it is on the detected remote's host, or else on github.com
+      const configured = this.manifest?.github?.repository;
+      if (configured) {
+        detected = this.hosts.resolve(`https://${detected?.host || "github.com"}/${configured}`);
+      }
 
-      if (this.githubRepo) {
+      this.issueRepository = detected;
+      if (detected) {
         this.log(
-          `🔗 Detected GitHub repository: ${this.githubRepo.owner}/${this.githubRepo.repo}`,
+          `🔗 Detected ${detected.type} repository: ${detected.host}/${detected.owner}/${detected.repo}`,
           "debug",
         );
       }
     } catch (error) {
-      this.log(`⚠️ Could not detect GitHub repository: ${error.message}`, "debug");
+      this.log(`⚠️ Could not detect hosted repository: ${error.message}`, "debug");
     }
   }
 
   /**
-   * Assess overall project health
+   * Assess overall project health with the configured health rules
    */
   assessProjectHealth(scanData) {
-    const health = {
-      status: "healthy",
-      score: 100,
-      issues: [],
-      recommendations: [],
-    };
-
-    // Git-based health checks
-    if (scanData.git.hasGit) {
-      // Stagnation check
-      if (scanData.git.lastCommitDate) {
-        const daysSinceCommit = this.calculateDaysSince(scanData.git.lastCommitDate);
-        if (daysSinceCommit > 7) {
-          health.issues.push(`No commits in ${daysSinceCommit} days`);
-          health.score -= 20;
-          if (daysSinceCommit > 14) {
-            health.status = "critical";
-            health.score -= 30;
-          } else {
-            health.status = "attention";
-          }
-        }
-      }
-
-      // Uncommitted changes check
-      if (scanData.git.uncommittedChanges > 5) {
-        health.issues.push(`${scanData.git.uncommittedChanges} uncommitted changes`);
-        health.score -= 10;
-        health.status = health.status === "healthy" ? "attention" : health.status;
-      }
-
-      // Behind main branch check
-      if (scanData.git.commitsBehind > 5) {
-        health.issues.push(`${scanData.git.commitsBehind} commits behind main`);
-        health.score -= 15;
-        health.status = health.status === "healthy" ? "attention" : health.status;
-      }
-
-      // Long-running branches
-      const staleBranches = scanData.git.branches.filter((b) => b.daysSinceActivity > 14);
-      if (staleBranches.length > 0) {
-        health.issues.push(`${staleBranches.length} stale branches (14+ days)`);
-        health.score -= 10;
-      }
-    }
-
-    // Documentation health checks
-    if (scanData.documentation && scanData.documentation.documentationScore < 70) {
-      health.issues.push("Poor documentation quality");
-      health.score -= 15;
-      health.status = health.status === "healthy" ? "attention" : health.status;
-    }
-
-    if (scanData.documentation && !scanData.documentation.hasProperStructure) {
-      health.issues.push("Documentation not in proper /docs/ directory");
-      health.score -= 10;
-    }
-
-    // File system activity checks
-    if (scanData.filesystem.recentlyModified === 0 && scanData.git.recentCommits.length === 0) {
-      health.issues.push("No recent file or Git activity");
-      health.score -= 25;
-      health.status = health.status === "healthy" ? "attention" : health.status;
-    }
-
-    // Generate recommendations
-    this.generateHealthRecommendations(health, scanData);
-
-    return health;
-  }
-
-  /**
-   * Generate health improvement recommendations
-   */
-  generateHealthRecommendations(health, scanData) {
-    if (scanData.git.commitsBehind > 0) {
-      health.recommendations.push("Consider rebasing or merging from main branch");
-    }
-
-    if (scanData.git.uncommittedChanges > 0) {
-      health.recommendations.push("Commit or stash uncommitted changes");
-    }
-
-    if (scanData.documentation && !scanData.documentation.hasTrackdownBacklog) {
-      health.recommendations.push("Implement TrackDown project management structure");
-    }
-
-    if (scanData.documentation && !scanData.documentation.hasProperStructure) {
-      health.recommendations.push("Move documentation files to /docs/ directory");
-    }
-
-    if (scanData.git.branches.length > 5) {
-      health.recommendations.push("Consider cleaning up old branches");
-    }
+    return this.healthRules.assess(scanData, {
+      name: this.name,
+      tags: this.classification.tags,
+      rules: this.manifest?.health?.rules,
+    });
   }
 
   /**
@@ -794,6 +1429,11 @@ class ProjectMonitor {
     return {
       priority: this.priority,
       revenueImpact: this.getRevenueImpact(),
+      owner: this.classification.owner,
+      tags: this.classification.tags,
+      classification: this.classification.rule,
+      // Fields set by .portfolio.yml rather than the classification rules
+      manifestFields: this.classification.manifest || [],
       daysSinceActivity: scanData.git.lastCommitDate
         ? this.calculateDaysSince(scanData.git.lastCommitDate)
         : null,
@@ -806,17 +1446,7 @@ class ProjectMonitor {
    * Determine revenue impact category
    */
   getRevenueImpact() {
-    const revenueProjects = ["ai-power-rankings", "matsuoka-com", "scraper-engine"];
-    if (revenueProjects.includes(this.projectName) || this.projectPath.includes("/Clients/")) {
-      return "DIRECT_REVENUE";
-    }
-
-    const strategicProjects = ["eva-agent", "eva-monorepo", "ai-code-review"];
-    if (strategicProjects.includes(this.projectName)) {
-      return "STRATEGIC_INVESTMENT";
-    }
-
-    return "COST_SAVINGS";
+    return this.classification.revenueImpact;
   }
 
   /**
@@ -861,16 +1491,20 @@ class ProjectMonitor {
   }
 
   /**
-   * Check for alerts and notifications
+   * Check for alerts and notifications. Every scan reports its complete set of
+   * alerts, each with a stable key, so alerts that are no longer raised resolve.
    */
   async checkForAlerts(scanData) {
     const alerts = [];
+    // business.alertThresholds, as the health rules apply them
+    const { attentionDays, uncommittedFiles, commitsBehind, forkBehind } = this.healthRules.thresholds;
 
     // Critical alerts
     if (this.priority === "HIGH" && scanData.git.lastCommitDate) {
       const daysSince = this.calculateDaysSince(scanData.git.lastCommitDate);
-      if (daysSince > 7) {
+      if (daysSince > attentionDays) {
         alerts.push({
+          key: "revenue-stagnant",
           severity: "CRITICAL",
           message: `Revenue project stagnant for ${daysSince} days`,
           details: { daysSinceCommit: daysSince, projectType: "revenue" },
@@ -879,16 +1513,28 @@ class ProjectMonitor {
     }
 
     // Warning alerts
-    if (scanData.git.commitsBehind > 20) {
+    if (scanData.git.commitsBehind > commitsBehind) {
       alerts.push({
+        key: "commits-behind",
         severity: "WARNING",
-        message: `Project significantly behind main (${scanData.git.commitsBehind} commits)`,
+        message: `Project significantly behind ${scanData.git.integration?.ref || "main"} (${scanData.git.commitsBehind} commits)`,
         details: { commitsBehind: scanData.git.commitsBehind },
       });
     }
 
-    if (scanData.git.uncommittedChanges > 20) {
+    const fork = scanData.git.fork;
+    if (fork?.behind > forkBehind) {
       alerts.push({
+        key: "fork-behind-upstream",
+        severity: "WARNING",
+        message: `Fork is ${fork.behind} commits behind ${fork.ref}`,
+        details: { remote: fork.remote, repository: fork.repository, behind: fork.behind, ahead: fork.ahead },
+      });
+    }
+
+    if (scanData.git.uncommittedChanges > uncommittedFiles) {
+      alerts.push({
+        key: "uncommitted-changes",
         severity: "WARNING",
         message: `Many uncommitted changes (${scanData.git.uncommittedChanges} files)`,
         details: { uncommittedChanges: scanData.git.uncommittedChanges },
@@ -898,6 +1544,7 @@ class ProjectMonitor {
     // Best practices alerts
     if (scanData.documentation && !scanData.documentation.hasProperStructure) {
       alerts.push({
+        key: "documentation-structure",
         severity: "INFO",
         message: "Documentation files not in proper /docs/ directory",
         details: { issue: "file_organization" },
@@ -906,16 +1553,15 @@ class ProjectMonitor {
 
     if (scanData.documentation && !scanData.documentation.hasTrackdownBacklog) {
       alerts.push({
+        key: "trackdown-missing",
         severity: "INFO",
         message: "Missing TrackDown project management structure",
         details: { issue: "trackdown_missing" },
       });
     }
 
-    // Send alerts
-    for (const alert of alerts) {
-      this.sendMessage("alert", alert);
-    }
+    this.sendMessage("alerts", { alerts });
+    return alerts;
   }
 
   /**
@@ -932,14 +1578,12 @@ class ProjectMonitor {
    * Send message to master controller
    */
   sendMessage(type, data) {
-    if (process.send) {
-      process.send({
-        type,
-        data,
-        timestamp: new Date().toISOString(),
-        project: this.projectName,
-      });
-    }
+    this.transport?.send({
+      type,
+      data,
+      timestamp: new Date().toISOString(),
+      project: this.projectName,
+    });
   }
 
   /**
@@ -958,7 +1602,16 @@ class ProjectMonitor {
         break;
 
       case "force_scan":
-        this.performScan();
+        // Reply so the master controller's scheduler knows the scan ended
+        (data?.analyzers
+          ? this.performIncrementalScan(data.analyzers)
+          : this.performScan()
+        ).then((scanData) => {
+          this.sendMessage("scan_complete", {
+            requestId: data?.requestId,
+            error: scanData.error || null,
+          });
+        });
         break;
 
       case "shutdown":
@@ -998,11 +1651,94 @@ class ProjectMonitor {
     if (messageLevel <= currentLevel) {
       const prefix =
         level === "error" ? "❌" : level === "warn" ? "⚠️" : level === "debug" ? "🔍" : "ℹ️";
-      console.log(`${timestamp} ${prefix} [${this.projectName}] ${message}`);
+      console.log(`${timestamp} ${prefix} [${this.displayName || this.name}] ${message}`);
     }
   }
 }
 
+/**
+ * Whether a project satisfies an override's match, by name glob or by any of its tags
+ */
+function matchesProject(match, project) {
+  if (match.name) {
+    const patterns = [].concat(match.name);
+    if (!patterns.some((pattern) => minimatch(project.name, pattern, { nocase: true }))) {
+      return false;
+    }
+  }
+
+  if (match.tags && ![].concat(match.tags).some((tag) => project.tags.includes(tag))) {
+    return false;
+  }
+
+  return Boolean(match.name || match.tags);
+}
+
+/**
+ * The changed paths in `git status --porcelain -z` output, one per change
+ */
+function parseStatusEntries(stdout) {
+  const files = [];
+  const entries = stdout.split("\0");
+  for (let index = 0; index < entries.length; index++) {
+    const entry = entries[index];
+    if (!entry) continue;
+    // A rename is followed by its original path, which is not a change of its own
+    if (/^[RC]/.test(entry)) index++;
+    files.push(entry.slice(3));
+  }
+  return files;
+}
+
+/**
+ * The package a repository-relative file belongs to; with nested packages,
+ * the innermost one
+ */
+function findPackage(workspace, file) {
+  let found = null;
+  for (const pkg of workspace.packages) {
+    if (
+      (file === pkg.path || file.startsWith(`${pkg.path}/`)) &&
+      (!found || pkg.path.length > found.path.length)
+    ) {
+      found = pkg;
+    }
+  }
+  return found;
+}
+
+/**
+ * One entry of `git worktree list --porcelain`
+ *
+ * @returns {Object|null} {path, head, branch, detached, main, bare, locked, prunable}
+ */
+function parseWorktree(block, main) {
+  const worktree = {
+    path: null,
+    head: null,
+    branch: null,
+    detached: false,
+    main,
+    bare: false,
+    locked: false,
+    prunable: false,
+  };
+
+  for (const line of block.split("\n")) {
+    const [key, ...rest] = line.trim().split(" ");
+    const value = rest.join(" ");
+    if (key === "worktree") worktree.path = value;
+    if (key === "HEAD") worktree.head = value;
+    if (key === "branch") worktree.branch = value.replace(/^refs\/heads\//, "");
+    if (key === "detached") worktree.detached = true;
+    if (key === "bare") worktree.bare = true;
+    if (key === "locked") worktree.locked = true;
+    // The directory is gone; `git worktree prune` would remove the entry
+    if (key === "prunable") worktree.prunable = true;
+  }
+  return worktree.path ? worktree : null;
+}
+
 // CLI interface
 if (require.main === module) {
   const args = process.argv.slice(2);
@@ -1019,26 +1755,18 @@ if (require.main === module) {
     process.exit(1);
   }
 
+  // Runs a single monitor on its own; the master controller hosts its
+  // monitors in monitor-worker.js instead
   const monitor = new ProjectMonitor(options);
-  monitor.startTime = Date.now();
-
-  // Handle messages from master controller
-  process.on("message", (message) => {
-    monitor.handleMessage(message);
-  });
-
-  // Handle graceful shutdown
-  process.on("SIGINT", () => {
+  const exit = () => {
     monitor.stop();
     process.exit(0);
-  });
+  };
 
-  process.on("SIGTERM", () => {
-    monitor.stop();
-    process.exit(0);
-  });
+  // Handle graceful shutdown
+  process.on("SIGINT", exit);
+  process.on("SIGTERM", exit);
 
-  // Start monitoring
   monitor.start().catch((error) => {
     console.error(`❌ Failed to start project monitor: ${error.message}`);
     process.exit(1);
@@ -0,0 +1,236 @@
+/**
+ * Portfolio Monitoring System - Project Watcher
+ *
+ * Business Purpose: Notice commits, checkouts and edits as they happen, so a
+ * project is rescanned right away instead of at its next polling interval.
+ * Watches .git/HEAD, .git/index, the branch refs and the working tree (a
+ * linked worktree's own HEAD and index, and its repository's refs), and
+ * reports which analyzers a burst of changes affects once it settles.
+ */
+
+const EventEmitter = require("node:events");
+const fs = require("node:fs");
+const path = require("node:path");
+const { readGitLayout } = require("../utils/git-layout");
+
+// Analyzers affected by each kind of change, as understood by
+// ProjectMonitor.performIncrementalScan()
+const AFFECTED_ANALYZERS = {
+  head: ["branch", "status", "commits"],
+  index: ["status"],
+  refs: ["branches", "commits"],
+  worktree: ["status"],
+};
+
+// Files in .git that matter; FETCH_HEAD, logs and lock files do not
+const GIT_FILES = { HEAD: "head", index: "index", "packed-refs": "refs" };
+
+// Remote-tracking refs and tags only move on fetch, which the sweep covers
+const IGNORED_REFS = new Set(["remotes", "tags"]);
+
+const DEFAULT_IGNORE = ["node_modules", "dist", "build", "coverage", ".next", "temp", "backup"];
+
+class ProjectWatcher extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {string} options.path - Project directory
+   * @param {number} [options.debounce] - Quiet time before changes are reported, in ms
+   * @param {number} [options.maxWait] - Longest a steady stream of changes is held back, in ms
+   * @param {string[]} [options.ignore] - Directory names not watched in the working tree
+   * @param {Function} [options.ignorePath] - (relativePath, isDirectory) => whether a
+   *   path is left out, e.g. by .portfolioignore
+   * @param {number} [options.maxDirectories] - Cap on watched directories
+   */
+  constructor(options) {
+    super();
+    this.projectPath = options.path;
+    this.debounce = options.debounce ?? 2000;
+    this.maxWait = options.maxWait ?? this.debounce * 10;
+    this.ignore = new Set([".git", ...(options.ignore || DEFAULT_IGNORE)]);
+    this.ignorePath = options.ignorePath || (() => false);
+    this.maxDirectories = options.maxDirectories || 1000;
+
+    this.watchers = new Map();
+    this.pending = new Set();
+    this.flushTimer = null;
+    this.firstChangeAt = null;
+    this.limitReported = false;
+  }
+
+  start() {
+    // Linked worktrees keep HEAD and index apart from the repository's refs
+    const layout = readGitLayout(this.projectPath);
+
+    if (layout && isDirectory(layout.gitDir)) {
+      this.watch(layout.gitDir, (filename) => {
+        if (GIT_FILES[filename]) {
+          this.record(GIT_FILES[filename]);
+        }
+      });
+      if (layout.commonDir !== layout.gitDir) {
+        this.watch(layout.commonDir, (filename) => {
+          if (filename === "packed-refs") {
+            this.record("refs");
+          }
+        });
+      }
+      this.watchRefs(path.join(layout.commonDir, "refs"), true);
+    }
+
+    this.watchTree(this.projectPath);
+    return this;
+  }
+
+  /**
+   * Watch a branch ref directory and the directories below it
+   */
+  watchRefs(directory, isRoot = false) {
+    this.watch(directory, (filename) => {
+      const changed = path.join(directory, filename);
+      if (!(isRoot && IGNORED_REFS.has(filename))) {
+        if (isDirectory(changed)) {
+          this.watchRefs(changed);
+        }
+        this.record("refs");
+      }
+    });
+
+    for (const entry of readDirectories(directory)) {
+      if (!(isRoot && IGNORED_REFS.has(entry))) {
+        this.watchRefs(path.join(directory, entry));
+      }
+    }
+  }
+
+  /**
+   * Watch a working tree directory and, except ignored ones, those below it
+   */
+  watchTree(directory) {
+    this.watch(directory, (filename) => {
+      if (this.ignore.has(filename)) return;
+
+      const changed = path.join(directory, filename);
+      const changedDirectory = isDirectory(changed);
+      if (this.ignorePath(path.relative(this.projectPath, changed), changedDirectory)) return;
+
+      if (changedDirectory) {
+        this.watchTree(changed);
+      }
+      this.record("worktree");
+    });
+
+    for (const entry of readDirectories(directory)) {
+      const entryPath = path.join(directory, entry);
+      if (
+        !this.ignore.has(entry) &&
+        !this.ignorePath(path.relative(this.projectPath, entryPath), true)
+      ) {
+        this.watchTree(entryPath);
+      }
+    }
+  }
+
+  watch(directory, onChange) {
+    if (this.watchers.has(directory)) return;
+
+    if (this.watchers.size >= this.maxDirectories) {
+      if (!this.limitReported) {
+        this.limitReported = true;
+        this.emit("limit", { directories: this.maxDirectories });
+      }
+      return;
+    }
+
+    try {
+      const watcher = fs.watch(directory, { persistent: false }, (eventType, filename) => {
+        if (filename) {
+          onChange(filename.toString());
+        }
+      });
+      watcher.on("error", (error) => {
+        // A watched directory that is deleted just stops reporting
+        if (error.code === "ENOENT" || error.code === "EPERM") {
+          this.unwatch(directory);
+        } else {
+          this.fail(error);
+        }
+      });
+      this.watchers.set(directory, watcher);
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        this.fail(error);
+      }
+    }
+  }
+
+  unwatch(directory) {
+    this.watchers.get(directory)?.close();
+    this.watchers.delete(directory);
+  }
+
+  record(kind) {
+    for (const analyzer of AFFECTED_ANALYZERS[kind]) {
+      this.pending.add(analyzer);
+    }
+
+    const now = Date.now();
+    this.firstChangeAt = this.firstChangeAt ?? now;
+    const delay = Math.min(this.debounce, this.maxWait - (now - this.firstChangeAt));
+
+    clearTimeout(this.flushTimer);
+    this.flushTimer = setTimeout(() => this.flush(), Math.max(0, delay));
+    this.flushTimer.unref?.();
+  }
+
+  flush() {
+    const analyzers = [...this.pending];
+    this.pending.clear();
+    this.firstChangeAt = null;
+    this.flushTimer = null;
+
+    if (analyzers.length > 0) {
+      this.emit("change", { analyzers });
+    }
+  }
+
+  /**
+   * Stop watching after an error such as running out of inotify watches
+   */
+  fail(error) {
+    this.close();
+    this.emit("error", error);
+  }
+
+  close() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    this.pending.clear();
+    for (const watcher of this.watchers.values()) {
+      watcher.close();
+    }
+    this.watchers.clear();
+  }
+}
+
+function isDirectory(target) {
+  try {
+    return fs.statSync(target).isDirectory();
+  } catch (error) {
+    return false;
+  }
+}
+
+function readDirectories(directory) {
+  try {
+    return fs
+      .readdirSync(directory, { withFileTypes: true })
+      .filter((entry) => entry.isDirectory())
+      .map((entry) => entry.name);
+  } catch (error) {
+    return [];
+  }
+}
+
+ProjectWatcher.AFFECTED_ANALYZERS = AFFECTED_ANALYZERS;
+
+module.exports = ProjectWatcher;
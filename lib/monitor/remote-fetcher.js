@@ -0,0 +1,280 @@
+/**
+ * Portfolio Monitoring System - Remote Fetcher
+ *
+ * Business Purpose: Keep ahead/behind counts current without hitting every
+ * remote on every scan. Each repository's remotes (origin, and upstream for a
+ * fork) are fetched at most once per
+ * `git.fetchInterval`; in between, scans work from the remote-tracking refs
+ * of the last fetch. A fetch that times out or cannot reach its remote is
+ * recorded, and the scan carries on with those refs marked stale.
+ *
+ * Fetch state is kept in a JSON file, so forked monitors and restarts share
+ * the same throttle.
+ */
+
+const { spawn } = require("node:child_process");
+const fs = require("node:fs");
+const { writeJsonFile } = require("../utils/json-file");
+
+// Errors that mean the remote could not be reached, as opposed to refused us
+const UNREACHABLE_PATTERNS = [
+  /could not resolve host/i,
+  /could not resolve hostname/i,
+  /connection (timed out|refused)/i,
+  /network is unreachable/i,
+  /no route to host/i,
+  /operation timed out/i,
+  /failed to connect/i,
+];
+
+class RemoteFetcher {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.interval] - Least time between fetches of one repository, in ms
+   * @param {number} [options.timeout] - Longest a fetch may run before the remote counts as unreachable, in ms
+   * @param {string} [options.file] - JSON file holding the fetch state; kept in memory without one
+   * @param {Function} [options.now] - Clock, for tests
+   */
+  constructor(options = {}) {
+    this.interval = options.interval ?? 15 * 60 * 1000;
+    this.timeout = options.timeout || 10000;
+    this.file = options.file;
+    this.now = options.now || (() => Date.now());
+
+    this.memoryState = { repositories: {} };
+    this.inFlight = new Map();
+  }
+
+  /**
+   * Fetch a repository's remotes unless they were tried within the interval
+   *
+   * @param {string} repositoryPath
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - Fetch even when throttled
+   * @returns {Promise<Object>} Remote state, see describe(); `fetched` tells
+   *   whether this call contacted the remotes
+   */
+  async fetch(repositoryPath, { force = false } = {}) {
+    // Callers asking for the same repository share one fetch
+    if (this.inFlight.has(repositoryPath)) {
+      return this.inFlight.get(repositoryPath);
+    }
+
+    const record = this.readState().repositories[repositoryPath];
+    if (!force && record && this.now() - record.lastAttemptAt < this.interval) {
+      return { ...this.describe(record), fetched: false };
+    }
+
+    const fetching = this.run(repositoryPath).finally(() => this.inFlight.delete(repositoryPath));
+    this.inFlight.set(repositoryPath, fetching);
+    return fetching;
+  }
+
+  /**
+   * Remote state as of the last fetch, without fetching
+   *
+   * @returns {Object|null} null when the repository was never fetched
+   */
+  status(repositoryPath) {
+    const record = this.readState().repositories[repositoryPath];
+    return record ? { ...this.describe(record), fetched: false } : null;
+  }
+
+  async run(repositoryPath) {
+    const attemptedAt = this.now();
+    const previous = this.readState().repositories[repositoryPath];
+    const record = {
+      status: "fetched",
+      lastAttemptAt: attemptedAt,
+      lastFetchAt: previous?.lastFetchAt ?? null,
+      error: null,
+      remotes: {},
+    };
+
+    let names = [];
+    try {
+      const { stdout } = await this.git(repositoryPath, ["remote"]);
+      names = stdout.split("\n").filter(Boolean);
+    } catch (error) {
+      // Treated like a repository without remotes
+    }
+    if (names.length === 0) {
+      record.status = "no_remote";
+      return this.save(repositoryPath, record);
+    }
+
+    // One at a time, so an unreachable fork upstream cannot hide origin's result
+    for (const name of names) {
+      record.remotes[name] = await this.fetchRemote(repositoryPath, name, {
+        attemptedAt,
+        previous: previous?.remotes?.[name],
+      });
+    }
+
+    const results = Object.values(record.remotes);
+    const failed =
+      results.find((result) => result.status === "unreachable") ||
+      results.find((result) => result.status === "failed");
+    if (failed) {
+      record.status = failed.status;
+      record.error = failed.error;
+    } else {
+      record.lastFetchAt = attemptedAt;
+    }
+
+    return this.save(repositoryPath, record);
+  }
+
+  async fetchRemote(repositoryPath, name, { attemptedAt, previous }) {
+    try {
+      await this.git(repositoryPath, ["fetch", name, "--quiet"]);
+      return { status: "fetched", lastFetchAt: attemptedAt, error: null };
+    } catch (error) {
+      return {
+        status: error.timedOut || isUnreachable(error) ? "unreachable" : "failed",
+        lastFetchAt: previous?.lastFetchAt ?? null,
+        error: error.timedOut
+          ? `Fetch from ${name} timed out after ${this.timeout}ms`
+          : firstLine(error.stderr) || error.message,
+      };
+    }
+  }
+
+  /**
+   * Run git in its own process group, so a timeout also ends the transport
+   * helpers (ssh, git-remote-https) it started
+   */
+  git(repositoryPath, args) {
+    return new Promise((resolve, reject) => {
+      const child = spawn("git", args, {
+        cwd: repositoryPath,
+        detached: true,
+        stdio: ["ignore", "pipe", "pipe"],
+        env: {
+          ...process.env,
+          // Fail instead of waiting for credentials nobody will type
+          GIT_TERMINAL_PROMPT: "0",
+          GIT_SSH_COMMAND:
+            process.env.GIT_SSH_COMMAND ||
+            `ssh -o BatchMode=yes -o ConnectTimeout=${Math.ceil(this.timeout / 1000)}`,
+        },
+      });
+
+      let stdout = "";
+      let stderr = "";
+      let timedOut = false;
+      child.stdout.on("data", (chunk) => {
+        stdout += chunk;
+      });
+      child.stderr.on("data", (chunk) => {
+        stderr += chunk;
+      });
+
+      const timer = setTimeout(() => {
+        timedOut = true;
+        try {
+          process.kill(-child.pid, "SIGKILL");
+        } catch (error) {
+          child.kill("SIGKILL");
+        }
+      }, this.timeout);
+
+      child.on("error", (error) => {
+        clearTimeout(timer);
+        reject(Object.assign(error, { stderr, timedOut }));
+      });
+      child.on("close", (code, signal) => {
+        clearTimeout(timer);
+        if (code === 0) {
+          resolve({ stdout, stderr });
+        } else {
+          const error = new Error(`git ${args[0]} failed (${signal || `exit code ${code}`})`);
+          reject(Object.assign(error, { stderr, timedOut }));
+        }
+      });
+    });
+  }
+
+  save(repositoryPath, record) {
+    // Re-read so fetches recorded by other processes are kept
+    const state = this.readState();
+    state.repositories[repositoryPath] = record;
+    this.writeState(state);
+    return { ...this.describe(record), fetched: true };
+  }
+
+  /**
+   * @returns {Object} `status` is the outcome of the last attempt: fetched,
+   *   unreachable, failed or no_remote, and the worst of the remotes' own
+   *   statuses in `remotes`. `stale` is set when some remote-tracking refs
+   *   could not be brought up to date; `lastFetchAt` is when all of them last were.
+   */
+  describe(record) {
+    const remotes = {};
+    for (const [name, remote] of Object.entries(record.remotes || {})) {
+      remotes[name] = {
+        status: remote.status,
+        stale: isStale(remote.status),
+        lastFetchAt: toISOString(remote.lastFetchAt),
+        error: remote.error,
+      };
+    }
+
+    return {
+      status: record.status,
+      reachable: record.status === "no_remote" ? null : record.status !== "unreachable",
+      stale: isStale(record.status),
+      lastFetchAt: toISOString(record.lastFetchAt),
+      lastAttemptAt: toISOString(record.lastAttemptAt),
+      nextFetchAt: toISOString(record.lastAttemptAt + this.interval),
+      error: record.error,
+      remotes,
+    };
+  }
+
+  readState() {
+    if (!this.file) {
+      return this.memoryState;
+    }
+
+    try {
+      const state = JSON.parse(fs.readFileSync(this.file, "utf8"));
+      return { repositories: state.repositories || {} };
+    } catch (error) {
+      // A missing or damaged state file only costs one extra fetch per repository
+      return { repositories: {} };
+    }
+  }
+
+  writeState(state) {
+    if (!this.file) {
+      return;
+    }
+
+    writeJsonFile(this.file, state);
+  }
+}
+
+function isStale(status) {
+  return status === "unreachable" || status === "failed";
+}
+
+function isUnreachable(error) {
+  const output = `${error.stderr || ""}\n${error.message}`;
+  return UNREACHABLE_PATTERNS.some((pattern) => pattern.test(output));
+}
+
+function firstLine(text) {
+  return (
+    String(text || "")
+      .split("\n")
+      .map((line) => line.trim())
+      .find(Boolean) || null
+  );
+}
+
+function toISOString(timestamp) {
+  return timestamp == null ? null : new Date(timestamp).toISOString();
+}
+
+module.exports = RemoteFetcher;
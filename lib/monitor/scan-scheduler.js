@@ -0,0 +1,294 @@
+/**
+ * Portfolio Monitoring System - Scan Scheduler
+ *
+ * Business Purpose: Keep every project scanned on time without running more
+ * than `monitoring.maxConcurrentScans` scans at once. Due scans wait in a
+ * queue ordered by request, priority and due time; intervals get jitter so
+ * scans spread out, and failing projects back off. Incremental scans of a
+ * few analyzers, requested by a project watcher, share the same queue.
+ */
+
+const EventEmitter = require("node:events");
+
+const SCAN_INTERVALS = {
+  HIGH: 2 * 60 * 1000, // 2 minutes for revenue projects
+  MEDIUM: 5 * 60 * 1000, // 5 minutes for strategic projects
+  LOW: 15 * 60 * 1000, // 15 minutes for infrastructure
+};
+
+const PRIORITY_RANK = { HIGH: 0, MEDIUM: 1, LOW: 2 };
+
+class ScanScheduler extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Function} options.runScan - Scans one project: async (projectName, {analyzers}) => void,
+   *   where `analyzers` is only set for incremental scans
+   * @param {number} [options.concurrency] - Scans running at the same time
+   * @param {number} [options.jitter] - Fraction each interval is randomly shortened or stretched by
+   * @param {number} [options.maxBackoff] - Longest delay after repeated failures, in ms
+   * @param {Function} [options.random] - Random source, for tests
+   */
+  constructor(options) {
+    super();
+    this.runScan = options.runScan;
+    this.concurrency = options.concurrency || 5;
+    this.jitter = options.jitter ?? 0.1;
+    this.maxBackoff = options.maxBackoff || 60 * 60 * 1000;
+    this.random = options.random || Math.random;
+
+    this.entries = new Map();
+    this.active = new Map();
+    this.timer = null;
+    this.isRunning = false;
+  }
+
+  static intervalFor(priority) {
+    return SCAN_INTERVALS[priority] || SCAN_INTERVALS.MEDIUM;
+  }
+
+  /**
+   * Schedule a project. Its first scan is due immediately.
+   *
+   * @param {string} projectName
+   * @param {Object} [options]
+   * @param {string} [options.priority] - HIGH, MEDIUM or LOW
+   * @param {number} [options.interval] - Overrides the priority's scan interval, in ms
+   */
+  add(projectName, { priority = "MEDIUM", interval } = {}) {
+    this.entries.set(projectName, {
+      project: projectName,
+      priority,
+      interval: interval || ScanScheduler.intervalFor(priority),
+      nextRunAt: Date.now(),
+      lastRunAt: null,
+      lastDuration: null,
+      failures: 0,
+      lastError: null,
+      requested: false,
+      analyzers: null,
+    });
+    this.pump();
+  }
+
+  /**
+   * Change a project's interval, e.g. to a slow sweep once it is watched.
+   * The next scan moves closer when the new interval is shorter.
+   */
+  setInterval(projectName, interval) {
+    const entry = this.entries.get(projectName);
+    if (!entry) return;
+
+    entry.nextRunAt = Math.min(entry.nextRunAt, Date.now() + interval);
+    entry.interval = interval;
+    this.pump();
+  }
+
+  remove(projectName) {
+    this.entries.delete(projectName);
+  }
+
+  has(projectName) {
+    return this.entries.has(projectName);
+  }
+
+  /**
+   * Move a project to the front of the queue. A project that is being
+   * scanned right now is scanned again as soon as that scan ends.
+   *
+   * @param {string} projectName
+   * @param {Object} [options]
+   * @param {string[]} [options.analyzers] - Rescan only these; requests are merged until the scan starts
+   * @returns {boolean} false for a project that is not scheduled
+   */
+  scanNow(projectName, { analyzers } = {}) {
+    const entry = this.entries.get(projectName);
+    if (!entry) {
+      return false;
+    }
+
+    if (analyzers) {
+      entry.analyzers = new Set([...(entry.analyzers || []), ...analyzers]);
+    } else {
+      entry.requested = true;
+      if (!this.active.has(projectName)) {
+        entry.nextRunAt = Math.min(entry.nextRunAt, Date.now());
+      }
+    }
+    this.pump();
+    return true;
+  }
+
+  start() {
+    this.isRunning = true;
+    this.pump();
+  }
+
+  /**
+   * Stop starting scans and wait for the running ones to end
+   */
+  async stop() {
+    this.isRunning = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    await Promise.allSettled(this.active.values());
+  }
+
+  /**
+   * Start due scans, most urgent first, while workers are free
+   */
+  pump() {
+    if (!this.isRunning) {
+      return;
+    }
+
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const now = Date.now();
+    const idle = [...this.entries.values()].filter((entry) => !this.active.has(entry.project));
+    const isRequested = (entry) => entry.requested || entry.analyzers !== null;
+    const due = idle
+      .filter((entry) => entry.nextRunAt <= now || isRequested(entry))
+      .sort(
+        (a, b) =>
+          Number(isRequested(b)) - Number(isRequested(a)) ||
+          (PRIORITY_RANK[a.priority] ?? 1) - (PRIORITY_RANK[b.priority] ?? 1) ||
+          a.nextRunAt - b.nextRunAt,
+      );
+
+    for (const entry of due.slice(0, Math.max(0, this.concurrency - this.active.size))) {
+      this.launch(entry);
+    }
+
+    // With every worker busy, the next finishing scan pumps again
+    if (this.active.size >= this.concurrency) {
+      return;
+    }
+
+    const waiting = idle.filter((entry) => !this.active.has(entry.project));
+    if (waiting.length > 0) {
+      const nextRunAt = Math.min(...waiting.map((entry) => entry.nextRunAt));
+      this.timer = setTimeout(() => this.pump(), Math.max(0, nextRunAt - now));
+    }
+  }
+
+  launch(entry) {
+    const startedAt = Date.now();
+
+    // A due or requested full scan covers any pending incremental one
+    const analyzers = entry.requested || entry.nextRunAt <= startedAt ? null : [...entry.analyzers];
+    entry.analyzers = null;
+    if (analyzers) {
+      return this.launchIncremental(entry, analyzers);
+    }
+
+    entry.requested = false;
+    entry.lastRunAt = new Date(startedAt).toISOString();
+    this.emit("scan_started", { project: entry.project });
+
+    const scan = Promise.resolve()
+      .then(() => this.runScan(entry.project, {}))
+      .then(
+        () => {
+          entry.failures = 0;
+          entry.lastError = null;
+          entry.nextRunAt = Date.now() + this.withJitter(entry.interval);
+          this.emit("scan_completed", { project: entry.project, duration: Date.now() - startedAt });
+        },
+        (error) => {
+          // Back off exponentially, but never below the normal interval
+          entry.failures++;
+          entry.lastError = error.message;
+          const delay = Math.max(
+            entry.interval,
+            Math.min(entry.interval * 2 ** entry.failures, this.maxBackoff),
+          );
+          entry.nextRunAt = Date.now() + this.withJitter(delay);
+          this.emit("scan_failed", {
+            project: entry.project,
+            error,
+            failures: entry.failures,
+            retryAt: new Date(entry.nextRunAt).toISOString(),
+          });
+        },
+      )
+      .finally(() => {
+        entry.lastDuration = Date.now() - startedAt;
+        this.settle(entry);
+      });
+
+    this.active.set(entry.project, scan);
+  }
+
+  /**
+   * Rescan some analyzers. This leaves the next full scan and the backoff
+   * alone: the full scan is the safety net for whatever was missed.
+   */
+  launchIncremental(entry, analyzers) {
+    const startedAt = Date.now();
+    this.emit("scan_started", { project: entry.project, analyzers });
+
+    const scan = Promise.resolve()
+      .then(() => this.runScan(entry.project, { analyzers }))
+      .then(
+        () => {
+          this.emit("scan_completed", {
+            project: entry.project,
+            analyzers,
+            duration: Date.now() - startedAt,
+          });
+        },
+        (error) => {
+          this.emit("scan_failed", {
+            project: entry.project,
+            analyzers,
+            error,
+            failures: entry.failures,
+            retryAt: new Date(entry.nextRunAt).toISOString(),
+          });
+        },
+      )
+      .finally(() => this.settle(entry));
+
+    this.active.set(entry.project, scan);
+  }
+
+  settle(entry) {
+    this.active.delete(entry.project);
+    if (entry.requested) {
+      entry.nextRunAt = Date.now();
+    }
+    this.pump();
+  }
+
+  withJitter(delay) {
+    return Math.round(delay * (1 + (this.random() * 2 - 1) * this.jitter));
+  }
+
+  /**
+   * Queue state for each project, running scans first, then by due time
+   */
+  status() {
+    return [...this.entries.values()]
+      .map((entry) => ({
+        project: entry.project,
+        priority: entry.priority,
+        interval: entry.interval,
+        running: this.active.has(entry.project),
+        requested: entry.requested,
+        pendingAnalyzers: entry.analyzers ? [...entry.analyzers] : [],
+        nextRunAt: new Date(entry.nextRunAt).toISOString(),
+        lastRunAt: entry.lastRunAt,
+        lastDuration: entry.lastDuration,
+        failures: entry.failures,
+        lastError: entry.lastError,
+      }))
+      .sort(
+        (a, b) => Number(b.running) - Number(a.running) || a.nextRunAt.localeCompare(b.nextRunAt),
+      );
+  }
+}
+
+ScanScheduler.SCAN_INTERVALS = SCAN_INTERVALS;
+
+module.exports = ScanScheduler;
@@ -0,0 +1,83 @@
+/**
+ * Portfolio Monitoring System - Command Notification Channel
+ *
+ * Runs a local command per alert. The alert is passed as JSON on stdin and
+ * as PORTFOLIO_ALERT_* environment variables; arguments are templates.
+ */
+
+const { spawn } = require("node:child_process");
+
+class CommandChannel {
+  /**
+   * @param {Object} options
+   * @param {string} options.command - Executable to run (not through a shell)
+   * @param {string[]} [options.args] - Arguments; {title}, {body}, {project}, {severity} and
+   *   {message} are filled in
+   * @param {string} [options.cwd]
+   * @param {number} [options.timeout] - Kill the command after this many ms
+   */
+  constructor(options) {
+    this.command = options.command;
+    this.args = options.args || [];
+    this.cwd = options.cwd;
+    this.timeout = options.timeout || 30000;
+  }
+
+  async send(message, event) {
+    const fields = { ...event, ...message };
+    const args = this.args.map((arg) =>
+      arg.replace(/\{(\w+)\}/g, (placeholder, field) =>
+        typeof fields[field] === "string" ? fields[field] : placeholder,
+      ),
+    );
+
+    await runCommand(this.command, args, {
+      cwd: this.cwd,
+      timeout: this.timeout,
+      input: JSON.stringify({ ...message, ...event }),
+      env: {
+        ...process.env,
+        PORTFOLIO_ALERT_PROJECT: event.project || "",
+        PORTFOLIO_ALERT_SEVERITY: event.severity || "",
+        PORTFOLIO_ALERT_MESSAGE: event.message || "",
+        PORTFOLIO_ALERT_TITLE: message.title,
+        PORTFOLIO_ALERT_BODY: message.body,
+      },
+    });
+  }
+}
+
+/**
+ * Run a command to completion, rejecting on a non-zero exit or timeout
+ */
+function runCommand(command, args, options = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, {
+      cwd: options.cwd,
+      env: options.env,
+      stdio: ["pipe", "ignore", "pipe"],
+      timeout: options.timeout,
+    });
+
+    let stderr = "";
+    child.stderr.on("data", (chunk) => {
+      stderr += chunk;
+    });
+    child.stdin.on("error", () => {});
+    child.stdin.end(options.input || "");
+
+    child.on("error", (error) => reject(new Error(`Cannot run ${command}: ${error.message}`)));
+    child.on("close", (code, signal) => {
+      if (code === 0) {
+        resolve();
+      } else {
+        const reason = signal ? `was stopped by ${signal}` : `exited with code ${code}`;
+        reject(new Error(`${command} ${reason}${stderr.trim() ? `: ${stderr.trim()}` : ""}`));
+      }
+    });
+  });
+}
+
+CommandChannel.runCommand = runCommand;
+
+module.exports = CommandChannel;
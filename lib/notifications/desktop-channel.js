@@ -0,0 +1,77 @@
+/**
+ * Portfolio Monitoring System - Desktop Notification Channel
+ *
+ * Shows alerts as desktop notifications with the platform's own tool:
+ * osascript on macOS, notify-send on Linux and a PowerShell balloon on Windows
+ */
+
+const { runCommand } = require("./command-channel");
+
+class DesktopChannel {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.platform] - Defaults to process.platform
+   * @param {number} [options.timeout] - Command timeout in ms
+   */
+  constructor(options = {}) {
+    this.platform = options.platform || process.platform;
+    this.timeout = options.timeout || 10000;
+  }
+
+  async send(message, event) {
+    const [command, args] = this.buildCommand(message, event);
+    await runCommand(command, args, { timeout: this.timeout });
+  }
+
+  buildCommand(message, event) {
+    switch (this.platform) {
+      case "darwin":
+        return [
+          "osascript",
+          [
+            "-e",
+            `display notification ${appleScriptString(message.body)} with title ${appleScriptString(message.title)}`,
+          ],
+        ];
+      case "linux":
+        return [
+          "notify-send",
+          [
+            "--app-name=Portfolio Monitor",
+            `--urgency=${event.severity === "CRITICAL" ? "critical" : "normal"}`,
+            message.title,
+            message.body,
+          ],
+        ];
+      case "win32":
+        return [
+          "powershell.exe",
+          [
+            "-NoProfile",
+            "-Command",
+            [
+              "Add-Type -AssemblyName System.Windows.Forms",
+              "$n = New-Object System.Windows.Forms.NotifyIcon",
+              "$n.Icon = [System.Drawing.SystemIcons]::Warning",
+              "$n.Visible = $true",
+              `$n.ShowBalloonTip(10000, ${powerShellString(message.title)}, ${powerShellString(message.body)}, 'Warning')`,
+              "Start-Sleep -Seconds 5",
+              "$n.Dispose()",
+            ].join("; "),
+          ],
+        ];
+      default:
+        throw new Error(`Desktop notifications are not supported on ${this.platform}`);
+    }
+  }
+}
+
+function appleScriptString(value) {
+  return `"${value.replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+}
+
+function powerShellString(value) {
+  return `'${value.replace(/'/g, "''")}'`;
+}
+
+module.exports = DesktopChannel;
@@ -0,0 +1,233 @@
+/**
+ * Portfolio Monitoring System - Email Notification Channel
+ *
+ * Sends alerts as plain-text mail over SMTP, with implicit TLS or STARTTLS
+ * and AUTH PLAIN. Speaks just enough SMTP to submit one message per alert.
+ */
+
+const crypto = require("node:crypto");
+const net = require("node:net");
+const os = require("node:os");
+const tls = require("node:tls");
+const { NetworkError } = require("../utils/error-handler");
+
+class EmailChannel {
+  /**
+   * @param {Object} options
+   * @param {string} options.host - SMTP server
+   * @param {number} [options.port] - Defaults to 465 with `secure`, 25 otherwise
+   * @param {boolean} [options.secure] - Connect with TLS from the start
+   * @param {boolean} [options.starttls] - Upgrade with STARTTLS when offered (default true)
+   * @param {{user: string, pass: string}} [options.auth]
+   * @param {string} options.from - Sender address
+   * @param {string|string[]} options.to - Recipient addresses
+   * @param {Object} [options.tls] - Extra options for tls.connect
+   * @param {number} [options.timeout] - Socket timeout in ms
+   */
+  constructor(options) {
+    this.host = options.host;
+    this.secure = Boolean(options.secure);
+    this.port = options.port || (this.secure ? 465 : 25);
+    this.starttls = options.starttls !== false;
+    this.auth = options.auth || null;
+    this.from = options.from;
+    this.to = [].concat(options.to || []);
+    this.tlsOptions = options.tls || {};
+    this.timeout = options.timeout || 10000;
+    this.clientName = options.clientName || os.hostname();
+  }
+
+  async send(message) {
+    const session = await this.connect();
+
+    try {
+      await session.expect(null, [220]);
+      let capabilities = await session.expect(`EHLO ${this.clientName}`, [250]);
+
+      if (!this.secure && this.starttls && capabilities.includes("STARTTLS")) {
+        await session.expect("STARTTLS", [220]);
+        await session.upgrade({ servername: this.host, ...this.tlsOptions });
+        capabilities = await session.expect(`EHLO ${this.clientName}`, [250]);
+      }
+
+      if (this.auth) {
+        const credentials = Buffer.from(`\0${this.auth.user}\0${this.auth.pass}`).toString(
+          "base64",
+        );
+        await session.expect(`AUTH PLAIN ${credentials}`, [235]);
+      }
+
+      await session.expect(`MAIL FROM:<${this.from}>`, [250]);
+      for (const recipient of this.to) {
+        await session.expect(`RCPT TO:<${recipient}>`, [250, 251]);
+      }
+      await session.expect("DATA", [354]);
+      await session.expect(`${this.formatMessage(message)}\r\n.`, [250]);
+      await session.expect("QUIT", [221]).catch(() => {});
+    } catch (error) {
+      throw new NetworkError(
+        `SMTP delivery failed: ${error.message}`,
+        `smtp://${this.host}:${this.port}`,
+        "SMTP",
+      );
+    } finally {
+      session.close();
+    }
+  }
+
+  connect() {
+    return new Promise((resolve, reject) => {
+      const onError = (error) =>
+        reject(
+          new NetworkError(
+            `SMTP connection failed: ${error.message}`,
+            `smtp://${this.host}:${this.port}`,
+            "SMTP",
+          ),
+        );
+      const socket = this.secure
+        ? tls.connect({
+            host: this.host,
+            port: this.port,
+            servername: this.host,
+            ...this.tlsOptions,
+          })
+        : net.connect({ host: this.host, port: this.port });
+
+      socket.once("error", onError);
+      socket.once(this.secure ? "secureConnect" : "connect", () => {
+        socket.removeListener("error", onError);
+        resolve(new SmtpSession(socket, this.timeout));
+      });
+    });
+  }
+
+  /**
+   * RFC 5322 message with a base64 body, so long lines and non-ASCII text
+   * survive and no line needs dot-stuffing
+   */
+  formatMessage(message) {
+    const encodeHeader = (value) =>
+      /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString("base64")}?=`;
+    const body = Buffer.from(message.body.replace(/\r?\n/g, "\r\n")).toString("base64");
+
+    return [
+      `From: ${this.from}`,
+      `To: ${this.to.join(", ")}`,
+      `Subject: ${encodeHeader(message.title.replace(/\s+/g, " "))}`,
+      `Date: ${new Date().toUTCString()}`,
+      `Message-ID: <${crypto.randomUUID()}@${this.clientName}>`,
+      "MIME-Version: 1.0",
+      "Content-Type: text/plain; charset=utf-8",
+      "Content-Transfer-Encoding: base64",
+      "",
+      ...body.match(/.{1,76}/g),
+    ].join("\r\n");
+  }
+}
+
+/**
+ * Line-based SMTP command/reply exchange over a socket
+ */
+class SmtpSession {
+  constructor(socket, timeout) {
+    this.timeout = timeout;
+    this.attach(socket);
+  }
+
+  attach(socket) {
+    this.socket = socket;
+    this.buffer = "";
+    this.lines = [];
+    this.replies = [];
+    this.error = null;
+
+    socket.setEncoding("utf8");
+    socket.setTimeout(this.timeout, () => socket.destroy(new Error("SMTP server timed out")));
+    socket.on("data", (chunk) => this.receive(chunk));
+    socket.on("error", (error) => this.fail(error));
+    socket.on("close", () => this.fail(new Error("SMTP connection closed")));
+  }
+
+  /**
+   * Switch the connection to TLS after a successful STARTTLS
+   */
+  upgrade(options) {
+    const plain = this.socket;
+    plain.removeAllListeners("data");
+    plain.removeAllListeners("error");
+    plain.removeAllListeners("close");
+    plain.setTimeout(0);
+
+    return new Promise((resolve, reject) => {
+      const secure = tls.connect({ socket: plain, ...options }, () => {
+        secure.removeListener("error", reject);
+        this.attach(secure);
+        resolve();
+      });
+      secure.once("error", reject);
+    });
+  }
+
+  receive(chunk) {
+    this.buffer += chunk;
+    const lines = this.buffer.split(/\r?\n/);
+    this.buffer = lines.pop();
+
+    for (const line of lines) {
+      this.lines.push(line.slice(4));
+      // The last line of a reply has a space (or nothing) after the code
+      if (/^\d{3}(?: |$)/.test(line)) {
+        this.replies.push({ code: Number(line.slice(0, 3)), lines: this.lines });
+        this.lines = [];
+      }
+    }
+    this.deliver();
+  }
+
+  fail(error) {
+    this.error = this.error || error;
+    this.deliver();
+  }
+
+  deliver() {
+    if (!this.waiting) return;
+    if (this.replies.length > 0) {
+      const { resolve } = this.waiting;
+      this.waiting = null;
+      resolve(this.replies.shift());
+    } else if (this.error) {
+      const { reject } = this.waiting;
+      this.waiting = null;
+      reject(this.error);
+    }
+  }
+
+  /**
+   * Send a command (or just read, when null) and check the reply code
+   *
+   * @returns {Promise<string[]>} Reply lines, e.g. EHLO capabilities
+   */
+  async expect(command, codes) {
+    if (command !== null) {
+      this.socket.write(`${command}\r\n`);
+    }
+
+    const reply = await new Promise((resolve, reject) => {
+      this.waiting = { resolve, reject };
+      this.deliver();
+    });
+
+    if (!codes.includes(reply.code)) {
+      const sent = command?.startsWith("AUTH") ? "AUTH" : command?.split("\r\n")[0];
+      throw new Error(`${sent || "Greeting"}: ${reply.code} ${reply.lines.join(" ")}`);
+    }
+    return reply.lines;
+  }
+
+  close() {
+    this.socket.destroy();
+  }
+}
+
+module.exports = EmailChannel;
@@ -0,0 +1,181 @@
+/**
+ * Portfolio Monitoring System - Notifier
+ *
+ * Business Purpose: Deliver project alerts to the channels configured under
+ * `notifications.channels` (webhook, email, command hook, desktop), each with
+ * its own severity filter, project routing and message template
+ */
+
+const { minimatch } = require("minimatch");
+const { ConfigurationError } = require("../utils/error-handler");
+const WebhookChannel = require("./webhook-channel");
+const EmailChannel = require("./email-channel");
+const CommandChannel = require("./command-channel");
+const DesktopChannel = require("./desktop-channel");
+
+const SEVERITY_LEVELS = { INFO: 0, WARNING: 1, CRITICAL: 2 };
+
+const CHANNEL_TYPES = {
+  webhook: WebhookChannel,
+  email: EmailChannel,
+  command: CommandChannel,
+  desktop: DesktopChannel,
+};
+
+const REQUIRED_OPTIONS = {
+  webhook: ["url"],
+  email: ["host", "from", "to"],
+  command: ["command"],
+};
+
+const DEFAULT_TEMPLATE = {
+  title: "[{severity}] {project}: {message}",
+  body: "{message}\n\nProject: {project}\nSeverity: {severity}\nTime: {timestamp}\n\n{detailsText}",
+};
+
+class Notifier {
+  /**
+   * @param {Object} [config] - The `notifications` configuration section
+   * @param {Object[]} [config.channels] - Channel definitions
+   * @param {Object} [options]
+   * @param {Object} [options.channelTypes] - Extra or replacement channel classes by type
+   * @param {Function} [options.log] - Logger as (message, level)
+   */
+  constructor(config = {}, options = {}) {
+    this.log = options.log || (() => {});
+    const channelTypes = { ...CHANNEL_TYPES, ...options.channelTypes };
+
+    this.channels = (config.channels || [])
+      .filter((definition) => definition.enabled !== false)
+      .map((definition, index) => {
+        const Channel = channelTypes[definition.type];
+        if (!Channel) {
+          throw new ConfigurationError(
+            `Unknown notification channel type: ${definition.type}`,
+            `notifications.channels[${index}].type`,
+            definition.type,
+          );
+        }
+
+        const missing = (REQUIRED_OPTIONS[definition.type] || []).find((key) => !definition[key]);
+        if (missing) {
+          throw new ConfigurationError(
+            `Notification channel ${definition.name || definition.type} needs ${missing}`,
+            `notifications.channels[${index}].${missing}`,
+          );
+        }
+
+        return {
+          name: definition.name || `${definition.type}-${index + 1}`,
+          minSeverity: definition.minSeverity || "CRITICAL",
+          projects: definition.projects ? [].concat(definition.projects) : null,
+          excludeProjects: [].concat(definition.excludeProjects || []),
+          tags: definition.tags ? [].concat(definition.tags) : null,
+          template: { ...DEFAULT_TEMPLATE, ...definition.template },
+          adapter: new Channel(definition),
+        };
+      });
+  }
+
+  hasChannels() {
+    return this.channels.length > 0;
+  }
+
+  /**
+   * Send an alert to every channel that accepts it. Channel failures are
+   * logged and reported in the results instead of being thrown.
+   *
+   * @param {Object} alert
+   * @param {string} alert.project - Project name, as displayed
+   * @param {string} [alert.projectId] - Project ID
+   * @param {string} [alert.name] - Directory name, which project globs match; defaults to `project`
+   * @param {string} alert.severity - INFO, WARNING or CRITICAL
+   * @param {string} alert.message
+   * @param {Object} [alert.details]
+   * @param {string[]} [alert.tags] - Project classification tags, used for routing
+   * @returns {Promise<Array<{channel: string, status: string, error?: string}>>}
+   */
+  async notify(alert) {
+    const event = this.createEvent(alert);
+
+    return Promise.all(
+      this.channels.map(async (channel) => {
+        if (!this.accepts(channel, event)) {
+          return { channel: channel.name, status: "skipped" };
+        }
+
+        const message = {
+          title: this.render(channel.template.title, event),
+          body: this.render(channel.template.body, event),
+        };
+
+        try {
+          await channel.adapter.send(message, event);
+          this.log(`Sent ${event.severity} alert for ${event.project} to ${channel.name}`, "debug");
+          return { channel: channel.name, status: "sent" };
+        } catch (error) {
+          this.log(`Notification channel ${channel.name} failed: ${error.message}`, "error");
+          return { channel: channel.name, status: "failed", error: error.message };
+        }
+      }),
+    );
+  }
+
+  createEvent(alert) {
+    const details = alert.details || {};
+    return {
+      project: alert.project,
+      projectId: alert.projectId || alert.project,
+      name: alert.name || alert.project,
+      severity: alert.severity,
+      message: alert.message,
+      details,
+      tags: alert.tags || [],
+      owner: alert.owner || null,
+      timestamp: alert.timestamp || new Date().toISOString(),
+      detailsText: Object.entries(details)
+        .map(
+          ([key, value]) => `${key}: ${typeof value === "object" ? JSON.stringify(value) : value}`,
+        )
+        .join("\n"),
+    };
+  }
+
+  /**
+   * Severity filter and project routing: name globs, exclusions and tags
+   */
+  accepts(channel, event) {
+    if ((SEVERITY_LEVELS[event.severity] ?? -1) < SEVERITY_LEVELS[channel.minSeverity]) {
+      return false;
+    }
+
+    const matches = (patterns) =>
+      patterns.some((pattern) => minimatch(event.name || "", pattern, { nocase: true }));
+
+    if (channel.projects && !matches(channel.projects)) return false;
+    if (matches(channel.excludeProjects)) return false;
+    if (channel.tags && !channel.tags.some((tag) => event.tags.includes(tag))) return false;
+
+    return true;
+  }
+
+  /**
+   * Fill `{field}` and `{details.key}` placeholders from the alert
+   */
+  render(template, event) {
+    return template.replace(/\{([\w.]+)\}/g, (placeholder, field) => {
+      const value = field
+        .split(".")
+        .reduce((current, key) => (current == null ? undefined : current[key]), event);
+      if (value === null || value === undefined) {
+        return placeholder;
+      }
+      return typeof value === "object" ? JSON.stringify(value) : String(value);
+    });
+  }
+}
+
+Notifier.SEVERITY_LEVELS = SEVERITY_LEVELS;
+Notifier.CHANNEL_TYPES = Object.keys(CHANNEL_TYPES);
+
+module.exports = Notifier;
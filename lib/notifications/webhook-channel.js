@@ -0,0 +1,60 @@
+/**
+ * Portfolio Monitoring System - Webhook Notification Channel
+ *
+ * POSTs alerts as JSON, either the full alert or a Slack-compatible
+ * `{ text }` payload for incoming webhooks
+ */
+
+const { NetworkError } = require("../utils/error-handler");
+
+class WebhookChannel {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - Webhook URL
+   * @param {string} [options.format] - "json" (default) or "slack"
+   * @param {Object} [options.headers] - Extra request headers
+   * @param {number} [options.timeout] - Request timeout in ms
+   */
+  constructor(options) {
+    this.url = options.url;
+    this.format = options.format || "json";
+    this.headers = options.headers || {};
+    this.timeout = options.timeout || 10000;
+  }
+
+  async send(message, event) {
+    const payload =
+      this.format === "slack"
+        ? { text: `*${message.title}*\n${message.body}` }
+        : {
+            title: message.title,
+            body: message.body,
+            project: event.project,
+            projectId: event.projectId,
+            severity: event.severity,
+            message: event.message,
+            details: event.details,
+            owner: event.owner,
+            tags: event.tags,
+            timestamp: event.timestamp,
+          };
+
+    let response;
+    try {
+      response = await fetch(this.url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...this.headers },
+        body: JSON.stringify(payload),
+        signal: AbortSignal.timeout(this.timeout),
+      });
+    } catch (error) {
+      throw new NetworkError(`Webhook request failed: ${error.message}`, this.url, "POST");
+    }
+
+    if (!response.ok) {
+      throw new NetworkError(`Webhook responded with HTTP ${response.status}`, this.url, "POST");
+    }
+  }
+}
+
+module.exports = WebhookChannel;
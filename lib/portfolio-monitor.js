@@ -11,6 +11,7 @@ const chalk = require("chalk");
 const ConfigLoader = require("./config/config-loader");
 const MasterController = require("./monitor/master-controller");
 const DashboardServer = require("./dashboard/server");
+const TimeSeriesStore = require("./storage/time-series-store");
 
 class PortfolioMonitor {
   constructor(options = {}) {
@@ -19,6 +20,7 @@ class PortfolioMonitor {
     this.config = null;
     this.masterController = null;
     this.dashboardServer = null;
+    this.store = null;
     this.isRunning = false;
   }
 
@@ -26,21 +28,30 @@ class PortfolioMonitor {
    * Initialize the portfolio monitor
    */
   async initialize() {
-    // Load configuration
-    const configLoader = new ConfigLoader({ workingDir: this.workingDir });
+    // Load configuration. A headless scan writes neither data nor log files.
+    const configLoader = new ConfigLoader({
+      workingDir: this.workingDir,
+      ...(this.options.headless && { ensureDirectories: false, logger: { enableFile: false } }),
+    });
     this.config = await configLoader.loadConfig(this.options.config);
 
     // Override config with CLI options
     this.mergeCliOptions();
 
     // Ensure data directory exists
-    await fs.ensureDir(this.config.data.directory);
+    if (!this.options.headless) {
+      await fs.ensureDir(this.config.data.directory);
+    }
+
+    // Shared time-series store for monitoring data
+    this.store = TimeSeriesStore.fromConfig(this.config.data);
 
     // Initialize monitoring system
     this.masterController = new MasterController({
       workingDir: this.workingDir,
       dataDir: this.config.data.directory,
       config: this.config,
+      store: this.store,
     });
 
     // Initialize dashboard server
@@ -51,6 +62,7 @@ class PortfolioMonitor {
       dataDir: this.config.data.directory,
       config: this.config,
       masterController: this.masterController,
+      store: this.store,
       projectsBasePath: this.config.directories?.include?.[0] || this.workingDir,
     });
 
@@ -88,12 +100,12 @@ class PortfolioMonitor {
   /**
    * Scan for projects
    */
-  async scanProjects() {
+  async scanProjects(options = {}) {
     if (!this.masterController) {
       throw new Error("Portfolio monitor not initialized. Call initialize() first.");
     }
 
-    return await this.masterController.discoverProjects();
+    return await this.masterController.discoverProjects(options);
   }
 
   /**
@@ -189,20 +201,128 @@ class PortfolioMonitor {
         await this.masterController.stop();
       }
 
-      if (this.dashboardServer?.server) {
-        this.dashboardServer.server.close(() => {
-          console.log(chalk.green("✅ Portfolio monitor stopped"));
-          process.exit(0);
-        });
-      } else {
-        process.exit(0);
+      if (this.dashboardServer) {
+        await this.dashboardServer.stop();
+        console.log(chalk.green("✅ Portfolio monitor stopped"));
       }
+      process.exit(0);
     };
 
     process.on("SIGINT", shutdown);
     process.on("SIGTERM", shutdown);
   }
 
+  /**
+   * Run a single health scan of every discovered project without starting
+   * the dashboard server or periodic monitoring. Only Git repositories are
+   * scanned. Results carry the project ID as `project` and the display name
+   * as `name`. No project data is written or migrated; initialize with
+   * `headless: true` to leave the data and log directories uncreated too.
+   *
+   * @param {Object} [options]
+   * @param {Function} [options.onProjectScanned] - Called with each result as soon as it is ready
+   */
+  async scanHealth(options = {}) {
+    const ProjectMonitor = require("./monitor/project-monitor");
+    // Discovery without recording identities or moving stored data
+    const projects = (await this.scanProjects({ record: false })).filter(
+      (project) => project.hasGit,
+    );
+    const results = [];
+
+    for (const project of projects) {
+      const monitor = new ProjectMonitor({
+        project: project.id,
+        displayName: project.displayName,
+        path: project.path,
+        priority: project.priority,
+        classification: project.classification,
+        healthRules: this.masterController.healthRules,
+        type: project.type,
+        config: this.config,
+      });
+
+      const scanData = await monitor.performScan();
+      const result = {
+        project: project.id,
+        name: project.displayName || project.name,
+        path: project.path,
+        type: project.type,
+        priority: project.priority,
+        status: scanData.error ? "unknown" : scanData.health.status,
+        score: scanData.health?.score ?? null,
+        issues: scanData.health?.issues || [],
+        error: scanData.error || null,
+        scan: scanData,
+      };
+
+      results.push(result);
+      if (options.onProjectScanned) {
+        options.onProjectScanned(result);
+      }
+    }
+
+    const summary = { total: results.length, healthy: 0, attention: 0, critical: 0, unknown: 0 };
+    for (const result of results) {
+      summary[result.status in summary ? result.status : "unknown"]++;
+    }
+
+    return {
+      timestamp: new Date().toISOString(),
+      workingDir: this.workingDir,
+      summary,
+      projects: results,
+    };
+  }
+
+  /**
+   * Generate a git history report for one project. The project may be given
+   * by its project ID, its discovered or display name, or as a path to a git
+   * repository. A name that several projects share is refused, listing their IDs.
+   *
+   * @param {string} project - Project ID, name or path
+   * @param {Object} [options]
+   * @param {boolean} [options.forceRefresh] - Ignore the cached report
+   * @returns {Promise<{report: Object, generator: GitHistoryGenerator}>}
+   */
+  async generateHistoryReport(project, options = {}) {
+    const GitHistoryGenerator = require("./reports/git-history-generator");
+    const projects = await this.scanProjects();
+
+    let match = projects.find((p) => p.id === project);
+    if (!match) {
+      const named = projects.filter((p) => p.name === project || p.displayName === project);
+      if (named.length > 1) {
+        const candidates = named.map((p) => `${p.id} (${p.path})`).join(", ");
+        throw new Error(`Project name "${project}" is ambiguous; use a project ID: ${candidates}`);
+      }
+      match = named[0];
+    }
+
+    let projectName = match?.name || project;
+    let projectPath = match?.path;
+
+    if (!projectPath) {
+      const candidate = path.resolve(this.workingDir, project);
+      if (!(await fs.pathExists(path.join(candidate, ".git")))) {
+        throw new Error(`Project not found: ${project}`);
+      }
+      projectName = path.basename(candidate);
+      projectPath = candidate;
+    }
+
+    const generator = new GitHistoryGenerator({
+      projectPath,
+      cacheDir: path.join(this.config.data.directory, "history-reports"),
+    });
+    const report = await generator.generateReport(projectName, {
+      projectPath,
+      forceRefresh: options.forceRefresh,
+    });
+
+    return { report, generator };
+  }
+
   /**
    * Get portfolio information
    */
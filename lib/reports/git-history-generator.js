@@ -8,6 +8,7 @@
  * - LOC (Lines of Code) statistics 
  * - Contributor analysis
  * - Report caching in .git-portfolio-manager/reports
+ * - JSON, HTML and Markdown output
  */
 
 const fs = require('fs-extra');
@@ -80,9 +81,8 @@ class GitHistoryGenerator {
       timelineAnalysis: {}
     };
 
-    // Change to project directory for git commands
-    const originalCwd = process.cwd();
-    process.chdir(projectPath);
+    // Run git commands in the project directory without changing the process cwd
+    this.repoPath = projectPath;
 
     try {
       // Generate different sections of the report
@@ -96,7 +96,7 @@ class GitHistoryGenerator {
       report.timelineAnalysis = await this.generateTimelineAnalysis(report.commitHistory);
       
     } finally {
-      process.chdir(originalCwd);
+      this.repoPath = null;
     }
 
     return report;
@@ -112,7 +112,12 @@ class GitHistoryGenerator {
       const firstCommit = this.executeGitCommand('git log --reverse --format="%ai" | head -1').trim();
       const lastCommit = this.executeGitCommand('git log -1 --format="%ai"').trim();
       const currentBranch = this.executeGitCommand('git branch --show-current').trim();
-      const remoteUrl = this.executeGitCommand('git config --get remote.origin.url').trim();
+      let remoteUrl = '';
+      try {
+        remoteUrl = this.executeGitCommand('git config --get remote.origin.url').trim();
+      } catch (e) {
+        // Repository has no origin remote
+      }
       
       return {
         totalCommits: parseInt(totalCommits) || 0,
@@ -199,12 +204,13 @@ class GitHistoryGenerator {
    */
   async getCommitHistory() {
     try {
-      const commitFormat = '%H|%ai|%an|%ae|%s|%P'; // hash|date|author|email|subject|parents
+      // Fields are separated by the ASCII unit separator so subjects may contain any text
+      const commitFormat = ['%H', '%ai', '%an', '%ae', '%s', '%P'].join('%x1f'); // hash|date|author|email|subject|parents
       const commits = this.executeGitCommand(`git log --format="${commitFormat}" -${this.maxCommits}`)
         .split('\n')
         .filter(line => line.trim())
         .map(line => {
-          const [hash, date, author, email, subject, parents] = line.split('|');
+          const [hash, date, author, email, subject, parents] = line.split('\x1f');
           return {
             hash: hash.trim(),
             date: date.trim(),
@@ -414,7 +420,7 @@ class GitHistoryGenerator {
   generateBranchEvolutionDiagram(branchEvolution) {
     const branches = Object.values(branchEvolution.branches || {}).slice(0, 10); // Limit to 10 branches
     
-    let diagram = 'gitgraph\n';
+    let diagram = 'gitGraph\n';
     diagram += '    commit id: "Initial"\n';
     
     // Add main branch commits
@@ -434,10 +440,10 @@ class GitHistoryGenerator {
     for (const branch of featureBranches) {
       diagram += `    branch ${branch.name.replace(/[^a-zA-Z0-9]/g, '')}\n`;
       diagram += `    checkout ${branch.name.replace(/[^a-zA-Z0-9]/g, '')}\n`;
-      diagram += `    commit id: "${branch.name}-1"\n`;
+      diagram += `    commit id: "${this.escapeMermaidText(branch.name)}-1"\n`;
       
       if (branch.commitCount > 1) {
-        diagram += `    commit id: "${branch.name}-${branch.commitCount}"\n`;
+        diagram += `    commit id: "${this.escapeMermaidText(branch.name)}-${branch.commitCount}"\n`;
       }
       
       if (branch.mergedInto) {
@@ -471,9 +477,10 @@ class GitHistoryGenerator {
     Object.entries(commitsByDate).forEach(([date, commits]) => {
       diagram += `    ${date}\n`;
       commits.forEach(commit => {
-        const shortSubject = commit.subject.substring(0, 30) + (commit.subject.length > 30 ? '...' : '');
+        const subject = this.escapeMermaidText(commit.subject);
+        const shortSubject = subject.substring(0, 30) + (subject.length > 30 ? '...' : '');
         diagram += `        : ${shortSubject}\n`;
-        diagram += `        : by ${commit.author}\n`;
+        diagram += `        : by ${this.escapeMermaidText(commit.author)}\n`;
       });
     });
 
@@ -491,7 +498,7 @@ class GitHistoryGenerator {
     
     topContributors.forEach((contributor, index) => {
       const id = `C${index + 1}`;
-      diagram += `    B --> ${id}["${contributor.name}<br/>${contributor.commits} commits<br/>${contributor.percentage}%"]\n`;
+      diagram += `    B --> ${id}["${this.escapeMermaidText(contributor.name)}<br/>${contributor.commits} commits<br/>${contributor.percentage}%"]\n`;
     });
 
     return diagram;
@@ -572,7 +579,40 @@ class GitHistoryGenerator {
    */
   
   executeGitCommand(command) {
-    return execSync(command, { encoding: 'utf8' });
+    return execSync(command, {
+      encoding: 'utf8',
+      cwd: this.repoPath || this.projectPath,
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+  }
+
+  /**
+   * Strip characters that break Mermaid syntax from user-provided text
+   */
+  escapeMermaidText(text) {
+    return String(text || '').replace(/[:;#"<>{}[\]`]/g, ' ').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Escape text for a Markdown table cell (no inline HTML, no column breaks)
+   */
+  escapeMarkdownCell(text) {
+    return String(text ?? '')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/\|/g, '\\|');
+  }
+
+  /**
+   * Escape text for HTML element content and attributes
+   */
+  escapeHtml(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
   }
 
   async isGitRepository(projectPath) {
@@ -673,7 +713,8 @@ class GitHistoryGenerator {
    */
   
   getCacheKey(projectName, options) {
-    const optionsStr = JSON.stringify(options);
+    const { forceRefresh, ...cacheOptions } = options;
+    const optionsStr = JSON.stringify(cacheOptions);
     return crypto.createHash('md5').update(`${projectName}-${optionsStr}`).digest('hex');
   }
 
@@ -732,7 +773,7 @@ class GitHistoryGenerator {
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Git History Report - ${report.projectName}</title>
+    <title>Git History Report - ${this.escapeHtml(report.projectName)}</title>
     <script src="https://cdn.tailwindcss.com"></script>
     <script src="https://unpkg.com/mermaid@10/dist/mermaid.min.js"></script>
 </head>
@@ -741,7 +782,7 @@ class GitHistoryGenerator {
         <header class="mb-8">
             <h1 class="text-3xl font-bold text-gray-900 mb-2">Git History Report</h1>
             <div class="flex items-center space-x-4 text-sm text-gray-600">
-                <span>📁 ${report.projectName}</span>
+                <span>📁 ${this.escapeHtml(report.projectName)}</span>
                 <span>📅 Generated: ${new Date(report.generatedAt).toLocaleString()}</span>
                 <span>📊 ${report.summary.totalCommits} commits</span>
                 <span>🌿 ${report.summary.totalBranches} branches</span>
@@ -763,7 +804,7 @@ class GitHistoryGenerator {
                 <div class="text-sm text-gray-600">Contributors</div>
             </div>
             <div class="bg-white rounded-lg shadow p-6">
-                <div class="text-2xl font-bold text-orange-600">${report.locStatistics.current.total}</div>
+                <div class="text-2xl font-bold text-orange-600">${report.locStatistics.current?.total ?? 0}</div>
                 <div class="text-sm text-gray-600">Lines of Code</div>
             </div>
         </div>
@@ -773,13 +814,13 @@ class GitHistoryGenerator {
             <div class="bg-white rounded-lg shadow p-6">
                 <h3 class="text-lg font-semibold mb-4">Branch Evolution</h3>
                 <div class="mermaid">
-                    ${report.mermaidDiagrams.branchEvolution}
+                    ${this.escapeHtml(report.mermaidDiagrams.branchEvolution)}
                 </div>
             </div>
             <div class="bg-white rounded-lg shadow p-6">
                 <h3 class="text-lg font-semibold mb-4">Contributor Distribution</h3>
                 <div class="mermaid">
-                    ${report.mermaidDiagrams.contributorFlow}
+                    ${this.escapeHtml(report.mermaidDiagrams.contributorFlow)}
                 </div>
             </div>
         </div>
@@ -806,10 +847,10 @@ class GitHistoryGenerator {
                                     ${commit.hash.substring(0, 8)}
                                 </td>
                                 <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                                    ${commit.author}
+                                    ${this.escapeHtml(commit.author)}
                                 </td>
                                 <td class="px-6 py-4 text-sm text-gray-900">
-                                    ${commit.subject}
+                                    ${this.escapeHtml(commit.subject)}
                                 </td>
                                 <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                                     ${new Date(commit.date).toLocaleDateString()}
@@ -823,13 +864,80 @@ class GitHistoryGenerator {
     </div>
 
     <script>
-        mermaid.initialize({ startOnLoad: true, theme: 'default' });
+        mermaid.initialize({ startOnLoad: true, theme: 'default', securityLevel: 'strict' });
     </script>
 </body>
 </html>`;
 
     return html;
   }
+
+  /**
+   * Generate Markdown report with Mermaid code blocks
+   */
+  generateMarkdownReport(report) {
+    const summary = report.summary || {};
+    const lines = [
+      `# Git History Report - ${report.projectName}`,
+      '',
+      `Generated: ${new Date(report.generatedAt).toLocaleString()}`,
+      '',
+      '## Summary',
+      '',
+      `- **Commits:** ${summary.totalCommits ?? 0}`,
+      `- **Branches:** ${report.branchEvolution?.totalBranches ?? 0} (${report.branchEvolution?.activeBranches ?? 0} active, ${report.branchEvolution?.mergedBranches ?? 0} merged)`,
+      `- **Contributors:** ${report.contributors.length}`,
+      `- **Lines of code:** ${report.locStatistics.current?.total ?? 0}`,
+      `- **First commit:** ${summary.firstCommitDate || 'unknown'}`,
+      `- **Last commit:** ${summary.lastCommitDate || 'unknown'}`,
+      ''
+    ];
+
+    const diagrams = [
+      ['Branch Evolution', report.mermaidDiagrams.branchEvolution],
+      ['Commit Timeline', report.mermaidDiagrams.commitTimeline],
+      ['Contributors', report.mermaidDiagrams.contributorFlow]
+    ];
+    for (const [title, diagram] of diagrams) {
+      if (!diagram) continue;
+      lines.push(`## ${title}`, '', '```mermaid', diagram.trimEnd(), '```', '');
+    }
+
+    if (report.contributors.length > 0) {
+      lines.push('## Top Contributors', '', '| Contributor | Commits | Share |', '|---|---|---|');
+      for (const contributor of report.contributors.slice(0, 10)) {
+        lines.push(`| ${this.escapeMarkdownCell(contributor.name)} | ${contributor.commits} | ${contributor.percentage}% |`);
+      }
+      lines.push('');
+    }
+
+    if (report.commitHistory.length > 0) {
+      lines.push('## Recent Commits', '', '| Commit | Author | Message | Date |', '|---|---|---|---|');
+      for (const commit of report.commitHistory.slice(0, 10)) {
+        lines.push(`| \`${commit.hash.substring(0, 8)}\` | ${this.escapeMarkdownCell(commit.author)} | ${this.escapeMarkdownCell(commit.subject)} | ${new Date(commit.date).toLocaleDateString()} |`);
+      }
+      lines.push('');
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Render a report in the requested output format (json, html or md)
+   */
+  async renderReport(report, format = 'json') {
+    switch (format) {
+      case 'json':
+        return JSON.stringify(report, null, 2);
+      case 'html':
+        return await this.generateHTMLReport(report);
+      case 'md':
+      case 'markdown':
+        return this.generateMarkdownReport(report);
+      default:
+        throw new Error(`Unsupported report format: ${format}`);
+    }
+  }
 }
 
 module.exports = GitHistoryGenerator;
\ No newline at end of file
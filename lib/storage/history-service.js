@@ -0,0 +1,249 @@
+/**
+ * History Service
+ *
+ * Turns stored scan history (activity records in the time-series store)
+ * into bucketed trend series per project and across the portfolio.
+ */
+
+const { ValidationError } = require("../utils/error-handler");
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_BUCKETS = 1000;
+
+const BUCKET_SIZES = {
+  hour: HOUR_MS,
+  day: DAY_MS,
+  week: 7 * DAY_MS,
+};
+
+/**
+ * Supported metrics. Gauges report the last sampled value in each bucket;
+ * `commits` counts distinct commits authored within the bucket.
+ */
+const METRICS = {
+  healthScore: { kind: "gauge", read: (scan) => scan.health?.score },
+  uncommittedChanges: { kind: "gauge", read: (scan) => scan.git?.uncommittedChanges },
+  commitsAhead: { kind: "gauge", read: (scan) => scan.git?.commitsAhead },
+  commitsBehind: { kind: "gauge", read: (scan) => scan.git?.commitsBehind },
+  commits: { kind: "counter" },
+};
+
+class HistoryService {
+  constructor(options = {}) {
+    this.store = options.store;
+  }
+
+  /**
+   * Names of the metrics that can be queried
+   */
+  static get metrics() {
+    return Object.keys(METRICS);
+  }
+
+  /**
+   * Build a bucketed series for one project
+   *
+   * @param {string} project
+   * @param {Object} query - `metric`, `from`, `to` and `bucket` (hour|day|week)
+   */
+  getProjectHistory(project, query = {}) {
+    const options = this.normalizeQuery(query);
+
+    return {
+      project,
+      ...this.describeQuery(options),
+      points: this.buildSeries(project, options).map((point) => ({
+        ...point,
+        timestamp: new Date(point.timestamp).toISOString(),
+      })),
+    };
+  }
+
+  /**
+   * Build a bucketed series across all stored projects. Counters and
+   * gauges are summed, except `healthScore` which is averaged over the
+   * projects that reported a value in the bucket.
+   */
+  getPortfolioHistory(query = {}) {
+    const options = this.normalizeQuery(query);
+    const projects = this.store.listProjects();
+    const points = this.createBuckets(options).map((timestamp) => ({
+      timestamp,
+      value: null,
+      projects: 0,
+    }));
+
+    for (const project of projects) {
+      const series = this.buildSeries(project, options);
+      for (let i = 0; i < series.length; i++) {
+        if (series[i].value === null) continue;
+
+        points[i].value = (points[i].value || 0) + series[i].value;
+        points[i].projects++;
+      }
+    }
+
+    if (options.metric === "healthScore") {
+      for (const point of points) {
+        if (point.projects > 0) {
+          point.value = Math.round((point.value / point.projects) * 10) / 10;
+        }
+      }
+    }
+
+    return {
+      projectCount: projects.length,
+      ...this.describeQuery(options),
+      points: points.map((point) => ({
+        ...point,
+        timestamp: new Date(point.timestamp).toISOString(),
+      })),
+    };
+  }
+
+  /**
+   * Bucket one project's history. Returns points with numeric timestamps.
+   */
+  buildSeries(project, options) {
+    const buckets = this.createBuckets(options);
+    const definition = METRICS[options.metric];
+
+    if (definition.kind === "counter") {
+      return this.buildCommitSeries(project, options, buckets);
+    }
+
+    const points = buckets.map((timestamp) => ({ timestamp, value: null, samples: 0 }));
+    const records = this.store.query(project, "activity", { from: options.from, to: options.to });
+
+    for (const record of records) {
+      const value = definition.read(record.data || {});
+      if (typeof value !== "number") continue;
+
+      const point = points[this.getBucketIndex(record.timestamp, options)];
+      // Records are oldest first, so the last write wins
+      point.value = value;
+      point.samples++;
+    }
+
+    return points;
+  }
+
+  /**
+   * Count distinct commits per bucket. Every scan reports the commits of the
+   * past week, so commits are de-duplicated by hash across scans.
+   */
+  buildCommitSeries(project, options, buckets) {
+    const points = buckets.map((timestamp) => ({ timestamp, value: 0 }));
+    const seen = new Set();
+    // Commits authored at the start of the range may only appear in scans from the following week
+    const records = this.store.query(project, "activity", {
+      from: options.from,
+      to: options.to + 7 * DAY_MS,
+    });
+
+    for (const record of records) {
+      for (const commit of record.data?.git?.recentCommits || []) {
+        const committedAt = new Date(commit.date).getTime();
+        if (seen.has(commit.hash) || !Number.isFinite(committedAt)) continue;
+        if (committedAt < options.from || committedAt > options.to) continue;
+
+        seen.add(commit.hash);
+        points[this.getBucketIndex(committedAt, options)].value++;
+      }
+    }
+
+    return points;
+  }
+
+  /**
+   * Validate and default the query parameters
+   */
+  normalizeQuery(query) {
+    const metric = query.metric || "healthScore";
+    if (!METRICS[metric]) {
+      throw new ValidationError(
+        `Unknown metric "${metric}". Expected one of: ${HistoryService.metrics.join(", ")}`,
+        "metric",
+        metric,
+      );
+    }
+
+    const bucket = query.bucket || "day";
+    if (!BUCKET_SIZES[bucket]) {
+      throw new ValidationError(
+        `Unknown bucket "${bucket}". Expected one of: ${Object.keys(BUCKET_SIZES).join(", ")}`,
+        "bucket",
+        bucket,
+      );
+    }
+
+    const to = query.to ? this.parseTime(query.to, "to") : Date.now();
+    const from = query.from ? this.parseTime(query.from, "from") : to - DEFAULT_RANGE_DAYS * DAY_MS;
+    if (from > to) {
+      throw new ValidationError('"from" must not be after "to"', "from", query.from);
+    }
+
+    const options = { metric, bucket, bucketSize: BUCKET_SIZES[bucket], from, to };
+    options.start = this.getBucketStart(from, options);
+
+    const bucketCount = Math.floor((to - options.start) / options.bucketSize) + 1;
+    if (bucketCount > MAX_BUCKETS) {
+      throw new ValidationError(
+        `Range too large for ${bucket} buckets (${bucketCount} > ${MAX_BUCKETS})`,
+        "bucket",
+        bucket,
+      );
+    }
+
+    return options;
+  }
+
+  describeQuery(options) {
+    return {
+      metric: options.metric,
+      kind: METRICS[options.metric].kind,
+      bucket: options.bucket,
+      from: new Date(options.from).toISOString(),
+      to: new Date(options.to).toISOString(),
+      // Nothing older is stored, so earlier buckets stay empty
+      retentionDays: this.store.retentionDays,
+    };
+  }
+
+  createBuckets(options) {
+    const buckets = [];
+    for (let timestamp = options.start; timestamp <= options.to; timestamp += options.bucketSize) {
+      buckets.push(timestamp);
+    }
+    return buckets;
+  }
+
+  /**
+   * Start of the UTC bucket containing a timestamp; weeks start on Monday
+   */
+  getBucketStart(timestamp, options) {
+    if (options.bucket === "week") {
+      const dayStart = Math.floor(timestamp / DAY_MS) * DAY_MS;
+      const daysSinceMonday = (new Date(dayStart).getUTCDay() + 6) % 7;
+      return dayStart - daysSinceMonday * DAY_MS;
+    }
+
+    return Math.floor(timestamp / options.bucketSize) * options.bucketSize;
+  }
+
+  getBucketIndex(timestamp, options) {
+    return Math.floor((timestamp - options.start) / options.bucketSize);
+  }
+
+  parseTime(value, field) {
+    const timestamp = /^\d+$/.test(String(value)) ? Number(value) : new Date(value).getTime();
+    if (!Number.isFinite(timestamp)) {
+      throw new ValidationError(`Invalid "${field}" time: ${value}`, field, value);
+    }
+    return timestamp;
+  }
+}
+
+module.exports = HistoryService;
@@ -0,0 +1,107 @@
+/**
+ * Project Identities
+ *
+ * Remembers where each project ID was last seen, so the master controller
+ * can tell when a repository was moved or renamed, skip finding root commits
+ * it already knows, and move data stored under a project's old directory
+ * name to its ID once. Kept in a JSON file next to the monitoring data.
+ */
+
+const fs = require("node:fs");
+const { writeJsonFile } = require("../utils/json-file");
+
+class ProjectIdentities {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.file] - JSON file holding the identities; kept in memory without one
+   * @param {Function} [options.now] - Clock, for tests
+   */
+  constructor(options = {}) {
+    this.file = options.file;
+    this.now = options.now || (() => new Date());
+    this.state = null;
+  }
+
+  /**
+   * @returns {{path: string, name: string, rootCommit: string, remote: string|null,
+   *   firstSeen: string, lastSeen: string}|null}
+   */
+  get(id) {
+    return this.readState().projects[id] || null;
+  }
+
+  /**
+   * The identity last seen at a path
+   */
+  findByPath(projectPath) {
+    const entry = Object.entries(this.readState().projects).find(
+      ([, identity]) => identity.path === projectPath,
+    );
+    return entry ? { id: entry[0], ...entry[1] } : null;
+  }
+
+  /**
+   * Record where a project was seen
+   *
+   * @param {string} id
+   * @param {{path: string, name: string, rootCommit: string, remote: string|null}} identity
+   * @returns {{known: boolean, movedFrom: string|null}} `known` is false the
+   *   first time an ID is seen; `movedFrom` is its previous path when it moved
+   */
+  record(id, identity) {
+    const state = this.readState();
+    const previous = state.projects[id];
+    const timestamp = this.now().toISOString();
+
+    state.projects[id] = {
+      ...identity,
+      firstSeen: previous?.firstSeen || timestamp,
+      lastSeen: timestamp,
+    };
+    this.writeState(state);
+
+    return {
+      known: Boolean(previous),
+      movedFrom: previous && previous.path !== identity.path ? previous.path : null,
+    };
+  }
+
+  /**
+   * Drop an ID that was replaced by another
+   */
+  forget(id) {
+    const state = this.readState();
+    if (state.projects[id]) {
+      delete state.projects[id];
+      this.writeState(state);
+    }
+  }
+
+  readState() {
+    if (this.state) {
+      return this.state;
+    }
+
+    this.state = { projects: {} };
+    if (this.file) {
+      try {
+        const state = JSON.parse(fs.readFileSync(this.file, "utf8"));
+        this.state.projects = state.projects || {};
+      } catch (error) {
+        // Without the file every project counts as new, which only repeats the data migration check
+      }
+    }
+    return this.state;
+  }
+
+  writeState(state) {
+    this.state = state;
+    if (!this.file) {
+      return;
+    }
+
+    writeJsonFile(this.file, state);
+  }
+}
+
+module.exports = ProjectIdentities;
@@ -0,0 +1,467 @@
+/**
+ * Time-Series Store
+ *
+ * Embedded append-only store for per-project monitoring data (health,
+ * activity, alerts). Records are kept as NDJSON in one segment per UTC day:
+ *
+ *   <root>/<project>/<metric>/<YYYY-MM-DD>.ndjson      (open segment)
+ *   <root>/<project>/<metric>/<YYYY-MM-DD>.ndjson.gz   (compacted segment)
+ *
+ * Range queries only open the segments overlapping the requested window,
+ * retention drops whole segments, and compaction rewrites closed segments
+ * (dropping torn lines) and gzips them when compression is enabled.
+ */
+
+const fs = require("node:fs");
+const path = require("node:path");
+const zlib = require("node:zlib");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SEGMENT_PATTERN = /^(\d{4}-\d{2}-\d{2})\.ndjson(\.gz)?$/;
+const LEGACY_SNAPSHOT_PATTERN = /^(health|activity|alerts)-(\d+)\.json$/;
+const TAIL_CHUNK_SIZE = 64 * 1024;
+
+class TimeSeriesStore {
+  constructor(options = {}) {
+    this.dataDir = options.dataDir || path.join(process.cwd(), "data");
+    this.root = options.root || path.join(this.dataDir, "timeseries");
+    this.retentionDays = options.retentionDays || 365;
+    this.compressionEnabled = options.compressionEnabled !== false;
+  }
+
+  /**
+   * Create a store from the `data` section of the portfolio configuration
+   */
+  static fromConfig(dataConfig = {}) {
+    return new TimeSeriesStore({
+      dataDir: dataConfig.directory,
+      retentionDays: dataConfig.retentionDays,
+      compressionEnabled: dataConfig.compressionEnabled,
+    });
+  }
+
+  /**
+   * Append a record to a project metric
+   */
+  append(project, metric, data, timestamp = Date.now()) {
+    const ts = typeof timestamp === "number" ? timestamp : new Date(timestamp).getTime();
+    if (!Number.isFinite(ts)) {
+      throw new Error(`Invalid timestamp for ${project}/${metric}: ${timestamp}`);
+    }
+
+    const metricDir = this.getMetricDir(project, metric);
+    fs.mkdirSync(metricDir, { recursive: true });
+
+    const segmentPath = path.join(metricDir, `${this.getSegmentKey(ts)}.ndjson`);
+    fs.appendFileSync(segmentPath, `${JSON.stringify({ ts, data })}\n`);
+
+    return { timestamp: ts, data };
+  }
+
+  /**
+   * Return the most recent record of a project metric, or null
+   */
+  latest(project, metric) {
+    const segments = this.listSegments(project, metric);
+
+    for (let i = segments.length - 1; i >= 0; i--) {
+      const segment = segments[i];
+      // Open segments are appended in time order, so the last line is the newest record
+      if (segment.files.length === 1 && !segment.files[0].endsWith(".gz")) {
+        const record = this.readLastRecord(segment.files[0]);
+        if (record) return record;
+        continue;
+      }
+
+      const records = this.readSegment(segment);
+      if (records.length > 0) return records[records.length - 1];
+    }
+
+    return null;
+  }
+
+  /**
+   * Query records of a project metric within [from, to], oldest first
+   *
+   * @param {Object} [range]
+   * @param {number|string|Date} [range.from] - Inclusive lower bound (default: oldest record)
+   * @param {number|string|Date} [range.to] - Inclusive upper bound (default: newest record)
+   * @param {number} [range.limit] - Keep only the newest `limit` records
+   */
+  query(project, metric, range = {}) {
+    const from = range.from !== undefined ? this.toTimestamp(range.from) : 0;
+    const to = range.to !== undefined ? this.toTimestamp(range.to) : Number.POSITIVE_INFINITY;
+    const fromKey = this.getSegmentKey(from);
+    const toKey = Number.isFinite(to) ? this.getSegmentKey(to) : null;
+
+    const records = [];
+    for (const segment of this.listSegments(project, metric)) {
+      if (segment.key < fromKey || (toKey && segment.key > toKey)) continue;
+
+      for (const record of this.readSegment(segment)) {
+        if (record.timestamp >= from && record.timestamp <= to) {
+          records.push(record);
+        }
+      }
+    }
+
+    if (range.limit && records.length > range.limit) {
+      return records.slice(records.length - range.limit);
+    }
+
+    return records;
+  }
+
+  /**
+   * List projects that have stored data
+   */
+  listProjects() {
+    if (!fs.existsSync(this.root)) return [];
+
+    return fs
+      .readdirSync(this.root, { withFileTypes: true })
+      .filter((entry) => entry.isDirectory())
+      .map((entry) => entry.name)
+      .sort();
+  }
+
+  /**
+   * List metrics stored for a project
+   */
+  listMetrics(project) {
+    const projectDir = this.getProjectDir(project);
+    if (!fs.existsSync(projectDir)) return [];
+
+    return fs
+      .readdirSync(projectDir, { withFileTypes: true })
+      .filter((entry) => entry.isDirectory())
+      .map((entry) => entry.name)
+      .sort();
+  }
+
+  /**
+   * Check whether any data is stored for a project
+   */
+  hasProject(project) {
+    return (
+      TimeSeriesStore.isValidProjectName(project) && fs.existsSync(this.getProjectDir(project))
+    );
+  }
+
+  /**
+   * Remove all stored data for a project
+   */
+  removeProject(project) {
+    fs.rmSync(this.getProjectDir(project), { recursive: true, force: true });
+  }
+
+  /**
+   * Move all stored data of a project to a new project name
+   *
+   * @returns {boolean} false when there was nothing to move, or the new name
+   *   already has data of its own
+   */
+  renameProject(from, to) {
+    const source = this.getProjectDir(from);
+    const target = this.getProjectDir(to);
+    if (!fs.existsSync(source) || fs.existsSync(target)) {
+      return false;
+    }
+
+    fs.renameSync(source, target);
+    return true;
+  }
+
+  /**
+   * Drop segments that fall completely outside the retention window
+   */
+  enforceRetention(now = Date.now()) {
+    const cutoffKey = this.getSegmentKey(now - this.retentionDays * DAY_MS);
+    let removed = 0;
+
+    for (const project of this.listProjects()) {
+      for (const metric of this.listMetrics(project)) {
+        for (const segment of this.listSegments(project, metric)) {
+          if (segment.key >= cutoffKey) continue;
+
+          for (const file of segment.files) {
+            fs.unlinkSync(file);
+          }
+          removed++;
+        }
+
+        this.removeIfEmpty(this.getMetricDir(project, metric));
+      }
+
+      this.removeIfEmpty(this.getProjectDir(project));
+    }
+
+    return removed;
+  }
+
+  /**
+   * Rewrite closed segments into a single sorted file per day, dropping torn
+   * lines, and gzip them when compression is enabled. The current day's
+   * segment is left open for appends.
+   */
+  compact(now = Date.now()) {
+    const openKey = this.getSegmentKey(now);
+    let compacted = 0;
+
+    for (const project of this.listProjects()) {
+      for (const metric of this.listMetrics(project)) {
+        for (const segment of this.listSegments(project, metric)) {
+          if (segment.key >= openKey) continue;
+
+          const isCompacted =
+            segment.files.length === 1 &&
+            segment.files[0].endsWith(".gz") === this.compressionEnabled;
+          if (isCompacted) continue;
+
+          this.rewriteSegment(project, metric, segment);
+          compacted++;
+        }
+      }
+    }
+
+    return compacted;
+  }
+
+  /**
+   * Enforce retention, then compact closed segments
+   */
+  maintain(now = Date.now()) {
+    return {
+      removed: this.enforceRetention(now),
+      compacted: this.compact(now),
+    };
+  }
+
+  /**
+   * Import legacy `<type>-<timestamp>.json` snapshot files from
+   * `<dataDir>/<project>/` into the store and delete them afterwards.
+   * Snapshots older than the retention window are discarded; unreadable
+   * ones are reported in `failed` and left in place.
+   */
+  migrateSnapshots(now = Date.now()) {
+    const result = { projects: 0, imported: 0, discarded: 0, failed: [] };
+    if (!fs.existsSync(this.dataDir)) return result;
+
+    const cutoff = now - this.retentionDays * DAY_MS;
+    const rootName = path.relative(this.dataDir, this.root);
+
+    for (const entry of fs.readdirSync(this.dataDir, { withFileTypes: true })) {
+      if (!entry.isDirectory() || entry.name === rootName) continue;
+
+      const projectDir = path.join(this.dataDir, entry.name);
+      const snapshots = fs
+        .readdirSync(projectDir)
+        .map((file) => ({ file, match: file.match(LEGACY_SNAPSHOT_PATTERN) }))
+        .filter(({ match }) => match)
+        .map(({ file, match }) => ({ file, metric: match[1], ts: Number(match[2]) }))
+        .sort((a, b) => a.ts - b.ts);
+
+      if (snapshots.length === 0) continue;
+
+      for (const snapshot of snapshots) {
+        const filePath = path.join(projectDir, snapshot.file);
+        if (snapshot.ts < cutoff) {
+          fs.unlinkSync(filePath);
+          result.discarded++;
+          continue;
+        }
+
+        try {
+          const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+          this.append(entry.name, snapshot.metric, data, snapshot.ts);
+        } catch (error) {
+          // Leave snapshots that cannot be read or stored in place so nothing is lost silently
+          result.failed.push({ file: filePath, error: error.message });
+          continue;
+        }
+
+        fs.unlinkSync(filePath);
+        result.imported++;
+      }
+
+      this.removeIfEmpty(projectDir);
+      result.projects++;
+    }
+
+    return result;
+  }
+
+  /**
+   * List the day segments of a project metric, oldest first
+   */
+  listSegments(project, metric) {
+    const metricDir = this.getMetricDir(project, metric);
+    if (!fs.existsSync(metricDir)) return [];
+
+    const segments = new Map();
+    for (const file of fs.readdirSync(metricDir)) {
+      const match = file.match(SEGMENT_PATTERN);
+      if (!match) continue;
+
+      if (!segments.has(match[1])) {
+        segments.set(match[1], { key: match[1], files: [] });
+      }
+      // Compacted data sorts before anything appended to the same day afterwards
+      const files = segments.get(match[1]).files;
+      if (match[2]) {
+        files.unshift(path.join(metricDir, file));
+      } else {
+        files.push(path.join(metricDir, file));
+      }
+    }
+
+    return Array.from(segments.values()).sort((a, b) => a.key.localeCompare(b.key));
+  }
+
+  /**
+   * Read every record of a segment, oldest first
+   */
+  readSegment(segment) {
+    const records = [];
+
+    for (const file of segment.files) {
+      let content = fs.readFileSync(file);
+      if (file.endsWith(".gz")) {
+        content = zlib.gunzipSync(content);
+      }
+
+      for (const line of content.toString("utf8").split("\n")) {
+        const record = this.parseLine(line);
+        if (record) records.push(record);
+      }
+    }
+
+    return records.sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Read the last complete record of an uncompressed segment without loading
+   * the whole file
+   */
+  readLastRecord(file) {
+    const fd = fs.openSync(file, "r");
+
+    try {
+      const { size } = fs.fstatSync(fd);
+      let position = size;
+      let tail = Buffer.alloc(0);
+
+      while (position > 0) {
+        const length = Math.min(TAIL_CHUNK_SIZE, position);
+        position -= length;
+
+        const buffer = Buffer.alloc(length);
+        fs.readSync(fd, buffer, 0, length, position);
+        tail = Buffer.concat([buffer, tail]);
+
+        // The first line may be cut off unless we reached the start of the file.
+        // Lines are only decoded once complete, so a multi-byte character split
+        // between chunks stays intact.
+        const cut = position > 0 ? tail.indexOf(0x0a) : -1;
+        if (position > 0 && cut === -1) continue;
+
+        const lines = tail
+          .subarray(cut + 1)
+          .toString("utf8")
+          .split("\n");
+        for (let i = lines.length - 1; i >= 0; i--) {
+          const record = this.parseLine(lines[i]);
+          if (record) return record;
+        }
+        tail = tail.subarray(0, Math.max(cut, 0));
+      }
+
+      return null;
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  /**
+   * Rewrite a closed segment as a single sorted (and optionally gzipped) file
+   */
+  rewriteSegment(project, metric, segment) {
+    const records = this.readSegment(segment);
+    const metricDir = this.getMetricDir(project, metric);
+    const target = path.join(
+      metricDir,
+      `${segment.key}.ndjson${this.compressionEnabled ? ".gz" : ""}`,
+    );
+    const content = Buffer.from(
+      records
+        .map((record) => `${JSON.stringify({ ts: record.timestamp, data: record.data })}\n`)
+        .join(""),
+    );
+
+    // Write to a temp file and rename so readers never see a partial segment
+    const tempFile = `${target}.tmp`;
+    fs.writeFileSync(tempFile, this.compressionEnabled ? zlib.gzipSync(content) : content);
+
+    for (const file of segment.files) {
+      if (file !== target) fs.unlinkSync(file);
+    }
+    fs.renameSync(tempFile, target);
+  }
+
+  /**
+   * Parse one NDJSON line, ignoring blank or torn lines
+   */
+  parseLine(line) {
+    if (!line.trim()) return null;
+
+    try {
+      const { ts, data } = JSON.parse(line);
+      return Number.isFinite(ts) ? { timestamp: ts, data } : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Whether a project name can be stored: one path segment, not hidden
+   */
+  static isValidProjectName(project) {
+    return Boolean(
+      project && !project.includes("/") && !project.includes("\\") && !project.startsWith("."),
+    );
+  }
+
+  getProjectDir(project) {
+    if (!TimeSeriesStore.isValidProjectName(project)) {
+      throw new Error(`Invalid project name: ${project}`);
+    }
+    return path.join(this.root, project);
+  }
+
+  getMetricDir(project, metric) {
+    if (!/^[a-z0-9_-]+$/i.test(metric)) {
+      throw new Error(`Invalid metric name: ${metric}`);
+    }
+    return path.join(this.getProjectDir(project), metric);
+  }
+
+  getSegmentKey(timestamp) {
+    return new Date(timestamp).toISOString().slice(0, 10);
+  }
+
+  toTimestamp(value) {
+    const ts = typeof value === "number" ? value : new Date(value).getTime();
+    if (!Number.isFinite(ts)) {
+      throw new Error(`Invalid timestamp: ${value}`);
+    }
+    return ts;
+  }
+
+  removeIfEmpty(dir) {
+    if (fs.existsSync(dir) && fs.readdirSync(dir).length === 0) {
+      fs.rmdirSync(dir);
+    }
+  }
+}
+
+module.exports = TimeSeriesStore;
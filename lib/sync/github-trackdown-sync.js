@@ -8,19 +8,47 @@
  * - Bidirectional synchronization
  * - Conflict resolution
  * - Status mapping and sync
+ * - Per-project repositories detected from the origin remote, on GitHub,
+ *   GitLab, Gitea or Bitbucket
+ * - Sync plans with a BACKLOG.md diff preview, applied exactly as previewed
+ * - Three-way field merges against the last-synced values, with conflict policies
  */
 
 const fs = require('fs-extra');
 const path = require('path');
 const { execSync } = require('child_process');
+const crypto = require('node:crypto');
+const { ApplicationError, ValidationError } = require('../utils/error-handler');
+const { createUnifiedDiff } = require('../utils/unified-diff');
+const { writeJsonFile } = require('../utils/json-file');
+
+const SYNC_DIRECTIONS = ['both', 'import', 'export'];
+// Fields kept in sync between a ticket and its issue; status is compared as the issue state
+const SYNC_FIELDS = ['title', 'description', 'status', 'labels', 'assignee'];
+const CONFLICT_POLICIES = ['manual', 'github-wins', 'trackdown-wins', 'newest-wins'];
+const CONFLICT_RESOLUTIONS = ['github', 'trackdown'];
+const TRACKDOWN_FOOTER_PATTERN = /\n*---\n\*\*TrackDown ID\*\*:[\s\S]*$/;
 
 class GitHubTrackDownSync {
   constructor(options = {}) {
     this.config = options.config || {};
+    // Issue tracker client; with a host registry, the one for the origin remote's host
     this.githubClient = options.githubClient || null;
+    this.hosts = options.hosts || null;
     this.projectPath = options.projectPath || process.cwd();
-    this.trackdownPath = path.join(this.projectPath, 'trackdown');
+    // A project's .portfolio.yml can keep TrackDown somewhere else
+    this.trackdownPath = options.trackdownPath || path.join(this.projectPath, 'trackdown');
     this.backlogPath = path.join(this.trackdownPath, 'BACKLOG.md');
+    // Kept with the monitoring data rather than in the project's working tree
+    const dataDir = options.dataDir || path.join(process.cwd(), 'data');
+    const projectId = options.projectId || path.basename(this.projectPath);
+    this.syncStatePath = options.syncStatePath || path.join(dataDir, 'sync-state', `${projectId}.json`);
+    // Where earlier versions kept it, read until the next sync moves it
+    this.legacySyncStatePath = path.join(this.trackdownPath, '.sync-state.json');
+    this.dryRun = options.dryRun || false;
+
+    // Target repository; falls back to github.owner/github.repo from config
+    this.repository = options.repository || null;
     
     // Status mappings
     this.statusMappings = {
@@ -44,143 +72,626 @@ class GitHubTrackDownSync {
    * Sync GitHub issues to TrackDown
    */
   async syncGitHubToTrackDown(options = {}) {
+    console.log('📥 Syncing GitHub issues to TrackDown...');
+    const results = await this.sync('import', options);
+    console.log('✅ GitHub → TrackDown sync completed:', results);
+    return results;
+  }
+
+  /**
+   * Sync TrackDown tickets to GitHub
+   */
+  async syncTrackDownToGitHub(options = {}) {
+    console.log('📤 Syncing TrackDown tickets to GitHub...');
+    const results = await this.sync('export', options);
+    console.log('✅ TrackDown → GitHub sync completed:', results);
+    return results;
+  }
+
+  /**
+   * Bidirectional sync
+   */
+  async bidirectionalSync(options = {}) {
+    console.log('🔄 Starting bidirectional GitHub ↔ TrackDown sync...');
+    const results = await this.sync('both', options);
+    console.log('✅ Bidirectional sync completed successfully');
+    return { ...results, timestamp: new Date().toISOString() };
+  }
+
+  /**
+   * Run a sync in one direction: 'import' (GitHub → TrackDown),
+   * 'export' (TrackDown → GitHub) or 'both'. The sync is planned first and
+   * then applied, or only summarized on a dry run. `options` are those of
+   * createPlan().
+   */
+  async sync(direction = 'both', options = {}) {
+    const plan = await this.createPlan(direction, options);
+    return this.dryRun ? this.summarizePlan(plan) : await this.applyPlan(plan);
+  }
+
+  /**
+   * Compute every change a sync would make without performing any of them.
+   *
+   * The plan lists tickets to import, issues to create and field-level
+   * updates on either side, plus the rewritten BACKLOG.md and its unified
+   * diff. Fields changed on both sides since the last sync are settled by
+   * the configured conflict policy or queued in `conflicts` for a human.
+   * Pass the plan to applyPlan() to carry out exactly these changes.
+   *
+   * @param {string} [direction] - 'import', 'export' or 'both'
+   * @param {Object} [options]
+   * @param {string} [options.conflictPolicy] - Overrides github.sync.conflictPolicy for this sync
+   * @param {Object} [options.fieldPolicies] - Overrides github.sync.fieldPolicies for this sync
+   * @param {string[]} [options.labels] - Only import issues carrying one of these labels
+   */
+  async createPlan(direction = 'both', options = {}) {
+    if (!SYNC_DIRECTIONS.includes(direction)) {
+      throw new Error(`Unknown sync direction: ${direction}`);
+    }
+    this.validatePolicies(options);
     if (!this.githubClient) {
       throw new Error('GitHub client not configured');
     }
 
-    console.log('📥 Syncing GitHub issues to TrackDown...');
-    
-    try {
-      // Get GitHub issues
-      const issues = await this.fetchGitHubIssues(options);
-      console.log(`Found ${issues.length} GitHub issues`);
+    const { owner, repo } = this.getRepository();
+    const baseContent = await this.readBacklog();
+    const tickets = baseContent === null ? [] : this.parseBacklogContent(baseContent);
+    const issues = await this.fetchGitHubIssues({ state: 'all' });
+    const syncState = await this.readSyncState();
+
+    const plan = {
+      repository: `${owner}/${repo}`,
+      direction,
+      createdAt: new Date().toISOString(),
+      backlog: {
+        path: this.backlogPath,
+        baseHash: this.hashContent(baseContent),
+        modifiedAt: baseContent === null ? null : (await fs.stat(this.backlogPath)).mtime.toISOString(),
+        content: null,
+        diff: ''
+      },
+      syncState: {
+        path: this.syncStatePath,
+        baseHash: this.hashContent(syncState.raw),
+        tickets: { ...syncState.tickets },
+        conflicts: []
+      },
+      actions: [],
+      conflicts: [],
+      skipped: 0
+    };
 
-      // Parse existing TrackDown backlog
-      const existingTickets = await this.parseTrackDownBacklog();
-      
-      // Create mapping of GitHub issues to TrackDown tickets
-      const syncResults = {
-        imported: 0,
-        updated: 0,
-        skipped: 0,
-        errors: []
-      };
+    this.planMerges(plan, issues, tickets, syncState, options);
+    if (direction !== 'export') {
+      this.planImports(plan, issues, tickets, options);
+    }
+    if (direction !== 'import') {
+      this.planExports(plan, issues, tickets);
+    }
+    plan.syncState.conflicts = plan.conflicts;
+
+    if (plan.actions.some(action => action.target === 'backlog')) {
+      plan.backlog.content = this.formatBacklogContent(tickets);
+      plan.backlog.diff = createUnifiedDiff(baseContent, plan.backlog.content, {
+        fromFile: 'a/trackdown/BACKLOG.md',
+        toFile: 'b/trackdown/BACKLOG.md'
+      });
+    }
 
-      for (const issue of issues) {
-        try {
-          const result = await this.importGitHubIssue(issue, existingTickets);
-          syncResults[result]++;
-        } catch (error) {
-          console.error(`Error syncing issue #${issue.number}:`, error.message);
-          syncResults.errors.push({
-            issue: issue.number,
-            error: error.message
-          });
-        }
+    return plan;
+  }
+
+  /**
+   * Plan GitHub → TrackDown imports: new open issues become GH-<number> tickets
+   */
+  planImports(plan, issues, tickets, { labels } = {}) {
+    const linkedIds = new Set(tickets.map(ticket => ticket.id));
+
+    for (const issue of issues) {
+      // Issues exported from local tickets and imported issues are merged in planMerges()
+      if (linkedIds.has(this.extractTrackDownId(issue.body || '')) || linkedIds.has(`GH-${issue.number}`)) {
+        continue;
       }
 
-      // Save updated backlog
-      await this.saveTrackDownBacklog(existingTickets);
-      
-      console.log('✅ GitHub → TrackDown sync completed:', syncResults);
-      return syncResults;
+      if (issue.state !== 'open' || (labels && !issue.labels.some(label => labels.includes(label.name)))) {
+        plan.skipped++;
+        continue;
+      }
 
-    } catch (error) {
-      console.error('❌ GitHub → TrackDown sync failed:', error);
-      throw error;
+      const ticket = this.ticketFromIssue(issue);
+      tickets.push(ticket);
+      plan.syncState.tickets[ticket.id] = { issueNumber: issue.number, fields: this.issueSyncFields(issue) };
+      plan.actions.push({
+        type: 'import',
+        target: 'backlog',
+        ticketId: ticket.id,
+        issueNumber: issue.number,
+        title: ticket.title,
+        status: ticket.status
+      });
     }
   }
 
   /**
-   * Sync TrackDown tickets to GitHub
+   * Plan TrackDown → GitHub exports: local tickets without an issue carrying
+   * their TrackDown ID get one
    */
-  async syncTrackDownToGitHub(options = {}) {
-    if (!this.githubClient) {
-      throw new Error('GitHub client not configured');
-    }
+  planExports(plan, issues, tickets) {
+    const trackedIds = new Set(issues.map(issue => this.extractTrackDownId(issue.body || '')));
 
-    console.log('📤 Syncing TrackDown tickets to GitHub...');
-    
-    try {
-      // Parse TrackDown backlog
-      const tickets = await this.parseTrackDownBacklog();
-      
-      // Get existing GitHub issues
-      const existingIssues = await this.fetchGitHubIssues({ state: 'all' });
-      const issueMap = new Map(existingIssues.map(issue => [
-        this.extractTrackDownId(issue.body || ''),
-        issue
-      ]));
-
-      const syncResults = {
-        exported: 0,
-        updated: 0,
-        skipped: 0,
-        errors: []
+    for (const ticket of tickets) {
+      // Tickets imported from GitHub are owned by their issue
+      if (ticket.type === 'github_import' || ticket.githubNumber || trackedIds.has(ticket.id)) {
+        continue;
+      }
+      if (!ticket.id) {
+        plan.skipped++;
+        continue;
+      }
+
+      // New issues always start open; a closed ticket is closed on the next sync
+      plan.syncState.tickets[ticket.id] = {
+        issueNumber: null,
+        fields: { ...this.ticketSyncFields(ticket), status: 'open' }
       };
+      plan.actions.push({
+        type: 'create-issue',
+        target: 'github',
+        ticketId: ticket.id,
+        title: ticket.title,
+        issue: {
+          title: ticket.title,
+          body: this.formatTicketForGitHub(ticket),
+          labels: ticket.labels || [],
+          assignees: ticket.assignee ? [ticket.assignee] : []
+        }
+      });
+    }
+  }
+
+  /**
+   * Plan updates for tickets linked to an issue, either imported as
+   * GH-<number> or exported under their TrackDown ID.
+   *
+   * Each shared field is merged three ways against the value stored at the
+   * last sync: a field changed on one side follows that side, and a field
+   * changed on both sides is a conflict. Without a stored value the side
+   * that owns the ticket wins, which is how syncs behaved before.
+   */
+  planMerges(plan, issues, tickets, syncState, options = {}) {
+    const byNumber = new Map(issues.map(issue => [issue.number, issue]));
+    const byTrackDownId = new Map(issues.map(issue => [this.extractTrackDownId(issue.body || ''), issue]));
+    const queued = new Map(syncState.conflicts.map(conflict => [conflict.id, conflict]));
+
+    for (const ticket of tickets) {
+      const issue = ticket.githubNumber ? byNumber.get(ticket.githubNumber) : byTrackDownId.get(ticket.id);
+      if (!issue) {
+        continue;
+      }
 
-      for (const ticket of tickets) {
-        try {
-          if (!ticket.id || ticket.type === 'github_import') {
-            syncResults.skipped++;
+      const ours = this.ticketSyncFields(ticket);
+      const theirs = this.issueSyncFields(issue);
+      const base = syncState.tickets[ticket.id]?.fields || (ticket.githubNumber ? ours : theirs);
+      const toTicket = {};
+      const toIssue = {};
+      const resolvedBy = {};
+      const nextBase = {};
+
+      for (const field of SYNC_FIELDS) {
+        const ancestor = base[field] ?? null;
+        nextBase[field] = ancestor;
+
+        if (this.sameValue(ours[field], theirs[field])) {
+          nextBase[field] = ours[field];
+          continue;
+        }
+
+        let winner = null;
+        if (this.sameValue(ours[field], ancestor)) {
+          winner = 'github';
+        } else if (this.sameValue(theirs[field], ancestor)) {
+          winner = 'trackdown';
+        } else {
+          const conflict = {
+            id: `${ticket.id}:${field}`,
+            ticketId: ticket.id,
+            issueNumber: issue.number,
+            field,
+            base: ancestor,
+            trackdown: ours[field],
+            github: theirs[field],
+            detectedAt: queued.get(`${ticket.id}:${field}`)?.detectedAt || plan.createdAt
+          };
+          const decision = this.decideConflict(conflict, queued.get(conflict.id), issue, plan.backlog.modifiedAt, options);
+
+          winner = decision.winner;
+          resolvedBy[field] = decision.resolvedBy;
+
+          if (!winner) {
+            plan.conflicts.push(conflict);
             continue;
           }
-
-          const existingIssue = issueMap.get(ticket.id);
-          let result;
-          
-          if (existingIssue) {
-            result = await this.updateGitHubIssue(existingIssue, ticket);
-          } else {
-            result = await this.exportTrackDownTicket(ticket);
+          // Keep a human decision queued until a sync runs in its direction
+          if (!this.canApply(plan.direction, winner)) {
+            if (decision.resolvedBy === 'manual') {
+              plan.conflicts.push({ ...conflict, resolution: winner });
+            }
+            continue;
           }
-          
-          syncResults[result]++;
-        } catch (error) {
-          console.error(`Error syncing ticket ${ticket.id}:`, error.message);
-          syncResults.errors.push({
-            ticket: ticket.id,
-            error: error.message
-          });
+        }
+
+        if (!this.canApply(plan.direction, winner)) {
+          continue;
+        }
+        if (winner === 'github') {
+          toTicket[field] = theirs[field];
+          nextBase[field] = theirs[field];
+        } else {
+          toIssue[field] = ours[field];
+          nextBase[field] = ours[field];
         }
       }
 
-      console.log('✅ TrackDown → GitHub sync completed:', syncResults);
-      return syncResults;
+      const ticketChanges = this.applyTicketFields(ticket, toTicket, issue, resolvedBy);
+      if (ticketChanges.length > 0) {
+        plan.actions.push({
+          type: 'update-ticket',
+          target: 'backlog',
+          ticketId: ticket.id,
+          issueNumber: issue.number,
+          changes: ticketChanges
+        });
+      }
 
-    } catch (error) {
-      console.error('❌ TrackDown → GitHub sync failed:', error);
-      throw error;
+      const issueUpdate = plan.direction === 'import' ? null : this.buildIssueUpdate(ticket, issue, toIssue, theirs, resolvedBy);
+      if (issueUpdate) {
+        plan.actions.push({
+          type: 'update-issue',
+          target: 'github',
+          ticketId: ticket.id,
+          issueNumber: issue.number,
+          baseUpdatedAt: issue.updated_at,
+          ...issueUpdate
+        });
+      }
+
+      if (ticketChanges.length === 0 && !issueUpdate) {
+        plan.skipped++;
+      }
+
+      plan.syncState.tickets[ticket.id] = { issueNumber: issue.number, fields: nextBase };
     }
   }
 
   /**
-   * Bidirectional sync
+   * Decide which side wins a field changed on both sides. A resolution
+   * queued for exactly these values comes first, then the field's policy.
+   * Returns a null winner when the conflict needs a human.
    */
-  async bidirectionalSync(options = {}) {
-    console.log('🔄 Starting bidirectional GitHub ↔ TrackDown sync...');
-    
+  decideConflict(conflict, queued, issue, backlogModifiedAt, options = {}) {
+    if (
+      queued?.resolution &&
+      this.sameValue(queued.trackdown, conflict.trackdown) &&
+      this.sameValue(queued.github, conflict.github)
+    ) {
+      return { winner: queued.resolution, resolvedBy: 'manual' };
+    }
+
+    const policy = this.getConflictPolicy(conflict.field, options);
+    switch (policy) {
+      case 'github-wins':
+        return { winner: 'github', resolvedBy: policy };
+      case 'trackdown-wins':
+        return { winner: 'trackdown', resolvedBy: policy };
+      case 'newest-wins':
+        // Tickets carry no edit time of their own, so the backlog file's stands in
+        return {
+          winner: new Date(issue.updated_at) > new Date(backlogModifiedAt || 0) ? 'github' : 'trackdown',
+          resolvedBy: policy
+        };
+      default:
+        return { winner: null, resolvedBy: 'manual' };
+    }
+  }
+
+  /**
+   * Conflict policy for a field: the sync's own fieldPolicies and
+   * conflictPolicy, then github.sync.fieldPolicies, then
+   * github.sync.conflictPolicy, then 'manual'
+   */
+  getConflictPolicy(field, options = {}) {
+    const syncConfig = this.config.github?.sync || {};
+    const policy =
+      options.fieldPolicies?.[field] ||
+      options.conflictPolicy ||
+      syncConfig.fieldPolicies?.[field] ||
+      syncConfig.conflictPolicy ||
+      'manual';
+    return CONFLICT_POLICIES.includes(policy) ? policy : 'manual';
+  }
+
+  /**
+   * Reject unknown conflict policies given to a single sync
+   */
+  validatePolicies({ conflictPolicy, fieldPolicies = {} }) {
+    const policies = [
+      ['conflictPolicy', conflictPolicy],
+      ...Object.entries(fieldPolicies).map(([field, policy]) => [`fieldPolicies.${field}`, policy])
+    ];
+    for (const [name, policy] of policies) {
+      if (policy !== undefined && !CONFLICT_POLICIES.includes(policy)) {
+        throw new ValidationError(
+          `Unknown conflict policy "${policy}". Expected one of: ${CONFLICT_POLICIES.join(', ')}`,
+          name,
+          policy
+        );
+      }
+    }
+  }
+
+  canApply(direction, winner) {
+    return winner === 'github' ? direction !== 'export' : direction !== 'import';
+  }
+
+  /**
+   * Write merged GitHub values onto a ticket and describe the changes
+   */
+  applyTicketFields(ticket, fields, issue, resolvedBy) {
+    const changes = [];
+    const record = (field, from, to) => {
+      changes.push({ field, from, to, ...(resolvedBy[field] ? { resolvedBy: resolvedBy[field] } : {}) });
+    };
+
+    for (const [field, value] of Object.entries(fields)) {
+      if (field === 'status') {
+        const status = this.statusMappings.github[value] || 'TODO';
+        record(field, ticket.status, status);
+        ticket.status = status;
+      } else if (field === 'labels') {
+        record(field, ticket.labels || [], value);
+        ticket.labels = value;
+        if (ticket.githubNumber) {
+          ticket.priority = this.extractPriorityFromLabels(value.map(name => ({ name })));
+        }
+      } else {
+        record(field, ticket[field] ?? null, value);
+        ticket[field] = value;
+      }
+    }
+
+    if (changes.length > 0 && ticket.githubNumber) {
+      ticket.updatedAt = issue.updated_at;
+    }
+
+    return changes;
+  }
+
+  /**
+   * Build the GitHub update for merged TrackDown values. Exported issues also
+   * get their TrackDown footer refreshed when the ticket status or priority moved.
+   */
+  buildIssueUpdate(ticket, issue, fields, theirs, resolvedBy) {
+    const changes = [];
+    const updates = {};
+
+    for (const [field, value] of Object.entries(fields)) {
+      changes.push({
+        field,
+        from: theirs[field],
+        to: value,
+        ...(resolvedBy[field] ? { resolvedBy: resolvedBy[field] } : {})
+      });
+
+      if (field === 'status') {
+        updates.state = value;
+      } else if (field === 'assignee') {
+        updates.assignees = value ? [value] : [];
+      } else if (field !== 'description') {
+        updates[field] = value;
+      }
+    }
+
+    const description = 'description' in fields ? fields.description : theirs.description;
+    const body = ticket.githubNumber ? description : this.formatTicketForGitHub({ ...ticket, description });
+    if (this.normalizeText(body) !== this.normalizeText(issue.body)) {
+      updates.body = body;
+      if (!('description' in fields)) {
+        changes.push({ field: 'footer', from: this.extractFooter(issue.body), to: this.extractFooter(body) });
+      }
+    }
+
+    return changes.length > 0 ? { changes, updates } : null;
+  }
+
+  /**
+   * Shared field values of a ticket, in the form stored as the sync base
+   */
+  ticketSyncFields(ticket) {
+    return {
+      title: ticket.title,
+      description: this.normalizeText(ticket.description),
+      status: this.statusMappings.trackdown[ticket.status] || 'open',
+      labels: [...(ticket.labels || [])].sort(),
+      assignee: ticket.assignee || null
+    };
+  }
+
+  /**
+   * Shared field values of an issue, without the TrackDown footer
+   */
+  issueSyncFields(issue) {
+    return {
+      title: issue.title,
+      description: this.normalizeText((issue.body || '').replace(TRACKDOWN_FOOTER_PATTERN, '')),
+      status: issue.state,
+      labels: issue.labels.map(label => label.name).sort(),
+      assignee: issue.assignee?.login || null
+    };
+  }
+
+  extractFooter(body) {
+    const match = (body || '').match(TRACKDOWN_FOOTER_PATTERN);
+    return match ? this.normalizeText(match[0]) : null;
+  }
+
+  /**
+   * Apply a plan from createPlan(). Refuses to run when BACKLOG.md, the sync
+   * state or an affected issue changed after the plan was made, so nothing is
+   * applied that was not previewed.
+   */
+  async applyPlan(plan) {
+    const currentContent = await this.readBacklog();
+    if (this.hashContent(currentContent) !== plan.backlog.baseHash) {
+      throw new ApplicationError('BACKLOG.md changed since the sync was planned', 'PLAN_OUTDATED', 409, {
+        path: this.backlogPath
+      });
+    }
+
+    const currentState = await this.readSyncState();
+    if (this.hashContent(currentState.raw) !== plan.syncState.baseHash) {
+      throw new ApplicationError('Sync state changed since the sync was planned', 'PLAN_OUTDATED', 409, {
+        path: this.syncStatePath
+      });
+    }
+
+    const githubActions = plan.actions.filter(action => action.target === 'github');
+    if (githubActions.length > 0) {
+      await this.verifyIssuesUnchanged(githubActions);
+    }
+
     const results = {
-      githubToTrackdown: null,
-      trackdownToGithub: null,
-      timestamp: new Date().toISOString()
+      imported: 0,
+      exported: 0,
+      updated: 0,
+      skipped: plan.skipped,
+      conflicts: plan.conflicts.length,
+      errors: []
     };
+    const syncedTickets = { ...plan.syncState.tickets };
 
-    try {
-      // First sync GitHub → TrackDown
-      results.githubToTrackdown = await this.syncGitHubToTrackDown(options);
-      
-      // Then sync TrackDown → GitHub 
-      results.trackdownToGithub = await this.syncTrackDownToGitHub(options);
-      
-      console.log('✅ Bidirectional sync completed successfully');
-      return results;
+    if (plan.backlog.content !== null) {
+      await fs.ensureDir(this.trackdownPath);
+      await fs.writeFile(this.backlogPath, plan.backlog.content);
+      console.log(`💾 Saved TrackDown backlog with ${plan.actions.length} planned changes`);
+
+      for (const action of plan.actions) {
+        if (action.type === 'import') results.imported++;
+        if (action.type === 'update-ticket') results.updated++;
+      }
+    }
 
+    for (const action of githubActions) {
+      try {
+        if (action.type === 'create-issue') {
+          const issue = await this.exportTrackDownTicket(action);
+          syncedTickets[action.ticketId] = { ...syncedTickets[action.ticketId], issueNumber: issue.number };
+          results.exported++;
+        } else {
+          await this.updateGitHubIssue(action);
+          results.updated++;
+        }
+      } catch (error) {
+        // Keep the previous sync base so the change is merged again next time
+        if (currentState.tickets[action.ticketId]) {
+          syncedTickets[action.ticketId] = currentState.tickets[action.ticketId];
+        } else {
+          delete syncedTickets[action.ticketId];
+        }
+        results.errors.push({ ticket: action.ticketId, error: error.message });
+      }
+    }
+
+    await this.writeSyncState({
+      repository: plan.repository,
+      tickets: syncedTickets,
+      conflicts: plan.syncState.conflicts
+    });
+
+    return results;
+  }
+
+  /**
+   * Counts a plan would produce when applied
+   */
+  summarizePlan(plan) {
+    const count = type => plan.actions.filter(action => action.type === type).length;
+
+    return {
+      imported: count('import'),
+      exported: count('create-issue'),
+      updated: count('update-ticket') + count('update-issue'),
+      skipped: plan.skipped,
+      conflicts: plan.conflicts.length,
+      errors: []
+    };
+  }
+
+  /**
+   * Make sure the issues a plan writes to are still as they were when planned
+   */
+  async verifyIssuesUnchanged(actions) {
+    const issues = await this.fetchGitHubIssues({ state: 'all' });
+    const byNumber = new Map(issues.map(issue => [issue.number, issue]));
+    const trackedIds = new Set(issues.map(issue => this.extractTrackDownId(issue.body || '')));
+
+    for (const action of actions) {
+      const changed = action.type === 'create-issue'
+        ? trackedIds.has(action.ticketId)
+        : byNumber.get(action.issueNumber)?.updated_at !== action.baseUpdatedAt;
+
+      if (changed) {
+        throw new ApplicationError(
+          `GitHub issue for ${action.ticketId} changed since the sync was planned`,
+          'PLAN_OUTDATED',
+          409,
+          { ticketId: action.ticketId }
+        );
+      }
+    }
+  }
+
+  /**
+   * Detect the repository from the project's origin remote, and with a host
+   * registry the client of its Git host
+   */
+  detectRepository() {
+    if (!this.githubClient && !this.hosts) {
+      return null;
+    }
+
+    try {
+      const remoteUrl = execSync('git remote get-url origin', {
+        cwd: this.projectPath,
+        encoding: 'utf8',
+        stdio: ['ignore', 'pipe', 'ignore']
+      }).trim();
+
+      if (this.hosts) {
+        const resolved = this.hosts.resolve(remoteUrl);
+        this.githubClient = resolved ? resolved.provider : this.githubClient;
+        this.repository = resolved ? { owner: resolved.owner, repo: resolved.repo } : null;
+      } else {
+        this.repository = this.githubClient.parseRepositoryFromUrl(remoteUrl);
+      }
     } catch (error) {
-      console.error('❌ Bidirectional sync failed:', error);
-      results.error = error.message;
-      throw error;
+      this.repository = null;
+    }
+
+    return this.repository;
+  }
+
+  /**
+   * Repository to sync with, from the detected remote or the configuration
+   */
+  getRepository() {
+    const owner = this.repository?.owner || this.config.github?.owner;
+    const repo = this.repository?.repo || this.config.github?.repo;
+
+    if (!owner || !repo) {
+      throw new Error('No GitHub repository detected for this project');
     }
+
+    return { owner, repo };
   }
 
   /**
@@ -188,13 +699,7 @@ class GitHubTrackDownSync {
    */
   async fetchGitHubIssues(options = {}) {
     try {
-      // Get repository info from config
-      const owner = this.config.github?.owner;
-      const repo = this.config.github?.repo;
-      
-      if (!owner || !repo) {
-        throw new Error('GitHub owner and repo must be configured');
-      }
+      const { owner, repo } = this.getRepository();
 
       const result = await this.githubClient.getAllIssues(owner, repo, options);
       
@@ -210,16 +715,13 @@ class GitHubTrackDownSync {
   }
 
   /**
-   * Import GitHub issue as TrackDown ticket
+   * Build the TrackDown ticket for a GitHub issue
    */
-  async importGitHubIssue(issue, existingTickets) {
-    const trackdownId = `GH-${issue.number}`;
-    const existingIndex = existingTickets.findIndex(t => t.id === trackdownId);
-    
-    const ticket = {
-      id: trackdownId,
+  ticketFromIssue(issue) {
+    return {
+      id: `GH-${issue.number}`,
       title: issue.title,
-      description: issue.body || '',
+      description: this.normalizeText(issue.body),
       status: this.statusMappings.github[issue.state] || 'TODO',
       priority: this.extractPriorityFromLabels(issue.labels),
       assignee: issue.assignee?.login || null,
@@ -228,98 +730,127 @@ class GitHubTrackDownSync {
       githubNumber: issue.number,
       createdAt: issue.created_at,
       updatedAt: issue.updated_at,
-      type: 'github_import',
-      syncedAt: new Date().toISOString()
+      type: 'github_import'
     };
+  }
 
-    if (existingIndex >= 0) {
-      // Update existing ticket
-      const existing = existingTickets[existingIndex];
-      if (new Date(issue.updated_at) > new Date(existing.updatedAt || 0)) {
-        existingTickets[existingIndex] = { ...existing, ...ticket };
-        return 'updated';
-      }
-      return 'skipped';
-    } else {
-      // Add new ticket
-      existingTickets.push(ticket);
-      return 'imported';
+  /**
+   * Create a GitHub issue for a planned create-issue action
+   */
+  async exportTrackDownTicket(action) {
+    const { owner, repo } = this.getRepository();
+
+    const result = await this.githubClient.createIssue(owner, repo, action.issue);
+    if (!result.success) {
+      throw new Error(result.error);
     }
+
+    console.log(`✅ Exported ticket ${action.ticketId} as GitHub issue #${result.issue.number}`);
+    return result.issue;
   }
 
   /**
-   * Export TrackDown ticket as GitHub issue
+   * Update a GitHub issue for a planned update-issue action
    */
-  async exportTrackDownTicket(ticket) {
-    const owner = this.config.github?.owner;
-    const repo = this.config.github?.repo;
-    
-    if (!owner || !repo) {
-      throw new Error('GitHub owner and repo must be configured');
+  async updateGitHubIssue(action) {
+    const { owner, repo } = this.getRepository();
+
+    const result = await this.githubClient.updateIssue(owner, repo, action.issueNumber, action.updates);
+    if (!result.success) {
+      throw new Error(result.error);
     }
 
-    const issueData = {
-      title: ticket.title,
-      body: this.formatTicketForGitHub(ticket),
-      labels: ticket.labels || [],
-      assignees: ticket.assignee ? [ticket.assignee] : []
-    };
+    console.log(`✅ Updated GitHub issue #${action.issueNumber} from ticket ${action.ticketId}`);
+  }
 
-    try {
-      const result = await this.githubClient.createIssue(owner, repo, issueData);
-      
-      if (!result.success) {
-        throw new Error(result.error);
-      }
-      
-      console.log(`✅ Exported ticket ${ticket.id} as GitHub issue #${result.issue.number}`);
-      return 'exported';
-    } catch (error) {
-      console.error(`Failed to export ticket ${ticket.id}:`, error);
-      throw error;
+  sameValue(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+  }
+
+  normalizeText(text) {
+    return (text || '').replace(/\r\n/g, '\n').trim();
+  }
+
+  hashContent(content) {
+    return content === null ? null : crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  /**
+   * Read BACKLOG.md, or null when the project has none yet
+   */
+  async readBacklog() {
+    if (!await fs.pathExists(this.backlogPath)) {
+      return null;
     }
+    return fs.readFile(this.backlogPath, 'utf8');
   }
 
   /**
-   * Update GitHub issue from TrackDown ticket
+   * Read the per-ticket sync base and the queue of unresolved conflicts from
+   * the project's file under `<dataDir>/sync-state/`, or from
+   * trackdown/.sync-state.json where earlier versions kept it. `raw` is null
+   * when nothing was synced yet.
    */
-  async updateGitHubIssue(issue, ticket) {
-    const owner = this.config.github?.owner;
-    const repo = this.config.github?.repo;
-    
-    if (!owner || !repo) {
-      throw new Error('GitHub owner and repo must be configured');
+  async readSyncState() {
+    let statePath = this.syncStatePath;
+    if (!await fs.pathExists(statePath)) {
+      statePath = this.legacySyncStatePath;
+      if (!await fs.pathExists(statePath)) {
+        return { raw: null, tickets: {}, conflicts: [] };
+      }
     }
 
-    const updates = {
-      title: ticket.title,
-      body: this.formatTicketForGitHub(ticket),
-      state: this.statusMappings.trackdown[ticket.status] || 'open',
-      labels: ticket.labels || []
-    };
+    const raw = await fs.readFile(statePath, 'utf8');
+    try {
+      const state = JSON.parse(raw);
+      return { raw, tickets: state.tickets || {}, conflicts: state.conflicts || [] };
+    } catch (error) {
+      throw new ApplicationError(`Invalid sync state in ${statePath}: ${error.message}`, 'SYNC_STATE_INVALID', 500, {
+        path: statePath
+      });
+    }
+  }
 
-    // Only update if there are actual changes
-    const hasChanges = issue.title !== updates.title ||
-                      issue.body !== updates.body ||
-                      issue.state !== updates.state;
+  async writeSyncState(state) {
+    writeJsonFile(this.syncStatePath, state);
+    await fs.remove(this.legacySyncStatePath);
+  }
 
-    if (!hasChanges) {
-      return 'skipped';
+  /**
+   * Conflicts queued for a human, oldest first
+   */
+  async getConflicts() {
+    const { conflicts } = await this.readSyncState();
+    return [...conflicts].sort((a, b) => new Date(a.detectedAt) - new Date(b.detectedAt));
+  }
+
+  /**
+   * Record which side wins a queued conflict. The decision is carried out
+   * by the next sync, as long as neither side changed the field again.
+   *
+   * @param {string} conflictId - Conflict ID, `<ticket ID>:<field>`
+   * @param {string} resolution - 'github' or 'trackdown'
+   */
+  async resolveConflict(conflictId, resolution) {
+    if (!CONFLICT_RESOLUTIONS.includes(resolution)) {
+      throw new ValidationError(
+        `Unknown resolution "${resolution}". Expected one of: ${CONFLICT_RESOLUTIONS.join(', ')}`,
+        'resolution',
+        resolution
+      );
     }
 
-    try {
-      const result = await this.githubClient.updateIssue(owner, repo, issue.number, updates);
-      
-      if (!result.success) {
-        throw new Error(result.error);
-      }
-      
-      console.log(`✅ Updated GitHub issue #${issue.number} from ticket ${ticket.id}`);
-      return 'updated';
-    } catch (error) {
-      console.error(`Failed to update issue #${issue.number}:`, error);
-      throw error;
+    const state = await this.readSyncState();
+    const conflict = state.conflicts.find(entry => entry.id === conflictId);
+    if (!conflict) {
+      throw new ApplicationError(`Sync conflict ${conflictId} not found`, 'CONFLICT_NOT_FOUND', 404, { conflictId });
     }
+
+    conflict.resolution = resolution;
+    conflict.resolvedAt = new Date().toISOString();
+    await this.writeSyncState({ ...JSON.parse(state.raw), conflicts: state.conflicts });
+
+    return conflict;
   }
 
   /**
@@ -327,6 +858,10 @@ class GitHubTrackDownSync {
    */
   async parseTrackDownBacklog() {
     if (!fs.existsSync(this.backlogPath)) {
+      if (this.dryRun) {
+        return [];
+      }
+
       console.log('📝 Creating new TrackDown backlog file');
       await fs.ensureDir(this.trackdownPath);
       await fs.writeFile(this.backlogPath, this.getDefaultBacklogTemplate());
@@ -368,8 +903,8 @@ class GitHubTrackDownSync {
         continue;
       }
 
-      // Parse ticket headers
-      const ticketMatch = line.match(/^##\s*(\w+-\d+):\s*(.+)$/);
+      // Parse ticket headers (## ID: Title or ### ID: Title)
+      const ticketMatch = line.match(/^#{2,3}\s*(\w+-\d+):\s*(.+)$/);
       if (ticketMatch) {
         // Save previous ticket
         if (currentTicket) {
@@ -389,6 +924,15 @@ class GitHubTrackDownSync {
         continue;
       }
 
+      // Any other heading (e.g. a status section) ends the current ticket
+      if (/^#{1,3}\s/.test(line)) {
+        if (currentTicket) {
+          tickets.push(currentTicket);
+          currentTicket = null;
+        }
+        continue;
+      }
+
       // Parse status lines
       const statusMatch = line.match(/^\*\*Status\*\*:\s*(.+)$/);
       if (statusMatch && currentTicket) {
@@ -417,6 +961,31 @@ class GitHubTrackDownSync {
         continue;
       }
 
+      const githubMatch = line.match(/^\*\*GitHub\*\*:\s*\[#(\d+)\]\((.+)\)$/);
+      if (githubMatch && currentTicket) {
+        currentTicket.githubNumber = Number.parseInt(githubMatch[1]);
+        currentTicket.githubUrl = githubMatch[2];
+        continue;
+      }
+
+      const updatedMatch = line.match(/^\*\*Updated\*\*:\s*(.+)$/);
+      if (updatedMatch && currentTicket) {
+        currentTicket.updatedAt = updatedMatch[1].trim();
+        continue;
+      }
+
+      // Keep TrackDown fields this service does not sync so saving does not drop them
+      const extraMatch = line.match(/^\*\*(Story Points|Epic|Sprint)\*\*:\s*(.+)$/);
+      if (extraMatch && currentTicket) {
+        currentTicket.extraFields = [...(currentTicket.extraFields || []), line];
+        continue;
+      }
+
+      // Skip ticket separators and the sync footer
+      if (line.trim() === '---' || /^\*Last (synchronized|updated):/.test(line.trim())) {
+        continue;
+      }
+
       // Collect description lines
       if (currentTicket && line.trim()) {
         currentTicket.description += line + '\n';
@@ -458,6 +1027,13 @@ class GitHubTrackDownSync {
       'CANCELED': tickets.filter(t => t.status === 'CANCELED')
     };
 
+    // Keep tickets with custom statuses in their own sections
+    for (const ticket of tickets) {
+      if (!statusGroups[ticket.status]) {
+        statusGroups[ticket.status] = tickets.filter(t => t.status === ticket.status);
+      }
+    }
+
     for (const [status, statusTickets] of Object.entries(statusGroups)) {
       if (statusTickets.length === 0) continue;
 
@@ -476,10 +1052,18 @@ class GitHubTrackDownSync {
           content += `**Labels**: ${ticket.labels.join(', ')}\n`;
         }
 
+        for (const field of ticket.extraFields || []) {
+          content += `${field}\n`;
+        }
+
         if (ticket.githubUrl) {
           content += `**GitHub**: [#${ticket.githubNumber}](${ticket.githubUrl})\n`;
         }
 
+        if (ticket.updatedAt) {
+          content += `**Updated**: ${ticket.updatedAt}\n`;
+        }
+
         if (ticket.description) {
           content += '\n' + ticket.description + '\n';
         }
@@ -13,20 +13,37 @@
 
 const fs = require('fs-extra');
 const path = require('path');
+const crypto = require('node:crypto');
 const { glob } = require('glob');
+const GitHubTrackDownSync = require('../sync/github-trackdown-sync');
+const { loadProjectManifest } = require('../config/project-manifest');
+const { readProjectIdentity, checkoutSuffix } = require('../utils/project-identity');
+const { ApplicationError, ConfigurationError, ValidationError } = require('../utils/error-handler');
+
+const SYNC_DIRECTIONS = ['both', 'import', 'export'];
+const SYNC_PLAN_TTL = 15 * 60 * 1000; // Dry-run plans can be applied for 15 minutes
 
 class TrackDownManager {
   constructor(options = {}) {
     this.config = options.config || {};
     this.projectsBasePath = options.projectsBasePath || process.cwd();
     this.githubClient = options.githubClient || null;
+    // Issue tracker clients by Git host; each project syncs with its origin remote's host
+    this.hosts = options.hosts || null;
     this.syncService = options.syncService || null;
+    // Sync state is stored here by project ID; IDs registered by the master
+    // controller come from its project identities
+    this.dataDir = options.dataDir || path.join(process.cwd(), 'data');
+    this.identities = options.identities || null;
     
-    // Project cache
+    // Projects and their tickets by project ID; `name` is only for display
     this.projectsCache = new Map();
     this.ticketsCache = new Map();
     this.lastCacheUpdate = null;
     this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
+
+    // Dry-run sync plans awaiting confirmation, by plan ID
+    this.syncPlans = new Map();
     
     console.log('📋 TrackDown Project Manager initialized');
   }
@@ -59,17 +76,41 @@ class TrackDownManager {
         onlyDirectories: true,
         absolute: true
       });
+      const locations = new Map(trackdownDirs.map(trackdownDir => [trackdownDir, path.dirname(trackdownDir)]));
+
+      // Projects whose .portfolio.yml keeps TrackDown elsewhere
+      const manifests = await glob('**/.portfolio.yml', {
+        cwd: this.projectsBasePath,
+        ignore: ['**/node_modules/**', '**/.git/**'],
+        dot: true,
+        absolute: true
+      });
+      for (const manifestPath of manifests) {
+        const projectPath = path.dirname(manifestPath);
+        let manifest = null;
+        try {
+          manifest = loadProjectManifest(projectPath);
+        } catch (error) {
+          console.warn(`⚠️ Ignoring ${manifestPath}: ${error.message}`);
+        }
+        if (manifest?.trackdown) {
+          locations.delete(path.join(projectPath, 'trackdown'));
+          locations.set(path.join(projectPath, manifest.trackdown), projectPath);
+        }
+      }
 
       this.projectsCache.clear();
       
-      for (const trackdownDir of trackdownDirs) {
-        const projectPath = path.dirname(trackdownDir);
-        const projectName = path.basename(projectPath);
+      for (const [trackdownDir, projectPath] of locations) {
         const backlogPath = path.join(trackdownDir, 'BACKLOG.md');
         
         if (await fs.pathExists(backlogPath)) {
           const project = await this.loadProjectMetadata(projectPath, trackdownDir);
-          this.projectsCache.set(projectName, project);
+          // A second clone of a repository shares its identity
+          if (this.projectsCache.has(project.id)) {
+            project.id = `${project.id}-${checkoutSuffix(projectPath)}`;
+          }
+          this.projectsCache.set(project.id, project);
         }
       }
 
@@ -83,6 +124,20 @@ class TrackDownManager {
     }
   }
 
+  /**
+   * The project's ID as the master controller registered it, else the one
+   * its repository's identity gives, else its directory name
+   */
+  async resolveProjectId(projectPath) {
+    const registered = this.identities?.findByPath(projectPath);
+    if (registered) {
+      return registered.id;
+    }
+
+    const identity = await readProjectIdentity(projectPath);
+    return identity ? identity.id : path.basename(projectPath);
+  }
+
   /**
    * Load project metadata
    */
@@ -92,6 +147,7 @@ class TrackDownManager {
     
     // Load basic project info
     const project = {
+      id: await this.resolveProjectId(projectPath),
       name: projectName,
       path: projectPath,
       trackdownPath: trackdownDir,
@@ -155,10 +211,10 @@ class TrackDownManager {
     this.ticketsCache.clear();
     let totalTickets = 0;
 
-    for (const [projectName, project] of this.projectsCache) {
+    for (const [projectId, project] of this.projectsCache) {
       try {
-        const tickets = await this.loadProjectTickets(projectName);
-        this.ticketsCache.set(projectName, tickets);
+        const tickets = await this.loadProjectTickets(projectId);
+        this.ticketsCache.set(projectId, tickets);
         
         // Update project stats
         project.ticketCount = tickets.length;
@@ -166,8 +222,8 @@ class TrackDownManager {
         
         totalTickets += tickets.length;
       } catch (error) {
-        console.warn(`Warning: Failed to load tickets for ${projectName}:`, error.message);
-        this.ticketsCache.set(projectName, []);
+        console.warn(`Warning: Failed to load tickets for ${project.name}:`, error.message);
+        this.ticketsCache.set(projectId, []);
       }
     }
 
@@ -177,10 +233,10 @@ class TrackDownManager {
   /**
    * Load tickets for a specific project
    */
-  async loadProjectTickets(projectName) {
-    const project = this.projectsCache.get(projectName);
+  async loadProjectTickets(projectId) {
+    const project = this.projectsCache.get(projectId);
     if (!project) {
-      throw new Error(`Project ${projectName} not found`);
+      throw new Error(`Project ${projectId} not found`);
     }
 
     try {
@@ -189,19 +245,19 @@ class TrackDownManager {
       }
 
       const content = await fs.readFile(project.backlogPath, 'utf8');
-      const tickets = this.parseBacklogContent(content, projectName);
+      const tickets = this.parseBacklogContent(content, project);
       
       return tickets;
     } catch (error) {
-      console.error(`Failed to load tickets for ${projectName}:`, error);
+      console.error(`Failed to load tickets for ${project.name}:`, error);
       throw error;
     }
   }
 
   /**
-   * Parse backlog content into tickets
+   * Parse backlog content into tickets of a project
    */
-  parseBacklogContent(content, projectName) {
+  parseBacklogContent(content, project) {
     const tickets = [];
     const lines = content.split('\n');
     let currentTicket = null;
@@ -242,7 +298,8 @@ class TrackDownManager {
           priority: 'MEDIUM',
           labels: [],
           assignee: null,
-          project: projectName,
+          project: project.id,
+          projectName: project.name,
           createdAt: null,
           updatedAt: null,
           githubUrl: null,
@@ -366,8 +423,8 @@ class TrackDownManager {
     
     // Collect tickets from specified projects or all projects
     if (filters.projects && filters.projects.length > 0) {
-      for (const projectName of filters.projects) {
-        const tickets = this.ticketsCache.get(projectName) || [];
+      for (const projectId of filters.projects) {
+        const tickets = this.ticketsCache.get(projectId) || [];
         allTickets.push(...tickets);
       }
     } else {
@@ -439,28 +496,28 @@ class TrackDownManager {
   /**
    * Get ticket by ID and project
    */
-  async getTicket(projectName, ticketId) {
-    const tickets = this.ticketsCache.get(projectName) || [];
+  async getTicket(projectId, ticketId) {
+    const tickets = this.ticketsCache.get(projectId) || [];
     return tickets.find(ticket => ticket.id === ticketId);
   }
 
   /**
    * Create a new ticket
    */
-  async createTicket(projectName, ticketData) {
-    const project = this.projectsCache.get(projectName);
+  async createTicket(projectId, ticketData) {
+    const project = this.projectsCache.get(projectId);
     if (!project) {
-      throw new Error(`Project ${projectName} not found`);
+      throw new Error(`Project ${projectId} not found`);
     }
 
     // Generate ticket ID if not provided
     if (!ticketData.id) {
-      const tickets = this.ticketsCache.get(projectName) || [];
+      const tickets = this.ticketsCache.get(projectId) || [];
       const maxNumber = tickets.reduce((max, ticket) => {
         const match = ticket.id.match(/\d+$/);
         return match ? Math.max(max, parseInt(match[0])) : max;
       }, 0);
-      ticketData.id = `${projectName.toUpperCase()}-${String(maxNumber + 1).padStart(3, '0')}`;
+      ticketData.id = `${project.name.toUpperCase()}-${String(maxNumber + 1).padStart(3, '0')}`;
     }
 
     const ticket = {
@@ -471,7 +528,8 @@ class TrackDownManager {
       priority: ticketData.priority || 'MEDIUM',
       labels: ticketData.labels || [],
       assignee: ticketData.assignee || null,
-      project: projectName,
+      project: projectId,
+      projectName: project.name,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
       type: 'trackdown',
@@ -481,26 +539,26 @@ class TrackDownManager {
     };
 
     // Add to cache
-    const tickets = this.ticketsCache.get(projectName) || [];
+    const tickets = this.ticketsCache.get(projectId) || [];
     tickets.push(ticket);
-    this.ticketsCache.set(projectName, tickets);
+    this.ticketsCache.set(projectId, tickets);
 
     // Save to file
-    await this.saveProjectTickets(projectName);
+    await this.saveProjectTickets(projectId);
 
-    console.log(`✅ Created ticket ${ticket.id} in project ${projectName}`);
+    console.log(`✅ Created ticket ${ticket.id} in project ${project.name}`);
     return ticket;
   }
 
   /**
    * Update a ticket
    */
-  async updateTicket(projectName, ticketId, updates) {
-    const tickets = this.ticketsCache.get(projectName) || [];
+  async updateTicket(projectId, ticketId, updates) {
+    const tickets = this.ticketsCache.get(projectId) || [];
     const ticketIndex = tickets.findIndex(ticket => ticket.id === ticketId);
     
     if (ticketIndex === -1) {
-      throw new Error(`Ticket ${ticketId} not found in project ${projectName}`);
+      throw new Error(`Ticket ${ticketId} not found in project ${projectId}`);
     }
 
     // Update ticket
@@ -510,44 +568,44 @@ class TrackDownManager {
     });
 
     // Save to file
-    await this.saveProjectTickets(projectName);
+    await this.saveProjectTickets(projectId);
 
-    console.log(`✅ Updated ticket ${ticketId} in project ${projectName}`);
+    console.log(`✅ Updated ticket ${ticketId} in project ${projectId}`);
     return ticket;
   }
 
   /**
    * Delete a ticket
    */
-  async deleteTicket(projectName, ticketId) {
-    const tickets = this.ticketsCache.get(projectName) || [];
+  async deleteTicket(projectId, ticketId) {
+    const tickets = this.ticketsCache.get(projectId) || [];
     const ticketIndex = tickets.findIndex(ticket => ticket.id === ticketId);
     
     if (ticketIndex === -1) {
-      throw new Error(`Ticket ${ticketId} not found in project ${projectName}`);
+      throw new Error(`Ticket ${ticketId} not found in project ${projectId}`);
     }
 
     // Remove from cache
     tickets.splice(ticketIndex, 1);
 
     // Save to file
-    await this.saveProjectTickets(projectName);
+    await this.saveProjectTickets(projectId);
 
-    console.log(`✅ Deleted ticket ${ticketId} from project ${projectName}`);
+    console.log(`✅ Deleted ticket ${ticketId} from project ${projectId}`);
   }
 
   /**
    * Save project tickets to backlog file
    */
-  async saveProjectTickets(projectName) {
-    const project = this.projectsCache.get(projectName);
-    const tickets = this.ticketsCache.get(projectName) || [];
+  async saveProjectTickets(projectId) {
+    const project = this.projectsCache.get(projectId);
+    const tickets = this.ticketsCache.get(projectId) || [];
     
     if (!project) {
-      throw new Error(`Project ${projectName} not found`);
+      throw new Error(`Project ${projectId} not found`);
     }
 
-    const content = this.formatBacklogContent(tickets, projectName);
+    const content = this.formatBacklogContent(tickets, project.name);
     await fs.writeFile(project.backlogPath, content);
     
     // Update project stats
@@ -638,9 +696,9 @@ class TrackDownManager {
       burndownData: []
     };
 
-    // Project distribution
+    // Project distribution, by project ID
     projects.forEach(project => {
-      analytics.projectDistribution[project.name] = project.ticketCount;
+      analytics.projectDistribution[project.id] = project.ticketCount;
     });
 
     // Assignee distribution
@@ -679,6 +737,271 @@ class TrackDownManager {
     await this.loadAllTickets();
   }
 
+  /**
+   * Sync every TrackDown project with the GitHub repository of its origin remote
+   *
+   * A dry run only plans the sync: the result carries a `planId` plus each
+   * project's actions and BACKLOG.md diff, and applySyncPlan() carries it out.
+   *
+   * @param {Object} [options]
+   * @param {string} [options.direction] - 'import' (GitHub → TrackDown), 'export' or 'both'
+   * @param {boolean} [options.dryRun] - Plan the sync without writing the backlog or GitHub
+   * @param {string[]} [options.projects] - Limit the sync to these project IDs
+   */
+  async syncProjects(options = {}) {
+    const direction = options.direction || 'both';
+    const dryRun = options.dryRun === true;
+    const planned = await this.planProjects(direction, options.projects);
+
+    if (dryRun) {
+      return this.storeSyncPlan(direction, planned);
+    }
+
+    return this.applyProjectPlans(direction, planned);
+  }
+
+  /**
+   * Apply a plan stored by a dry run of syncProjects(). Each project is
+   * applied only if neither its backlog nor the affected issues changed.
+   */
+  async applySyncPlan(planId) {
+    this.pruneSyncPlans();
+
+    const stored = this.syncPlans.get(planId);
+    if (!stored) {
+      throw new ApplicationError(`Sync plan ${planId} not found or expired`, 'PLAN_NOT_FOUND', 404, {
+        planId
+      });
+    }
+
+    this.syncPlans.delete(planId);
+    return this.applyProjectPlans(stored.direction, stored.projects);
+  }
+
+  /**
+   * Build a sync plan for each project
+   */
+  async planProjects(direction, projectIds) {
+    if (!SYNC_DIRECTIONS.includes(direction)) {
+      throw new ValidationError(
+        `Unknown sync direction "${direction}". Expected one of: ${SYNC_DIRECTIONS.join(', ')}`,
+        'direction',
+        direction
+      );
+    }
+
+    if (!this.githubClient && !this.hosts) {
+      throw new ConfigurationError('GitHub client not configured', 'github.token');
+    }
+
+    await this.refreshCache();
+
+    let projects = Array.from(this.projectsCache.values());
+    if (projectIds) {
+      projects = projects.filter(project => projectIds.includes(project.id));
+    }
+
+    const planned = [];
+    for (const project of projects) {
+      const entry = {
+        project: project.id,
+        name: project.name,
+        path: project.path,
+        repository: null,
+        plan: null,
+        error: null
+      };
+      const sync = this.createSyncService(project.path);
+
+      const repository = sync.detectRepository();
+      if (!repository) {
+        entry.error = this.hosts ? 'No origin remote on a supported Git host' : 'No GitHub origin remote';
+        planned.push(entry);
+        continue;
+      }
+
+      entry.repository = `${repository.owner}/${repository.repo}`;
+      entry.client = sync.githubClient;
+
+      try {
+        entry.plan = await sync.createPlan(direction);
+      } catch (error) {
+        entry.error = error.message;
+      }
+
+      planned.push(entry);
+    }
+
+    return planned;
+  }
+
+  /**
+   * Apply planned projects and collect per-project counts
+   */
+  async applyProjectPlans(direction, planned) {
+    const results = [];
+
+    for (const entry of planned) {
+      const result = this.createSyncResult(entry);
+
+      if (entry.plan) {
+        try {
+          Object.assign(
+            result,
+            await this.createSyncService(entry.path, entry.repository, entry.client).applyPlan(entry.plan)
+          );
+          if (result.errors.length > 0) {
+            result.status = 'partial';
+          }
+        } catch (error) {
+          result.status = error.code === 'PLAN_OUTDATED' ? 'outdated' : 'failed';
+          result.errors.push({ error: error.message });
+        }
+      }
+
+      results.push(result);
+    }
+
+    await this.loadAllTickets();
+
+    return {
+      direction,
+      dryRun: false,
+      timestamp: new Date().toISOString(),
+      totals: this.sumSyncResults(results),
+      projects: results
+    };
+  }
+
+  /**
+   * Keep a dry-run plan so it can be applied later, and describe it
+   */
+  storeSyncPlan(direction, planned) {
+    this.pruneSyncPlans();
+
+    const planId = crypto.randomUUID();
+    const createdAt = Date.now();
+    this.syncPlans.set(planId, { direction, projects: planned, createdAt });
+
+    const results = planned.map(entry => ({
+      ...this.createSyncResult(entry),
+      ...(entry.plan ? this.createSyncService(entry.path).summarizePlan(entry.plan) : {}),
+      ...(entry.plan ? { status: 'planned' } : {}),
+      actions: entry.plan?.actions || [],
+      diff: entry.plan?.backlog.diff || ''
+    }));
+
+    return {
+      planId,
+      direction,
+      dryRun: true,
+      timestamp: new Date(createdAt).toISOString(),
+      expiresAt: new Date(createdAt + SYNC_PLAN_TTL).toISOString(),
+      totals: this.sumSyncResults(results),
+      projects: results
+    };
+  }
+
+  pruneSyncPlans() {
+    const now = Date.now();
+    for (const [planId, stored] of this.syncPlans) {
+      if (now - stored.createdAt > SYNC_PLAN_TTL) {
+        this.syncPlans.delete(planId);
+      }
+    }
+  }
+
+  createSyncService(projectPath, repository = null, client = null) {
+    // The owner can include GitLab subgroups
+    const separator = repository ? repository.lastIndexOf('/') : -1;
+    const owner = repository?.slice(0, separator);
+    const repo = repository?.slice(separator + 1);
+    const project = Array.from(this.projectsCache.values()).find(cached => cached.path === projectPath);
+
+    return new GitHubTrackDownSync({
+      config: this.config,
+      githubClient: client || this.githubClient,
+      hosts: client ? null : this.hosts,
+      projectPath,
+      trackdownPath: project?.trackdownPath,
+      dataDir: this.dataDir,
+      projectId: project?.id,
+      repository: repository ? { owner, repo } : null
+    });
+  }
+
+  createSyncResult(entry) {
+    const result = {
+      project: entry.project,
+      name: entry.name,
+      repository: entry.repository,
+      status: entry.plan ? 'synced' : 'failed',
+      imported: 0,
+      exported: 0,
+      updated: 0,
+      skipped: 0,
+      conflicts: 0,
+      errors: entry.error ? [{ error: entry.error }] : []
+    };
+
+    // Projects without a GitHub remote are not sync targets rather than failures
+    if (!entry.repository) {
+      result.status = 'skipped';
+      result.reason = entry.error;
+      result.errors = [];
+    }
+
+    return result;
+  }
+
+  sumSyncResults(results) {
+    const totals = { imported: 0, exported: 0, updated: 0, skipped: 0, conflicts: 0, errors: 0 };
+    for (const result of results) {
+      totals.imported += result.imported;
+      totals.exported += result.exported;
+      totals.updated += result.updated;
+      totals.skipped += result.skipped;
+      totals.conflicts += result.conflicts;
+      totals.errors += result.errors.length;
+    }
+    return totals;
+  }
+
+  /**
+   * Sync conflicts queued for a human across all projects
+   */
+  async getSyncConflicts() {
+    await this.refreshCache();
+
+    const conflicts = [];
+    for (const project of this.projectsCache.values()) {
+      const projectConflicts = await this.createSyncService(project.path).getConflicts();
+      conflicts.push(
+        ...projectConflicts.map(conflict => ({ project: project.id, name: project.name, ...conflict }))
+      );
+    }
+    return conflicts;
+  }
+
+  /**
+   * Pick the winning side of a queued sync conflict; the next sync applies it
+   *
+   * @param {string} projectId - Project the conflicting ticket belongs to
+   * @param {string} conflictId - Conflict ID, `<ticket ID>:<field>`
+   * @param {string} resolution - 'github' or 'trackdown'
+   */
+  async resolveSyncConflict(projectId, conflictId, resolution) {
+    await this.refreshCache();
+
+    const project = this.projectsCache.get(projectId);
+    if (!project) {
+      throw new ApplicationError(`Project ${projectId} not found`, 'PROJECT_NOT_FOUND', 404, { projectId });
+    }
+
+    const conflict = await this.createSyncService(project.path).resolveConflict(conflictId, resolution);
+    return { project: projectId, name: project.name, ...conflict };
+  }
+
   /**
    * Get available epics across all projects
    */
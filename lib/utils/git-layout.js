@@ -0,0 +1,94 @@
+/**
+ * Git Checkout Layout Utility
+ *
+ * Tells apart the ways a directory can be a Git checkout. A `.git` directory
+ * is a repository of its own. A `.git` file points at a Git directory kept
+ * elsewhere: inside another repository's `.git/worktrees/` for a linked
+ * worktree, or its `.git/modules/` for a submodule checkout.
+ */
+
+const fs = require("node:fs");
+const path = require("node:path");
+
+/**
+ * Describe the checkout in a directory
+ *
+ * @param {string} directory
+ * @returns {{kind: string, gitDir: string, commonDir: string, parentPath: string|null}|null}
+ *   `kind` is repository, worktree or submodule. `parentPath` is the main
+ *   worktree of a linked worktree's repository, or the top superproject of a
+ *   submodule; null for a repository, or a worktree of a bare repository.
+ *   null when the directory is not a checkout.
+ */
+function readGitLayout(directory) {
+  const dotGit = path.join(directory, ".git");
+  let stats;
+  try {
+    stats = fs.statSync(dotGit);
+  } catch (error) {
+    return null;
+  }
+
+  if (stats.isDirectory()) {
+    return { kind: "repository", gitDir: dotGit, commonDir: dotGit, parentPath: null };
+  }
+
+  let gitDir;
+  try {
+    const match = fs.readFileSync(dotGit, "utf8").match(/^gitdir:\s*(.+?)\s*$/m);
+    if (!match) {
+      return null;
+    }
+    gitDir = path.resolve(directory, match[1]);
+  } catch (error) {
+    return null;
+  }
+
+  // Linked worktrees name the repository's own Git directory in commondir
+  let commonDir = gitDir;
+  try {
+    commonDir = path.resolve(
+      gitDir,
+      fs.readFileSync(path.join(gitDir, "commondir"), "utf8").trim(),
+    );
+  } catch (error) {
+    // Not a linked worktree
+  }
+
+  if (commonDir !== gitDir) {
+    return {
+      kind: "worktree",
+      gitDir,
+      commonDir,
+      parentPath:
+        path.basename(commonDir) === ".git" ? canonicalPath(path.dirname(commonDir)) : null,
+    };
+  }
+
+  const modules = gitDir.indexOf(`${path.sep}.git${path.sep}modules${path.sep}`);
+  if (modules !== -1) {
+    return {
+      kind: "submodule",
+      gitDir,
+      commonDir,
+      parentPath: canonicalPath(gitDir.slice(0, modules)),
+    };
+  }
+
+  // A repository created with --separate-git-dir
+  return { kind: "repository", gitDir, commonDir, parentPath: null };
+}
+
+/**
+ * The path with symbolic links resolved, so paths Git wrote can be compared
+ * with configured ones
+ */
+function canonicalPath(value) {
+  try {
+    return fs.realpathSync(value);
+  } catch (error) {
+    return path.resolve(value);
+  }
+}
+
+module.exports = { readGitLayout, canonicalPath };
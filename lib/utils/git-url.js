@@ -0,0 +1,75 @@
+/**
+ * Git Remote URL Utility
+ *
+ * Splits remote URLs into host and repository path, whatever the hosting
+ * service: `git@host:owner/repo.git`, `https://host/owner/repo`,
+ * `ssh://git@host:2222/group/subgroup/repo.git` and so on. Local paths and
+ * `file://` URLs have no host and are not parsed.
+ */
+
+/**
+ * Parse a remote URL
+ *
+ * @param {string} url
+ * @returns {{host: string, owner: string, repo: string, fullName: string}|null}
+ *   `owner` is everything before the repository name, which includes subgroups
+ */
+function parseRemoteUrl(url) {
+  const value = String(url || "").trim();
+  let host;
+  let repositoryPath;
+
+  // scp-like syntax: [user@]host:path, where host is not a drive letter
+  const scpLike = value.match(/^(?:[^@/]+@)?([^:/]{2,}):(?!\/)(.+)$/);
+  if (scpLike && !/^[a-z][a-z0-9+.-]*:\/\//i.test(value)) {
+    host = scpLike[1];
+    repositoryPath = scpLike[2];
+  } else {
+    let parsed;
+    try {
+      parsed = new URL(value);
+    } catch (error) {
+      return null;
+    }
+    if (!["http:", "https:", "ssh:", "git:", "git+ssh:"].includes(parsed.protocol)) {
+      return null;
+    }
+    host = parsed.hostname;
+    repositoryPath = decodeURIComponent(parsed.pathname);
+  }
+
+  const segments = repositoryPath
+    .replace(/\/+$/, "")
+    .replace(/\.git$/, "")
+    .split("/")
+    .filter(Boolean);
+  if (segments.length < 2) {
+    return null;
+  }
+
+  const repo = segments.pop();
+  const owner = segments.join("/");
+  return { host: host.toLowerCase(), owner, repo, fullName: `${owner}/${repo}` };
+}
+
+/**
+ * Remove the password or token from an http(s) remote URL before it is
+ * stored or shown
+ */
+function stripCredentials(url) {
+  const value = String(url || "").trim();
+  if (!/^https?:\/\/[^/]*@/i.test(value)) {
+    return value;
+  }
+
+  try {
+    const parsed = new URL(value);
+    parsed.username = "";
+    parsed.password = "";
+    return parsed.toString();
+  } catch (error) {
+    return value;
+  }
+}
+
+module.exports = { parseRemoteUrl, stripCredentials };
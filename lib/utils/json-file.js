@@ -0,0 +1,25 @@
+/**
+ * JSON State File Utility
+ *
+ * Writes the JSON state files of the alert manager, remote fetcher,
+ * discovery cache and project identities.
+ */
+
+const fs = require("node:fs");
+const path = require("node:path");
+
+/**
+ * Write a value as JSON through a temporary file, so a crash never leaves
+ * half a file behind
+ *
+ * @param {string} file
+ * @param {*} value
+ */
+function writeJsonFile(file, value) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const temporary = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(temporary, JSON.stringify(value, null, 2));
+  fs.renameSync(temporary, file);
+}
+
+module.exports = { writeJsonFile };
@@ -0,0 +1,104 @@
+/**
+ * Project Identity Utility
+ *
+ * Projects are identified by what their repository is rather than where it
+ * is checked out: a hash of the repository's first commit and the remote it
+ * tracks. The ID stays the same when the directory is moved or renamed, and
+ * two repositories that share a directory name get different IDs.
+ */
+
+const crypto = require("node:crypto");
+const { execFile } = require("node:child_process");
+const { promisify } = require("node:util");
+const { parseRemoteUrl, stripCredentials } = require("./git-url");
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Work out a repository's project ID
+ *
+ * @param {string} projectPath
+ * @param {Object} [options]
+ * @param {string} [options.rootCommit] - Root commit found earlier, used when
+ *   the repository has it; finding it walks the whole history
+ * @returns {Promise<{id: string, rootCommit: string, remote: string|null}|null>}
+ *   null when the directory is not a repository or has no commits yet
+ */
+async function readProjectIdentity(projectPath, { rootCommit } = {}) {
+  const git = async (...args) =>
+    (await execFileAsync("git", args, { cwd: projectPath, timeout: 30000 })).stdout.trim();
+
+  let root = rootCommit;
+  if (root) {
+    // Another repository may have taken the directory since
+    try {
+      await git("cat-file", "-e", `${root}^{commit}`);
+    } catch (error) {
+      root = null;
+    }
+  }
+  if (!root) {
+    try {
+      // The oldest root; histories merged in later add roots of their own
+      const roots = (await git("rev-list", "--max-parents=0", "HEAD")).split("\n");
+      root = roots[roots.length - 1];
+    } catch (error) {
+      return null;
+    }
+  }
+  if (!root) {
+    return null;
+  }
+
+  const remote = await readRemote(git);
+  return { id: projectId(root, remote), rootCommit: root, remote };
+}
+
+/**
+ * origin, or else the first remote, as host/owner/repo; checkouts of one
+ * repository over SSH and HTTPS get the same key
+ */
+async function readRemote(git) {
+  let remotes;
+  try {
+    remotes = (await git("remote")).split("\n").filter(Boolean);
+  } catch (error) {
+    return null;
+  }
+
+  const name = remotes.includes("origin") ? "origin" : remotes[0];
+  if (!name) {
+    return null;
+  }
+
+  try {
+    const url = await git("remote", "get-url", name);
+    const parsed = parseRemoteUrl(url);
+    return parsed ? `${parsed.host}/${parsed.fullName}`.toLowerCase() : stripCredentials(url);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * @param {string} rootCommit
+ * @param {string|null} remote
+ * @returns {string} 12 hex characters
+ */
+function projectId(rootCommit, remote) {
+  return crypto
+    .createHash("sha1")
+    .update(`${rootCommit}\0${remote || ""}`)
+    .digest("hex")
+    .slice(0, 12);
+}
+
+/**
+ * Suffix that tells apart checkouts with the same identity, such as two
+ * clones of one repository; stable while the checkout stays where it is
+ */
+function checkoutSuffix(projectPath) {
+  return crypto.createHash("sha1").update(projectPath).digest("hex").slice(0, 4);
+}
+
+module.exports = { readProjectIdentity, projectId, checkoutSuffix };
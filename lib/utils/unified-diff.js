@@ -0,0 +1,248 @@
+/**
+ * Unified Diff Utility
+ *
+ * Produces `diff -u` style output for previewing file rewrites.
+ * Line matching uses a longest-common-subsequence table after trimming the
+ * common prefix and suffix, which keeps typical edits cheap.
+ */
+
+// Upper bound on LCS table cells (4 bytes each)
+const MAX_TABLE_SIZE = 4_000_000;
+
+/**
+ * Create a unified diff between two texts
+ *
+ * @param {string|null} oldText - Original content (null when the file does not exist yet)
+ * @param {string|null} newText - New content (null when the file is deleted)
+ * @param {Object} [options]
+ * @param {string} [options.fromFile] - Label for the original file
+ * @param {string} [options.toFile] - Label for the new file
+ * @param {number} [options.context] - Unchanged lines shown around each change
+ * @returns {string} The diff, or an empty string when the texts are equal
+ */
+function createUnifiedDiff(oldText, newText, options = {}) {
+  const fromFile = options.fromFile || "a";
+  const toFile = options.toFile || "b";
+  const context = options.context ?? 3;
+
+  if ((oldText ?? "") === (newText ?? "")) {
+    return "";
+  }
+
+  const edits = diffLines(splitLines(oldText), splitLines(newText));
+  const hunks = groupHunks(edits, context);
+
+  const lines = [
+    `--- ${oldText === null ? "/dev/null" : fromFile}`,
+    `+++ ${newText === null ? "/dev/null" : toFile}`,
+  ];
+
+  for (const hunk of hunks) {
+    lines.push(
+      `@@ -${formatRange(hunk.oldStart, hunk.oldCount)} +${formatRange(hunk.newStart, hunk.newCount)} @@`,
+    );
+    for (const edit of hunk.edits) {
+      const prefix = edit.type === "equal" ? " " : edit.type === "delete" ? "-" : "+";
+      lines.push(prefix + edit.line);
+    }
+  }
+
+  return `${lines.join("\n")}\n`;
+}
+
+function splitLines(text) {
+  if (!text) {
+    return [];
+  }
+
+  const lines = text.split("\n");
+  if (lines[lines.length - 1] === "") {
+    lines.pop();
+  }
+  return lines;
+}
+
+/**
+ * Compute a line-level edit script of equal, delete and insert operations
+ */
+function diffLines(oldLines, newLines) {
+  let prefix = 0;
+  while (
+    prefix < oldLines.length &&
+    prefix < newLines.length &&
+    oldLines[prefix] === newLines[prefix]
+  ) {
+    prefix++;
+  }
+
+  let suffix = 0;
+  while (
+    suffix < oldLines.length - prefix &&
+    suffix < newLines.length - prefix &&
+    oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const oldMiddle = oldLines.slice(prefix, oldLines.length - suffix);
+  const newMiddle = newLines.slice(prefix, newLines.length - suffix);
+  const n = oldMiddle.length;
+  const m = newMiddle.length;
+
+  const edits = oldLines.slice(0, prefix).map((line) => ({ type: "equal", line }));
+  const suffixEdits = oldLines
+    .slice(oldLines.length - suffix)
+    .map((line) => ({ type: "equal", line }));
+
+  // Very large rewrites are shown as one replaced block instead of building a huge table
+  if ((n + 1) * (m + 1) > MAX_TABLE_SIZE) {
+    edits.push(
+      ...oldMiddle.map((line) => ({ type: "delete", line })),
+      ...newMiddle.map((line) => ({ type: "insert", line })),
+      ...suffixEdits,
+    );
+    return edits;
+  }
+
+  // lcs[i * (m + 1) + j] = length of the LCS of oldMiddle[i..] and newMiddle[j..]
+  const lcs = new Uint32Array((n + 1) * (m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i * (m + 1) + j] =
+        oldMiddle[i] === newMiddle[j]
+          ? lcs[(i + 1) * (m + 1) + j + 1] + 1
+          : Math.max(lcs[(i + 1) * (m + 1) + j], lcs[i * (m + 1) + j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && oldMiddle[i] === newMiddle[j]) {
+      edits.push({ type: "equal", line: oldMiddle[i] });
+      i++;
+      j++;
+    } else if (j < m && (i === n || lcs[i * (m + 1) + j + 1] >= lcs[(i + 1) * (m + 1) + j])) {
+      edits.push({ type: "insert", line: newMiddle[j] });
+      j++;
+    } else {
+      edits.push({ type: "delete", line: oldMiddle[i] });
+      i++;
+    }
+  }
+
+  edits.push(...suffixEdits);
+
+  // Show deletions before insertions within a change block, as diff -u does
+  return reorderChanges(edits);
+}
+
+function reorderChanges(edits) {
+  const result = [];
+  let deletes = [];
+  let inserts = [];
+
+  const flush = () => {
+    result.push(...deletes, ...inserts);
+    deletes = [];
+    inserts = [];
+  };
+
+  for (const edit of edits) {
+    if (edit.type === "delete") {
+      deletes.push(edit);
+    } else if (edit.type === "insert") {
+      inserts.push(edit);
+    } else {
+      flush();
+      result.push(edit);
+    }
+  }
+  flush();
+
+  return result;
+}
+
+/**
+ * Split an edit script into hunks with surrounding context lines
+ */
+function groupHunks(edits, context) {
+  const hunks = [];
+  let oldLine = 1;
+  let newLine = 1;
+  let hunk = null;
+  let trailingEqual = 0;
+
+  // Index of the next change at or after each position
+  const nextChange = new Array(edits.length + 1).fill(-1);
+  for (let index = edits.length - 1; index >= 0; index--) {
+    nextChange[index] = edits[index].type === "equal" ? nextChange[index + 1] : index;
+  }
+
+  for (let index = 0; index < edits.length; index++) {
+    const edit = edits[index];
+
+    if (edit.type === "equal") {
+      if (hunk) {
+        // Close the hunk once the gap to the next change exceeds twice the context
+        const gap = nextChange[index] === -1 ? Number.POSITIVE_INFINITY : nextChange[index] - index;
+        if (trailingEqual < context || gap <= context) {
+          hunk.edits.push(edit);
+          hunk.oldCount++;
+          hunk.newCount++;
+          trailingEqual++;
+        } else {
+          hunks.push(hunk);
+          hunk = null;
+        }
+      }
+      oldLine++;
+      newLine++;
+      continue;
+    }
+
+    if (!hunk) {
+      const leading = [];
+      for (
+        let back = index - 1;
+        back >= 0 && leading.length < context && edits[back].type === "equal";
+        back--
+      ) {
+        leading.unshift(edits[back]);
+      }
+      hunk = {
+        oldStart: oldLine - leading.length,
+        newStart: newLine - leading.length,
+        oldCount: leading.length,
+        newCount: leading.length,
+        edits: [...leading],
+      };
+    }
+
+    hunk.edits.push(edit);
+    trailingEqual = 0;
+    if (edit.type === "delete") {
+      hunk.oldCount++;
+      oldLine++;
+    } else {
+      hunk.newCount++;
+      newLine++;
+    }
+  }
+
+  if (hunk) {
+    hunks.push(hunk);
+  }
+
+  return hunks;
+}
+
+function formatRange(start, count) {
+  // diff -u reports an empty range as starting at the line before it
+  if (count === 0) {
+    return `${start - 1},0`;
+  }
+  return count === 1 ? `${start}` : `${start},${count}`;
+}
+
+module.exports = { createUnifiedDiff };
@@ -398,7 +398,7 @@ export class InteractiveConfigService {
       },
       data: {
         directory: "data",
-        retentionDays: 30,
+        retentionDays: 365,
         compressionEnabled: true,
       },
       github: {
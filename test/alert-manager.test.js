@@ -0,0 +1,167 @@
+/**
+ * Alert Manager Tests
+ *
+ * Alert deduplication, acknowledgement, snoozing and resolution across scans
+ */
+
+import os from "node:os";
+import path from "node:path";
+import { Readable } from "node:stream";
+import fs from "fs-extra";
+import { afterEach, beforeEach, describe, expect, test } from "vitest";
+
+const AlertManager = require("../lib/monitor/alert-manager");
+const PortfolioMasterController = require("../lib/monitor/master-controller");
+const DashboardServer = require("../lib/dashboard/server");
+const { ValidationError } = require("../lib/utils/error-handler");
+
+const stagnant = (days) => ({
+  key: "revenue-stagnant",
+  severity: "CRITICAL",
+  message: `Revenue project stagnant for ${days} days`,
+  details: { daysSinceCommit: days },
+});
+
+const behind = {
+  key: "commits-behind",
+  severity: "WARNING",
+  message: "Project significantly behind main (25 commits)",
+};
+
+describe("Alert Manager", () => {
+  let tempDir;
+  let clock;
+  let alerts;
+
+  const advance = (minutes) => {
+    clock = new Date(clock.getTime() + minutes * 60 * 1000);
+  };
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "gpm-alerts-test-"));
+    clock = new Date("2025-06-01T10:00:00Z");
+    alerts = new AlertManager({ file: path.join(tempDir, "alerts.json"), now: () => clock });
+  });
+
+  afterEach(async () => {
+    if (tempDir) {
+      await fs.remove(tempDir);
+    }
+  });
+
+  test("should open each alert once and resolve it when a scan no longer raises it", async () => {
+    const notified = [];
+    const controller = new PortfolioMasterController({
+      workingDir: tempDir,
+      dataDir: path.join(tempDir, "data"),
+      alerts,
+    });
+    controller.on("project_alert", ({ alert }) => notified.push(alert.message));
+
+    await controller.handleMonitorMessage("shop", {
+      type: "alerts",
+      data: { alerts: [stagnant(8)] },
+    });
+    advance(2);
+    await controller.processAlertScan("shop", [stagnant(8), behind]);
+    advance(2);
+    await controller.processAlertScan("shop", [stagnant(9), behind]);
+
+    expect(notified).toEqual([
+      "Revenue project stagnant for 8 days",
+      "Project significantly behind main (25 commits)",
+    ]);
+    const [open] = alerts.list({ severity: "CRITICAL" });
+    expect(open).toMatchObject({
+      id: AlertManager.fingerprint("shop", stagnant(1)),
+      status: "open",
+      message: "Revenue project stagnant for 9 days",
+      occurrences: 3,
+      openedAt: "2025-06-01T10:00:00.000Z",
+      lastSeen: "2025-06-01T10:04:00.000Z",
+    });
+
+    // The project got a commit: the stagnation alert resolves by itself
+    await controller.processAlertScan("shop", [behind]);
+    expect(alerts.list({ status: "resolved" })).toEqual([
+      expect.objectContaining({ key: "revenue-stagnant", resolvedBy: "auto" }),
+    ]);
+    expect(alerts.counts()).toEqual({ open: 1, acknowledged: 0, snoozed: 0, resolved: 1 });
+
+    // ...and comes back as a fresh alert if the condition returns
+    await controller.processAlertScan("shop", [stagnant(8), behind]);
+    expect(alerts.list({ project: "shop", severity: "CRITICAL" })[0]).toMatchObject({
+      status: "open",
+      occurrences: 1,
+      reopened: 1,
+    });
+    expect(notified).toHaveLength(3);
+  });
+
+  test("should acknowledge, snooze and resolve alerts by hand", () => {
+    const { alert } = alerts.record("shop", stagnant(8));
+    alerts.record("blog", behind);
+
+    expect(alerts.acknowledge(alert.id, { by: "alice", note: "On it" })).toMatchObject({
+      status: "acknowledged",
+      acknowledgedBy: "alice",
+      acknowledgedAt: "2025-06-01T10:00:00.000Z",
+    });
+    expect(alerts.record("shop", stagnant(9)).opened).toBe(false);
+
+    alerts.snooze(alert.id, { minutes: 60 });
+    expect(alerts.list({ project: "shop" })[0].status).toBe("snoozed");
+
+    // A snoozed alert wakes up once the snooze runs out, and notifies again on the next scan
+    advance(61);
+    expect(alerts.list({ project: "shop" })[0].status).toBe("open");
+    expect(alerts.record("shop", stagnant(9)).opened).toBe(true);
+
+    expect(() => alerts.snooze(alert.id, { minutes: -5 })).toThrow(ValidationError);
+    expect(() => alerts.snooze(alert.id, { until: "2026-01-01T00:00:00Z" })).toThrow("90 days");
+    expect(() => alerts.acknowledge("missing")).toThrow("not found");
+
+    alerts.resolve(alert.id, { by: "alice" });
+    expect(() => alerts.acknowledge(alert.id)).toThrow("already resolved");
+    expect(alerts.list().map((a) => a.project)).toEqual(["blog"]);
+    expect(() => alerts.list({ status: "closed" })).toThrow(ValidationError);
+  });
+
+  test("should list and update alerts through the API", async () => {
+    const server = new DashboardServer({ dataDir: tempDir, alerts });
+    const { alert } = alerts.record("shop", stagnant(8));
+
+    const request = (url, body) => {
+      const req = Readable.from(body ? [JSON.stringify(body)] : []);
+      req.url = url;
+      req.method = body ? "POST" : "GET";
+      req.headers = {};
+      return req;
+    };
+    const call = async (url, body) => {
+      const res = { headers: {}, setHeader() {} };
+      res.writeHead = (statusCode) => {
+        res.statusCode = statusCode;
+      };
+      res.end = (data) => {
+        res.body = JSON.parse(data);
+      };
+      await server.handleApiRequest(request(url, body), res, url.split("?")[0]);
+      return res;
+    };
+
+    const snoozed = await call(`/api/alerts/${alert.id}/snooze`, { minutes: 30 });
+    expect(snoozed.statusCode).toBe(200);
+    expect(snoozed.body.data.snoozedUntil).toBe("2025-06-01T10:30:00.000Z");
+
+    const list = await call("/api/alerts?status=snoozed");
+    expect(list.body).toMatchObject({ count: 1, counts: { snoozed: 1 } });
+
+    expect((await call(`/api/alerts/${alert.id}/snooze`, {})).statusCode).toBe(400);
+    expect((await call("/api/alerts/nope/acknowledge", {})).statusCode).toBe(404);
+    expect((await call(`/api/alerts/${alert.id}/resolve`, { by: "bob" })).body.data).toMatchObject({
+      status: "resolved",
+      resolvedBy: "bob",
+    });
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Dashboard Server Tests
+ *
+ * Cross-project aggregation of git status and activity snapshots
+ */
+
+import os from "node:os";
+import path from "node:path";
+import fs from "fs-extra";
+import { afterEach, beforeEach, describe, expect, test } from "vitest";
+
+const DashboardServer = require("../lib/dashboard/server");
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+describe("Dashboard Server Aggregation", () => {
+  let tempDir;
+  let server;
+
+  const writeActivity = (projectName, git) => {
+    server.store.append(projectName, "activity", {
+      timestamp: new Date().toISOString(),
+      project: projectName,
+      git: { hasGit: true, branches: [], recentCommits: [], ...git },
+    });
+  };
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "gpm-dashboard-test-"));
+    server = new DashboardServer({
+      dataDir: tempDir,
+      config: { monitoring: { staleThreshold: 14 } },
+    });
+
+    writeActivity("alpha", {
+      commitsAhead: 2,
+      commitsBehind: 0,
+      uncommittedChanges: 3,
+      branches: [
+        { name: "main", daysSinceActivity: 1 },
+        { name: "old-feature", daysSinceActivity: 30 },
+      ],
+      recentCommits: [
+        { hash: "a1", author: "Ana", date: new Date().toISOString(), isMerge: false },
+        { hash: "a2", author: "Ben", date: daysAgo(2), isMerge: true },
+        { hash: "a3", author: "Ana", date: daysAgo(10), isMerge: true },
+      ],
+    });
+
+    writeActivity("beta", {
+      commitsAhead: 0,
+      commitsBehind: 5,
+      uncommittedChanges: 0,
+      branches: [{ name: "main", daysSinceActivity: 3 }],
+      recentCommits: [{ hash: "b1", author: "Cy", date: daysAgo(3), isMerge: false }],
+    });
+
+    // Non-Git projects must not be counted
+    server.store.append("docs", "activity", { git: { hasGit: false } });
+  });
+
+  afterEach(async () => {
+    if (tempDir) {
+      await fs.remove(tempDir);
+    }
+  });
+
+  test("should answer 404 for project names the store cannot hold", async () => {
+    const statusOf = async (handle) => {
+      const res = {
+        setHeader: () => {},
+        writeHead: (status) => {
+          res.status = status;
+        },
+        end: () => {},
+      };
+      await handle(res);
+      return res.status;
+    };
+
+    for (const name of [".hidden", "a/b", "a\\b", "missing"]) {
+      const request = { url: `/api/projects/${encodeURIComponent(name)}/history` };
+      expect(await statusOf((res) => server.handleHistoryRequest(request, res, name))).toBe(404);
+      expect(await statusOf((res) => server.handleProjectDetailRequest(res, name))).toBe(404);
+    }
+    expect(
+      await statusOf((res) => server.handleHistoryRequest({ url: "/api/history" }, res, "alpha")),
+    ).toBe(200);
+  });
+
+  test("should aggregate git status from activity snapshots", async () => {
+    const gitStatus = await server.aggregateGitStatus();
+
+    expect(gitStatus.projectCount).toBe(2);
+    expect(gitStatus.totalBranches).toBe(3);
+    expect(gitStatus.staleBranches).toBe(1);
+    expect(gitStatus.activeBranches).toBe(2);
+    expect(gitStatus.commitsAhead).toBe(2);
+    expect(gitStatus.commitsBehind).toBe(5);
+    expect(gitStatus.behindMainCount).toBe(1);
+    expect(gitStatus.uncommittedFiles).toBe(3);
+    expect(gitStatus.mergedThisWeek).toBe(1);
+  });
+
+  test("should trace aggregated numbers back to contributing projects", async () => {
+    const gitStatus = await server.aggregateGitStatus();
+
+    expect(gitStatus.sources.staleBranches).toEqual([{ project: "alpha", value: 1 }]);
+    expect(gitStatus.sources.commitsBehind).toEqual([{ project: "beta", value: 5 }]);
+    expect(gitStatus.projects.beta.totalBranches).toBe(1);
+  });
+
+  test("should aggregate commit activity for today and this week", async () => {
+    const activity = await server.aggregateActivityData();
+
+    expect(activity.commitsToday).toBe(1);
+    expect(activity.commitsThisWeek).toBe(3);
+    expect(activity.mergesThisWeek).toBe(1);
+    expect(activity.developers).toEqual(["Ana", "Ben", "Cy"]);
+    expect(activity.sources.commitsThisWeek).toEqual([
+      { project: "alpha", value: 2 },
+      { project: "beta", value: 1 },
+    ]);
+    expect(activity.chartData.commits7d).toHaveLength(7);
+    expect(activity.chartData.commits7d.reduce((sum, n) => sum + n, 0)).toBe(3);
+  });
+});
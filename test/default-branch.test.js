@@ -0,0 +1,128 @@
+/**
+ * Default Branch Tests
+ *
+ * Ahead/behind counts compare with the remote's default branch, a per-project
+ * override or a fallback, and with the upstream of the checked out branch
+ */
+
+import path from "node:path";
+import fs from "fs-extra";
+import { afterEach, beforeEach, describe, expect, test } from "vitest";
+import { createTempDir, git } from "./helpers/git";
+
+const ProjectMonitor = require("../lib/monitor/project-monitor");
+const HealthRuleEngine = require("../lib/monitor/health-rules");
+
+describe("Default Branch", () => {
+  let tempDir;
+  let originPath;
+  let projectPath;
+
+  const scan = async (config = {}) => {
+    const monitor = new ProjectMonitor({
+      project: "shop",
+      path: projectPath,
+      config: { ...config, git: { enableRemoteCheck: false, ...config.git } },
+    });
+    const gitData = { hasGit: true };
+    await monitor.getCommitStatus(gitData);
+    await monitor.checkRemoteStatus(gitData);
+    return gitData;
+  };
+
+  beforeEach(async () => {
+    tempDir = await createTempDir("branch");
+    originPath = path.join(tempDir, "origin.git");
+    projectPath = path.join(tempDir, "shop");
+
+    // The origin integrates into develop, two commits ahead of main
+    const seedPath = path.join(tempDir, "seed");
+    git(`init -q --bare -b develop ${originPath}`, tempDir);
+    git(`init -q -b main ${seedPath}`, tempDir);
+    git("commit -q --allow-empty -m 'Initial commit'", seedPath);
+    git("checkout -q -b develop", seedPath);
+    git("commit -q --allow-empty -m 'Feature A'", seedPath);
+    git("commit -q --allow-empty -m 'Feature B'", seedPath);
+    git(`push -q ${originPath} main develop`, seedPath);
+  });
+
+  afterEach(async () => {
+    if (tempDir) {
+      await fs.remove(tempDir);
+    }
+  });
+
+  test("should compare with the remote's default branch and the upstream", async () => {
+    git(`clone -q ${originPath} ${projectPath}`, tempDir);
+    git("checkout -q -b feature origin/main", projectPath);
+    git("commit -q --allow-empty -m 'Work in progress'", projectPath);
+    git("push -q -u origin feature", projectPath);
+    git("commit -q --allow-empty -m 'Not pushed yet'", projectPath);
+
+    expect(await scan()).toMatchObject({
+      defaultBranch: "develop",
+      defaultBranchSource: "origin/HEAD",
+      integration: { ref: "origin/develop", ahead: 2, behind: 2 },
+      upstream: { ref: "origin/feature", ahead: 1, behind: 0 },
+      commitsAhead: 2,
+      commitsBehind: 2,
+      remoteStatus: "needs_push",
+    });
+
+    // Behind the default branch but level with the upstream is not a pull
+    git("reset -q --hard origin/feature", projectPath);
+    expect(await scan()).toMatchObject({
+      upstream: { ahead: 0, behind: 0 },
+      commitsBehind: 2,
+      remoteStatus: "up_to_date",
+    });
+
+    // The health issue names the branch it compares with
+    const engine = new HealthRuleEngine();
+    const health = engine.assess({
+      project: "shop",
+      git: { hasGit: true, commitsBehind: 26, defaultBranch: "develop", branches: [] },
+    });
+    expect(health.issues).toContain("26 commits behind develop");
+  });
+
+  test("should prefer a matching per-project override", async () => {
+    git(`clone -q ${originPath} ${projectPath}`, tempDir);
+    git("branch trunk origin/main", projectPath);
+
+    const overrides = [
+      { match: { name: "shop" }, defaultBranch: "main" },
+      { match: { name: "sh*" }, defaultBranch: "trunk" },
+      { match: { name: "blog" }, defaultBranch: "develop" },
+    ];
+    expect(await scan({ git: { overrides } })).toMatchObject({
+      defaultBranch: "trunk",
+      defaultBranchSource: "override",
+      integration: { ref: "trunk", ahead: 2, behind: 0 },
+    });
+
+    // An override naming a missing branch falls back to detection
+    expect(
+      await scan({ git: { overrides: [{ match: { name: "shop" }, defaultBranch: "release" }] } }),
+    ).toMatchObject({ defaultBranch: "develop", defaultBranchSource: "origin/HEAD" });
+  });
+
+  test("should fall back to git.defaultBranch, main or master without origin/HEAD", async () => {
+    // A remote added to an existing repository has no HEAD until set-head
+    git(`init -q -b develop ${projectPath}`, tempDir);
+    git(`remote add origin ${originPath}`, projectPath);
+    git("fetch -q origin", projectPath);
+    git("reset -q --hard origin/develop", projectPath);
+
+    expect(await scan()).toMatchObject({
+      defaultBranch: "main",
+      defaultBranchSource: "fallback",
+      integration: { ref: "origin/main", ahead: 2, behind: 0 },
+      upstream: null,
+    });
+    expect(await scan({ git: { defaultBranch: "develop" } })).toMatchObject({
+      defaultBranch: "develop",
+      integration: { ref: "origin/develop", ahead: 0, behind: 0 },
+    });
+  });
+});
@@ -0,0 +1,213 @@
+/**
+ * Discovery Tests
+ *
+ * Repository discovery walks directory trees several directories at a time,
+ * survives symbolic link loops, and on rediscovery reuses what it learned
+ * about unchanged repositories while reporting those added, removed and moved
+ */
+
+import path from "node:path";
+import fs from "fs-extra";
+import { afterEach, beforeEach, describe, expect, test, vi } from "vitest";
+import { createTempDir, git, initRepository } from "./helpers/git";
+
+const ProjectDiscoveryService = require("../lib/discovery/project-discovery");
+const DiscoveryCache = require("../lib/discovery/discovery-cache");
+const DashboardServer = require("../lib/dashboard/server");
+const { walkDirectories } = require("../lib/discovery/directory-walker");
+
+describe("Discovery", () => {
+  let tempDir;
+  let workingDir;
+
+  const createRepository = async (relativePath) => {
+    const repoPath = path.join(workingDir, relativePath);
+    await fs.outputFile(path.join(repoPath, "README.md"), `# ${relativePath}\n`);
+    initRepository(repoPath);
+    git(`remote add origin https://github.com/acme/${path.basename(repoPath)}.git`, repoPath);
+    return repoPath;
+  };
+
+  beforeEach(async () => {
+    tempDir = await createTempDir("discovery");
+    workingDir = path.join(tempDir, "projects");
+    await fs.ensureDir(workingDir);
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    if (tempDir) {
+      await fs.remove(tempDir);
+    }
+  });
+
+  test("should walk with bounded concurrency and follow links without looping", async () => {
+    for (const name of ["a", "b", "c", "d", "e"]) {
+      await fs.ensureDir(path.join(workingDir, name, "nested"));
+    }
+    // A link back to the root, one to a directory outside the tree and a dangling one
+    await fs.symlink(workingDir, path.join(workingDir, "a", "loop"));
+    await fs.ensureDir(path.join(tempDir, "elsewhere"));
+    await fs.symlink(path.join(tempDir, "elsewhere"), path.join(workingDir, "b", "linked"));
+    await fs.symlink(path.join(tempDir, "missing"), path.join(workingDir, "c", "dangling"));
+
+    let active = 0;
+    let mostActive = 0;
+    const visited = [];
+    const progress = vi.fn();
+    const stats = await walkDirectories(workingDir, {
+      concurrency: 2,
+      onProgress: progress,
+      visit: async (directory, depth) => {
+        active++;
+        mostActive = Math.max(mostActive, active);
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        active--;
+        visited.push([path.relative(workingDir, directory), depth]);
+        return directory.endsWith("e") ? false : undefined;
+      },
+    });
+
+    expect(mostActive).toBe(2);
+    expect(stats).toEqual({ scanned: 11, loops: 1 });
+    expect(visited).toContainEqual([path.join("b", "linked"), 2]);
+    expect(visited).not.toContainEqual([path.join("e", "nested"), 2]);
+    expect(progress).toHaveBeenLastCalledWith({ scanned: 11, pending: 0 });
+
+    const shallow = await walkDirectories(workingDir, { maxDepth: 1, visit: async () => {} });
+    expect(shallow.scanned).toBe(6);
+  });
+
+  test("should reuse unchanged repositories and report added, removed and moved ones", async () => {
+    const apiPath = await createRepository("api");
+    const webPath = await createRepository("clients/web");
+    await createRepository("tools");
+    const cacheFile = path.join(tempDir, "data", "discovery-cache.json");
+
+    const progress = vi.fn();
+    const spinner = { text: "" };
+    const first = new ProjectDiscoveryService({ workingDir, cacheFile, onProgress: progress });
+    const analyze = vi.spyOn(first, "analyzeGitRepository");
+    const projects = await first.discoverGitRepositories(spinner);
+
+    expect(projects.map((project) => project.name)).toEqual(["api", "web", "tools"]);
+    expect(analyze).toHaveBeenCalledTimes(3);
+    expect(first.lastChanges.added).toHaveLength(3);
+    expect(progress).toHaveBeenLastCalledWith(
+      expect.objectContaining({ repositories: 3, cached: 0 }),
+    );
+    expect(spinner.text).toMatch(/^Found 3 Git repositories \(\d+ directories scanned\)/);
+
+    // A new commit checked out in one, another one moved, the last one removed
+    git("commit -q --allow-empty -m 'Second commit'", apiPath);
+    git("checkout -q -b feature", apiPath);
+    await fs.move(webPath, path.join(workingDir, "web"));
+    await fs.remove(path.join(workingDir, "tools"));
+    await createRepository("docs");
+
+    // A separate run reads the cache file
+    const second = new ProjectDiscoveryService({ workingDir, cacheFile, onProgress: progress });
+    const reanalyze = vi.spyOn(second, "analyzeGitRepository");
+    const rediscovered = await second.discoverGitRepositories();
+
+    expect(rediscovered.map((project) => project.name)).toEqual(["api", "docs", "web"]);
+    expect(reanalyze.mock.calls.map(([repoPath]) => path.basename(repoPath)).sort()).toEqual([
+      "api",
+      "docs",
+      "web",
+    ]);
+    expect(second.lastChanges).toEqual({
+      added: [path.join(workingDir, "docs")],
+      removed: [path.join(workingDir, "tools")],
+      moved: [{ from: webPath, to: path.join(workingDir, "web") }],
+    });
+
+    // Nothing changed: every project comes from the cache, dates intact
+    const third = new ProjectDiscoveryService({ workingDir, cacheFile });
+    const unchanged = vi.spyOn(third, "analyzeGitRepository");
+    const cached = await third.discoverGitRepositories();
+    expect(unchanged).not.toHaveBeenCalled();
+    expect(cached).toEqual(rediscovered);
+    expect(cached[0].lastCommit.date).toBeInstanceOf(Date);
+    expect(third.lastChanges).toEqual({ added: [], removed: [], moved: [] });
+  });
+
+  test("should key cache entries on directory, HEAD, branch and manifest modification times", async () => {
+    const repoPath = await createRepository("api");
+    const layout = { gitDir: path.join(repoPath, ".git") };
+    const cache = new DiscoveryCache();
+    const fingerprint = DiscoveryCache.fingerprint(repoPath, layout);
+
+    cache.replace([{ path: repoPath, fingerprint, project: { name: "api" } }]);
+    expect(cache.get(repoPath, fingerprint)).toEqual({ name: "api" });
+    expect(cache.get(repoPath, { ...fingerprint, headMtime: 0 })).toBeNull();
+    expect(cache.get(repoPath, { ...fingerprint, refMtime: 0 })).toBeNull();
+    expect(cache.get(repoPath, { ...fingerprint, directoryMtime: 0 })).toBeNull();
+    expect(cache.get(repoPath, { ...fingerprint, manifestMtime: 0 })).toBeNull();
+    expect(DiscoveryCache.fingerprint(path.join(workingDir, "missing"), layout)).toBeNull();
+  });
+
+  test("should analyze a repository again once its manifest is edited in place", async () => {
+    const repoPath = await createRepository("api");
+    const manifest = path.join(repoPath, ".portfolio.yml");
+    await fs.writeFile(manifest, "name: API\n");
+    const cacheFile = path.join(tempDir, "data", "discovery-cache.json");
+
+    const first = await new ProjectDiscoveryService({
+      workingDir,
+      cacheFile,
+    }).discoverGitRepositories();
+    expect(first[0].displayName).toBe("API");
+
+    // Rewriting an existing file leaves the directory's modification time alone
+    const directoryMtime = (await fs.stat(repoPath)).mtimeMs;
+    await fs.writeFile(manifest, "name: Public API\n");
+    const later = new Date(Date.now() + 60000);
+    await fs.utimes(manifest, later, later);
+    expect((await fs.stat(repoPath)).mtimeMs).toBe(directoryMtime);
+
+    const second = await new ProjectDiscoveryService({
+      workingDir,
+      cacheFile,
+    }).discoverGitRepositories();
+    expect(second[0].displayName).toBe("Public API");
+  });
+
+  test("should analyze a repository again once a commit is made", async () => {
+    const repoPath = await createRepository("api");
+    const cacheFile = path.join(tempDir, "data", "discovery-cache.json");
+
+    const first = await new ProjectDiscoveryService({
+      workingDir,
+      cacheFile,
+    }).discoverGitRepositories();
+    expect(first[0].lastCommit.message).toBe("Initial commit");
+
+    // A commit rewrites the branch ref but neither HEAD nor the directory
+    const directoryMtime = (await fs.stat(repoPath)).mtimeMs;
+    await fs.writeFile(path.join(repoPath, "README.md"), "# api\n\nUpdated\n");
+    git("commit -q -am 'Update readme'", repoPath);
+    expect((await fs.stat(repoPath)).mtimeMs).toBe(directoryMtime);
+
+    const second = await new ProjectDiscoveryService({
+      workingDir,
+      cacheFile,
+    }).discoverGitRepositories();
+    expect(second[0].lastCommit.message).toBe("Update readme");
+  });
+
+  test("should find Git directories for the dashboard", async () => {
+    await createRepository("api");
+    await createRepository("group/web");
+    await createRepository("group/deep/er/cli");
+    await createRepository(".hidden");
+    await fs.symlink(workingDir, path.join(workingDir, "group", "loop"));
+
+    const server = new DashboardServer({ dataDir: path.join(tempDir, "data") });
+    expect(await server.findGitDirectories(workingDir)).toEqual([
+      path.join(workingDir, "api"),
+      path.join(workingDir, "group", "web"),
+    ]);
+    expect(await server.findGitDirectories(workingDir, 3)).toHaveLength(3);
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Event Stream Tests
+ *
+ * Server-Sent Events delivery, replay on reconnect and forwarding of monitor events
+ */
+
+import { EventEmitter } from "node:events";
+import os from "node:os";
+import path from "node:path";
+import fs from "fs-extra";
+import { afterEach, beforeEach, describe, expect, test } from "vitest";
+
+const EventStream = require("../lib/dashboard/event-stream");
+const DashboardServer = require("../lib/dashboard/server");
+const AlertManager = require("../lib/monitor/alert-manager");
+
+const client = (headers = {}) => {
+  const req = new EventEmitter();
+  req.headers = headers;
+  const res = { chunks: [], ended: false, setHeader() {} };
+  res.writeHead = (statusCode, responseHeaders) => {
+    res.statusCode = statusCode;
+    res.headers = responseHeaders;
+  };
+  res.write = (chunk) => res.chunks.push(chunk);
+  res.end = () => {
+    res.ended = true;
+  };
+  return { req, res };
+};
+
+// Parse the frames written to a client into {id, event, data} objects
+const eventsOf = (res) =>
+  res.chunks
+    .join("")
+    .split("\n\n")
+    .filter((frame) => frame.startsWith("id:"))
+    .map((frame) => {
+      const fields = Object.fromEntries(
+        frame
+          .split("\n")
+          .map((line) => [line.slice(0, line.indexOf(":")), line.slice(line.indexOf(":") + 2)]),
+      );
+      return { id: Number(fields.id), event: fields.event, data: JSON.parse(fields.data) };
+    });
+
+describe("Event Stream", () => {
+  test("should deliver events to connected clients and replay missed ones", () => {
+    const stream = new EventStream({ bufferSize: 2 });
+    const first = client();
+    stream.add(first.req, first.res);
+
+    expect(first.res.statusCode).toBe(200);
+    expect(first.res.headers["Content-Type"]).toBe("text/event-stream");
+    expect(first.res.chunks[0]).toBe("retry: 5000\n\n");
+
+    stream.publish("scan", { project: "shop" });
+    stream.publish("health", { project: "shop", status: "critical" });
+    stream.publish("alert", { project: "blog" });
+    expect(eventsOf(first.res).map((e) => [e.id, e.event])).toEqual([
+      [1, "scan"],
+      [2, "health"],
+      [3, "alert"],
+    ]);
+
+    // A reconnecting client gets what it missed, as far back as the buffer goes
+    first.req.emit("close");
+    expect(stream.clients.size).toBe(0);
+    const second = client({ "last-event-id": "1" });
+    stream.add(second.req, second.res);
+    expect(eventsOf(second.res).map((e) => e.id)).toEqual([2, 3]);
+
+    stream.close();
+    expect(second.res.ended).toBe(true);
+    expect(stream.heartbeatTimer).toBeNull();
+  });
+
+  describe("Dashboard server", () => {
+    let tempDir;
+    let monitor;
+    let server;
+
+    beforeEach(async () => {
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "gpm-events-test-"));
+      monitor = new EventEmitter();
+      monitor.alerts = new AlertManager();
+      server = new DashboardServer({ dataDir: tempDir, masterController: monitor });
+    });
+
+    afterEach(async () => {
+      await server.stop();
+      if (tempDir) {
+        await fs.remove(tempDir);
+      }
+    });
+
+    test("should forward monitor events to /api/events clients", async () => {
+      const { req, res } = client();
+      req.url = "/api/events";
+      req.method = "GET";
+      await server.handleApiRequest(req, res, "/api/events");
+
+      server.loadLatestProjectData = async (name) => ({ name, health: "attention" });
+      monitor.emit("activity_update", { project: "shop", data: {} });
+      await new Promise((resolve) => setImmediate(resolve));
+
+      monitor.emit("health_change", { project: "shop", previous: "healthy", status: "attention" });
+      const { alert } = monitor.alerts.record("shop", {
+        key: "behind",
+        severity: "WARNING",
+        message: "Behind",
+      });
+      monitor.emit("project_alert", { project: "shop", alert });
+      monitor.emit("discovery_complete", { projects: ["shop", "blog"] });
+
+      const events = eventsOf(res);
+      expect(events.map((e) => e.event)).toEqual(["scan", "health", "alert", "discovery"]);
+      expect(events[0].data).toMatchObject({
+        project: "shop",
+        data: { name: "shop", health: "attention" },
+      });
+      expect(events[1].data).toEqual({ project: "shop", previous: "healthy", status: "attention" });
+      expect(events[2].data).toMatchObject({ project: "shop", counts: { open: 1 } });
+      expect(events[3].data).toEqual({ projects: ["shop", "blog"], count: 2 });
+
+      // Stopping the server ends the stream so the HTTP server can close
+      await server.stop();
+      expect(res.ended).toBe(true);
+    });
+  });
+});
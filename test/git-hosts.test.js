@@ -0,0 +1,499 @@
+/**
+ * Git Host Provider Tests
+ *
+ * Issue tracker clients for GitHub, GitLab, Gitea and Bitbucket against a
+ * local stand-in for each API, and the choice of client by remote URL
+ */
+
+import { execSync } from "node:child_process";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import fs from "fs-extra";
+import { afterEach, beforeEach, describe, expect, test } from "vitest";
+
+const GitHostRegistry = require("../lib/hosts/host-registry");
+const GitLabProvider = require("../lib/hosts/gitlab-provider");
+const GiteaProvider = require("../lib/hosts/gitea-provider");
+const BitbucketProvider = require("../lib/hosts/bitbucket-provider");
+const GitHubClient = require("../lib/github/github-client");
+const ProjectMonitor = require("../lib/monitor/project-monitor");
+const TrackDownManager = require("../lib/trackdown/trackdown-manager");
+
+const listen = (server) =>
+  new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve(server.address().port)));
+
+describe("Git Host Providers", () => {
+  let tempDir;
+  let server;
+  let baseUrl;
+  let routes;
+  let requests;
+
+  /**
+   * Answer "METHOD /path" from `routes`: a response body, or a function of
+   * the request returning {status, body, headers}
+   */
+  const createApi = () =>
+    http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => {
+        body += chunk;
+      });
+      req.on("end", () => {
+        const url = new URL(req.url, baseUrl);
+        const request = {
+          method: req.method,
+          path: url.pathname,
+          query: Object.fromEntries(url.searchParams),
+          headers: req.headers,
+          body: body ? JSON.parse(body) : null,
+        };
+        requests.push(request);
+
+        const route = routes[`${req.method} ${url.pathname}`];
+        const response =
+          typeof route === "function" ? route(request) : route ? { body: route } : { status: 404 };
+        res.writeHead(response.status || 200, {
+          "Content-Type": "application/json",
+          ...response.headers,
+        });
+        res.end(JSON.stringify(response.body ?? { message: "Not Found" }));
+      });
+    });
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "gpm-git-hosts-test-"));
+    routes = {};
+    requests = [];
+    server = createApi();
+    baseUrl = `http://127.0.0.1:${await listen(server)}`;
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    if (tempDir) {
+      await fs.remove(tempDir);
+    }
+  });
+
+  test("should pick the provider and token for each remote's host", () => {
+    const registry = new GitHostRegistry({
+      github: { token: "gh-token" },
+      hosts: [
+        { host: "gitlab.example.com", token: "gl-token" },
+        { host: "git.example.com", type: "gitea", baseUrl: "https://git.example.com/gitea/api/v1" },
+        { host: "bitbucket.org", username: "jane", token: "app-password" },
+      ],
+    });
+
+    expect(
+      ["github.com", "gitlab.com", "codeberg.org", "forgejo.example.org", "example.com"].map(
+        (host) => registry.detectType(host),
+      ),
+    ).toEqual(["github", "gitlab", "gitea", "gitea", null]);
+
+    const gitlab = registry.resolve("git@gitlab.example.com:platform/payments/api.git");
+    expect(gitlab).toMatchObject({
+      type: "gitlab",
+      host: "gitlab.example.com",
+      owner: "platform/payments",
+      repo: "api",
+    });
+    expect(gitlab.provider).toBeInstanceOf(GitLabProvider);
+    expect(gitlab.provider.config).toMatchObject({
+      token: "gl-token",
+      baseUrl: "https://gitlab.example.com/api/v4",
+    });
+    expect(registry.resolve("https://gitlab.example.com/platform/web").provider).toBe(
+      gitlab.provider,
+    );
+
+    expect(registry.resolve("https://git.example.com/acme/shop").provider).toBeInstanceOf(
+      GiteaProvider,
+    );
+    expect(registry.resolve("git@bitbucket.org:acme/shop.git").provider.config).toMatchObject({
+      username: "jane",
+      token: "app-password",
+    });
+    const github = registry.resolve("https://github.com/acme/shop.git").provider;
+    expect(github).toBeInstanceOf(GitHubClient);
+    expect(github.config.token).toBe("gh-token");
+    expect(registry.resolve("https://example.com/acme/shop.git")).toBeNull();
+    expect(registry.resolve("/srv/git/shop.git")).toBeNull();
+
+    expect(
+      () => new GitHostRegistry({ hosts: [{ host: "git.example.com", type: "svn" }] }),
+    ).toThrow("Unknown git host type: svn");
+  });
+
+  test("should read and write GitLab issues", async () => {
+    const project = "/api/v4/projects/platform%2Fpayments%2Fapi";
+    const issue = (iid, state) => ({
+      id: 1000 + iid,
+      iid,
+      title: `Issue ${iid}`,
+      description: "Details",
+      state,
+      labels: [{ name: "bug", color: "#d9534f", description: "Broken" }],
+      assignees: [],
+      author: { username: "jane", avatar_url: null },
+      web_url: `https://gitlab.example.com/platform/payments/api/-/issues/${iid}`,
+      updated_at: "2025-06-01T10:00:00Z",
+      user_notes_count: 2,
+    });
+    routes = {
+      [`GET ${project}`]: { visibility: "private", issues_enabled: true, open_issues_count: 3 },
+      [`GET ${project}/issues`]: ({ query }) => ({
+        body: query.page === "1" ? [issue(1, "opened"), issue(2, "closed")] : [issue(3, "opened")],
+        headers: {
+          "X-Next-Page": query.page === "1" ? "2" : "",
+          "RateLimit-Limit": "2000",
+          "RateLimit-Remaining": "1998",
+          "RateLimit-Reset": "1750000000",
+        },
+      }),
+      "GET /api/v4/users": ({ query }) => ({
+        body: query.username === "jane" ? [{ id: 42, username: "jane" }] : [],
+      }),
+      [`POST ${project}/issues`]: ({ body }) => ({
+        status: 201,
+        body: { ...issue(4, "opened"), title: body.title },
+      }),
+      [`PUT ${project}/issues/4`]: { ...issue(4, "closed"), title: "Renamed" },
+      "GET /api/v4/projects": [],
+    };
+    const gitlab = new GitLabProvider({
+      host: "gitlab.example.com",
+      baseUrl: `${baseUrl}/api/v4`,
+      token: "gl-token",
+    });
+
+    expect(await gitlab.checkRepository("platform/payments", "api")).toMatchObject({
+      exists: true,
+      accessible: true,
+      private: true,
+      hasIssues: true,
+      openIssues: 3,
+    });
+    expect(requests[0].headers["private-token"]).toBe("gl-token");
+
+    const result = await gitlab.getAllIssues("platform/payments", "api", {
+      state: "all",
+      perPage: 2,
+    });
+    expect(result).toMatchObject({ success: true, totalCount: 3 });
+    expect(result.issues[1]).toMatchObject({
+      number: 2,
+      body: "Details",
+      state: "closed",
+      labels: [{ name: "bug", color: "d9534f" }],
+      user: { login: "jane" },
+      html_url: "https://gitlab.example.com/platform/payments/api/-/issues/2",
+      comments: 2,
+    });
+    expect(requests.at(-1).query).toMatchObject({ state: "all", page: "2", per_page: "2" });
+
+    const created = await gitlab.createIssue("platform/payments", "api", {
+      title: "New",
+      body: "Text",
+      labels: ["bug", "ops"],
+      assignees: ["jane", "nobody"],
+    });
+    expect(created).toMatchObject({ success: true, issue: { number: 4, title: "New" } });
+    expect(requests.at(-1).body).toEqual({
+      title: "New",
+      description: "Text",
+      labels: "bug,ops",
+      assignee_ids: [42],
+    });
+
+    const updated = await gitlab.updateIssue("platform/payments", "api", 4, {
+      title: "Renamed",
+      state: "closed",
+    });
+    expect(updated.issue).toMatchObject({ title: "Renamed", state: "closed" });
+    expect(requests.at(-1).body).toEqual({ title: "Renamed", state_event: "close" });
+
+    expect(await gitlab.getRateLimit()).toEqual({
+      rate: { limit: 2000, remaining: 1998, reset: 1750000000 },
+    });
+    expect(await gitlab.checkRepository("platform", "missing")).toMatchObject({
+      exists: false,
+      accessible: false,
+    });
+    expect(await gitlab.updateIssue("platform/payments", "api", 9, { title: "x" })).toMatchObject({
+      success: false,
+      status: 404,
+    });
+  });
+
+  test("should read and write Gitea issues, setting labels by ID", async () => {
+    const repository = "/api/v1/repos/acme/shop";
+    const issue = {
+      id: 501,
+      number: 5,
+      title: "Checkout fails",
+      body: "Steps",
+      state: "open",
+      labels: [{ id: 1, name: "bug", color: "ee0701", description: "" }],
+      assignee: { login: "jane", avatar_url: "https://gitea.example.com/avatars/1" },
+      assignees: [{ login: "jane", avatar_url: "https://gitea.example.com/avatars/1" }],
+      user: { login: "sam", avatar_url: null },
+      html_url: "https://gitea.example.com/acme/shop/issues/5",
+      comments: 1,
+      updated_at: "2025-06-01T10:00:00Z",
+    };
+    routes = {
+      [`GET ${repository}`]: { private: false, has_issues: true, open_issues_count: 1 },
+      [`GET ${repository}/issues`]: [issue],
+      [`GET ${repository}/labels`]: [
+        { id: 1, name: "bug" },
+        { id: 2, name: "ops" },
+      ],
+      [`POST ${repository}/issues`]: ({ body }) => ({ status: 201, body: { ...issue, ...body } }),
+      [`PATCH ${repository}/issues/5`]: ({ body }) => ({ body: { ...issue, ...body } }),
+      [`PUT ${repository}/issues/5/labels`]: [{ id: 2, name: "ops", color: "0052cc" }],
+      "GET /api/v1/version": { version: "1.21.0" },
+    };
+    const gitea = new GiteaProvider({
+      host: "gitea.example.com",
+      baseUrl: `${baseUrl}/api/v1`,
+      token: "gt-token",
+    });
+
+    expect(await gitea.checkRepository("acme", "shop")).toMatchObject({
+      accessible: true,
+      private: false,
+      openIssues: 1,
+    });
+    expect(requests[0].headers.authorization).toBe("token gt-token");
+
+    const result = await gitea.getAllIssues("acme", "shop");
+    expect(result.issues).toEqual([
+      expect.objectContaining({
+        number: 5,
+        state: "open",
+        assignee: { login: "jane", avatar_url: "https://gitea.example.com/avatars/1" },
+        isPullRequest: false,
+      }),
+    ]);
+    expect(requests.at(-1).query).toEqual({
+      state: "open",
+      type: "issues",
+      page: "1",
+      limit: "30",
+    });
+
+    await gitea.createIssue("acme", "shop", { title: "New", labels: ["ops", "unknown"] });
+    expect(requests.at(-1).body).toEqual({ title: "New", body: "", assignees: [], labels: [2] });
+
+    const updated = await gitea.updateIssue("acme", "shop", 5, {
+      state: "closed",
+      labels: ["ops"],
+    });
+    expect(updated.issue).toMatchObject({ state: "closed", labels: [{ name: "ops" }] });
+    expect(requests.map((request) => `${request.method} ${request.path}`).slice(-3)).toEqual([
+      `PATCH ${repository}/issues/5`,
+      `GET ${repository}/labels`,
+      `PUT ${repository}/issues/5/labels`,
+    ]);
+    expect(requests.at(-1).body).toEqual({ labels: [2] });
+
+    // Gitea sends no rate limit headers
+    expect(await gitea.getRateLimit()).toEqual({ rate: null });
+  });
+
+  test("should read and write Bitbucket issues", async () => {
+    const repository = "/2.0/repositories/acme/shop";
+    const issue = (id, state) => ({
+      id,
+      title: `Issue ${id}`,
+      content: { raw: "Details" },
+      state,
+      kind: "bug",
+      reporter: { nickname: "sam", links: { avatar: { href: "https://bitbucket.org/a/sam" } } },
+      assignee: null,
+      links: { html: { href: `https://bitbucket.org/acme/shop/issues/${id}` } },
+      updated_on: "2025-06-01T10:00:00Z",
+    });
+    routes = {
+      [`GET ${repository}`]: { is_private: true, has_issues: true },
+      [`GET ${repository}/issues`]: ({ query }) => ({
+        body:
+          query.page === "1"
+            ? { values: [issue(1, "new"), issue(2, "resolved")], next: `${baseUrl}/next` }
+            : { values: [issue(3, "on hold")] },
+      }),
+      [`POST ${repository}/issues`]: ({ body }) => ({
+        status: 201,
+        body: { ...issue(4, "new"), title: body.title },
+      }),
+      [`PUT ${repository}/issues/4`]: ({ body }) => ({ body: { ...issue(4, body.state) } }),
+      "GET /2.0/user": () => ({
+        body: { nickname: "jane" },
+        headers: { "X-RateLimit-Limit": "1000", "X-RateLimit-Remaining": "999" },
+      }),
+    };
+    const bitbucket = new BitbucketProvider({
+      host: "bitbucket.org",
+      baseUrl: `${baseUrl}/2.0`,
+      username: "jane",
+      token: "app-password",
+    });
+
+    expect(await bitbucket.checkRepository("acme", "shop")).toMatchObject({
+      accessible: true,
+      private: true,
+      hasIssues: true,
+    });
+    expect(requests[0].headers.authorization).toBe(
+      `Basic ${Buffer.from("jane:app-password").toString("base64")}`,
+    );
+
+    const result = await bitbucket.getAllIssues("acme", "shop", { state: "all" });
+    expect(result.issues.map((i) => [i.number, i.state])).toEqual([
+      [1, "open"],
+      [2, "closed"],
+      [3, "open"],
+    ]);
+    expect(result.issues[0]).toMatchObject({
+      body: "Details",
+      labels: [{ name: "bug" }],
+      user: { login: "sam", avatar_url: "https://bitbucket.org/a/sam" },
+      html_url: "https://bitbucket.org/acme/shop/issues/1",
+    });
+
+    await bitbucket.getAllIssues("acme", "shop", { state: "open" });
+    expect(requests.at(-1).query).toMatchObject({
+      q: 'state="new" OR state="open" OR state="submitted" OR state="on hold"',
+      sort: "-updated_on",
+    });
+
+    await bitbucket.createIssue("acme", "shop", { title: "New", body: "Text", labels: ["x"] });
+    expect(requests.at(-1).body).toEqual({ title: "New", content: { raw: "Text" } });
+
+    const updated = await bitbucket.updateIssue("acme", "shop", 4, { state: "closed" });
+    expect(updated.issue.state).toBe("closed");
+    expect(requests.at(-1).body).toEqual({ state: "resolved" });
+
+    expect(await bitbucket.getRateLimit()).toEqual({
+      rate: { limit: 1000, remaining: 999, reset: null },
+    });
+  });
+
+  test("should read GitHub issues through the same interface", async () => {
+    routes = {
+      "GET /repos/acme/shop": { private: false, has_issues: true, open_issues_count: 1 },
+      "GET /repos/acme/shop/issues": [
+        {
+          id: 9001,
+          number: 12,
+          title: "Typo",
+          body: "",
+          state: "open",
+          labels: [],
+          assignee: null,
+          assignees: [],
+          user: { login: "sam", avatar_url: null },
+          comments: 0,
+          html_url: "https://github.com/acme/shop/issues/12",
+        },
+      ],
+      "GET /rate_limit": { rate: { limit: 5000, remaining: 4999, reset: 1750000000 } },
+    };
+    const github = new GitHostRegistry({
+      hosts: [{ host: "github.com", baseUrl, token: "gh-token" }],
+    }).provider("github.com");
+
+    expect(await github.checkRepository("acme", "shop")).toMatchObject({
+      accessible: true,
+      openIssues: 1,
+    });
+    expect(requests[0].headers.authorization).toBe("token gh-token");
+    expect((await github.getAllIssues("acme", "shop")).issues).toEqual([
+      expect.objectContaining({ number: 12, state: "open", isPullRequest: false }),
+    ]);
+    expect((await github.getRateLimit()).rate).toEqual({
+      limit: 5000,
+      remaining: 4999,
+      reset: 1750000000,
+    });
+  });
+
+  test("should report and sync issues of a project's own Git host", async () => {
+    const projectPath = path.join(tempDir, "shop");
+    await fs.outputFile(
+      path.join(projectPath, "trackdown", "BACKLOG.md"),
+      "# shop Project Backlog\n\n## SHOP-1: Local task\n\n**Status**: TODO\n**Priority**: HIGH\n",
+    );
+    execSync("git init -q", { cwd: projectPath });
+    execSync("git remote add origin git@gitlab.example.com:platform/shop.git", {
+      cwd: projectPath,
+    });
+
+    const project = "/api/v4/projects/platform%2Fshop";
+    const issues = [
+      {
+        id: 1001,
+        iid: 1,
+        title: "Crash on start",
+        description: "Stack trace",
+        state: "opened",
+        labels: ["priority-high"],
+        web_url: "https://gitlab.example.com/platform/shop/-/issues/1",
+        updated_at: "2025-06-01T10:00:00Z",
+      },
+    ];
+    routes = {
+      [`GET ${project}`]: { visibility: "internal", issues_enabled: true },
+      [`GET ${project}/issues`]: () => ({ body: issues }),
+      [`POST ${project}/issues`]: ({ body }) => {
+        const created = {
+          ...issues[0],
+          id: 1002,
+          iid: 2,
+          title: body.title,
+          description: body.description,
+          labels: body.labels ? body.labels.split(",") : [],
+          updated_at: new Date().toISOString(),
+        };
+        issues.push(created);
+        return { status: 201, body: created };
+      },
+    };
+    const config = {
+      monitoring: { enableGitHubIssues: true },
+      hosts: [{ host: "gitlab.example.com", baseUrl: `${baseUrl}/api/v4`, token: "gl-token" }],
+    };
+
+    const monitor = new ProjectMonitor({ project: "shop", path: projectPath, config });
+    expect(await monitor.analyzeGitHubIssues()).toMatchObject({
+      enabled: true,
+      connected: true,
+      provider: "gitlab",
+      repository: { host: "gitlab.example.com", owner: "platform", repo: "shop" },
+      totalIssues: 1,
+      openIssues: 1,
+    });
+
+    const manager = new TrackDownManager({
+      projectsBasePath: tempDir,
+      dataDir: path.join(tempDir, "data"),
+      hosts: new GitHostRegistry(config),
+    });
+    const result = await manager.syncProjects({ direction: "both" });
+    expect(result.projects).toEqual([
+      expect.objectContaining({
+        project: "shop",
+        repository: "platform/shop",
+        status: "synced",
+        imported: 1,
+        exported: 1,
+      }),
+    ]);
+    expect(issues.map((issue) => issue.title)).toEqual(["Crash on start", "Local task"]);
+    const backlog = await fs.readFile(path.join(projectPath, "trackdown", "BACKLOG.md"), "utf8");
+    expect(backlog).toContain("### GH-1: Crash on start");
+  });
+});
@@ -0,0 +1,239 @@
+/**
+ * Health Rules Tests
+ *
+ * Declarative health assessment from built-in, configured and module rules
+ */
+
+import os from "node:os";
+import path from "node:path";
+import fs from "fs-extra";
+import { afterEach, beforeEach, describe, expect, test } from "vitest";
+
+const HealthRuleEngine = require("../lib/monitor/health-rules");
+const ProjectMonitor = require("../lib/monitor/project-monitor");
+
+// Slightly less than whole days, which the engine rounds up
+const daysAgo = (days) => new Date(Date.now() - (days * 24 - 1) * 60 * 60 * 1000).toISOString();
+
+const createScanData = ({
+  daysSinceCommit = 1,
+  uncommittedChanges = 0,
+  commitsBehind = 0,
+} = {}) => ({
+  project: "app",
+  git: {
+    hasGit: true,
+    lastCommitDate: daysAgo(daysSinceCommit),
+    uncommittedChanges,
+    commitsBehind,
+    branches: [{ name: "main", daysSinceActivity: daysSinceCommit }],
+    recentCommits: [{ hash: "abc123" }],
+  },
+  filesystem: { recentlyModified: 3 },
+  documentation: { documentationScore: 40, hasProperStructure: true, hasTrackdownBacklog: true },
+});
+
+describe("Health Rules", () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "gpm-health-rules-test-"));
+  });
+
+  afterEach(async () => {
+    if (tempDir) {
+      await fs.remove(tempDir);
+    }
+  });
+
+  test("should take built-in thresholds from business.alertThresholds", () => {
+    const scanData = createScanData({ daysSinceCommit: 12, uncommittedChanges: 4 });
+
+    const defaults = new HealthRuleEngine().assess(scanData);
+    expect(defaults).toMatchObject({ status: "attention", score: 80 });
+    expect(defaults.rules).toEqual(["stale-commits", "commit-recommendation"]);
+
+    const strict = new HealthRuleEngine({
+      business: { alertThresholds: { staleDays: 10, uncommittedFiles: 3 } },
+    }).assess(scanData);
+    expect(strict).toMatchObject({ status: "critical", score: 30 });
+    expect(strict.issues).toEqual([
+      "No commits in 12 days",
+      "4 uncommitted changes",
+      "1 stale branches (10+ days)",
+    ]);
+    expect(strict.recommendations).toEqual(["Commit or stash uncommitted changes"]);
+  });
+
+  test("should mark projects behind the default branch at the commitsBehind threshold", () => {
+    const scanData = createScanData({ commitsBehind: 12 });
+
+    expect(new HealthRuleEngine().assess(scanData).rules).toEqual(["rebase-recommendation"]);
+
+    const strict = new HealthRuleEngine({
+      business: { alertThresholds: { commitsBehind: 10 } },
+    }).assess(scanData);
+    expect(strict).toMatchObject({ status: "attention", score: 85 });
+    expect(strict.rules).toEqual(["commits-behind", "rebase-recommendation"]);
+    expect(strict.issues).toEqual(["12 commits behind main"]);
+  });
+
+  test("should raise alerts at the same business.alertThresholds", async () => {
+    const scanData = createScanData({
+      daysSinceCommit: 6,
+      uncommittedChanges: 8,
+      commitsBehind: 12,
+    });
+    const alertKeys = async (alertThresholds) => {
+      const monitor = new ProjectMonitor({
+        project: "app",
+        path: tempDir,
+        priority: "HIGH",
+        config: { business: { alertThresholds } },
+      });
+      return (await monitor.checkForAlerts(scanData)).map((alert) => alert.key);
+    };
+
+    expect(await alertKeys(undefined)).toEqual([]);
+    expect(await alertKeys({ attentionDays: 5, uncommittedFiles: 5, commitsBehind: 10 })).toEqual([
+      "revenue-stagnant",
+      "commits-behind",
+      "uncommitted-changes",
+    ]);
+  });
+
+  test("should need attention and alert for HIGH priority projects after attentionDays", async () => {
+    const scanData = createScanData({ daysSinceCommit: 6 });
+    const alertThresholds = { attentionDays: 5 };
+
+    expect(new HealthRuleEngine().assess(scanData).rules).toEqual([]);
+    expect(new HealthRuleEngine({ business: { alertThresholds } }).assess(scanData)).toMatchObject({
+      status: "attention",
+      rules: ["stale-commits"],
+    });
+
+    // Lowering staleDays alone no longer moves the attention threshold
+    const monitor = new ProjectMonitor({
+      project: "app",
+      path: tempDir,
+      priority: "HIGH",
+      config: { business: { alertThresholds: { staleDays: 10 } } },
+    });
+    expect(await monitor.checkForAlerts(scanData)).toEqual([]);
+  });
+
+  test("should patch built-in rules and add rules from config and JS modules", async () => {
+    await fs.writeFile(
+      path.join(tempDir, "rules.js"),
+      `module.exports = (thresholds) => ({
+        id: "far-behind",
+        when: (facts) => facts.git.commitsBehind > thresholds.staleDays,
+        status: "critical",
+        issue: (facts) => "Far behind: " + facts.git.commitsBehind,
+      });`,
+    );
+
+    const engine = new HealthRuleEngine(
+      {
+        health: {
+          modules: ["rules.js"],
+          rules: [
+            { id: "commits-behind", penalty: 5 },
+            {
+              id: "low-docs",
+              when: {
+                all: [
+                  { metric: "documentation.score", lt: 50 },
+                  { not: { metric: "git.hasGit", eq: false } },
+                ],
+              },
+              penalty: 10,
+              issue: "Documentation score is {documentation.score}",
+              recommendation: "Write a README",
+            },
+          ],
+        },
+      },
+      { baseDir: tempDir },
+    );
+
+    const health = engine.assess(createScanData({ commitsBehind: 25 }));
+    expect(health.rules).toEqual([
+      "commits-behind",
+      "rebase-recommendation",
+      "far-behind",
+      "low-docs",
+    ]);
+    expect(health).toMatchObject({ status: "critical", score: 85 });
+    expect(health.issues).toEqual([
+      "25 commits behind main",
+      "Far behind: 25",
+      "Documentation score is 40",
+    ]);
+
+    expect(() => new HealthRuleEngine({ health: { rules: [{ id: "no-condition" }] } })).toThrow(
+      "needs a condition",
+    );
+  });
+
+  test("should apply overrides to the projects they match by name or tags", () => {
+    const engine = new HealthRuleEngine({
+      health: {
+        overrides: [
+          { match: { name: "*-docs" }, rules: [{ id: "documentation-score", enabled: true }] },
+          { match: { tags: ["archived"] }, rules: [{ id: "stale-commits", enabled: false }] },
+        ],
+      },
+    });
+    const scanData = createScanData({ daysSinceCommit: 10 });
+
+    expect(engine.assess(scanData, { name: "app" }).rules).toEqual(["stale-commits"]);
+    expect(engine.assess(scanData, { name: "api-docs" }).rules).toEqual([
+      "stale-commits",
+      "documentation-score",
+    ]);
+    expect(engine.assess(scanData, { name: "legacy", tags: ["archived"] })).toMatchObject({
+      status: "healthy",
+      score: 100,
+      rules: [],
+    });
+  });
+
+  test("should leave all four documentation rules off unless enabled", () => {
+    const scanData = {
+      ...createScanData(),
+      documentation: {
+        documentationScore: 40,
+        hasProperStructure: false,
+        hasTrackdownBacklog: false,
+      },
+    };
+    const documentationRules = [
+      "documentation-score",
+      "documentation-structure",
+      "trackdown-recommendation",
+      "docs-structure-recommendation",
+    ];
+
+    expect(new HealthRuleEngine().assess(scanData)).toMatchObject({ score: 100, rules: [] });
+
+    const enabled = new HealthRuleEngine({
+      health: { rules: documentationRules.map((id) => ({ id, enabled: true })) },
+    }).assess(scanData);
+    expect(enabled.rules).toEqual(documentationRules);
+    expect(enabled.recommendations).toEqual([
+      "Implement TrackDown project management structure",
+      "Move documentation files to /docs/ directory",
+    ]);
+  });
+
+  test("should skip Git rules for projects without a repository", () => {
+    const health = new HealthRuleEngine().assess({
+      project: "notes",
+      git: { hasGit: false },
+      filesystem: { recentlyModified: 0 },
+    });
+
+    expect(health).toMatchObject({ status: "healthy", score: 100, rules: [] });
+  });
+});
@@ -0,0 +1,38 @@
+/**
+ * Git Test Helpers
+ *
+ * Temporary directories and git commands with a fixed identity, for tests
+ * that build repositories on disk
+ */
+
+import { execSync } from "node:child_process";
+import os from "node:os";
+import path from "node:path";
+import fs from "fs-extra";
+
+/**
+ * Run a git command in `cwd`, committing as `author`, and return its output
+ */
+export const git = (command, cwd, author = "Test") =>
+  execSync(
+    `git -c user.name='${author}' -c user.email=test@example.com -c protocol.file.allow=always ${command}`,
+    { cwd },
+  )
+    .toString()
+    .trim();
+
+/**
+ * Create an empty temporary directory. Symlinks in its path are resolved,
+ * so it compares equal to the paths git reports.
+ */
+export const createTempDir = async (name) =>
+  fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), `gpm-${name}-test-`)));
+
+/**
+ * Make a directory a repository on `main` with everything in it committed
+ */
+export const initRepository = (repoPath) => {
+  git("init -q -b main", repoPath);
+  git("add -A", repoPath);
+  git("commit -q -m 'Initial commit'", repoPath);
+};
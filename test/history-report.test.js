@@ -0,0 +1,150 @@
+/**
+ * Git History Report Tests
+ */
+
+import { execSync } from "node:child_process";
+import os from "node:os";
+import path from "node:path";
+import fs from "fs-extra";
+import { afterEach, beforeEach, describe, expect, test } from "vitest";
+
+const GitHistoryGenerator = require("../lib/reports/git-history-generator");
+const DashboardServer = require("../lib/dashboard/server");
+const { PortfolioMonitor } = require("../lib");
+
+const SUBJECT = 'Fix <script>alert("x")</script> | pipes';
+
+describe("Git History Report", () => {
+  let tempDir;
+  let repoPath;
+  let generator;
+
+  const createResponse = () => {
+    const res = { headers: {}, statusCode: null, body: "" };
+    res.setHeader = (name, value) => {
+      res.headers[name] = value;
+    };
+    res.writeHead = (statusCode) => {
+      res.statusCode = statusCode;
+    };
+    res.end = (body) => {
+      res.body = body;
+    };
+    return res;
+  };
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "gpm-history-report-test-"));
+    repoPath = path.join(tempDir, "demo");
+    await fs.ensureDir(repoPath);
+    await fs.writeFile(path.join(repoPath, "index.js"), "module.exports = 1;\n");
+    execSync(
+      `git init -q && git add . && git -c user.name=Test -c user.email=test@example.com commit -qm '${SUBJECT}'`,
+      { cwd: repoPath },
+    );
+
+    generator = new GitHistoryGenerator({
+      projectPath: repoPath,
+      cacheDir: path.join(tempDir, "cache"),
+    });
+  });
+
+  afterEach(async () => {
+    if (tempDir) {
+      await fs.remove(tempDir);
+    }
+  });
+
+  test("should generate a report without changing the working directory", async () => {
+    const cwd = process.cwd();
+    const report = await generator.generateReport("demo", { projectPath: repoPath });
+
+    expect(process.cwd()).toBe(cwd);
+    expect(report.summary.totalCommits).toBe(1);
+    expect(report.commitHistory[0].subject).toBe(SUBJECT);
+    expect(report.mermaidDiagrams.branchEvolution).toMatch(/^gitGraph/);
+    expect(await fs.readdir(path.join(tempDir, "cache"))).toHaveLength(1);
+  });
+
+  test("should render Markdown and HTML with user text escaped", async () => {
+    const report = await generator.generateReport("demo", { projectPath: repoPath });
+
+    const markdown = await generator.renderReport(report, "md");
+    expect(markdown).toContain("```mermaid\ngitGraph");
+    expect(markdown).toContain("&lt;script&gt;");
+    expect(markdown).toContain("\\| pipes");
+
+    const html = await generator.renderReport(report, "html");
+    expect(html).not.toContain('<script>alert("x")');
+    expect(html).toContain("&lt;script&gt;alert(&quot;x&quot;)");
+
+    await expect(generator.renderReport(report, "pdf")).rejects.toThrow(
+      "Unsupported report format",
+    );
+  });
+
+  test("should serve reports for known projects from the dashboard API", async () => {
+    const server = new DashboardServer({
+      dataDir: tempDir,
+      masterController: { projectRegistry: new Map([["demo", { path: repoPath }]]) },
+    });
+
+    const json = createResponse();
+    await server.handleHistoryReportRequest(
+      { url: "/api/projects/demo/history-report" },
+      json,
+      "demo",
+    );
+    expect(json.statusCode).toBe(200);
+    expect(JSON.parse(json.body).projectName).toBe("demo");
+
+    const html = createResponse();
+    await server.handleHistoryReportRequest(
+      { url: "/api/projects/demo/history-report?format=html" },
+      html,
+      "demo",
+    );
+    expect(html.headers["Content-Type"]).toBe("text/html");
+    expect(html.body).toContain("gitGraph");
+
+    const badFormat = createResponse();
+    await server.handleHistoryReportRequest(
+      { url: "/api/projects/demo/history-report?format=pdf" },
+      badFormat,
+      "demo",
+    );
+    expect(badFormat.statusCode).toBe(400);
+
+    const missing = createResponse();
+    await server.handleHistoryReportRequest(
+      { url: "/api/projects/nope/history-report" },
+      missing,
+      "nope",
+    );
+    expect(missing.statusCode).toBe(404);
+  });
+
+  test("should find projects by ID and refuse a name that several projects share", async () => {
+    // Two checkouts named demo, in different client directories
+    const clientA = path.join(tempDir, "client-a");
+    const clientB = path.join(tempDir, "client-b");
+    await fs.copy(repoPath, path.join(clientA, "demo"));
+    await fs.copy(repoPath, path.join(clientB, "demo"));
+    await fs.writeFile(
+      path.join(tempDir, "portfolio-monitor.yml"),
+      `directories:\n  include: [${JSON.stringify(clientA)}, ${JSON.stringify(clientB)}]\n`,
+    );
+
+    const monitor = new PortfolioMonitor({ workingDir: tempDir });
+    await monitor.initialize();
+    const otherPath = path.join(clientB, "demo");
+    const other = (await monitor.scanProjects()).find((p) => p.path === otherPath);
+
+    await expect(monitor.generateHistoryReport("demo")).rejects.toThrow(
+      new RegExp(`"demo" is ambiguous; use a project ID: .*${other.id} \\(${otherPath}\\)`),
+    );
+
+    const { report } = await monitor.generateHistoryReport(other.id);
+    expect(report).toMatchObject({ projectName: "demo", projectPath: otherPath });
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * History Service Tests
+ */
+
+import os from "node:os";
+import path from "node:path";
+import fs from "fs-extra";
+import { afterEach, beforeEach, describe, expect, test } from "vitest";
+
+const TimeSeriesStore = require("../lib/storage/time-series-store");
+const HistoryService = require("../lib/storage/history-service");
+const { ValidationError } = require("../lib/utils/error-handler");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.parse("2025-06-15T12:00:00Z");
+const iso = (ts) => new Date(ts).toISOString();
+
+describe("History Service", () => {
+  let tempDir;
+  let store;
+  let history;
+
+  const recordScan = (project, ts, { score, uncommitted = 0, commits = [] }) => {
+    store.append(
+      project,
+      "activity",
+      {
+        health: { score },
+        git: {
+          uncommittedChanges: uncommitted,
+          commitsAhead: 0,
+          commitsBehind: 0,
+          recentCommits: commits,
+        },
+      },
+      ts,
+    );
+  };
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "gpm-history-test-"));
+    store = new TimeSeriesStore({ dataDir: tempDir, retentionDays: 365 });
+    history = new HistoryService({ store });
+
+    const commitA = { hash: "a", date: iso(NOW - 2 * DAY_MS) };
+    const commitB = { hash: "b", date: iso(NOW - DAY_MS) };
+
+    recordScan("alpha", NOW - 2 * DAY_MS, { score: 90, commits: [commitA] });
+    recordScan("alpha", NOW - DAY_MS - 1000, { score: 70, uncommitted: 4, commits: [commitA] });
+    recordScan("alpha", NOW - DAY_MS, { score: 80, uncommitted: 2, commits: [commitA, commitB] });
+    recordScan("beta", NOW - DAY_MS, { score: 40, uncommitted: 1 });
+  });
+
+  afterEach(async () => {
+    if (tempDir) {
+      await fs.remove(tempDir);
+    }
+  });
+
+  test("should bucket gauge metrics by day using the last sample", () => {
+    const result = history.getProjectHistory("alpha", {
+      metric: "healthScore",
+      from: iso(NOW - 3 * DAY_MS),
+      to: iso(NOW),
+    });
+
+    expect(result).toMatchObject({ kind: "gauge", retentionDays: 365 });
+    expect(result.points.map((p) => p.value)).toEqual([null, 90, 80, null]);
+    expect(result.points[2]).toMatchObject({ timestamp: "2025-06-14T00:00:00.000Z", samples: 2 });
+  });
+
+  test("should count each commit once across scans", () => {
+    const result = history.getProjectHistory("alpha", {
+      metric: "commits",
+      from: iso(NOW - 3 * DAY_MS),
+      to: iso(NOW),
+    });
+
+    expect(result.points.map((p) => p.value)).toEqual([0, 1, 1, 0]);
+  });
+
+  test("should aggregate the portfolio by summing counts and averaging health", () => {
+    const range = { from: iso(NOW - DAY_MS), to: iso(NOW) };
+
+    const health = history.getPortfolioHistory({ metric: "healthScore", ...range });
+    expect(health.projectCount).toBe(2);
+    expect(health.points[0]).toMatchObject({ value: 60, projects: 2 });
+
+    const uncommitted = history.getPortfolioHistory({ metric: "uncommittedChanges", ...range });
+    expect(uncommitted.points[0].value).toBe(3);
+  });
+
+  test("should align weekly buckets to Monday", () => {
+    const result = history.getProjectHistory("alpha", {
+      metric: "healthScore",
+      bucket: "week",
+      from: iso(NOW - 3 * DAY_MS),
+      to: iso(NOW),
+    });
+
+    // 2025-06-15 is a Sunday, so the whole range falls into the week of Monday 2025-06-09
+    expect(result.points.map((p) => p.timestamp)).toEqual(["2025-06-09T00:00:00.000Z"]);
+    expect(result.points[0].value).toBe(80);
+  });
+
+  test("should reject invalid queries", () => {
+    expect(() => history.getProjectHistory("alpha", { metric: "linesOfCode" })).toThrow(
+      ValidationError,
+    );
+    expect(() => history.getProjectHistory("alpha", { bucket: "month" })).toThrow(ValidationError);
+    expect(() => history.getProjectHistory("alpha", { from: "yesterday" })).toThrow(
+      ValidationError,
+    );
+    expect(() =>
+      history.getProjectHistory("alpha", {
+        bucket: "hour",
+        from: iso(NOW - 365 * DAY_MS),
+        to: iso(NOW),
+      }),
+    ).toThrow("Range too large");
+  });
+});
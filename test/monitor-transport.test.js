@@ -0,0 +1,202 @@
+/**
+ * Monitor Transport Tests
+ *
+ * Scan results reach the master controller from in-process and forked monitors
+ */
+
+import os from "node:os";
+import path from "node:path";
+import fs from "fs-extra";
+import { afterEach, beforeEach, describe, expect, test, vi } from "vitest";
+
+const PortfolioMasterController = require("../lib/monitor/master-controller");
+const AlertManager = require("../lib/monitor/alert-manager");
+const { InProcessTransport } = require("../lib/monitor/monitor-transport");
+
+describe("Monitor Transport", () => {
+  let tempDir;
+  let controller;
+
+  const createController = async (isolation, config = {}) => {
+    const projectsDir = path.join(tempDir, "projects");
+    await fs.outputFile(path.join(projectsDir, "shop", "README.md"), "# Shop\n");
+
+    controller = new PortfolioMasterController({
+      workingDir: tempDir,
+      dataDir: path.join(tempDir, "data"),
+      alerts: new AlertManager(),
+      config: {
+        directories: { tracked: [projectsDir] },
+        monitoring: { isolation },
+        logging: { level: "error" },
+        ...config,
+      },
+    });
+    await controller.discoverProjects();
+    return controller;
+  };
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "gpm-transport-test-"));
+  });
+
+  afterEach(async () => {
+    if (controller) {
+      await controller.stop();
+      controller = null;
+    }
+    if (tempDir) {
+      await fs.remove(tempDir);
+    }
+  });
+
+  test("should deliver messages to the other end only, after the send returns", async () => {
+    const [controllerEnd, monitorEnd] = InProcessTransport.pair();
+    const received = [];
+    controllerEnd.on("message", (message) => received.push(message.type));
+    monitorEnd.on("message", () => received.push("echo"));
+
+    expect(monitorEnd.send({ type: "health_update" })).toBe(true);
+    expect(received).toEqual([]);
+    await Promise.resolve();
+    expect(received).toEqual(["health_update"]);
+
+    controllerEnd.close();
+    expect(monitorEnd.send({ type: "activity_report" })).toBe(false);
+  });
+
+  test("should record scans of in-process monitors", async () => {
+    await createController("in-process");
+    const updates = [];
+    controller.on("activity_update", ({ project }) => updates.push(project));
+
+    const handle = await controller.startProjectMonitor(
+      "shop",
+      controller.projectRegistry.get("shop"),
+    );
+    await controller.runProjectScan("shop");
+    await vi.waitFor(() => expect(updates).toEqual(["shop"]));
+
+    expect(handle.monitor.isRunning).toBe(true);
+    expect(controller.projectRegistry.get("shop").health).not.toBe("unknown");
+    expect(controller.store.latest("shop", "health").data.status).toBe(
+      controller.projectRegistry.get("shop").health,
+    );
+    expect(controller.alerts.list({ project: "shop" }).map((alert) => alert.key)).toContain(
+      "trackdown-missing",
+    );
+  });
+
+  test("should record scans of forked monitors and stop their processes", async () => {
+    await createController("process", { github: { token: "secret-token" } });
+    const updates = [];
+    controller.on("activity_update", ({ project, data }) => updates.push({ project, data }));
+
+    const handle = await controller.startProjectMonitor(
+      "shop",
+      controller.projectRegistry.get("shop"),
+    );
+    expect(handle.child.pid).toBeGreaterThan(0);
+    await controller.runProjectScan("shop");
+    await vi.waitFor(() => expect(updates).toHaveLength(1));
+
+    expect(updates[0]).toMatchObject({
+      project: "shop",
+      data: { project: "shop", path: controller.projectRegistry.get("shop").path },
+    });
+    expect(controller.store.latest("shop", "activity")).toBeTruthy();
+
+    // Options, tokens included, arrive over IPC rather than the environment
+    const environ = `/proc/${handle.child.pid}/environ`;
+    if (fs.existsSync(environ)) {
+      expect(fs.readFileSync(environ, "utf8")).not.toContain("secret-token");
+    }
+
+    // A health check is answered over IPC
+    const lastSeen = handle.lastSeen;
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    controller.performHealthCheck();
+    await vi.waitFor(() => expect(handle.lastSeen).toBeGreaterThan(lastSeen), { timeout: 5000 });
+
+    await controller.stop();
+    expect(controller.isMonitorAlive(handle)).toBe(false);
+    expect(handle.child.exitCode !== null || handle.child.signalCode !== null).toBe(true);
+  }, 30000);
+
+  test("should share at most maxConcurrentScans worker processes between forked monitors", async () => {
+    await fs.outputFile(path.join(tempDir, "projects", "blog", "README.md"), "# Blog\n");
+    await fs.outputFile(path.join(tempDir, "projects", "docs", "README.md"), "# Docs\n");
+    await createController("process", {
+      monitoring: { isolation: "process", maxConcurrentScans: 2 },
+    });
+    const updates = [];
+    controller.on("activity_update", ({ project }) => updates.push(project));
+
+    const handles = {};
+    for (const name of ["blog", "docs", "shop"]) {
+      handles[name] = await controller.startProjectMonitor(
+        name,
+        controller.projectRegistry.get(name),
+      );
+    }
+    expect(controller.workers).toHaveLength(2);
+    expect(new Set(Object.values(handles).map((handle) => handle.child.pid)).size).toBe(2);
+
+    await Promise.all(["blog", "docs", "shop"].map((name) => controller.runProjectScan(name)));
+    await vi.waitFor(() => expect([...updates].sort()).toEqual(["blog", "docs", "shop"]));
+
+    // A worker ends with the last monitor it hosts
+    const shared = Object.values(handles).find(
+      (handle) => handle.worker.projects.size === 2,
+    ).worker;
+    const [first, second] = [...shared.projects];
+    await controller.stopMonitor(handles[first]);
+    expect(controller.isWorkerAlive(shared)).toBe(true);
+    await controller.stopMonitor(handles[second]);
+    expect(controller.isWorkerAlive(shared)).toBe(false);
+  }, 30000);
+
+  test("should restart only unresponsive workers and fail the scans pending on them", async () => {
+    await fs.outputFile(path.join(tempDir, "projects", "blog", "README.md"), "# Blog\n");
+    await createController("process", {
+      monitoring: { isolation: "process", maxConcurrentScans: 1 },
+    });
+    const start = (name) =>
+      controller.startProjectMonitor(name, controller.projectRegistry.get(name));
+    // A scan its monitor never answers
+    const hangScan = (handle) => {
+      handle.transport.send = () => true;
+      return controller.runProjectScan(handle.project).catch((error) => error);
+    };
+
+    const blog = await start("blog");
+    let shop = await start("shop");
+    const worker = blog.worker;
+    expect(shop.worker).toBe(worker);
+
+    // A timed out scan in a worker that still answers restarts just its monitor
+    const blogScan = hangScan(blog);
+    await controller.restartProjectMonitor("shop");
+    expect(controller.isWorkerAlive(worker)).toBe(true);
+    expect(controller.isMonitorAlive(blog)).toBe(true);
+    expect(controller.pendingScans.size).toBe(1);
+
+    // One that stopped answering is ended, and every scan pending on it fails
+    shop = controller.projectMonitors.get("shop");
+    expect(shop.worker).toBe(worker);
+    const shopScan = hangScan(shop);
+    worker.lastSeen = Date.now() - controller.config.monitorTimeout - 1;
+    await controller.restartProjectMonitor("shop");
+    expect(controller.isWorkerAlive(worker)).toBe(false);
+    expect((await shopScan).message).toMatch(/Scan of shop failed/);
+    expect((await blogScan).message).toMatch(/Scan of blog failed: its monitor worker exited/);
+    expect(controller.pendingScans.size).toBe(0);
+
+    // The health check moves the worker's other monitors to a new one
+    controller.performHealthCheck();
+    await vi.waitFor(
+      () => expect(controller.isMonitorAlive(controller.projectMonitors.get("blog"))).toBe(true),
+      { timeout: 5000 },
+    );
+  }, 30000);
+});
@@ -0,0 +1,296 @@
+/**
+ * Notifier Tests
+ *
+ * Alert delivery through webhook, SMTP and command channels against local stand-ins
+ */
+
+import http from "node:http";
+import net from "node:net";
+import os from "node:os";
+import path from "node:path";
+import fs from "fs-extra";
+import { afterEach, beforeEach, describe, expect, test } from "vitest";
+
+const Notifier = require("../lib/notifications/notifier");
+const DesktopChannel = require("../lib/notifications/desktop-channel");
+const PortfolioMasterController = require("../lib/monitor/master-controller");
+
+const ALERT = {
+  project: "billing-api",
+  severity: "CRITICAL",
+  message: "Revenue project stagnant for 9 days",
+  details: { daysSinceCommit: 9 },
+  tags: ["client"],
+};
+
+const listen = (server) =>
+  new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve(server.address().port)));
+
+/**
+ * Minimal SMTP server that records each transaction
+ */
+const createSmtpServer = (messages) =>
+  net.createServer((socket) => {
+    const transaction = { commands: [], recipients: [] };
+    let data = null;
+    let buffer = "";
+
+    socket.write("220 localhost ESMTP test\r\n");
+    socket.on("data", (chunk) => {
+      buffer += chunk;
+      let index = buffer.indexOf("\r\n");
+      while (index !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        index = buffer.indexOf("\r\n");
+
+        if (data !== null) {
+          if (line === ".") {
+            transaction.data = data.join("\r\n");
+            messages.push(transaction);
+            data = null;
+            socket.write("250 Queued\r\n");
+          } else {
+            data.push(line);
+          }
+          continue;
+        }
+
+        transaction.commands.push(line);
+        if (line.startsWith("EHLO")) {
+          socket.write("250-localhost\r\n250 AUTH PLAIN\r\n");
+        } else if (line.startsWith("AUTH PLAIN")) {
+          transaction.credentials = Buffer.from(line.slice(11), "base64").toString();
+          socket.write("235 Authenticated\r\n");
+        } else if (line.startsWith("RCPT TO:")) {
+          transaction.recipients.push(line.slice(9, -1));
+          socket.write("250 OK\r\n");
+        } else if (line === "DATA") {
+          data = [];
+          socket.write("354 Go ahead\r\n");
+        } else if (line === "QUIT") {
+          socket.end("221 Bye\r\n");
+        } else {
+          socket.write("250 OK\r\n");
+        }
+      }
+    });
+  });
+
+describe("Notifier", () => {
+  let tempDir;
+  let servers;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "gpm-notifier-test-"));
+    servers = [];
+  });
+
+  afterEach(async () => {
+    await Promise.all(servers.map((server) => new Promise((resolve) => server.close(resolve))));
+    if (tempDir) {
+      await fs.remove(tempDir);
+    }
+  });
+
+  test("should post JSON and Slack payloads to webhooks", async () => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => {
+        body += chunk;
+      });
+      req.on("end", () => {
+        requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+        res.writeHead(req.url === "/broken" ? 500 : 200).end();
+      });
+    });
+    servers.push(server);
+    const port = await listen(server);
+
+    const notifier = new Notifier({
+      channels: [
+        {
+          type: "webhook",
+          name: "hook",
+          url: `http://127.0.0.1:${port}/hook`,
+          headers: { "X-Token": "secret" },
+        },
+        {
+          type: "webhook",
+          name: "slack",
+          url: `http://127.0.0.1:${port}/slack`,
+          format: "slack",
+          template: {
+            title: "{project} needs attention",
+            body: "{message} ({details.daysSinceCommit}d)",
+          },
+        },
+        { type: "webhook", name: "broken", url: `http://127.0.0.1:${port}/broken` },
+      ],
+    });
+
+    const results = await notifier.notify(ALERT);
+
+    expect(results).toEqual([
+      { channel: "hook", status: "sent" },
+      { channel: "slack", status: "sent" },
+      { channel: "broken", status: "failed", error: "Webhook responded with HTTP 500" },
+    ]);
+
+    const hook = requests.find((r) => r.url === "/hook");
+    expect(hook.headers["x-token"]).toBe("secret");
+    expect(hook.body).toMatchObject({
+      project: "billing-api",
+      severity: "CRITICAL",
+      title: "[CRITICAL] billing-api: Revenue project stagnant for 9 days",
+      details: { daysSinceCommit: 9 },
+    });
+    expect(requests.find((r) => r.url === "/slack").body).toEqual({
+      text: "*billing-api needs attention*\nRevenue project stagnant for 9 days (9d)",
+    });
+  });
+
+  test("should send email through an SMTP server", async () => {
+    const messages = [];
+    const server = createSmtpServer(messages);
+    servers.push(server);
+    const port = await listen(server);
+
+    const notifier = new Notifier({
+      channels: [
+        {
+          type: "email",
+          host: "127.0.0.1",
+          port,
+          auth: { user: "alerts", pass: "secret" },
+          from: "monitor@example.com",
+          to: ["ops@example.com", "owner@example.com"],
+        },
+      ],
+    });
+
+    expect(await notifier.notify(ALERT)).toEqual([{ channel: "email-1", status: "sent" }]);
+
+    const [message] = messages;
+    expect(message.credentials).toBe("\0alerts\0secret");
+    expect(message.commands).toContain("MAIL FROM:<monitor@example.com>");
+    expect(message.recipients).toEqual(["ops@example.com", "owner@example.com"]);
+
+    const [headers, body] = message.data.split("\r\n\r\n");
+    expect(headers).toContain(
+      "Subject: [CRITICAL] billing-api: Revenue project stagnant for 9 days",
+    );
+    expect(Buffer.from(body.replace(/\r\n/g, ""), "base64").toString()).toContain(
+      "daysSinceCommit: 9",
+    );
+  });
+
+  test("should filter by severity and route by project name and tags", async () => {
+    const outputFile = path.join(tempDir, "alerts.log");
+    const script = `require("fs").appendFileSync(${JSON.stringify(outputFile)}, process.argv[1] + " " + process.env.PORTFOLIO_ALERT_SEVERITY + "\\n")`;
+    const commandChannel = (name, routing) => ({
+      type: "command",
+      name,
+      command: process.execPath,
+      args: ["-e", script, `${name}:{project}`],
+      ...routing,
+    });
+
+    const notifier = new Notifier({
+      channels: [
+        commandChannel("all", { minSeverity: "INFO" }),
+        commandChannel("critical", {}),
+        commandChannel("apis", { minSeverity: "WARNING", projects: ["*-api"] }),
+        commandChannel("clients", {
+          minSeverity: "WARNING",
+          tags: ["client"],
+          excludeProjects: "billing-*",
+        }),
+        { type: "command", name: "missing", command: path.join(tempDir, "no-such-command") },
+      ],
+    });
+
+    const results = await notifier.notify({ ...ALERT, severity: "WARNING" });
+    await notifier.notify({
+      project: "site",
+      severity: "WARNING",
+      message: "Behind",
+      tags: ["client"],
+    });
+    await notifier.notify({ project: "site", severity: "INFO", message: "No docs" });
+
+    expect(results.map((r) => r.status)).toEqual(["sent", "skipped", "sent", "skipped", "skipped"]);
+    expect(fs.readFileSync(outputFile, "utf8").trim().split("\n").sort()).toEqual([
+      "all:billing-api WARNING",
+      "all:site INFO",
+      "all:site WARNING",
+      "apis:billing-api WARNING",
+      "clients:site WARNING",
+    ]);
+
+    const [failed] = await notifier
+      .notify(ALERT)
+      .then((all) => all.filter((r) => r.status === "failed"));
+    expect(failed).toMatchObject({
+      channel: "missing",
+      error: expect.stringContaining("Cannot run"),
+    });
+  });
+
+  test("should build platform notification commands", () => {
+    const message = { title: 'Say "hi"', body: "It's down" };
+
+    expect(new DesktopChannel({ platform: "darwin" }).buildCommand(message, ALERT)).toEqual([
+      "osascript",
+      ["-e", 'display notification "It\'s down" with title "Say \\"hi\\""'],
+    ]);
+    expect(new DesktopChannel({ platform: "linux" }).buildCommand(message, ALERT)[1]).toEqual([
+      "--app-name=Portfolio Monitor",
+      "--urgency=critical",
+      'Say "hi"',
+      "It's down",
+    ]);
+    expect(() => new DesktopChannel({ platform: "aix" }).buildCommand(message, ALERT)).toThrow(
+      "not supported",
+    );
+    expect(() => new Notifier({ channels: [{ type: "pager" }] })).toThrow(
+      "Unknown notification channel",
+    );
+    expect(() => new Notifier({ channels: [{ type: "email", host: "localhost" }] })).toThrow(
+      "needs from",
+    );
+  });
+
+  test("should notify the channels of alerts raised by project monitors", async () => {
+    const sent = [];
+    const controller = new PortfolioMasterController({
+      workingDir: tempDir,
+      dataDir: path.join(tempDir, "data"),
+      notifier: new Notifier(
+        { channels: [{ type: "memory", tags: ["client"] }] },
+        {
+          channelTypes: {
+            memory: class {
+              async send(message) {
+                sent.push(message.title);
+              }
+            },
+          },
+        },
+      ),
+    });
+    controller.projectRegistry.set("billing-api", {
+      classification: { owner: "alice", tags: ["client"] },
+    });
+
+    const results = await controller.handleProjectAlert("billing-api", {
+      severity: "CRITICAL",
+      message: "Revenue project stagnant for 9 days",
+      details: {},
+    });
+
+    expect(results).toEqual([{ channel: "memory-1", status: "sent" }]);
+    expect(sent).toEqual(["[CRITICAL] billing-api: Revenue project stagnant for 9 days"]);
+  });
+});
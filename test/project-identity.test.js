@@ -0,0 +1,173 @@
+/**
+ * Project Identity Tests
+ *
+ * Projects are registered under an ID from their root commit and remote, which
+ * survives moves and renames, tells apart repositories sharing a directory
+ * name, and takes over the data stored under the directory name before
+ */
+
+import path from "node:path";
+import fs from "fs-extra";
+import { afterEach, beforeEach, describe, expect, test } from "vitest";
+import { createTempDir, git, initRepository } from "./helpers/git";
+
+const PortfolioMasterController = require("../lib/monitor/master-controller");
+const ProjectIdentities = require("../lib/storage/project-identities");
+const { readProjectIdentity } = require("../lib/utils/project-identity");
+
+describe("Project Identity", () => {
+  let tempDir;
+  let projectsDir;
+
+  const createRepository = async (relativePath, remote) => {
+    const repoPath = path.join(projectsDir, relativePath);
+    await fs.outputFile(path.join(repoPath, "README.md"), `# ${relativePath}\n`);
+    initRepository(repoPath);
+    if (remote) {
+      git(`remote add origin ${remote}`, repoPath);
+    }
+    return repoPath;
+  };
+
+  const createController = (tracked = [projectsDir]) =>
+    new PortfolioMasterController({
+      workingDir: tempDir,
+      dataDir: path.join(tempDir, "data"),
+      config: { directories: { tracked }, logging: { level: "error" } },
+    });
+
+  beforeEach(async () => {
+    tempDir = await createTempDir("identity");
+    projectsDir = path.join(tempDir, "projects");
+    await fs.ensureDir(projectsDir);
+  });
+
+  afterEach(async () => {
+    if (tempDir) {
+      await fs.remove(tempDir);
+    }
+  });
+
+  test("should derive the same ID over SSH and HTTPS remotes and after a move", async () => {
+    const repoPath = await createRepository("shop", "git@github.com:Acme/Shop.git");
+    const identity = await readProjectIdentity(repoPath);
+    expect(identity).toMatchObject({
+      id: expect.stringMatching(/^[0-9a-f]{12}$/),
+      rootCommit: git("rev-parse HEAD", repoPath),
+      remote: "github.com/acme/shop",
+    });
+
+    git("remote set-url origin https://token@github.com/acme/shop.git", repoPath);
+    git("commit -q --allow-empty -m 'Second commit'", repoPath);
+    const movedPath = path.join(tempDir, "elsewhere", "storefront");
+    await fs.move(repoPath, movedPath);
+    expect(await readProjectIdentity(movedPath, { rootCommit: identity.rootCommit })).toEqual(
+      identity,
+    );
+
+    // Another repository under the same name, and one without commits
+    await fs.outputFile(path.join(projectsDir, "shop", "index.js"), "");
+    const other = await createRepository("shop", "git@github.com:acme/shop.git");
+    expect((await readProjectIdentity(other)).id).not.toBe(identity.id);
+    await fs.ensureDir(path.join(projectsDir, "empty"));
+    git("init -q", path.join(projectsDir, "empty"));
+    expect(await readProjectIdentity(path.join(projectsDir, "empty"))).toBeNull();
+  });
+
+  test("should tell apart projects sharing a directory name", async () => {
+    await createRepository("team-a/api", "https://github.com/team-a/api.git");
+    await createRepository("team-b/api", "https://github.com/team-b/api.git");
+    await fs.ensureDir(path.join(projectsDir, "team-a", "notes"));
+
+    const controller = createController([
+      path.join(projectsDir, "team-a"),
+      path.join(projectsDir, "team-b"),
+    ]);
+    await controller.discoverProjects();
+
+    const projects = [...controller.projectRegistry.values()];
+    expect(projects.map((project) => [project.name, project.displayName]).sort()).toEqual([
+      ["api", "api (team-a)"],
+      ["api", "api (team-b)"],
+      ["notes", "notes"],
+    ]);
+    expect(new Set(projects.map((project) => project.id)).size).toBe(3);
+    // Without a repository the directory name stays the ID
+    expect(controller.projectRegistry.get("notes")).toMatchObject({ id: "notes" });
+  });
+
+  test("should move data stored under the directory name to the ID once", async () => {
+    await createRepository("shop", "https://github.com/acme/shop.git");
+
+    const before = createController();
+    before.store.append("shop", "activity", { commits: 3 });
+    before.alerts.record("shop", { key: "stale", severity: "WARNING", message: "Stale" });
+
+    const controller = createController();
+    await controller.discoverProjects();
+    const [id] = controller.projectRegistry.keys();
+
+    expect(controller.store.hasProject("shop")).toBe(false);
+    expect(controller.store.latest(id, "activity").data).toEqual({ commits: 3 });
+    expect(controller.alerts.list({ project: id })).toEqual([
+      expect.objectContaining({ key: "stale", status: "open" }),
+    ]);
+    expect(
+      new ProjectIdentities({ file: path.join(tempDir, "data", "projects.json") }).get(id),
+    ).toMatchObject({ name: "shop", path: path.join(projectsDir, "shop") });
+
+    // Data written under the old name later is not taken over again
+    controller.store.append("shop", "activity", { commits: 1 });
+    await createController().discoverProjects();
+    expect(controller.store.hasProject("shop")).toBe(true);
+  });
+
+  test("should move data to the new ID when the remote changes", async () => {
+    const repoPath = await createRepository("shop");
+    const first = createController();
+    await first.discoverProjects();
+    const [firstId] = first.projectRegistry.keys();
+    first.store.append(firstId, "activity", { commits: 3 });
+    first.alerts.record(firstId, { key: "stale", severity: "WARNING", message: "Stale" });
+
+    // Adding a remote, then renaming the repository on the host, changes the ID
+    let previousId = firstId;
+    for (const command of [
+      "remote add origin https://github.com/acme/shop.git",
+      "remote set-url origin https://github.com/acme/storefront.git",
+    ]) {
+      git(command, repoPath);
+      const controller = createController();
+      await controller.discoverProjects();
+      const [id] = controller.projectRegistry.keys();
+
+      expect(id).not.toBe(previousId);
+      expect(controller.store.hasProject(previousId)).toBe(false);
+      expect(controller.store.latest(id, "activity").data).toEqual({ commits: 3 });
+      expect(controller.alerts.list({ project: id })).toEqual([
+        expect.objectContaining({ key: "stale", status: "open" }),
+      ]);
+      expect(controller.identities.get(previousId)).toBeNull();
+      previousId = id;
+    }
+  });
+
+  test("should keep a project's ID when its directory is renamed", async () => {
+    const repoPath = await createRepository("shop", "https://github.com/acme/shop.git");
+    const first = createController();
+    await first.discoverProjects();
+    const [id] = first.projectRegistry.keys();
+
+    await fs.move(repoPath, path.join(projectsDir, "storefront"));
+    const moves = [];
+    const second = createController();
+    second.on("project_moved", (event) => moves.push(event));
+    await second.discoverProjects();
+
+    expect([...second.projectRegistry.keys()]).toEqual([id]);
+    expect(second.projectRegistry.get(id)).toMatchObject({ name: "storefront" });
+    expect(moves).toEqual([
+      { project: id, from: repoPath, to: path.join(projectsDir, "storefront") },
+    ]);
+  });
+});
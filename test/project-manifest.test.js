@@ -0,0 +1,233 @@
+/**
+ * Project Manifest Tests
+ *
+ * A repository's .portfolio.yml overrides its classification, health rules,
+ * TrackDown location and GitHub repository, and its .portfolioignore keeps
+ * paths out of scans
+ */
+
+import path from "node:path";
+import fs from "fs-extra";
+import { afterEach, beforeEach, describe, expect, test } from "vitest";
+import { createTempDir, git, initRepository } from "./helpers/git";
+
+const ProjectMonitor = require("../lib/monitor/project-monitor");
+const ProjectDiscoveryService = require("../lib/discovery/project-discovery");
+const {
+  loadProjectManifest,
+  applyManifest,
+  createIgnoreMatcher,
+} = require("../lib/config/project-manifest");
+const { ConfigurationError } = require("../lib/utils/error-handler");
+
+describe("Project Manifest", () => {
+  let tempDir;
+
+  const write = (file, content) => fs.outputFile(path.join(tempDir, file), content);
+
+  beforeEach(async () => {
+    tempDir = await createTempDir("manifest");
+  });
+
+  afterEach(async () => {
+    if (tempDir) {
+      await fs.remove(tempDir);
+    }
+  });
+
+  test("should validate .portfolio.yml", async () => {
+    expect(loadProjectManifest(tempDir)).toBeNull();
+
+    await write(
+      ".portfolio.yml",
+      [
+        "name: Checkout API",
+        "owner: payments-team",
+        "priority: HIGH",
+        "tags: payments",
+        "trackdown: docs/trackdown",
+        "github: { repository: acme/checkout }",
+        "color: blue",
+      ].join("\n"),
+    );
+    expect(loadProjectManifest(tempDir)).toEqual({
+      name: "Checkout API",
+      owner: "payments-team",
+      priority: "HIGH",
+      tags: ["payments"],
+      trackdown: "docs/trackdown",
+      github: { repository: "acme/checkout" },
+    });
+
+    for (const content of [
+      "priority: URGENT",
+      "github: { repository: checkout }",
+      "health: { rules: [{ when: { metric: git.commitsBehind, gt: 1 } }] }",
+      "trackdown: ../elsewhere",
+      "name: [unclosed",
+    ]) {
+      await write(".portfolio.yml", content);
+      expect(() => loadProjectManifest(tempDir), content).toThrow(ConfigurationError);
+    }
+  });
+
+  test("should override the classification with the manifest's fields", () => {
+    const classification = { priority: "LOW", owner: null, tags: ["internal"], rule: null };
+
+    expect(applyManifest(classification, null)).toBe(classification);
+    expect(applyManifest(classification, { name: "Shop" })).toBe(classification);
+    expect(applyManifest(classification, { priority: "HIGH", tags: ["client"] })).toEqual({
+      priority: "HIGH",
+      owner: null,
+      tags: ["client"],
+      rule: null,
+      manifest: ["priority", "tags"],
+    });
+  });
+
+  test("should match paths like .gitignore", () => {
+    const ignored = createIgnoreMatcher([
+      "# Generated",
+      "fixtures/",
+      "/build",
+      "docs/*.pdf",
+      "*.snap",
+      "!keep.snap",
+    ]);
+
+    expect(ignored("fixtures", true)).toBe(true);
+    expect(ignored("fixtures")).toBe(false);
+    expect(ignored("fixtures/")).toBe(true);
+    expect(ignored("src/fixtures/data.json")).toBe(true);
+    expect(ignored("build/out.js")).toBe(true);
+    expect(ignored("src/build/out.js")).toBe(false);
+    expect(ignored("docs/guide.pdf")).toBe(true);
+    expect(ignored("docs/guide.md")).toBe(false);
+    expect(ignored("src/__snapshots__/app.snap")).toBe(true);
+    expect(ignored("src/keep.snap")).toBe(false);
+    expect(createIgnoreMatcher(["", "# Nothing"])("anything")).toBe(false);
+  });
+
+  test("should make monitors and discovery honor the manifest and .portfolioignore", async () => {
+    await write(
+      ".portfolio.yml",
+      [
+        "name: Checkout API",
+        "description: Payments and order checkout",
+        "owner: payments-team",
+        "priority: HIGH",
+        "trackdown: docs/trackdown",
+        "github: { repository: acme/checkout }",
+        "health:",
+        "  rules:",
+        "    - id: uncommitted-changes",
+        "      when: { metric: git.uncommittedChanges, gt: 0 }",
+      ].join("\n"),
+    );
+    await write(".portfolioignore", "fixtures/\n*.log\n");
+    await write("docs/trackdown/BACKLOG.md", "# Backlog\n");
+    await write("index.js", "module.exports = {};\n");
+    initRepository(tempDir);
+
+    // A nested repository in an ignored directory is not discovered
+    await write("fixtures/sample/README.md", "Sample\n");
+    git("init -q -b main", path.join(tempDir, "fixtures", "sample"));
+    await write("debug.log", "Noise\n");
+
+    const monitor = new ProjectMonitor({
+      project: "checkout",
+      path: tempDir,
+      config: { git: { enableRemoteCheck: false } },
+    });
+    let scan = await monitor.performScan();
+    expect(scan.manifest).toMatchObject({ name: "Checkout API" });
+    expect(scan.git.uncommittedChanges).toBe(0);
+    expect(scan.filesystem.hasTrackdown).toBe(true);
+    expect(scan.business).toMatchObject({
+      owner: "payments-team",
+      manifestFields: ["priority", "owner"],
+    });
+    expect(monitor.priority).toBe("HIGH");
+    expect(scan.health.rules).not.toContain("uncommitted-changes");
+
+    // The manifest's rule patch applies from the first uncommitted change
+    await write("index.js", "module.exports = { ready: true };\n");
+    scan = await monitor.performScan();
+    expect(scan.git.uncommittedChanges).toBe(1);
+    expect(scan.health.rules).toContain("uncommitted-changes");
+
+    await monitor.detectGitHubRepository();
+    expect(monitor.issueRepository).toMatchObject({
+      type: "github",
+      host: "github.com",
+      owner: "acme",
+      repo: "checkout",
+    });
+
+    const discovery = new ProjectDiscoveryService({ workingDir: path.dirname(tempDir) });
+    const projects = [];
+    await discovery.scanDirectoryForGit(tempDir, 0, projects);
+    expect(projects).toEqual([
+      expect.objectContaining({
+        path: tempDir,
+        displayName: "Checkout API",
+        description: "Payments and order checkout",
+        owner: "payments-team",
+        hasTrackDown: true,
+        hasGitHubRemote: true,
+        manifestError: null,
+      }),
+    ]);
+
+    // An invalid manifest is reported and otherwise ignored
+    await write(".portfolio.yml", "priority: URGENT\n");
+    const invalid = new ProjectMonitor({
+      project: "checkout",
+      path: tempDir,
+      config: { git: { enableRemoteCheck: false } },
+    });
+    expect(invalid.manifest).toBeNull();
+    expect(invalid.manifestError).toMatch(/priority/);
+    expect(invalid.trackdownPath).toBe(path.join(tempDir, "trackdown"));
+    expect((await discovery.analyzeGitRepository(tempDir)).manifestError).toMatch(/priority/);
+  });
+
+  test("should leave ignored paths out of recently modified files", async () => {
+    await write(".portfolioignore", "generated/\n");
+    await write("src/app.js", "module.exports = {};\n");
+    await write("generated/client.js", "module.exports = {};\n");
+    await write("generated/nested/types.js", "module.exports = {};\n");
+    initRepository(tempDir);
+
+    const monitor = new ProjectMonitor({
+      project: "checkout",
+      path: tempDir,
+      config: { git: { enableRemoteCheck: false } },
+    });
+    const scan = await monitor.performScan();
+    expect(scan.filesystem.recentlyModified).toBe(2);
+  });
+
+  test("should not count modified tracked files under ignored paths", async () => {
+    await write(".portfolioignore", "vendor/\n");
+    await write("vendor/x.js", "module.exports = {};\n");
+    await write("src/app.js", "module.exports = {};\n");
+    initRepository(tempDir);
+
+    const monitor = new ProjectMonitor({
+      project: "checkout",
+      path: tempDir,
+      config: { git: { enableRemoteCheck: false } },
+    });
+
+    // " M vendor/x.js" is the first, and only, status line
+    await write("vendor/x.js", "module.exports = { patched: true };\n");
+    let scan = await monitor.performScan();
+    expect(scan.git.uncommittedChanges).toBe(0);
+
+    await write("src/app.js", "module.exports = { ready: true };\n");
+    git("mv src/app.js src/main.js", tempDir);
+    scan = await monitor.performScan();
+    expect(scan.git.uncommittedChanges).toBe(1);
+  });
+});
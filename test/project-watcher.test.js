@@ -0,0 +1,109 @@
+/**
+ * Project Watcher Tests
+ *
+ * Filesystem changes in a Git project trigger debounced, incremental rescans
+ */
+
+import path from "node:path";
+import fs from "fs-extra";
+import { afterEach, beforeEach, describe, expect, test, vi } from "vitest";
+import { createTempDir, git, initRepository } from "./helpers/git";
+
+const ProjectWatcher = require("../lib/monitor/project-watcher");
+const PortfolioMasterController = require("../lib/monitor/master-controller");
+const AlertManager = require("../lib/monitor/alert-manager");
+
+describe("Project Watcher", () => {
+  let tempDir;
+  let projectPath;
+  let watcher;
+  let controller;
+
+  beforeEach(async () => {
+    tempDir = await createTempDir("watch");
+    projectPath = path.join(tempDir, "projects", "shop");
+    await fs.outputFile(path.join(projectPath, "src", "index.js"), "module.exports = 1;\n");
+    await fs.outputFile(path.join(projectPath, "node_modules", "dep", "index.js"), "");
+    await fs.outputFile(path.join(projectPath, ".gitignore"), "node_modules\n");
+    initRepository(projectPath);
+  });
+
+  afterEach(async () => {
+    watcher?.close();
+    watcher = null;
+    if (controller) {
+      await controller.stop();
+      controller = null;
+    }
+    if (tempDir) {
+      await fs.remove(tempDir);
+    }
+  });
+
+  test("should report the analyzers affected by edits, commits and checkouts", async () => {
+    const changes = [];
+    watcher = new ProjectWatcher({ path: projectPath, debounce: 50 });
+    watcher.on("change", ({ analyzers }) => changes.push(analyzers.sort()));
+    watcher.start();
+
+    // Ignored directories are not watched
+    expect(watcher.watchers.has(path.join(projectPath, "node_modules"))).toBe(false);
+    expect(watcher.watchers.has(path.join(projectPath, "src"))).toBe(true);
+
+    await fs.writeFile(path.join(projectPath, "src", "index.js"), "module.exports = 2;\n");
+    await vi.waitFor(() => expect(changes).toEqual([["status"]]));
+
+    // A new directory is watched as soon as it appears
+    await fs.mkdir(path.join(projectPath, "lib"));
+    await vi.waitFor(() => expect(watcher.watchers.has(path.join(projectPath, "lib"))).toBe(true));
+    await vi.waitFor(() => expect(changes).toHaveLength(2));
+
+    let seen = changes.length;
+    git("checkout -q -b feature", projectPath);
+    await vi.waitFor(() => expect(changes.slice(seen).flat()).toContain("branch"));
+
+    seen = changes.length;
+    git("commit -qam 'Change'", projectPath);
+    await vi.waitFor(() =>
+      expect(changes.slice(seen).flat()).toEqual(expect.arrayContaining(["branches", "commits"])),
+    );
+  });
+
+  test("should rescan only the affected analyzers of a watched project", async () => {
+    controller = new PortfolioMasterController({
+      workingDir: tempDir,
+      dataDir: path.join(tempDir, "data"),
+      alerts: new AlertManager(),
+      config: {
+        directories: { tracked: [path.join(tempDir, "projects")] },
+        monitoring: { watch: { enabled: true, debounce: 50, sweepInterval: 30 * 60 * 1000 } },
+        logging: { level: "error" },
+      },
+    });
+    const reports = [];
+    controller.on("activity_update", ({ data }) => reports.push(data));
+
+    await controller.discoverProjects();
+    controller.scheduler.start();
+    const shop = [...controller.projectRegistry.values()].find(({ name }) => name === "shop");
+    const handle = await controller.startProjectMonitor(shop.id, shop);
+    await vi.waitFor(() => expect(reports.length).toBeGreaterThan(0));
+    expect(reports[0].incremental).toBeUndefined();
+    expect(controller.scheduler.status()[0].interval).toBe(30 * 60 * 1000);
+
+    const getBranches = vi.spyOn(handle.monitor, "getBranches");
+    await fs.writeFile(path.join(projectPath, "README.md"), "# Shop\n");
+
+    await vi.waitFor(() =>
+      expect(reports.at(-1)).toMatchObject({
+        incremental: ["status"],
+        git: { uncommittedChanges: 1, currentBranch: "main" },
+      }),
+    );
+    expect(getBranches).not.toHaveBeenCalled();
+    // The sweep is still half an hour away
+    expect(new Date(controller.scheduler.status()[0].nextRunAt) - Date.now()).toBeGreaterThan(
+      25 * 60 * 1000,
+    );
+  });
+});
@@ -0,0 +1,204 @@
+/**
+ * Remote Fetcher Tests
+ *
+ * Fetches are throttled per repository, bounded by a timeout, and an
+ * unreachable remote marks the remote-tracking refs stale instead of failing
+ */
+
+import net from "node:net";
+import path from "node:path";
+import fs from "fs-extra";
+import { afterEach, beforeEach, describe, expect, test, vi } from "vitest";
+import { createTempDir, git } from "./helpers/git";
+
+const RemoteFetcher = require("../lib/monitor/remote-fetcher");
+const PortfolioMasterController = require("../lib/monitor/master-controller");
+const AlertManager = require("../lib/monitor/alert-manager");
+const DashboardServer = require("../lib/dashboard/server");
+
+const MINUTE = 60 * 1000;
+
+describe("Remote Fetcher", () => {
+  let tempDir;
+  let originPath;
+  let projectPath;
+  let upstreamPath;
+  let now;
+  let server;
+  let controller;
+
+  // Another clone pushes a commit to origin behind the project's back
+  const pushUpstream = (message) => {
+    git(`commit -q --allow-empty -m '${message}'`, upstreamPath);
+    git("push -q origin main", upstreamPath);
+  };
+
+  beforeEach(async () => {
+    tempDir = await createTempDir("fetch");
+    originPath = path.join(tempDir, "origin.git");
+    projectPath = path.join(tempDir, "projects", "shop");
+    upstreamPath = path.join(tempDir, "upstream");
+
+    git(`init -q --bare -b main ${originPath}`, tempDir);
+    git(`clone -q ${originPath} ${upstreamPath}`, tempDir);
+    git("checkout -q -b main", upstreamPath);
+    pushUpstream("Initial commit");
+    git(`clone -q ${originPath} ${projectPath}`, tempDir);
+
+    now = new Date("2025-06-01T10:00:00Z").getTime();
+  });
+
+  afterEach(async () => {
+    if (controller) {
+      await controller.stop();
+      controller = null;
+    }
+    if (server) {
+      server.close();
+      server = null;
+    }
+    if (tempDir) {
+      await fs.remove(tempDir);
+    }
+  });
+
+  test("should fetch at most once per interval and keep the state across instances", async () => {
+    const file = path.join(tempDir, "data", "remote-fetch.json");
+    const fetcher = new RemoteFetcher({ interval: 15 * MINUTE, file, now: () => now });
+
+    expect(await fetcher.fetch(projectPath)).toMatchObject({
+      status: "fetched",
+      fetched: true,
+      stale: false,
+      lastFetchAt: "2025-06-01T10:00:00.000Z",
+      nextFetchAt: "2025-06-01T10:15:00.000Z",
+    });
+
+    // Within the interval the remote is not contacted
+    pushUpstream("Second commit");
+    now += 5 * MINUTE;
+    expect(await fetcher.fetch(projectPath)).toMatchObject({ status: "fetched", fetched: false });
+    expect(git("rev-list --count HEAD..origin/main", projectPath)).toBe("0");
+
+    // A restarted monitor shares the throttle through the state file
+    const restarted = new RemoteFetcher({ interval: 15 * MINUTE, file, now: () => now });
+    expect((await restarted.fetch(projectPath)).fetched).toBe(false);
+
+    now += 10 * MINUTE;
+    expect(await restarted.fetch(projectPath)).toMatchObject({
+      fetched: true,
+      lastFetchAt: "2025-06-01T10:15:00.000Z",
+    });
+    expect(git("rev-list --count HEAD..origin/main", projectPath)).toBe("1");
+
+    // Forcing skips the throttle; repositories without a remote are not stale
+    pushUpstream("Third commit");
+    expect((await restarted.fetch(projectPath, { force: true })).fetched).toBe(true);
+    expect(git("rev-list --count HEAD..origin/main", projectPath)).toBe("2");
+    git("remote remove origin", upstreamPath);
+    expect(await restarted.fetch(upstreamPath)).toMatchObject({
+      status: "no_remote",
+      reachable: null,
+      stale: false,
+    });
+  });
+
+  test("should mark unreachable and hanging remotes stale", async () => {
+    const fetcher = new RemoteFetcher({ interval: 15 * MINUTE, timeout: 1000, now: () => now });
+    await fetcher.fetch(projectPath);
+
+    // Nothing listens on port 1
+    git("remote set-url origin http://127.0.0.1:1/shop.git", projectPath);
+    now += 15 * MINUTE;
+    expect(await fetcher.fetch(projectPath)).toMatchObject({
+      status: "unreachable",
+      reachable: false,
+      stale: true,
+      lastFetchAt: "2025-06-01T10:00:00.000Z",
+      lastAttemptAt: "2025-06-01T10:15:00.000Z",
+    });
+
+    // A remote that accepts the connection but never answers hits the timeout
+    const sockets = new Set();
+    server = net.createServer((socket) => sockets.add(socket));
+    server.on("close", () => {
+      for (const socket of sockets) socket.destroy();
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    git(`remote set-url origin http://127.0.0.1:${server.address().port}/shop.git`, projectPath);
+
+    const startedAt = Date.now();
+    expect(await fetcher.fetch(projectPath, { force: true })).toMatchObject({
+      status: "unreachable",
+      stale: true,
+      error: "Fetch from origin timed out after 1000ms",
+    });
+    expect(Date.now() - startedAt).toBeLessThan(5000);
+    for (const socket of sockets) socket.destroy();
+  }, 15000);
+
+  test("should keep scanning from the last fetch and fetch everything on request", async () => {
+    controller = new PortfolioMasterController({
+      workingDir: tempDir,
+      dataDir: path.join(tempDir, "data"),
+      alerts: new AlertManager(),
+      config: {
+        directories: { tracked: [path.join(tempDir, "projects")] },
+        git: { fetchInterval: 15 * MINUTE, remoteTimeout: 2000 },
+        logging: { level: "error" },
+      },
+    });
+    const reports = [];
+    controller.on("activity_update", ({ data }) => reports.push(data));
+    await controller.discoverProjects();
+    const shop = [...controller.projectRegistry.values()].find(({ name }) => name === "shop");
+    await controller.startProjectMonitor(shop.id, shop);
+
+    await controller.runProjectScan(shop.id);
+    await vi.waitFor(() => expect(reports).toHaveLength(1));
+    expect(reports[0].git.remote).toMatchObject({ status: "fetched", stale: false });
+
+    // The next scan is within the fetch interval and counts from the old refs
+    pushUpstream("Second commit");
+    await controller.runProjectScan(shop.id);
+    await vi.waitFor(() => expect(reports).toHaveLength(2));
+    expect(reports[1].git.commitsBehind).toBe(0);
+
+    const dashboard = new DashboardServer({
+      dataDir: "/nonexistent",
+      store: controller.store,
+      masterController: controller,
+    });
+    const res = { setHeader() {} };
+    res.writeHead = (statusCode) => {
+      res.statusCode = statusCode;
+    };
+    res.end = (data) => {
+      res.body = JSON.parse(data);
+    };
+
+    controller.scheduler.start();
+    await vi.waitFor(() => expect(reports).toHaveLength(3));
+    await dashboard.handleApiRequest({ method: "POST", headers: {} }, res, "/api/fetch");
+    expect(res.body).toMatchObject({ success: true, fetched: 1, stale: 0 });
+    expect(res.body.data).toEqual([expect.objectContaining({ project: shop.id, fetched: true })]);
+
+    // The commit status is rescanned from the fresh refs
+    await vi.waitFor(() =>
+      expect(reports.at(-1)).toMatchObject({ incremental: ["commits"], git: { commitsBehind: 1 } }),
+    );
+
+    // A remote gone offline leaves the scan working, marked stale
+    git("remote set-url origin http://127.0.0.1:1/shop.git", projectPath);
+    await dashboard.handleApiRequest({ method: "POST", headers: {} }, res, "/api/fetch");
+    expect(res.body).toMatchObject({ fetched: 0, stale: 1 });
+    await controller.runProjectScan(shop.id);
+    expect(reports.at(-1).git).toMatchObject({
+      commitsBehind: 1,
+      remote: { status: "unreachable", stale: true },
+    });
+    expect((await dashboard.loadLatestProjectData(shop.id)).git.remote).toMatchObject({
+      stale: true,
+    });
+  }, 30000);
+});
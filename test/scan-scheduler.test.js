@@ -0,0 +1,199 @@
+/**
+ * Scan Scheduler Tests
+ *
+ * Bounded concurrency, priority order, jitter, backoff and scan-now requests
+ */
+
+import { afterEach, beforeEach, describe, expect, test, vi } from "vitest";
+
+const ScanScheduler = require("../lib/monitor/scan-scheduler");
+const DashboardServer = require("../lib/dashboard/server");
+
+const MINUTE = 60 * 1000;
+
+describe("Scan Scheduler", () => {
+  let started;
+  let pending;
+  let scheduler;
+
+  // Each scan stays running until the test finishes it
+  const runScan = (project) =>
+    new Promise((resolve, reject) => {
+      started.push(project);
+      pending.set(project, { resolve, reject });
+    });
+
+  const finish = async (project, error) => {
+    const scan = pending.get(project);
+    pending.delete(project);
+    if (error) {
+      scan.reject(error);
+    } else {
+      scan.resolve();
+    }
+    await vi.advanceTimersByTimeAsync(0);
+  };
+
+  beforeEach(() => {
+    vi.useFakeTimers({ now: new Date("2025-06-01T10:00:00Z") });
+    started = [];
+    pending = new Map();
+  });
+
+  afterEach(async () => {
+    const stopped = scheduler?.stop();
+    for (const project of [...pending.keys()]) {
+      await finish(project);
+    }
+    await stopped;
+    vi.useRealTimers();
+  });
+
+  test("should run due scans by priority without exceeding the concurrency", async () => {
+    scheduler = new ScanScheduler({ concurrency: 2, jitter: 0, runScan });
+    scheduler.add("docs", { priority: "LOW" });
+    scheduler.add("blog", { priority: "MEDIUM" });
+    scheduler.add("shop", { priority: "HIGH" });
+    scheduler.add("api", { priority: "HIGH" });
+    expect(started).toEqual([]);
+
+    scheduler.start();
+    await vi.advanceTimersByTimeAsync(0);
+    expect(started).toEqual(["shop", "api"]);
+
+    // A scan-now request jumps ahead of the higher priority queue
+    scheduler.scanNow("docs");
+    await finish("shop");
+    expect(started).toEqual(["shop", "api", "docs"]);
+    await finish("api");
+    expect(started).toEqual(["shop", "api", "docs", "blog"]);
+    await finish("docs");
+    await finish("blog");
+
+    // Each project comes back after its own interval
+    await vi.advanceTimersByTimeAsync(2 * MINUTE);
+    expect(started.slice(4)).toEqual(["shop", "api"]);
+    expect(scheduler.status().find((entry) => entry.project === "docs")).toMatchObject({
+      running: false,
+      failures: 0,
+      nextRunAt: "2025-06-01T10:15:00.000Z",
+    });
+    expect(scheduler.scanNow("unknown")).toBe(false);
+  });
+
+  test("should spread scans with jitter and back off failing projects", async () => {
+    const failures = [];
+    scheduler = new ScanScheduler({
+      concurrency: 1,
+      jitter: 0.1,
+      maxBackoff: 15 * MINUTE,
+      random: () => 1,
+      runScan,
+    });
+    scheduler.on("scan_failed", (event) => failures.push(event));
+    scheduler.add("shop", { priority: "HIGH" });
+    scheduler.start();
+    await vi.advanceTimersByTimeAsync(0);
+
+    // A successful scan is due again after the interval plus up to 10%
+    await finish("shop");
+    expect(scheduler.status()[0].nextRunAt).toBe("2025-06-01T10:02:12.000Z");
+
+    // Failures double the delay each time, up to maxBackoff
+    await vi.advanceTimersByTimeAsync(132 * 1000);
+    await finish("shop", new Error("fatal: not a git repository"));
+    expect(failures.at(-1)).toMatchObject({ project: "shop", failures: 1 });
+    expect(scheduler.status()[0]).toMatchObject({
+      failures: 1,
+      lastError: "fatal: not a git repository",
+      nextRunAt: "2025-06-01T10:06:36.000Z",
+    });
+
+    await vi.advanceTimersByTimeAsync(264 * 1000);
+    await finish("shop", new Error("still broken"));
+    await vi.advanceTimersByTimeAsync(528 * 1000);
+    await finish("shop", new Error("still broken"));
+    await vi.advanceTimersByTimeAsync(990 * 1000);
+    await finish("shop", new Error("still broken"));
+    expect(failures.map((event) => event.retryAt)).toEqual([
+      "2025-06-01T10:06:36.000Z",
+      "2025-06-01T10:15:24.000Z",
+      "2025-06-01T10:31:54.000Z",
+      "2025-06-01T10:48:24.000Z",
+    ]);
+
+    // One good scan restores the normal interval
+    await vi.advanceTimersByTimeAsync(990 * 1000);
+    await finish("shop");
+    expect(scheduler.status()[0]).toMatchObject({ failures: 0, lastError: null });
+    expect(started).toHaveLength(6);
+  });
+
+  test("should run incremental scans without moving the next full scan", async () => {
+    const requests = [];
+    scheduler = new ScanScheduler({
+      concurrency: 1,
+      jitter: 0,
+      runScan: (project, options) => {
+        requests.push(options);
+        return runScan(project);
+      },
+    });
+    scheduler.add("shop", { priority: "MEDIUM", interval: 30 * MINUTE });
+    scheduler.start();
+    await vi.advanceTimersByTimeAsync(0);
+
+    // Requests that arrive during a scan are merged into one incremental scan
+    scheduler.scanNow("shop", { analyzers: ["status"] });
+    scheduler.scanNow("shop", { analyzers: ["branch", "status"] });
+    expect(scheduler.status()[0].pendingAnalyzers).toEqual(["status", "branch"]);
+    await finish("shop");
+    await finish("shop", new Error("git status failed"));
+
+    expect(requests).toEqual([{}, { analyzers: ["status", "branch"] }]);
+    expect(scheduler.status()[0]).toMatchObject({
+      failures: 0,
+      pendingAnalyzers: [],
+      nextRunAt: "2025-06-01T10:30:00.000Z",
+    });
+  });
+
+  test("should queue scans and report the queue through the API", async () => {
+    scheduler = new ScanScheduler({ concurrency: 1, jitter: 0, runScan });
+    scheduler.add("shop", { priority: "HIGH" });
+    scheduler.add("blog", { priority: "LOW" });
+    scheduler.start();
+    await vi.advanceTimersByTimeAsync(0);
+
+    const server = new DashboardServer({
+      dataDir: "/nonexistent",
+      masterController: { scheduler, scanNow: (project) => scheduler.scanNow(project) },
+    });
+    const call = async (method, url) => {
+      const res = { setHeader() {} };
+      res.writeHead = (statusCode) => {
+        res.statusCode = statusCode;
+      };
+      res.end = (data) => {
+        res.body = JSON.parse(data);
+      };
+      await server.handleApiRequest({ method, url, headers: {} }, res, url);
+      return res;
+    };
+
+    expect((await call("POST", "/api/projects/blog/scan")).body.message).toBe(
+      "Scan of blog queued",
+    );
+    expect((await call("POST", "/api/projects/nope/scan")).statusCode).toBe(404);
+    expect((await call("GET", "/api/projects/blog/scan")).statusCode).toBe(405);
+
+    const queue = await call("GET", "/api/scans");
+    expect(queue.body).toMatchObject({ running: 1, concurrency: 1 });
+    expect(queue.body.data.map((entry) => [entry.project, entry.running, entry.requested])).toEqual(
+      [
+        ["shop", true, false],
+        ["blog", false, true],
+      ],
+    );
+  });
+});
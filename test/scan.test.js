@@ -0,0 +1,104 @@
+/**
+ * Headless Scan Tests
+ */
+
+import { execFileSync, execSync } from "node:child_process";
+import os from "node:os";
+import path from "node:path";
+import fs from "fs-extra";
+import { afterEach, beforeEach, describe, expect, test } from "vitest";
+
+const { PortfolioMonitor } = require("../lib");
+
+describe("Headless Scan", () => {
+  let tempDir;
+
+  const createRepo = async (name, commitDate, parentDir = tempDir) => {
+    const repoPath = path.join(parentDir, name);
+    await fs.ensureDir(repoPath);
+    await fs.writeFile(path.join(repoPath, "README.md"), `# ${name}\n`);
+    const env = { ...process.env, GIT_AUTHOR_DATE: commitDate, GIT_COMMITTER_DATE: commitDate };
+    execSync(
+      "git init -q && git add . && git -c user.name=Test -c user.email=test@example.com commit -qm init",
+      {
+        cwd: repoPath,
+        env,
+      },
+    );
+    return repoPath;
+  };
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "gpm-scan-test-"));
+    await createRepo("fresh-app", new Date().toISOString());
+  });
+
+  afterEach(async () => {
+    if (tempDir) {
+      await fs.remove(tempDir);
+    }
+  });
+
+  test("should scan every discovered project once and summarize health", async () => {
+    const monitor = new PortfolioMonitor({ workingDir: tempDir });
+    await monitor.initialize();
+
+    const scanned = [];
+    const report = await monitor.scanHealth({
+      onProjectScanned: (result) => scanned.push(result.name),
+    });
+
+    const freshApp = report.projects.find((p) => p.name === "fresh-app");
+    expect(freshApp).toBeDefined();
+    expect(freshApp.status).toBe("healthy");
+    expect(freshApp.scan.git.hasGit).toBe(true);
+    expect(scanned).toContain("fresh-app");
+    expect(report.summary.total).toBe(report.projects.length);
+    expect(report.summary.critical).toBe(0);
+    expect(monitor.dashboardServer.server).toBeFalsy();
+  });
+
+  test("should only scan Git repositories and create no data or log directories", async () => {
+    await fs.outputFile(path.join(tempDir, "notes", "todo.md"), "# Todo\n");
+
+    const output = execFileSync(
+      process.execPath,
+      [path.join(__dirname, "..", "bin", "git-portfolio-manager.js"), "scan", "--format", "json"],
+      { cwd: tempDir, stdio: ["ignore", "pipe", "ignore"] },
+    ).toString();
+
+    const report = JSON.parse(output);
+    expect(report.projects.map((p) => p.name)).toEqual(["fresh-app"]);
+    expect((await fs.readdir(tempDir)).sort()).toEqual(["fresh-app", "notes"]);
+  }, 30000);
+
+  test("should key results by project ID and write nothing to the data directory", async () => {
+    // Two checkouts both named app, in different client directories
+    const clientA = path.join(tempDir, "client-a");
+    const clientB = path.join(tempDir, "client-b");
+    await fs.move(path.join(tempDir, "fresh-app"), path.join(clientA, "app"));
+    await createRepo("app", new Date().toISOString(), clientB);
+
+    const dataDir = path.join(tempDir, "data");
+    await fs.writeFile(
+      path.join(tempDir, "portfolio-monitor.yml"),
+      [
+        "directories:",
+        `  include: [${JSON.stringify(clientA)}, ${JSON.stringify(clientB)}]`,
+        "data:",
+        `  directory: ${JSON.stringify(dataDir)}`,
+      ].join("\n"),
+    );
+
+    const monitor = new PortfolioMonitor({ workingDir: tempDir });
+    await monitor.initialize();
+    const report = await monitor.scanHealth();
+
+    expect(report.projects).toHaveLength(2);
+    const ids = report.projects.map((p) => p.project);
+    expect(new Set(ids).size).toBe(2);
+    expect(ids).not.toContain("app");
+    expect(report.projects.map((p) => p.name).sort()).toEqual(["app (client-a)", "app (client-b)"]);
+    expect(await fs.readdir(dataDir)).toEqual([]);
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Time-Series Store Tests
+ */
+
+import os from "node:os";
+import path from "node:path";
+import fs from "fs-extra";
+import { afterEach, beforeEach, describe, expect, test } from "vitest";
+
+const TimeSeriesStore = require("../lib/storage/time-series-store");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.parse("2025-06-15T12:00:00Z");
+
+describe("Time-Series Store", () => {
+  let tempDir;
+  let store;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "gpm-store-test-"));
+    store = new TimeSeriesStore({ dataDir: tempDir, retentionDays: 7 });
+  });
+
+  afterEach(async () => {
+    if (tempDir) {
+      await fs.remove(tempDir);
+    }
+  });
+
+  test("should append records and return the latest", () => {
+    store.append("alpha", "health", { status: "healthy" }, NOW - 2 * DAY_MS);
+    store.append("alpha", "health", { status: "attention" }, NOW - 1000);
+    store.append("alpha", "health", { status: "critical" }, NOW);
+
+    expect(store.latest("alpha", "health")).toEqual({
+      timestamp: NOW,
+      data: { status: "critical" },
+    });
+    expect(store.latest("alpha", "activity")).toBeNull();
+    expect(store.listProjects()).toEqual(["alpha"]);
+    expect(store.listMetrics("alpha")).toEqual(["health"]);
+  });
+
+  test("should read the latest record when a character spans two read chunks", () => {
+    // Records longer than the 64 KB chunks read from the end of a segment; one
+    // of the two paddings puts a two-byte character across the chunk boundary
+    for (const padding of ["", "a"]) {
+      const text = `${"é".repeat(40000)}${padding}`;
+      store.append(`alpha${padding}`, "health", { text }, NOW);
+      expect(store.latest(`alpha${padding}`, "health").data.text).toBe(text);
+    }
+  });
+
+  test("should query a time range across segments", () => {
+    for (let day = 5; day >= 0; day--) {
+      store.append("alpha", "health", { day }, NOW - day * DAY_MS);
+    }
+
+    const records = store.query("alpha", "health", { from: NOW - 3 * DAY_MS, to: NOW - DAY_MS });
+    expect(records.map((r) => r.data.day)).toEqual([3, 2, 1]);
+
+    const newest = store.query("alpha", "health", { limit: 2 });
+    expect(newest.map((r) => r.data.day)).toEqual([1, 0]);
+  });
+
+  test("should drop segments outside the retention window", () => {
+    store.append("alpha", "health", { old: true }, NOW - 10 * DAY_MS);
+    store.append("alpha", "health", { old: false }, NOW);
+    store.append("beta", "alerts", { old: true }, NOW - 9 * DAY_MS);
+
+    expect(store.enforceRetention(NOW)).toBe(2);
+    expect(store.query("alpha", "health").map((r) => r.data.old)).toEqual([false]);
+    expect(store.listProjects()).toEqual(["alpha"]);
+  });
+
+  test("should compress closed segments and keep them queryable", () => {
+    store.append("alpha", "activity", { n: 1 }, NOW - DAY_MS);
+    store.append("alpha", "activity", { n: 2 }, NOW);
+    const metricDir = path.join(tempDir, "timeseries", "alpha", "activity");
+    fs.appendFileSync(path.join(metricDir, "2025-06-14.ndjson"), '{"ts": 17');
+
+    expect(store.compact(NOW)).toBe(1);
+    expect(fs.readdirSync(metricDir).sort()).toEqual(["2025-06-14.ndjson.gz", "2025-06-15.ndjson"]);
+    expect(store.query("alpha", "activity").map((r) => r.data.n)).toEqual([1, 2]);
+
+    // Late appends to a compacted day are merged on the next compaction
+    store.append("alpha", "activity", { n: 3 }, NOW - DAY_MS + 1000);
+    expect(store.compact(NOW)).toBe(1);
+    expect(store.query("alpha", "activity").map((r) => r.data.n)).toEqual([1, 3, 2]);
+  });
+
+  test("should leave closed segments uncompressed when compression is disabled", () => {
+    store = new TimeSeriesStore({ dataDir: tempDir, compressionEnabled: false });
+    store.append("alpha", "activity", { n: 1 }, NOW - DAY_MS);
+
+    expect(store.compact(NOW)).toBe(0);
+    expect(fs.readdirSync(path.join(tempDir, "timeseries", "alpha", "activity"))).toEqual([
+      "2025-06-14.ndjson",
+    ]);
+  });
+
+  test("should migrate legacy snapshot files", async () => {
+    const projectDir = path.join(tempDir, "alpha");
+    await fs.ensureDir(projectDir);
+    await fs.writeJson(path.join(projectDir, `health-${NOW - DAY_MS}.json`), {
+      status: "attention",
+    });
+    await fs.writeJson(path.join(projectDir, `health-${NOW}.json`), { status: "healthy" });
+    await fs.writeJson(path.join(projectDir, `activity-${NOW - 30 * DAY_MS}.json`), {
+      stale: true,
+    });
+    await fs.ensureDir(path.join(tempDir, "reports"));
+    // A directory the store cannot hold a project for does not stop the others
+    const invalid = path.join(tempDir, ".cache", `health-${NOW}.json`);
+    await fs.outputJson(invalid, { status: "healthy" });
+
+    const result = store.migrateSnapshots(NOW);
+
+    expect(result).toEqual({
+      projects: 2,
+      imported: 2,
+      discarded: 1,
+      failed: [{ file: invalid, error: expect.stringContaining("Invalid project name") }],
+    });
+    expect(fs.existsSync(invalid)).toBe(true);
+    expect(fs.existsSync(projectDir)).toBe(false);
+    expect(fs.existsSync(path.join(tempDir, "reports"))).toBe(true);
+    expect(store.latest("alpha", "health").data).toEqual({ status: "healthy" });
+    expect(store.latest("alpha", "activity")).toBeNull();
+  });
+
+  test("should reject project names that escape the store", () => {
+    expect(() => store.append("../outside", "health", {})).toThrow("Invalid project name");
+  });
+});
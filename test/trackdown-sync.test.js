@@ -0,0 +1,327 @@
+/**
+ * TrackDown ↔ GitHub Sync Tests
+ *
+ * Per-project sync driven through the TrackDown manager with a stand-in GitHub client
+ */
+
+import { execSync } from "node:child_process";
+import os from "node:os";
+import path from "node:path";
+import fs from "fs-extra";
+import { afterEach, beforeEach, describe, expect, test } from "vitest";
+
+const TrackDownManager = require("../lib/trackdown/trackdown-manager");
+const GitHubClient = require("../lib/github/github-client");
+const { ValidationError } = require("../lib/utils/error-handler");
+
+const LOCAL_BACKLOG = `# app Project Backlog
+
+## APP-1: Local task
+
+**Status**: TODO
+**Priority**: HIGH
+**Story Points**: 3
+
+Write the docs
+`;
+
+const createGitHubClient = (issues) => ({
+  issues,
+  requests: [],
+  parseRepositoryFromUrl: GitHubClient.prototype.parseRepositoryFromUrl,
+  async getAllIssues(owner, repo) {
+    this.requests.push(`GET ${owner}/${repo}`);
+    return { success: true, issues: this.issues };
+  },
+  async createIssue(owner, repo, data) {
+    this.requests.push(`POST ${owner}/${repo}`);
+    const issue = {
+      number: 100 + this.issues.length,
+      title: data.title,
+      body: data.body,
+      state: "open",
+      labels: [],
+      updated_at: new Date().toISOString(),
+      html_url: `https://github.com/${owner}/${repo}/issues/${100 + this.issues.length}`,
+    };
+    this.issues.push(issue);
+    return { success: true, issue };
+  },
+  async updateIssue(owner, repo, number, updates) {
+    this.requests.push(`PATCH ${owner}/${repo}#${number}`);
+    const issue = this.issues.find((i) => i.number === number);
+    Object.assign(issue, updates, { updated_at: new Date().toISOString() });
+    if (updates.labels) {
+      issue.labels = updates.labels.map((name) => ({ name }));
+    }
+    return { success: true, issue };
+  },
+});
+
+describe("TrackDown GitHub Sync", () => {
+  let tempDir;
+  let dataDir;
+  let githubClient;
+  let manager;
+
+  const createProject = async (name, remote) => {
+    const projectPath = path.join(tempDir, name);
+    await fs.outputFile(path.join(projectPath, "trackdown", "BACKLOG.md"), LOCAL_BACKLOG);
+    execSync("git init -q", { cwd: projectPath });
+    if (remote) {
+      execSync(`git remote add origin ${remote}`, { cwd: projectPath });
+    }
+    return projectPath;
+  };
+
+  const readBacklog = (name) =>
+    fs.readFileSync(path.join(tempDir, name, "trackdown", "BACKLOG.md"), "utf8");
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "gpm-trackdown-sync-test-"));
+    dataDir = path.join(tempDir, "data");
+    await createProject("app", "git@github.com:acme/app.git");
+    await createProject("notes", null);
+
+    githubClient = createGitHubClient([
+      {
+        number: 7,
+        title: "Crash on start",
+        body: "Stack trace attached",
+        state: "open",
+        labels: [{ name: "priority-high" }],
+        updated_at: "2025-06-01T10:00:00Z",
+        html_url: "https://github.com/acme/app/issues/7",
+      },
+    ]);
+    manager = new TrackDownManager({ projectsBasePath: tempDir, dataDir, githubClient });
+  });
+
+  afterEach(async () => {
+    if (tempDir) {
+      await fs.remove(tempDir);
+    }
+  });
+
+  test("should sync each project with the repository of its origin remote", async () => {
+    const result = await manager.syncProjects({ direction: "both" });
+
+    const app = result.projects.find((p) => p.project === "app");
+    expect(app).toMatchObject({
+      repository: "acme/app",
+      status: "synced",
+      imported: 1,
+      exported: 1,
+    });
+    expect(githubClient.requests).toContain("POST acme/app");
+
+    const notes = result.projects.find((p) => p.project === "notes");
+    expect(notes.status).toBe("skipped");
+    expect(notes.reason).toBe("No GitHub origin remote");
+    expect(result.totals.errors).toBe(0);
+
+    const backlog = readBacklog("app");
+    expect(backlog).toContain("### GH-7: Crash on start");
+    expect(backlog).toContain("**GitHub**: [#7](https://github.com/acme/app/issues/7)");
+    expect(backlog).toContain("### APP-1: Local task");
+    expect(backlog).toContain("**Story Points**: 3");
+
+    // Running again finds nothing new: the exported issue is not re-imported
+    const again = await manager.syncProjects({ direction: "both", projects: ["app"] });
+    expect(again.projects).toHaveLength(1);
+    expect(again.totals).toMatchObject({ imported: 0, exported: 0, updated: 0 });
+  });
+
+  test("should key projects by project ID so checkouts with the same name stay apart", async () => {
+    await createProject(path.join("client-a", "app"), "git@github.com:client-a/app.git");
+    await createProject(path.join("client-b", "app"), "git@github.com:client-b/app.git");
+
+    const apps = (await manager.getProjects()).filter((p) => p.name === "app");
+    expect(apps).toHaveLength(3);
+    expect(new Set(apps.map((p) => p.id)).size).toBe(3);
+
+    const clientA = apps.find((p) => p.path === path.join(tempDir, "client-a", "app"));
+    const tickets = await manager.getTickets({ projects: [clientA.id] });
+    expect(tickets).toEqual([
+      expect.objectContaining({ id: "APP-1", project: clientA.id, projectName: "app" }),
+    ]);
+
+    const result = await manager.syncProjects({ direction: "import", projects: [clientA.id] });
+    expect(result.projects).toEqual([
+      expect.objectContaining({ project: clientA.id, name: "app", repository: "client-a/app" }),
+    ]);
+    expect(githubClient.requests).toEqual(["GET client-a/app"]);
+  });
+
+  test("should keep the sync state with the monitoring data, not in the project", async () => {
+    const statePath = path.join(dataDir, "sync-state", "app.json");
+    const legacyPath = path.join(tempDir, "app", "trackdown", ".sync-state.json");
+    await manager.syncProjects({ direction: "both", projects: ["app"] });
+    expect(fs.existsSync(statePath)).toBe(true);
+    expect(fs.existsSync(legacyPath)).toBe(false);
+
+    // State where earlier versions kept it is still the sync base, and moves on the next sync
+    await fs.move(statePath, legacyPath);
+    const again = await manager.syncProjects({ direction: "both", projects: ["app"] });
+    expect(again.totals).toMatchObject({ imported: 0, exported: 0, updated: 0 });
+    expect(fs.existsSync(statePath)).toBe(true);
+    expect(fs.existsSync(legacyPath)).toBe(false);
+  });
+
+  test("should plan a dry run without writing and apply exactly that plan", async () => {
+    const preview = await manager.syncProjects({ direction: "both", dryRun: true });
+
+    expect(preview.dryRun).toBe(true);
+    expect(preview.totals).toMatchObject({ imported: 1, exported: 1 });
+    expect(githubClient.requests).toEqual(["GET acme/app"]);
+    expect(readBacklog("app")).toBe(LOCAL_BACKLOG);
+
+    const app = preview.projects.find((p) => p.project === "app");
+    expect(app.status).toBe("planned");
+    expect(app.actions.map((a) => `${a.type} ${a.ticketId}`)).toEqual([
+      "import GH-7",
+      "create-issue APP-1",
+    ]);
+    expect(app.diff).toContain("--- a/trackdown/BACKLOG.md");
+    expect(app.diff).toContain("+### GH-7: Crash on start");
+
+    const applied = await manager.applySyncPlan(preview.planId);
+    expect(applied.totals).toMatchObject({ imported: 1, exported: 1, errors: 0 });
+    expect(readBacklog("app")).toContain("### GH-7: Crash on start");
+    expect(githubClient.requests.filter((r) => r.startsWith("POST"))).toHaveLength(1);
+
+    // A plan can only be applied once
+    await expect(manager.applySyncPlan(preview.planId)).rejects.toThrow("not found");
+  });
+
+  test("should refuse to apply a plan when the backlog changed after planning", async () => {
+    const preview = await manager.syncProjects({ direction: "import", dryRun: true });
+    const backlogPath = path.join(tempDir, "app", "trackdown", "BACKLOG.md");
+    await fs.appendFile(backlogPath, "Edited meanwhile\n");
+
+    const applied = await manager.applySyncPlan(preview.planId);
+
+    const app = applied.projects.find((p) => p.project === "app");
+    expect(app.status).toBe("outdated");
+    expect(fs.readFileSync(backlogPath, "utf8")).not.toContain("GH-7");
+  });
+
+  const editBacklog = (name, from, to) => {
+    const backlogPath = path.join(tempDir, name, "trackdown", "BACKLOG.md");
+    fs.writeFileSync(backlogPath, fs.readFileSync(backlogPath, "utf8").replace(from, to));
+  };
+
+  const editIssue = (number, changes) => {
+    const issue = githubClient.issues.find((i) => i.number === number);
+    Object.assign(issue, changes, { updated_at: new Date(Date.now() + 60000).toISOString() });
+  };
+
+  test("should merge one-sided changes and queue conflicting fields for a human", async () => {
+    await manager.syncProjects({ direction: "both", projects: ["app"] });
+    const exported = githubClient.issues.find((i) => i.title === "Local task");
+
+    editBacklog("app", "### APP-1: Local task", "### APP-1: Local task v2");
+    editIssue(exported.number, { title: "Remote title", state: "closed" });
+
+    const result = await manager.syncProjects({ direction: "both", projects: ["app"] });
+    // The ticket follows the closed issue, whose TrackDown footer then picks up the new status
+    expect(result.totals).toMatchObject({ updated: 2, conflicts: 1, errors: 0 });
+    expect(readBacklog("app")).toContain("### APP-1: Local task v2");
+    expect(readBacklog("app")).toContain("**Status**: DONE");
+    expect(exported.title).toBe("Remote title");
+
+    const conflicts = await manager.getSyncConflicts();
+    expect(conflicts).toEqual([
+      expect.objectContaining({
+        project: "app",
+        id: "APP-1:title",
+        base: "Local task",
+        trackdown: "Local task v2",
+        github: "Remote title",
+      }),
+    ]);
+
+    await expect(manager.resolveSyncConflict("app", "APP-1:title", "both")).rejects.toThrow(
+      ValidationError,
+    );
+    await manager.resolveSyncConflict("app", "APP-1:title", "github");
+
+    const resolved = await manager.syncProjects({ direction: "both", projects: ["app"] });
+    expect(resolved.totals).toMatchObject({ updated: 1, conflicts: 0 });
+    expect(readBacklog("app")).toContain("### APP-1: Remote title");
+    expect(await manager.getSyncConflicts()).toEqual([]);
+  });
+
+  test("should settle conflicts with the configured policy", async () => {
+    manager = new TrackDownManager({
+      projectsBasePath: tempDir,
+      dataDir,
+      githubClient,
+      config: {
+        github: {
+          sync: { conflictPolicy: "github-wins", fieldPolicies: { title: "trackdown-wins" } },
+        },
+      },
+    });
+    await manager.syncProjects({ direction: "both", projects: ["app"] });
+
+    editBacklog("app", "### GH-7: Crash on start", "### GH-7: Crash when starting");
+    editBacklog("app", "Stack trace attached", "Local notes");
+    editIssue(7, { title: "Crash on launch", body: "Remote notes" });
+
+    const preview = await manager.syncProjects({
+      direction: "both",
+      dryRun: true,
+      projects: ["app"],
+    });
+    const actions = preview.projects[0].actions;
+    expect(actions.find((a) => a.type === "update-ticket").changes).toEqual([
+      { field: "description", from: "Local notes", to: "Remote notes", resolvedBy: "github-wins" },
+    ]);
+    expect(actions.find((a) => a.type === "update-issue").updates).toEqual({
+      title: "Crash when starting",
+    });
+
+    await manager.applySyncPlan(preview.planId);
+    expect(githubClient.issues[0]).toMatchObject({
+      title: "Crash when starting",
+      body: "Remote notes",
+    });
+    expect(readBacklog("app")).toContain("Remote notes");
+  });
+
+  test("should take conflict policies and import filters for a single sync", async () => {
+    const sync = manager.createSyncService(path.join(tempDir, "app"));
+    sync.detectRepository();
+
+    const filtered = await sync.createPlan("import", { labels: ["bug"] });
+    expect(filtered.actions).toEqual([]);
+    expect(filtered.skipped).toBe(1);
+    expect((await sync.createPlan("import", { labels: ["priority-high"] })).actions).toEqual([
+      expect.objectContaining({ type: "import", issueNumber: 7 }),
+    ]);
+
+    await manager.syncProjects({ direction: "both", projects: ["app"] });
+    editBacklog("app", "### GH-7: Crash on start", "### GH-7: Crash when starting");
+    editIssue(7, { title: "Crash on launch" });
+
+    expect((await sync.createPlan("both")).conflicts).toHaveLength(1);
+    const plan = await sync.createPlan("both", { conflictPolicy: "trackdown-wins" });
+    expect(plan.conflicts).toEqual([]);
+    expect(plan.actions.find((a) => a.type === "update-issue").updates).toEqual({
+      title: "Crash when starting",
+    });
+
+    await expect(
+      sync.createPlan("both", { fieldPolicies: { title: "coin-flip" } }),
+    ).rejects.toThrow(ValidationError);
+  });
+
+  test("should only import when the direction is import", async () => {
+    const result = await manager.syncProjects({ direction: "import" });
+
+    expect(result.totals).toMatchObject({ imported: 1, exported: 0 });
+    expect(githubClient.requests).not.toContain("POST acme/app");
+    await expect(manager.syncProjects({ direction: "sideways" })).rejects.toThrow(ValidationError);
+  });
+});
@@ -0,0 +1,37 @@
+/**
+ * Unified Diff Tests
+ */
+
+import { describe, expect, test } from "vitest";
+
+const { createUnifiedDiff } = require("../lib/utils/unified-diff");
+
+describe("Unified Diff", () => {
+  test("should produce hunks with context around changes", () => {
+    const before = ["a", "b", "c", "d", "e", "f", "g", "h", "i", "j"].join("\n");
+    const after = ["a", "B", "c", "d", "e", "f", "g", "h", "i", "j", "k"].join("\n");
+
+    expect(createUnifiedDiff(`${before}\n`, `${after}\n`, { context: 1 })).toBe(
+      [
+        "--- a",
+        "+++ b",
+        "@@ -1,3 +1,3 @@",
+        " a",
+        "-b",
+        "+B",
+        " c",
+        "@@ -10 +10,2 @@",
+        " j",
+        "+k",
+        "",
+      ].join("\n"),
+    );
+  });
+
+  test("should diff against a missing file and return nothing for equal texts", () => {
+    expect(createUnifiedDiff(null, "one\ntwo\n", { toFile: "b/new.md" })).toBe(
+      "--- /dev/null\n+++ b/new.md\n@@ -0,0 +1,2 @@\n+one\n+two\n",
+    );
+    expect(createUnifiedDiff("same\n", "same\n")).toBe("");
+  });
+});
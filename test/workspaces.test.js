@@ -0,0 +1,267 @@
+/**
+ * Workspace Tests
+ *
+ * Monorepo packages are found from each tool's workspace manifest and get
+ * their own activity, uncommitted changes and owners from path-scoped history
+ */
+
+import { execSync } from "node:child_process";
+import path from "node:path";
+import fs from "fs-extra";
+import { afterEach, beforeEach, describe, expect, test } from "vitest";
+import { createTempDir, git, initRepository } from "./helpers/git";
+
+const ProjectMonitor = require("../lib/monitor/project-monitor");
+const { detectWorkspace } = require("../lib/discovery/workspace-detector");
+
+describe("Workspaces", () => {
+  let tempDir;
+
+  const write = (file, content) =>
+    typeof content === "string"
+      ? fs.outputFile(path.join(tempDir, file), content)
+      : fs.outputJson(path.join(tempDir, file), content);
+
+  const packagesOf = async (options) =>
+    (await detectWorkspace(tempDir, options))?.packages.map(({ name, path }) => [name, path]);
+
+  beforeEach(async () => {
+    tempDir = await createTempDir("workspaces");
+  });
+
+  afterEach(async () => {
+    if (tempDir) {
+      await fs.remove(tempDir);
+    }
+  });
+
+  test("should list npm, yarn and pnpm workspace packages", async () => {
+    await write("package.json", { name: "shop", workspaces: ["packages/*", "!packages/legacy"] });
+    await write("packages/api/package.json", { name: "@shop/api" });
+    await write("packages/web/package.json", { name: "@shop/web" });
+    await write("packages/legacy/package.json", { name: "@shop/legacy" });
+    await write("packages/docs/README.md", "No manifest, no package\n");
+    await write("packages/web/node_modules/dep/package.json", { name: "dep" });
+
+    expect(await detectWorkspace(tempDir)).toMatchObject({
+      tool: "npm",
+      tools: ["npm"],
+      manifest: "package.json",
+      truncated: false,
+    });
+    expect(await packagesOf()).toEqual([
+      ["@shop/api", "packages/api"],
+      ["@shop/web", "packages/web"],
+    ]);
+
+    // yarn's object form, with Turborepo on top
+    await write("package.json", { workspaces: { packages: ["packages/*"] } });
+    await write("yarn.lock", "");
+    await write("turbo.json", {});
+    expect(await detectWorkspace(tempDir)).toMatchObject({
+      tool: "yarn",
+      tools: ["yarn", "turbo"],
+    });
+    expect(await packagesOf({ maxPackages: 2 })).toHaveLength(2);
+    expect((await detectWorkspace(tempDir, { maxPackages: 2 })).truncated).toBe(true);
+
+    // pnpm-workspace.yaml comes first
+    await write("pnpm-workspace.yaml", "packages:\n  - 'packages/api'\n  - apps/*\n");
+    await write("apps/admin/package.json", { name: "admin" });
+    expect(await detectWorkspace(tempDir)).toMatchObject({
+      tool: "pnpm",
+      tools: ["pnpm", "turbo"],
+    });
+    expect(await packagesOf()).toEqual([
+      ["admin", "apps/admin"],
+      ["@shop/api", "packages/api"],
+    ]);
+  });
+
+  test("should list Lerna, Nx, Cargo and Go packages", async () => {
+    await write("lerna.json", { packages: ["modules/*"] });
+    await write("modules/core/package.json", { name: "core" });
+    expect(await detectWorkspace(tempDir)).toMatchObject({ tool: "lerna", tools: ["lerna"] });
+    expect(await packagesOf()).toEqual([["core", "modules/core"]]);
+    await fs.remove(path.join(tempDir, "lerna.json"));
+
+    await write("nx.json", {});
+    await write("project.json", { name: "root" });
+    await write("apps/portal/project.json", { name: "portal" });
+    await write("libs/ui/button/project.json", { name: "ui-button" });
+    expect(await detectWorkspace(tempDir)).toMatchObject({ tool: "nx", manifest: "nx.json" });
+    expect(await packagesOf()).toEqual([
+      ["portal", "apps/portal"],
+      ["ui-button", "libs/ui/button"],
+    ]);
+    await fs.remove(path.join(tempDir, "nx.json"));
+
+    await write(
+      "Cargo.toml",
+      '[workspace]\nmembers = [\n  "crates/*", # libraries\n  "cli",\n]\nexclude = ["crates/scratch"]\n\n[workspace.package]\nversion = "1.0.0"\n',
+    );
+    await write("crates/parser/Cargo.toml", '[package]\nname = "shop-parser"\n\n[dependencies]\n');
+    await write("crates/scratch/Cargo.toml", '[package]\nname = "scratch"\n');
+    await write("cli/Cargo.toml", '[package]\nname = "shop"\n');
+    expect(await detectWorkspace(tempDir)).toMatchObject({ tool: "cargo" });
+    expect(await packagesOf()).toEqual([
+      ["shop", "cli"],
+      ["shop-parser", "crates/parser"],
+    ]);
+    await fs.remove(path.join(tempDir, "Cargo.toml"));
+
+    await write("go.work", "go 1.22\n\nuse (\n\t./api\n\t./tools // helpers\n)\nuse ./worker\n");
+    await write("api/go.mod", "module example.com/shop/api\n");
+    await write("tools/go.mod", "module example.com/shop/tools\n");
+    await write("worker/go.mod", "module example.com/shop/worker\n");
+    expect(await detectWorkspace(tempDir)).toMatchObject({ tool: "go", manifest: "go.work" });
+    expect(await packagesOf()).toEqual([
+      ["example.com/shop/api", "api"],
+      ["example.com/shop/tools", "tools"],
+      ["example.com/shop/worker", "worker"],
+    ]);
+
+    // Several modules without go.work
+    await fs.remove(path.join(tempDir, "go.work"));
+    expect(await detectWorkspace(tempDir)).toMatchObject({ tool: "go", manifest: "go.mod" });
+    expect(await packagesOf()).toHaveLength(3);
+
+    // A single module is not a monorepo
+    await fs.remove(path.join(tempDir, "api"));
+    await fs.remove(path.join(tempDir, "tools"));
+    expect(await detectWorkspace(tempDir)).toBeNull();
+  });
+
+  test("should report workspace manifests in the scanned toolchain", async () => {
+    await write("package.json", { name: "shop", private: true });
+    await write("pnpm-workspace.yaml", "packages:\n  - packages/*\n");
+    await write("turbo.json", {});
+    await write("packages/api/package.json", { name: "@shop/api" });
+    initRepository(tempDir);
+
+    const monitor = new ProjectMonitor({
+      project: "shop",
+      path: tempDir,
+      config: { git: { enableRemoteCheck: false } },
+    });
+    const scan = await monitor.performScan();
+
+    expect(scan.workspace).toMatchObject({ tool: "pnpm", tools: ["pnpm", "turbo"] });
+    expect(scan.filesystem.projectType).toBe("node");
+    expect(scan.filesystem.configFiles).toEqual(
+      expect.arrayContaining(["package.json", "pnpm-workspace.yaml", "turbo.json"]),
+    );
+    expect(scan.filesystem.recentlyModified).toBe(4);
+  });
+
+  test("should give each package its own activity, changes and owners", async () => {
+    await write("package.json", { name: "shop", workspaces: ["packages/*"] });
+    await write("packages/api/package.json", { name: "@shop/api" });
+    await write("packages/web/package.json", { name: "@shop/web" });
+    await write("packages/admin/package.json", { name: "@shop/admin" });
+    git("init -q -b main", tempDir);
+    git("add -A", tempDir);
+    execSync(
+      "git -c user.name=Founder -c user.email=test@example.com commit -q -m 'Initial commit'",
+      {
+        cwd: tempDir,
+        env: {
+          ...process.env,
+          GIT_AUTHOR_DATE: "2020-01-01T10:00:00Z",
+          GIT_COMMITTER_DATE: "2020-01-01T10:00:00Z",
+        },
+      },
+    );
+
+    const commit = async (file, author) => {
+      await write(file, `${author} ${Date.now()} ${Math.random()}\n`);
+      git(`add ${file}`, tempDir);
+      git(`commit -q -m 'Change ${file}'`, tempDir, author);
+    };
+    await commit("packages/api/index.js", "Ana");
+    await commit("packages/api/routes.js", "Ana");
+    await commit("packages/api/db.js", "Ben");
+    await commit("packages/web/app.js", "Ben");
+    await write("packages/web/draft.js", "Not committed\n");
+
+    const monitor = new ProjectMonitor({
+      project: "shop",
+      path: tempDir,
+      config: { git: { enableRemoteCheck: false } },
+    });
+    const scan = await monitor.performScan();
+    const packages = Object.fromEntries(scan.workspace.packages.map((pkg) => [pkg.name, pkg]));
+
+    expect(scan.workspace).toMatchObject({ tool: "npm", ownershipDays: 90 });
+    expect(packages["@shop/api"]).toMatchObject({
+      path: "packages/api",
+      commits7d: 3,
+      commits: 3,
+      uncommittedChanges: 0,
+      owner: "Ana",
+      owners: [
+        { name: "Ana", commits: 2, share: 2 / 3 },
+        { name: "Ben", commits: 1, share: 1 / 3 },
+      ],
+    });
+    expect(packages["@shop/web"]).toMatchObject({
+      commits7d: 1,
+      uncommittedChanges: 1,
+      owner: "Ben",
+    });
+
+    // Only committed to before the ownership window
+    expect(packages["@shop/admin"]).toMatchObject({
+      commits7d: 0,
+      commits: 0,
+      owner: null,
+      owners: [],
+      lastCommitDate: "2020-01-01T10:00:00+00:00",
+    });
+
+    // Incremental scans recount without detecting the workspace again
+    await fs.remove(path.join(tempDir, "packages/web/draft.js"));
+    await commit("packages/admin/index.js", "Cy");
+    const incremental = await monitor.performIncrementalScan(["status", "commits"]);
+    const admin = incremental.workspace.packages.find((pkg) => pkg.name === "@shop/admin");
+    expect(admin).toMatchObject({ commits7d: 1, owner: "Cy" });
+    expect(incremental.workspace.packages.map((pkg) => pkg.uncommittedChanges)).toEqual([0, 0, 0]);
+    expect(packages["@shop/admin"].owner).toBeNull();
+
+    // Turned off, the repository is one unit again
+    const plain = new ProjectMonitor({
+      project: "shop",
+      path: tempDir,
+      config: { git: { enableRemoteCheck: false }, monitoring: { workspaces: { enabled: false } } },
+    });
+    expect(await plain.analyzeWorkspace({ hasGit: true })).toBeNull();
+  });
+
+  test("should count a rename once and leave ignored paths out of package changes", async () => {
+    await write("package.json", { name: "shop", workspaces: ["packages/*"] });
+    await write("packages/api/package.json", { name: "@shop/api" });
+    await write("packages/web/package.json", { name: "@shop/web" });
+    await write("packages/web/app.js", "export default {};\n");
+    await write(".portfolioignore", "packages/api/generated/\n");
+    initRepository(tempDir);
+
+    git("mv packages/web/app.js packages/web/main.js", tempDir);
+    await write("packages/api/generated/client.js", "Generated\n");
+    await write("packages/api/index.js", "Not committed\n");
+
+    const monitor = new ProjectMonitor({
+      project: "shop",
+      path: tempDir,
+      config: { git: { enableRemoteCheck: false } },
+    });
+    const scan = await monitor.performScan();
+    const changes = Object.fromEntries(
+      scan.workspace.packages.map((pkg) => [pkg.name, pkg.uncommittedChanges]),
+    );
+
+    expect(changes).toEqual({ "@shop/api": 1, "@shop/web": 1 });
+    expect(scan.git.uncommittedChanges).toBe(2);
+    // Worktrees and submodules are counted without the project's ignore rules
+    expect(await monitor.countUncommittedChanges(tempDir)).toBe(3);
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * Worktree and Submodule Tests
+ *
+ * Linked worktrees and submodule checkouts are grouped under the repository
+ * they belong to, with each worktree's branch and state and each submodule's
+ * pin compared with the head of its remote
+ */
+
+import path from "node:path";
+import fs from "fs-extra";
+import { afterEach, beforeEach, describe, expect, test } from "vitest";
+import { createTempDir, git } from "./helpers/git";
+
+const ProjectMonitor = require("../lib/monitor/project-monitor");
+const PortfolioMasterController = require("../lib/monitor/master-controller");
+const ProjectDiscoveryService = require("../lib/discovery/project-discovery");
+const HealthRuleEngine = require("../lib/monitor/health-rules");
+const { readGitLayout } = require("../lib/utils/git-layout");
+
+describe("Worktrees and Submodules", () => {
+  let tempDir;
+  let projectsPath;
+  let appPath;
+  let featurePath;
+  let libOriginPath;
+  let libSeedPath;
+
+  const pushLib = (message) => {
+    git(`commit -q --allow-empty -m '${message}'`, libSeedPath);
+    git("push -q origin main", libSeedPath);
+  };
+
+  beforeEach(async () => {
+    tempDir = await createTempDir("worktrees");
+    projectsPath = path.join(tempDir, "projects");
+    appPath = path.join(projectsPath, "app");
+    featurePath = path.join(projectsPath, "app-feature");
+    libOriginPath = path.join(tempDir, "lib.git");
+    libSeedPath = path.join(tempDir, "lib-seed");
+
+    git(`init -q --bare -b main ${libOriginPath}`, tempDir);
+    git(`clone -q ${libOriginPath} ${libSeedPath}`, tempDir);
+    git("checkout -q -b main", libSeedPath);
+    pushLib("Initial commit");
+
+    // The app pins lib as a submodule and has a feature branch checked out next to it
+    await fs.ensureDir(appPath);
+    git("init -q -b main", appPath);
+    git(`submodule add -q ${libOriginPath} vendor/lib`, appPath);
+    git("commit -q -m 'Add lib'", appPath);
+    git(`worktree add -q -b feature ${featurePath}`, appPath);
+  });
+
+  afterEach(async () => {
+    if (tempDir) {
+      await fs.remove(tempDir);
+    }
+  });
+
+  test("should tell repositories, linked worktrees and submodule checkouts apart", async () => {
+    expect(readGitLayout(appPath)).toMatchObject({ kind: "repository", parentPath: null });
+    expect(readGitLayout(featurePath)).toMatchObject({
+      kind: "worktree",
+      parentPath: await fs.realpath(appPath),
+    });
+    expect(readGitLayout(path.join(appPath, "vendor", "lib"))).toMatchObject({
+      kind: "submodule",
+      parentPath: await fs.realpath(appPath),
+    });
+    expect(readGitLayout(tempDir)).toBeNull();
+
+    // Discovery lists them with the repository instead of as projects
+    const discovery = new ProjectDiscoveryService({ workingDir: projectsPath });
+    const projects = await discovery.discoverGitRepositories();
+    expect(projects.map((project) => project.name)).toEqual(["app"]);
+    expect(projects[0].worktrees).toEqual([
+      expect.objectContaining({ name: "app-feature", path: featurePath }),
+    ]);
+    expect(projects[0].submodules).toEqual([
+      expect.objectContaining({ name: "lib", relativePath: path.join("app", "vendor", "lib") }),
+    ]);
+
+    const controller = new PortfolioMasterController({
+      workingDir: tempDir,
+      dataDir: path.join(tempDir, "data"),
+      config: { directories: { tracked: [projectsPath] }, logging: { level: "error" } },
+    });
+    await controller.discoverProjects();
+    const registered = [...controller.projectRegistry.values()];
+    expect(registered.map((project) => project.name)).toEqual(["app"]);
+    expect(registered[0]).toMatchObject({
+      hasGit: true,
+      worktrees: [{ name: "app-feature", path: featurePath }],
+    });
+
+    // A worktree whose repository is not tracked is a project of its own
+    const alone = new PortfolioMasterController({
+      workingDir: tempDir,
+      dataDir: path.join(tempDir, "data"),
+      config: { directories: { tracked: [projectsPath] }, logging: { level: "error" } },
+    });
+    await fs.writeFile(path.join(appPath, ".no-monitor"), "");
+    await alone.discoverProjects();
+    expect([...alone.projectRegistry.values()][0]).toMatchObject({
+      name: "app-feature",
+      hasGit: true,
+      linkedTo: { kind: "worktree" },
+    });
+  });
+
+  test("should report worktree branches and submodule pins behind their remote", async () => {
+    await fs.writeFile(path.join(featurePath, "notes.md"), "Draft\n");
+    await fs.writeFile(path.join(appPath, "vendor", "lib", "patch.txt"), "Local fix\n");
+    pushLib("Lib fix");
+    pushLib("Lib release");
+
+    const monitor = new ProjectMonitor({ project: "app", path: appPath, config: {} });
+    const gitData = await monitor.analyzeGitActivity();
+    const pinned = git("rev-parse HEAD:vendor/lib", appPath);
+
+    expect(gitData.worktrees).toEqual([
+      expect.objectContaining({
+        path: featurePath,
+        branch: "feature",
+        main: false,
+        uncommittedChanges: 1,
+      }),
+    ]);
+    expect(gitData.submodules).toEqual([
+      {
+        name: "vendor/lib",
+        path: "vendor/lib",
+        url: libOriginPath,
+        pinned,
+        checkedOut: pinned,
+        initialized: true,
+        remoteRef: "origin/main",
+        remoteHead: git("rev-parse HEAD", libSeedPath),
+        ahead: 0,
+        behind: 2,
+        outOfDate: true,
+        uncommittedChanges: 1,
+        stale: false,
+      },
+    ]);
+
+    const health = new HealthRuleEngine().collectFacts({ project: "app", git: gitData });
+    expect(health.git).toMatchObject({ outdatedSubmodules: 1, dirtyWorktrees: 1 });
+
+    // Seen from the linked worktree, the main worktree is the other one; the
+    // file added to its submodule counts as a change there
+    const feature = new ProjectMonitor({
+      project: "app-feature",
+      path: featurePath,
+      config: { git: { enableRemoteCheck: false } },
+    });
+    const featureData = await feature.analyzeGitActivity();
+    expect(featureData).toMatchObject({
+      hasGit: true,
+      currentBranch: "feature",
+      uncommittedChanges: 1,
+    });
+    expect(featureData.worktrees).toEqual([
+      expect.objectContaining({ path: appPath, branch: "main", main: true, uncommittedChanges: 1 }),
+    ]);
+
+    // Not checked out in the worktree, so only the pin is known
+    expect(featureData.submodules).toEqual([
+      expect.objectContaining({ pinned, initialized: false, behind: null, outOfDate: false }),
+    ]);
+  });
+});